@@ -0,0 +1,1094 @@
+// Route documentation
+// The parts of the OpenAPI description the router can't work out for itself
+// (see lib/openapi): a summary and operation id per route, the statuses it
+// answers with beyond the ones implied by its middleware, and the shape of
+// its successful responses. Response schemas list the fields clients can
+// rely on; objects may carry more. Every route needs an entry here -
+// npm run contract fails on routes without one.
+
+const { string, integer, number, boolean, date, dateTime, array, oneOf, object, nullable } = require('./schema-builders');
+const { PLAN_TIERS, CLIENT_STATUSES } = require('./client-lifecycle');
+const { ROLES } = require('./permissions');
+const { API_KEY_SCOPES, ENVIRONMENTS } = require('./api-keys');
+const { INSIGHT_STATUSES } = require('./insights');
+const { INTEGRATION_STATUSES } = require('./integrations');
+const { DELIVERY_STATUSES } = require('./webhooks');
+const { JOB_STATUSES } = require('./jobs');
+const { MAX_PERIODS } = require('./periods');
+const { SECTION_KEYS, FORMAT_NAMES, DATE_RANGES, FREQUENCIES, WEEKDAYS } = require('./reports');
+
+// ============================================================================
+// SHARED SHAPES
+// ============================================================================
+
+const id = string();
+const money = number();
+const period = object({ start: date(), end: date() }, { required: ['start', 'end'] });
+
+const data = schema => object({ data: schema }, { required: ['data'] });
+const list = schema => data(array(schema));
+const page = schema => object({ data: array(schema), next_cursor: nullable(string()) }, { required: ['data', 'next_cursor'] });
+
+const ErrorResponse = object({
+    error: string(),
+    code: string(),
+    details: array(object({
+        field: string(),
+        code: string(),
+        message: string()
+    }, { required: ['code', 'message'] })),
+    request_id: string()
+}, { required: ['error', 'code', 'request_id'] });
+
+const CurrencyConversion = object({
+    reporting_currency: string(),
+    converted_records: integer(),
+    missing_rate_records: integer(),
+    excluded_amount_by_currency: object({}, { additional: number() }),
+    missing_rates: array(object({}))
+}, { required: ['reporting_currency', 'converted_records', 'missing_rate_records'] });
+
+const converted = {
+    reporting_currency: string(),
+    currency_conversion: CurrencyConversion
+};
+
+const Retention = object({
+    baseline_month: nullable(string()),
+    final_month: nullable(string()),
+    starting_mrr: money,
+    retained_mrr: money,
+    net_revenue_retention: nullable(number()),
+    gross_revenue_retention: nullable(number())
+});
+
+const ArpaPoint = object({ month: string(), partial: boolean(), arpa: nullable(money), customers: integer() }, { required: ['month', 'arpa'] });
+
+// ============================================================================
+// AUTH & USERS
+// ============================================================================
+
+const User = object({
+    id,
+    email: string(),
+    firstName: nullable(string()),
+    lastName: nullable(string()),
+    role: oneOf(ROLES),
+    clientId: string()
+}, { required: ['id', 'email', 'role', 'clientId'] });
+
+const Session = object({
+    access_token: string(),
+    token_type: oneOf(['Bearer']),
+    expires_in: integer(),
+    refresh_token: string(),
+    refresh_expires_in: number(),
+    user: User
+}, { required: ['access_token', 'token_type', 'expires_in', 'refresh_token', 'refresh_expires_in', 'user'] });
+
+// ============================================================================
+// REVENUE
+// ============================================================================
+
+const RevenueRecord = object({
+    id,
+    clientId: string(),
+    date: date(),
+    amount: money,
+    currency: string(),
+    source: nullable(string()),
+    channel: nullable(string()),
+    customer_id: nullable(string()),
+    external_id: nullable(string()),
+    metadata: nullable(object({})),
+    revision: integer(),
+    deleted_at: nullable(dateTime()),
+    createdAt: dateTime()
+}, { required: ['id', 'clientId', 'date', 'amount', 'createdAt'] });
+
+const RecordRevision = object({
+    id,
+    record_id: string(),
+    revision: integer(),
+    action: oneOf(['update', 'delete', 'restore', 'sync']),
+    changes: nullable(object({})),
+    reason: nullable(string()),
+    actor: object({ type: string(), id: nullable(string()) }),
+    created_at: dateTime()
+}, { required: ['id', 'record_id', 'revision', 'action', 'actor', 'created_at'] });
+
+const RevenueSummary = object({
+    period: object({ start: date(), end: date(), days: integer() }, { required: ['start', 'end'] }),
+    granularity: string(),
+    total_revenue: money,
+    transactions: integer(),
+    avg_daily_revenue: money,
+    growth_rate: nullable(number()),
+    previous_period: object({ start: date(), end: date(), revenue: money }),
+    mrr: money,
+    arr: money,
+    by_period: array(object({
+        period_start: date(),
+        period_end: date(),
+        revenue: money,
+        transactions: integer()
+    }, { required: ['period_start', 'period_end', 'revenue', 'transactions'] })),
+    by_source: array(object({ source: string(), revenue: money, transactions: integer(), percentage: string() })),
+    ...converted
+}, { required: ['period', 'granularity', 'total_revenue', 'transactions', 'by_period', 'by_source', 'reporting_currency', 'currency_conversion'] });
+
+const RevenueCohorts = object({
+    period,
+    cohorts: array(object({
+        cohort: string(),
+        customers: integer(),
+        initial_revenue: money,
+        periods: array(object({}))
+    }, { required: ['cohort', 'customers', 'periods'] })),
+    retention: Retention,
+    ltv: object({
+        average_historic_ltv: nullable(money),
+        arpa: nullable(money),
+        avg_monthly_customer_churn_rate: nullable(number()),
+        predicted_ltv: nullable(money),
+        top_customers: array(object({}))
+    }),
+    arpa_trend: array(ArpaPoint),
+    customers_analyzed: integer(),
+    records_without_customer: integer(),
+    ...converted
+}, { required: ['period', 'cohorts', 'retention', 'ltv', 'arpa_trend', 'reporting_currency', 'currency_conversion'] });
+
+const mrrFields = ['starting_mrr', 'new_mrr', 'expansion_mrr', 'contraction_mrr', 'churned_mrr', 'reactivation_mrr', 'ending_mrr', 'net_new_mrr'];
+const mrrTotals = Object.fromEntries(mrrFields.map(field => [field, money]));
+
+const MrrMovements = object({
+    period,
+    months: array(object({
+        month: string(),
+        partial: boolean(),
+        ...mrrTotals,
+        customers: object({}),
+        net_revenue_retention: nullable(number()),
+        gross_revenue_retention: nullable(number()),
+        customer_churn_rate: nullable(number()),
+        arpa: nullable(money)
+    }, { required: ['month', ...mrrFields] })),
+    totals: object(mrrTotals, { required: mrrFields }),
+    retention: Retention,
+    arpa_trend: array(ArpaPoint),
+    customers_analyzed: integer(),
+    records_without_customer: integer(),
+    ...converted
+}, { required: ['period', 'months', 'totals', 'retention', 'reporting_currency', 'currency_conversion'] });
+
+const RevenueForecast = object({
+    model_version: string(),
+    generated_at: dateTime(),
+    granularity: string(),
+    history: object({ start: date(), end: date(), periods: integer() }, { required: ['start', 'end', 'periods'] }),
+    model: string(),
+    model_params: object({}),
+    forecast: array(object({
+        period: date(),
+        period_end: date(),
+        predicted_revenue: money,
+        lower_bound: money,
+        upper_bound: money
+    }, { required: ['period', 'predicted_revenue', 'lower_bound', 'upper_bound'] })),
+    interval_level: number(),
+    accuracy_metrics: object({ mape: nullable(number()), rmse: nullable(number()), holdout_periods: integer() }),
+    candidates: array(object({ model: string(), status: string() })),
+    ...converted
+}, { required: ['model_version', 'granularity', 'history', 'model', 'forecast', 'reporting_currency', 'currency_conversion'] });
+
+const importFields = {
+    id,
+    clientId: string(),
+    format: string(),
+    dry_run: boolean(),
+    mapping: object({}, { additional: string() }),
+    status: oneOf(['processing', 'completed', 'failed', 'cancelled']),
+    job_id: string(),
+    created_by: nullable(string()),
+    created_at: dateTime(),
+    completed_at: dateTime(),
+    error: string()
+};
+
+const RevenueImportSummary = object({
+    ...importFields,
+    imported: nullable(integer()),
+    failed: nullable(integer())
+}, { required: ['id', 'format', 'dry_run', 'status', 'job_id', 'created_at', 'imported', 'failed'] });
+
+const RevenueImport = object({
+    ...importFields,
+    report: object({
+        total_rows: integer(),
+        imported: integer(),
+        duplicates: integer(),
+        failed: integer(),
+        errors: array(object({}))
+    }, { required: ['total_rows', 'imported', 'duplicates', 'failed'] })
+}, { required: ['id', 'format', 'dry_run', 'status', 'job_id', 'created_at'] });
+
+const ImportAccepted = object({
+    import_id: string(),
+    job_id: string(),
+    status: string(),
+    dry_run: boolean(),
+    rows_received: integer(),
+    status_url: string(),
+    job_url: string()
+}, { required: ['import_id', 'job_id', 'status', 'dry_run', 'rows_received', 'status_url', 'job_url'] });
+
+// ============================================================================
+// CLIENTS
+// ============================================================================
+
+const OnboardingSteps = object({
+    steps: object({}, { additional: nullable(dateTime()) }),
+    completed_at: nullable(dateTime())
+}, { required: ['steps', 'completed_at'] });
+
+const Client = object({
+    id,
+    company_name: string(),
+    domain: nullable(string()),
+    industry: nullable(string()),
+    plan_tier: oneOf(PLAN_TIERS),
+    mrr: money,
+    arr: money,
+    status: oneOf(CLIENT_STATUSES),
+    health_score: nullable(number()),
+    onboarding_completed: boolean(),
+    onboarding: OnboardingSteps,
+    primary_contact: nullable(object({})),
+    reporting_currency: string(),
+    archived_at: nullable(dateTime()),
+    created_at: dateTime()
+}, { required: ['id', 'company_name', 'plan_tier', 'status', 'mrr', 'arr', 'created_at'] });
+
+const OnboardingStep = object({
+    key: string(),
+    title: string(),
+    completed: boolean(),
+    completed_at: nullable(dateTime())
+}, { required: ['key', 'title', 'completed', 'completed_at'] });
+
+const onboardingProgress = {
+    steps: array(OnboardingStep),
+    completed_steps: integer(),
+    total_steps: integer(),
+    completion: number(),
+    completed_at: nullable(dateTime())
+};
+
+const CreatedClient = object({
+    ...Client.properties,
+    onboarding_url: string(),
+    onboarding: object(onboardingProgress, { required: Object.keys(onboardingProgress) }),
+    api_key: string({ description: 'A test-environment ingestion key, shown only here' })
+}, { required: [...Client.required, 'onboarding_url', 'onboarding', 'api_key'] });
+
+const PlanChange = object({
+    id,
+    clientId: string(),
+    from_tier: oneOf(PLAN_TIERS),
+    to_tier: oneOf(PLAN_TIERS),
+    effective_date: date(),
+    status: oneOf(['scheduled', 'applied', 'cancelled']),
+    requested_by: nullable(string()),
+    created_at: dateTime(),
+    applied_at: nullable(dateTime())
+}, { required: ['id', 'from_tier', 'to_tier', 'effective_date', 'status', 'created_at'] });
+
+const Onboarding = object({
+    client_id: string(),
+    onboarding_url: string(),
+    ...onboardingProgress
+}, { required: ['client_id', 'onboarding_url', ...Object.keys(onboardingProgress)] });
+
+const Invitation = object({
+    id,
+    clientId: string(),
+    email: string(),
+    role: oneOf(ROLES),
+    status: oneOf(['pending', 'accepted', 'expired', 'revoked']),
+    invited_by: nullable(string()),
+    created_at: dateTime(),
+    expires_at: dateTime()
+}, { required: ['id', 'email', 'role', 'status', 'created_at', 'expires_at'] });
+
+const CreatedInvitation = object({
+    ...Invitation.properties,
+    invite_token: string(),
+    invite_url: string()
+}, { required: [...Invitation.required, 'invite_token', 'invite_url'] });
+
+const ApiKey = object({
+    id,
+    clientId: string(),
+    name: string(),
+    environment: oneOf(ENVIRONMENTS),
+    key_prefix: string(),
+    scopes: array(oneOf(API_KEY_SCOPES)),
+    status: oneOf(['active', 'revoked']),
+    created_by: nullable(string()),
+    created_at: dateTime(),
+    last_used_at: nullable(dateTime()),
+    last_used_ip: nullable(string())
+}, { required: ['id', 'name', 'environment', 'key_prefix', 'scopes', 'status', 'created_at'] });
+
+const CreatedApiKey = object({
+    ...ApiKey.properties,
+    api_key: string({ description: 'The full key, shown only once' })
+}, { required: [...ApiKey.required, 'api_key'] });
+
+const HealthWeights = object({}, { additional: number() });
+
+const ClientSettings = object({
+    reporting_currency: string(),
+    health_weights: HealthWeights
+}, { required: ['reporting_currency', 'health_weights'] });
+
+const QuotaStatus = object({
+    used: integer(),
+    quota: nullable(integer({ description: 'null when the plan is unlimited' })),
+    remaining: nullable(integer()),
+    exceeded: boolean()
+}, { required: ['used', 'quota', 'remaining', 'exceeded'] });
+
+const ClientUsage = object({
+    client_id: string(),
+    plan_tier: oneOf(PLAN_TIERS),
+    month: string({ description: 'YYYY-MM (UTC)' }),
+    period: object({ start: date(), end: date(), resets_at: dateTime() }, { required: ['start', 'end', 'resets_at'] }),
+    api_calls: QuotaStatus,
+    imports: object({ count: integer(), rows: QuotaStatus }, { required: ['count', 'rows'] }),
+    rate_limits: object({
+        requests_per_minute: integer(),
+        expensive_requests_per_minute: integer()
+    }, { required: ['requests_per_minute', 'expensive_requests_per_minute'] })
+}, { required: ['client_id', 'plan_tier', 'month', 'period', 'api_calls', 'imports', 'rate_limits'] });
+
+const HealthSignal = object({
+    signal: string(),
+    description: string(),
+    available: boolean(),
+    value: nullable(number()),
+    score: nullable(number()),
+    weight: number(),
+    effective_weight: number(),
+    contribution: number()
+}, { required: ['signal', 'available', 'weight'] });
+
+const healthFields = {
+    client_id: string(),
+    score: number(),
+    date: date(),
+    computed_at: dateTime(),
+    mrr: money,
+    arr: money,
+    weights: HealthWeights,
+    signals: array(HealthSignal)
+};
+
+const HealthScore = object(healthFields, { required: ['client_id', 'score', 'date', 'computed_at', 'weights', 'signals'] });
+
+const ClientHealth = object({
+    ...healthFields,
+    reporting_currency: string(),
+    trend: array(object({ date: date(), score: number() }, { required: ['date', 'score'] })),
+    change: nullable(object({}))
+}, { required: ['client_id', 'score', 'trend', 'signals'] });
+
+// ============================================================================
+// INSIGHTS, JOBS & INTEGRATIONS
+// ============================================================================
+
+const Insight = object({
+    id,
+    clientId: string(),
+    type: string(),
+    title: string(),
+    description: string(),
+    confidence: number(),
+    impact: string(),
+    evidence: object({}),
+    detector: string(),
+    status: oneOf(INSIGHT_STATUSES),
+    snoozed: boolean(),
+    snoozed_until: nullable(dateTime()),
+    assigned_to: nullable(string()),
+    job_id: nullable(string()),
+    generated_at: dateTime(),
+    feedback: object({})
+}, { required: ['id', 'type', 'title', 'confidence', 'status', 'snoozed', 'generated_at'] });
+
+const Job = object({
+    id,
+    type: string(),
+    clientId: nullable(string()),
+    status: oneOf(JOB_STATUSES),
+    progress: number(),
+    result_ids: array(string()),
+    attempts: integer(),
+    max_attempts: integer(),
+    last_error: nullable(string()),
+    result: nullable(object({})),
+    run_after: dateTime(),
+    created_at: dateTime(),
+    updated_at: dateTime(),
+    started_at: nullable(dateTime()),
+    finished_at: nullable(dateTime())
+}, { required: ['id', 'type', 'status', 'progress', 'attempts', 'max_attempts', 'created_at'] });
+
+const JobAccepted = object({ job_id: string(), status: oneOf(JOB_STATUSES), status_url: string() }, { required: ['job_id', 'status', 'status_url'] });
+
+const Integration = object({
+    id,
+    clientId: string(),
+    provider: string(),
+    status: oneOf(INTEGRATION_STATUSES),
+    config: object({}),
+    has_credentials: boolean(),
+    sync_cursor: nullable(string()),
+    last_sync: nullable(dateTime()),
+    last_sync_status: nullable(string()),
+    last_error: nullable(string()),
+    next_sync_at: nullable(dateTime()),
+    created_at: dateTime(),
+    connected_at: nullable(dateTime())
+}, { required: ['id', 'provider', 'status', 'has_credentials', 'created_at'] });
+
+const IntegrationProvider = object({
+    name: string(),
+    display_name: string(),
+    kind: string(),
+    scopes: array(string()),
+    config_fields: array(object({})),
+    configured: boolean()
+}, { required: ['name', 'display_name', 'kind', 'configured'] });
+
+const IntegrationSync = object({
+    id,
+    integrationId: string(),
+    provider: string(),
+    trigger: string(),
+    status: string(),
+    job_id: string(),
+    attempts: integer(),
+    pages: integer(),
+    records_created: integer(),
+    records_updated: integer(),
+    records_rejected: integer(),
+    rankings_upserted: integer(),
+    errors: array(object({})),
+    created_at: dateTime(),
+    started_at: nullable(dateTime()),
+    finished_at: nullable(dateTime())
+}, { required: ['id', 'integrationId', 'trigger', 'status', 'job_id', 'created_at'] });
+
+// ============================================================================
+// ATTRIBUTION, FX & SEO
+// ============================================================================
+
+const Touchpoint = object({
+    id,
+    clientId: string(),
+    customer_id: string(),
+    channel: string(),
+    campaign: nullable(string()),
+    timestamp: dateTime(),
+    metadata: nullable(object({})),
+    createdAt: dateTime()
+}, { required: ['id', 'customer_id', 'channel', 'timestamp'] });
+
+const AttributionResult = object({
+    model: string(),
+    period,
+    ...converted
+}, { required: ['model', 'period', 'reporting_currency', 'currency_conversion'] });
+
+const FxRate = object({
+    id,
+    date: date(),
+    base: string(),
+    quote: string(),
+    rate: number(),
+    source: string(),
+    updated_at: dateTime()
+}, { required: ['id', 'date', 'base', 'quote', 'rate'] });
+
+const Keyword = object({
+    id,
+    clientId: string(),
+    keyword: string(),
+    target_url: nullable(string()),
+    search_volume: nullable(integer()),
+    tags: array(string()),
+    created_by: nullable(string()),
+    created_at: dateTime(),
+    updated_at: dateTime()
+}, { required: ['id', 'keyword', 'tags', 'created_at'] });
+
+const SeoRankings = object({
+    period,
+    rankings: array(object({
+        keyword_id: string(),
+        keyword: string(),
+        current_position: nullable(number()),
+        previous_position: nullable(number()),
+        change: nullable(number()),
+        time_series: array(object({}))
+    }, { required: ['keyword_id', 'keyword', 'current_position', 'time_series'] })),
+    summary: object({
+        total_keywords: integer(),
+        ranked_keywords: integer(),
+        top_3_count: integer(),
+        top_10_count: integer(),
+        avg_position: nullable(number()),
+        avg_position_change: nullable(number()),
+        visibility_score: nullable(number()),
+        visibility_change: nullable(number())
+    }, { required: ['total_keywords', 'ranked_keywords'] }),
+    visibility_series: array(object({ date: date(), visibility_score: number() }))
+}, { required: ['period', 'rankings', 'summary'] });
+
+// ============================================================================
+// PREDICTIONS
+// ============================================================================
+
+const ChurnModel = object({
+    version: string(),
+    trained_at: dateTime(),
+    sample_count: integer(),
+    churned_count: integer(),
+    metrics: object({}),
+    coefficients: array(object({ feature: string(), description: string(), weight: number() }, { required: ['feature', 'weight'] }))
+}, { required: ['version', 'trained_at', 'sample_count', 'metrics', 'coefficients'] });
+
+const ChurnPredictions = object({
+    model_version: string(),
+    model_metrics: object({}),
+    threshold: number(),
+    prediction_date: dateTime(),
+    predictions: array(object({
+        client_id: string(),
+        client_name: string(),
+        churn_probability: number(),
+        risk_level: oneOf(['low', 'medium', 'high']),
+        above_threshold: boolean(),
+        primary_factors: array(string()),
+        feature_contributions: array(object({})),
+        recommended_actions: array({}),
+        estimated_ltv_at_risk: money
+    }, { required: ['client_id', 'churn_probability', 'risk_level', 'above_threshold'] })),
+    summary: object({
+        total_clients: integer(),
+        high_risk: integer(),
+        medium_risk: integer(),
+        low_risk: integer(),
+        total_ltv_at_risk: money
+    })
+}, { required: ['model_version', 'threshold', 'predictions', 'summary'] });
+
+// ============================================================================
+// WEBHOOKS & AUDIT LOGS
+// ============================================================================
+
+const WebhookEndpoint = object({
+    id,
+    clientId: string(),
+    url: string(),
+    events: array(string()),
+    description: nullable(string()),
+    active: boolean(),
+    created_by: nullable(string()),
+    created_at: dateTime(),
+    last_delivery_at: nullable(dateTime()),
+    last_delivery_status: nullable(string())
+}, { required: ['id', 'url', 'events', 'active', 'created_at'] });
+
+const WithSecret = object({
+    data: WebhookEndpoint,
+    secret: string({ description: 'Signing secret, shown only on creation and rotation' })
+}, { required: ['data', 'secret'] });
+
+const deliveryFields = {
+    id,
+    webhookId: string(),
+    event_id: string(),
+    event_type: string(),
+    status: oneOf(DELIVERY_STATUSES),
+    job_id: nullable(string()),
+    redelivery_of: nullable(string()),
+    created_at: dateTime(),
+    completed_at: nullable(dateTime())
+};
+
+const WebhookDelivery = object({
+    ...deliveryFields,
+    attempt_count: integer(),
+    last_status_code: nullable(integer()),
+    last_error: nullable(string())
+}, { required: ['id', 'webhookId', 'event_type', 'status', 'attempt_count', 'created_at'] });
+
+const WebhookDeliveryDetail = object({
+    ...deliveryFields,
+    payload: object({}),
+    attempts: array(object({}))
+}, { required: ['id', 'webhookId', 'event_type', 'status', 'payload', 'attempts', 'created_at'] });
+
+const ReportSchedule = object({
+    frequency: oneOf(FREQUENCIES),
+    day_of_week: oneOf(WEEKDAYS),
+    day_of_month: integer(),
+    hour: integer()
+}, { required: ['frequency', 'hour'] });
+
+const reportContent = {
+    sections: array(oneOf(SECTION_KEYS)),
+    format: oneOf(FORMAT_NAMES),
+    date_range: oneOf(DATE_RANGES),
+    options: object({})
+};
+
+const Report = object({
+    id,
+    clientId: string(),
+    name: string(),
+    ...reportContent,
+    start_date: nullable(date()),
+    end_date: nullable(date()),
+    recipients: array(string()),
+    schedule: nullable(ReportSchedule),
+    attach_file: boolean(),
+    active: boolean(),
+    next_run_at: nullable(dateTime()),
+    last_run_at: nullable(dateTime()),
+    last_status: nullable(oneOf(['succeeded', 'failed'])),
+    last_error: nullable(string()),
+    last_export_id: nullable(string()),
+    created_at: dateTime(),
+    updated_at: dateTime()
+}, { required: ['id', 'name', 'sections', 'format', 'date_range', 'recipients', 'schedule', 'active', 'next_run_at', 'created_at'] });
+
+const ReportExport = object({
+    id,
+    clientId: string(),
+    report_id: nullable(string()),
+    trigger: oneOf(['on_demand', 'manual', 'scheduled']),
+    title: string(),
+    ...reportContent,
+    period,
+    filename: string(),
+    content_type: string(),
+    size_bytes: integer(),
+    delivery: nullable(object({
+        status: oneOf(['pending', 'retrying', 'sent', 'failed']),
+        transport: string(),
+        recipients: array(string()),
+        attached: boolean(),
+        job_id: string(),
+        attempts: integer(),
+        message_id: nullable(string()),
+        last_error: nullable(string()),
+        sent_at: nullable(dateTime())
+    }, { required: ['status', 'recipients'] })),
+    download_count: integer(),
+    last_downloaded_at: nullable(dateTime()),
+    download_url: string(),
+    download_expires_at: dateTime(),
+    created_at: dateTime(),
+    expires_at: dateTime()
+}, { required: ['id', 'sections', 'format', 'period', 'filename', 'content_type', 'size_bytes', 'download_url', 'download_expires_at', 'created_at', 'expires_at'] });
+
+const AuditEntry = object({
+    id,
+    client_id: nullable(string()),
+    occurred_at: dateTime(),
+    request_id: string(),
+    action: string(),
+    outcome: oneOf(['success', 'failure']),
+    status_code: integer(),
+    actor: object({ type: string(), id: nullable(string()) }, { required: ['type', 'id'] }),
+    target: object({ type: nullable(string()), id: nullable(string()) }, { required: ['type', 'id'] }),
+    changes: nullable(object({})),
+    ip: nullable(string()),
+    user_agent: nullable(string()),
+    method: string(),
+    path: string()
+}, { required: ['id', 'occurred_at', 'request_id', 'action', 'outcome', 'status_code', 'actor', 'target'] });
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+// responses: { status: schema }, null for a response without a body
+function op(operationId, summary, responses, extra = {}) {
+    return {
+        operationId,
+        summary,
+        ...extra,
+        responses: {
+            ...Object.fromEntries(Object.entries(responses).map(([status, schema]) => [status, schema ? { schema } : {}])),
+            ...extra.responses
+        }
+    };
+}
+
+function section(tag, routes) {
+    return Object.fromEntries(Object.entries(routes).map(([key, doc]) => [key, { ...doc, tag }]));
+}
+
+const TAGS = [
+    { name: 'Auth', description: 'Sessions, sign-up and invitations' },
+    { name: 'Revenue', description: 'Revenue analytics, records and imports. Amounts are in the client\'s reporting currency unless stated.' },
+    { name: 'Clients', description: 'Clients, their users, API keys, plans and health' },
+    { name: 'Insights', description: 'Generated findings and their triage' },
+    { name: 'Integrations', description: 'Connected data providers and their syncs' },
+    { name: 'Attribution', description: 'Marketing touchpoints and revenue attribution' },
+    { name: 'FX rates', description: 'Exchange rates used for currency conversion' },
+    { name: 'SEO', description: 'Tracked keywords and rankings' },
+    { name: 'Predictions', description: 'Churn model and predictions' },
+    { name: 'Jobs', description: 'Background work started by other endpoints. Finished jobs are kept for 7 days by default (JOB_RETENTION_DAYS).' },
+    { name: 'Webhooks', description: 'Event subscriptions and their deliveries' },
+    { name: 'Reports', description: 'Analytics exported as CSV, XLSX or PDF files, and reports that generate and email them on a schedule' },
+    { name: 'Audit logs', description: 'Record of every write' },
+    { name: 'Service', description: 'Status and API description' }
+];
+
+const IDEMPOTENCY_KEY = {
+    name: 'Idempotency-Key',
+    in: 'header',
+    required: false,
+    description: 'Makes retries safe: a repeat with the same key and body returns the original response (for 24 hours)',
+    schema: string({ pattern: '^[\\x21-\\x7e]{1,255}$' })
+};
+
+const REPLAYED_HEADER = {
+    'Idempotent-Replayed': { description: 'Present on a response replayed for a repeated Idempotency-Key', schema: oneOf(['true']) }
+};
+
+const ROUTE_DOCS = {
+    ...section('Auth', {
+        'POST /api/v1/auth/register': op('register', 'Sign up, creating a new client', { 201: Session }, { errors: [403, 409] }),
+        'POST /api/v1/auth/token': op('login', 'Log in with email and password', { 200: Session }, { errors: [401] }),
+        'POST /api/v1/auth/refresh': op('refreshSession', 'Exchange a refresh token for a new session', { 200: Session }, { errors: [401] }),
+        'POST /api/v1/auth/logout': op('logout', 'Revoke the current session', { 204: null }),
+        'POST /api/v1/auth/invitations/accept': op('acceptInvitation', 'Create an account from an invitation', { 201: Session }, { errors: [404, 409, 410] })
+    }),
+
+    ...section('Revenue', {
+        'GET /api/v1/revenue/summary': op('getRevenueSummary', 'Revenue totals by period and source', { 200: data(RevenueSummary) }, {
+            description: `by_period has at most ${MAX_PERIODS} entries. A wider range with an explicit start_date is refused; ` +
+                'without one, the range starts as far back as fits.'
+        }),
+        'GET /api/v1/revenue/cohorts': op('getRevenueCohorts', 'Customer cohorts, retention and LTV', { 200: data(RevenueCohorts) }),
+        'GET /api/v1/revenue/mrr-movements': op('getMrrMovements', 'Monthly MRR movements', { 200: data(MrrMovements) }),
+        'GET /api/v1/revenue/forecast': op('getRevenueForecast', 'Forecast revenue', { 200: data(RevenueForecast) }, { errors: [422] }),
+        'POST /api/v1/revenue/records': op('createRevenueRecord', 'Record revenue', {}, {
+            parameters: [IDEMPOTENCY_KEY],
+            errors: [409, 422],
+            responses: { 201: { schema: RevenueRecord, headers: REPLAYED_HEADER } }
+        }),
+        'GET /api/v1/revenue/records': op('listRevenueRecords', 'List revenue records', { 200: page(RevenueRecord) }),
+        'GET /api/v1/revenue/records/:recordId': op('getRevenueRecord', 'Get a revenue record', { 200: data(RevenueRecord) }),
+        'PATCH /api/v1/revenue/records/:recordId': op('updateRevenueRecord', 'Correct a revenue record', { 200: data(RevenueRecord) }, { errors: [409] }),
+        'DELETE /api/v1/revenue/records/:recordId': op('deleteRevenueRecord', 'Delete a revenue record (restorable)', { 204: null }, { errors: [409] }),
+        'POST /api/v1/revenue/records/:recordId/restore': op('restoreRevenueRecord', 'Restore a deleted revenue record', { 200: data(RevenueRecord) }, { errors: [409] }),
+        'GET /api/v1/revenue/records/:recordId/revisions': op('listRevenueRecordRevisions', 'Revision history of a revenue record', {
+            200: object({ data: array(RecordRevision), current_revision: integer() }, { required: ['data', 'current_revision'] })
+        }),
+        'POST /api/v1/revenue/imports': op('createRevenueImport', 'Import revenue records from a CSV or NDJSON file', { 202: ImportAccepted }, {
+            errors: [400, 413],
+            requestBody: {
+                required: true,
+                content: {
+                    'text/csv': { schema: string() },
+                    'application/x-ndjson': { schema: string() }
+                }
+            }
+        }),
+        'GET /api/v1/revenue/imports': op('listRevenueImports', 'List imports', { 200: list(RevenueImportSummary) }),
+        'GET /api/v1/revenue/imports/:importId': op('getRevenueImport', 'Get an import and its report', { 200: RevenueImport })
+    }),
+
+    ...section('Clients', {
+        'GET /api/v1/clients': op('listClients', 'List the clients the caller can access', {
+            200: object({
+                data: array(Client),
+                pagination: object({ total_count: integer(), has_more: boolean() }, { required: ['total_count', 'has_more'] })
+            }, { required: ['data', 'pagination'] })
+        }),
+        'GET /api/v1/clients/:clientId': op('getClient', 'Get a client', { 200: Client }),
+        'POST /api/v1/clients': op('createClient', 'Create a client', { 201: CreatedClient }),
+        'PATCH /api/v1/clients/:clientId': op('updateClient', 'Update a client', { 200: Client }, { errors: [409] }),
+        'POST /api/v1/clients/:clientId/archive': op('archiveClient', 'Archive a client', { 200: Client }, { errors: [409] }),
+        'POST /api/v1/clients/:clientId/restore': op('restoreClient', 'Restore an archived client', { 200: Client }, { errors: [409] }),
+        'GET /api/v1/clients/:clientId/plan-changes': op('listPlanChanges', 'List plan changes', {
+            200: object({ data: array(PlanChange), current_plan_tier: oneOf(PLAN_TIERS) }, { required: ['data', 'current_plan_tier'] })
+        }),
+        'POST /api/v1/clients/:clientId/plan-changes': op('createPlanChange', 'Schedule a plan change', { 201: data(PlanChange) }, { errors: [409] }),
+        'DELETE /api/v1/clients/:clientId/plan-changes/:changeId': op('cancelPlanChange', 'Cancel a scheduled plan change', { 200: data(PlanChange) }, { errors: [409] }),
+        'GET /api/v1/clients/:clientId/onboarding': op('getOnboarding', 'Onboarding checklist', { 200: data(Onboarding) }),
+        'GET /api/v1/clients/:clientId/users': op('listClientUsers', 'List a client\'s users', { 200: list(User) }),
+        'GET /api/v1/clients/:clientId/invitations': op('listInvitations', 'List invitations', { 200: list(Invitation) }),
+        'POST /api/v1/clients/:clientId/invitations': op('createInvitation', 'Invite a user', { 201: CreatedInvitation }, { errors: [409] }),
+        'PATCH /api/v1/clients/:clientId/users/:userId': op('updateUserRole', 'Change a user\'s role', { 200: User }, { errors: [409] }),
+        'GET /api/v1/clients/:clientId/api-keys': op('listApiKeys', 'List API keys', { 200: list(ApiKey) }),
+        'POST /api/v1/clients/:clientId/api-keys': op('createApiKey', 'Create an API key', { 201: CreatedApiKey }),
+        'POST /api/v1/clients/:clientId/api-keys/:keyId/rotate': op('rotateApiKey', 'Replace an API key with a new one', { 201: CreatedApiKey }, { errors: [409] }),
+        'DELETE /api/v1/clients/:clientId/api-keys/:keyId': op('revokeApiKey', 'Revoke an API key', { 200: ApiKey }),
+        'GET /api/v1/clients/:clientId/settings': op('getClientSettings', 'Get client settings', { 200: ClientSettings }),
+        'PATCH /api/v1/clients/:clientId/settings': op('updateClientSettings', 'Update client settings', { 200: ClientSettings }),
+        'GET /api/v1/clients/:clientId/usage': op('getClientUsage', 'Monthly usage against the plan\'s quotas', { 200: data(ClientUsage) }, {
+            description: 'Answered even when the monthly API call quota is used up.'
+        }),
+        'GET /api/v1/clients/:clientId/health': op('getClientHealth', 'Health score with its signals and trend', { 200: data(ClientHealth) }),
+        'POST /api/v1/clients/:clientId/health/recompute': op('recomputeClientHealth', 'Recompute the health score now', { 200: data(HealthScore) })
+    }),
+
+    ...section('Insights', {
+        'GET /api/v1/insights/latest': op('listInsights', 'List insights', {
+            200: data(object({ insights: array(Insight), next_cursor: nullable(string()) }, { required: ['insights', 'next_cursor'] }))
+        }),
+        'POST /api/v1/insights/generate': op('generateInsights', 'Generate insights in the background', { 202: JobAccepted }),
+        'GET /api/v1/insights/:insightId': op('getInsight', 'Get an insight', { 200: data(Insight) }),
+        'POST /api/v1/insights/:insightId/acknowledge': op('acknowledgeInsight', 'Acknowledge an insight', { 200: data(Insight) }),
+        'POST /api/v1/insights/:insightId/dismiss': op('dismissInsight', 'Dismiss an insight', { 200: data(Insight) }),
+        'POST /api/v1/insights/:insightId/reopen': op('reopenInsight', 'Reopen a dismissed or snoozed insight', { 200: data(Insight) }),
+        'POST /api/v1/insights/:insightId/snooze': op('snoozeInsight', 'Snooze an insight', { 200: data(Insight) }),
+        'POST /api/v1/insights/:insightId/assign': op('assignInsight', 'Assign or unassign an insight', { 200: data(Insight) }),
+        'POST /api/v1/insights/:insightId/feedback': op('sendInsightFeedback', 'Say whether an insight was useful', { 200: data(Insight) })
+    }),
+
+    ...section('Integrations', {
+        'GET /api/v1/integrations': op('listIntegrations', 'List integrations', { 200: list(Integration) }),
+        'GET /api/v1/integrations/providers': op('listIntegrationProviders', 'List supported providers', { 200: list(IntegrationProvider) }),
+        'POST /api/v1/integrations/connect/:provider': op('connectIntegration', 'Start connecting a provider', {
+            201: object({ data: Integration, authorization_url: string() }, { required: ['data', 'authorization_url'] })
+        }, { errors: [409, 503] }),
+        'GET /api/v1/integrations/oauth/callback': op('completeIntegrationAuthorization', 'OAuth redirect target that completes a connection', {
+            200: object({ data: Integration, sync_id: string(), sync_job_id: string() }, { required: ['data', 'sync_id', 'sync_job_id'] })
+        }, { errors: [502] }),
+        'GET /api/v1/integrations/:integrationId': op('getIntegration', 'Get an integration', { 200: data(Integration) }),
+        'DELETE /api/v1/integrations/:integrationId': op('disconnectIntegration', 'Disconnect an integration', { 200: data(Integration) }),
+        'POST /api/v1/integrations/:integrationId/sync': op('syncIntegration', 'Start a sync', {
+            202: object({ sync_id: string(), job_id: string(), status: string(), status_url: string() }, { required: ['sync_id', 'job_id', 'status', 'status_url'] })
+        }, { errors: [409] }),
+        'GET /api/v1/integrations/:integrationId/syncs': op('listIntegrationSyncs', 'Sync history', { 200: list(IntegrationSync) })
+    }),
+
+    ...section('Attribution', {
+        'POST /api/v1/attribution/touchpoints': op('createTouchpoints', 'Record marketing touchpoints', {
+            201: data(object({ accepted: integer(), touchpoints: array(Touchpoint) }, { required: ['accepted', 'touchpoints'] }))
+        }),
+        'GET /api/v1/attribution/journeys/:customerId': op('getCustomerJourney', 'A customer\'s touchpoints and conversions', {
+            200: data(object({
+                customer_id: string(),
+                touchpoints: array(Touchpoint),
+                conversions: array(RevenueRecord)
+            }, { required: ['customer_id', 'touchpoints', 'conversions'] }))
+        }),
+        'POST /api/v1/attribution/calculate': op('calculateAttribution', 'Attribute revenue to channels', { 200: data(AttributionResult) })
+    }),
+
+    ...section('FX rates', {
+        'GET /api/v1/fx-rates': op('listFxRates', 'List exchange rates', { 200: list(FxRate) }),
+        'PUT /api/v1/fx-rates': op('upsertFxRates', 'Load exchange rates', {
+            200: data(object({ created: integer(), updated: integer() }, { required: ['created', 'updated'] }))
+        })
+    }),
+
+    ...section('SEO', {
+        'GET /api/v1/seo/keywords': op('listKeywords', 'List tracked keywords', { 200: list(Keyword) }),
+        'POST /api/v1/seo/keywords': op('createKeywords', 'Track keywords', (() => {
+            const result = data(object({ created: array(Keyword), existing: array(string()) }, { required: ['created', 'existing'] }));
+            return { 200: result, 201: result };
+        })(), { description: 'Answers 201 when at least one keyword was added and 200 when all were already tracked.' }),
+        'GET /api/v1/seo/keywords/:keywordId': op('getKeyword', 'Get a tracked keyword', { 200: data(Keyword) }),
+        'PATCH /api/v1/seo/keywords/:keywordId': op('updateKeyword', 'Update a tracked keyword', { 200: data(Keyword) }),
+        'DELETE /api/v1/seo/keywords/:keywordId': op('deleteKeyword', 'Stop tracking a keyword', { 204: null }),
+        'POST /api/v1/seo/rankings/observations': op('createRankingObservations', 'Record ranking observations', {
+            201: data(object({ accepted: integer() }, { required: ['accepted'] }))
+        }),
+        'GET /api/v1/seo/rankings': op('getSeoRankings', 'Rankings and visibility over a period', { 200: data(SeoRankings) }, {
+            description: `Covers at most ${MAX_PERIODS} days. A wider range with an explicit start_date is refused; ` +
+                'without one, the range starts as far back as fits.'
+        })
+    }),
+
+    ...section('Predictions', {
+        'POST /api/v1/predict/churn': op('predictChurn', 'Predict churn', { 200: data(ChurnPredictions) }, { errors: [409] }),
+        'POST /api/v1/predict/churn/labels': op('submitChurnLabels', 'Submit observed churn outcomes', {
+            201: data(object({ accepted: integer(), total_labels: integer() }, { required: ['accepted', 'total_labels'] }))
+        }),
+        'POST /api/v1/predict/churn/train': op('trainChurnModel', 'Train the churn model', { 201: data(ChurnModel) }, { errors: [422] }),
+        'GET /api/v1/predict/churn/model': op('getChurnModel', 'The active churn model', { 200: data(ChurnModel) }, { errors: [404] })
+    }),
+
+    ...section('Jobs', {
+        'GET /api/v1/jobs': op('listJobs', 'List background jobs', { 200: list(Job) }),
+        'GET /api/v1/jobs/:jobId': op('getJob', 'Get a job', { 200: Job }),
+        'POST /api/v1/jobs/:jobId/cancel': op('cancelJob', 'Cancel a job', { 202: Job }, { errors: [409] })
+    }),
+
+    ...section('Webhooks', {
+        'GET /api/v1/webhooks/events': op('listWebhookEvents', 'Event types that can be subscribed to', { 200: list(string()) }),
+        'GET /api/v1/webhooks': op('listWebhooks', 'List webhook endpoints', { 200: list(WebhookEndpoint) }),
+        'POST /api/v1/webhooks': op('createWebhook', 'Add a webhook endpoint', { 201: WithSecret }),
+        'GET /api/v1/webhooks/:webhookId': op('getWebhook', 'Get a webhook endpoint', { 200: data(WebhookEndpoint) }),
+        'PATCH /api/v1/webhooks/:webhookId': op('updateWebhook', 'Update a webhook endpoint', { 200: data(WebhookEndpoint) }),
+        'DELETE /api/v1/webhooks/:webhookId': op('deleteWebhook', 'Remove a webhook endpoint', { 204: null }),
+        'POST /api/v1/webhooks/:webhookId/rotate-secret': op('rotateWebhookSecret', 'Replace the signing secret', { 200: WithSecret }),
+        'POST /api/v1/webhooks/:webhookId/ping': op('pingWebhook', 'Send a test event now', { 200: data(WebhookDelivery) }),
+        'GET /api/v1/webhooks/:webhookId/deliveries': op('listWebhookDeliveries', 'List deliveries', { 200: page(WebhookDelivery) }),
+        'GET /api/v1/webhooks/:webhookId/deliveries/:deliveryId': op('getWebhookDelivery', 'Get a delivery with its attempts', { 200: data(WebhookDeliveryDetail) }),
+        'POST /api/v1/webhooks/:webhookId/deliveries/:deliveryId/redeliver': op('redeliverWebhook', 'Send a delivery again', { 202: data(WebhookDelivery) })
+    }),
+
+    ...section('Reports', {
+        'POST /api/v1/exports': op('createExport', 'Render analytics into a file now', { 201: data(ReportExport) }, {
+            description: 'Each section also needs the permission of the route it comes from. ' +
+                'download_url is a signed link; fetching the export again issues a fresh one.'
+        }),
+        'GET /api/v1/exports': op('listExports', 'List stored export files', { 200: page(ReportExport) }),
+        'GET /api/v1/exports/:exportId': op('getExport', 'Get an export with a fresh download link', { 200: data(ReportExport) }),
+        'GET /api/v1/exports/:exportId/download': op('downloadExport', 'Download an export file from a signed link', {}, {
+            errors: [403, 404, 410],
+            responses: {
+                200: {
+                    headers: { 'Content-Disposition': { description: 'attachment; filename="..."', schema: string() } },
+                    content: Object.fromEntries(['text/csv', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/pdf']
+                        .map(type => [type, { schema: string({ format: 'binary' }) }]))
+                }
+            }
+        }),
+        'GET /api/v1/reports': op('listReports', 'List saved reports', { 200: list(Report) }),
+        'POST /api/v1/reports': op('createReport', 'Save a report, optionally on a schedule', { 201: data(Report) }),
+        'GET /api/v1/reports/:reportId': op('getReport', 'Get a report', { 200: data(Report) }),
+        'PATCH /api/v1/reports/:reportId': op('updateReport', 'Update a report', { 200: data(Report) }),
+        'DELETE /api/v1/reports/:reportId': op('deleteReport', 'Delete a report', { 204: null }),
+        'POST /api/v1/reports/:reportId/run': op('runReport', 'Generate and deliver a report now', { 202: JobAccepted })
+    }),
+
+    ...section('Audit logs', {
+        'GET /api/v1/audit-logs': op('listAuditLogs', 'List audit log entries', {}, {
+            description: 'format=csv downloads every matching entry instead of a page.',
+            responses: {
+                200: {
+                    content: {
+                        'application/json': { schema: page(AuditEntry) },
+                        'text/csv': { schema: string() }
+                    }
+                }
+            }
+        }),
+        'GET /api/v1/audit-logs/:entryId': op('getAuditLogEntry', 'Get an audit log entry', { 200: data(AuditEntry) })
+    }),
+
+    ...section('Service', {
+        'GET /': op('getRoot', 'Banner saying the API is running', {}, { responses: { 200: { content: { 'text/html': { schema: string() } } } } }),
+        'GET /api/health': op('getApiHealth', 'Service status', {
+            200: object({ status: string(), service: string() }, { required: ['status', 'service'] })
+        }),
+        'GET /health': op('getHealth', 'Liveness', {
+            200: object({ status: string(), timestamp: dateTime(), uptime: number(), version: string() }, { required: ['status', 'timestamp'] })
+        }),
+        'GET /ready': op('getReadiness', 'Readiness', {
+            200: object({ status: string(), timestamp: dateTime() }, { required: ['status', 'timestamp'] })
+        }),
+        'GET /api/v1/openapi.json': op('getOpenApiDocument', 'This API description (OpenAPI 3.1)', {
+            200: object({ openapi: string(), info: object({}), paths: object({}) }, { required: ['openapi', 'info', 'paths'] })
+        })
+    })
+};
+
+// Named in the document's components and referenced wherever they're used
+const COMPONENTS = {
+    Error: ErrorResponse,
+    Session,
+    User,
+    CurrencyConversion,
+    RevenueRecord,
+    RecordRevision,
+    RevenueSummary,
+    RevenueCohorts,
+    MrrMovements,
+    RevenueForecast,
+    RevenueImport,
+    RevenueImportSummary,
+    ImportAccepted,
+    Client,
+    CreatedClient,
+    PlanChange,
+    OnboardingStep,
+    Onboarding,
+    Invitation,
+    CreatedInvitation,
+    ApiKey,
+    CreatedApiKey,
+    ClientSettings,
+    QuotaStatus,
+    ClientUsage,
+    HealthSignal,
+    HealthScore,
+    ClientHealth,
+    Insight,
+    Job,
+    JobAccepted,
+    Integration,
+    IntegrationProvider,
+    IntegrationSync,
+    Touchpoint,
+    AttributionResult,
+    FxRate,
+    Keyword,
+    SeoRankings,
+    ChurnModel,
+    ChurnPredictions,
+    WebhookEndpoint,
+    WebhookDelivery,
+    WebhookDeliveryDetail,
+    ReportSchedule,
+    Report,
+    ReportExport,
+    AuditEntry
+};
+
+const SECURITY_SCHEMES = {
+    bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'An access token from POST /api/v1/auth/token. Client API keys are accepted here too.'
+    },
+    apiKey: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key',
+        description: 'A client API key (bk_live_... or bk_test_...)'
+    }
+};
+
+// Taken by every authenticated route
+const COMMON_PARAMETERS = [{
+    name: 'X-Client-Id',
+    in: 'header',
+    required: false,
+    description: 'Agency staff: the client to act on. Other callers may only name their own client.',
+    schema: string()
+}];
+
+module.exports = {
+    TAGS,
+    ROUTE_DOCS,
+    COMPONENTS,
+    SECURITY_SCHEMES,
+    COMMON_PARAMETERS,
+    ErrorResponse
+};
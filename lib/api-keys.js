@@ -0,0 +1,126 @@
+// Client API keys
+// Machine-to-machine credentials scoped to one client. Keys look like
+// bco_live_<random> / bco_test_<random>; only a SHA-256 hash and a short
+// display prefix are stored, so the full key is shown exactly once.
+
+const crypto = require('crypto');
+
+const ENVIRONMENTS = ['live', 'test'];
+
+// Scopes use the same names as role permissions. User and client management
+// are deliberately not grantable to keys.
+const API_KEY_SCOPES = [
+    'clients:read',
+    'revenue:read',
+    'revenue:write',
+    'insights:read',
+    'insights:write',
+    'integrations:read',
+    'integrations:write',
+    'attribution:read',
+    'attribution:write',
+    'seo:read',
+    'seo:write',
+    'predictions:read',
+    'jobs:read',
+    'reports:read',
+    'reports:manage',
+    'audit_logs:read'
+];
+
+const DEFAULT_SCOPES = ['revenue:write'];
+
+const KEY_PATTERN = /^bco_(live|test)_[A-Za-z0-9]{32}$/;
+
+// Don't rewrite the key record on every single request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function looksLikeApiKey(value) {
+    return typeof value === 'string' && KEY_PATTERN.test(value);
+}
+
+function generateKey(environment) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    const bytes = crypto.randomBytes(32);
+    const random = Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+    return `bco_${environment}_${random}`;
+}
+
+// Returns { error } for bad input, otherwise { key, record } where `key` is
+// the plaintext to hand back to the caller
+function createApiKey(apiKeys, { clientId, name, scopes = DEFAULT_SCOPES, environment = 'live', createdBy, rotatedFrom }) {
+    if (!ENVIRONMENTS.includes(environment)) {
+        return { error: `environment must be one of: ${ENVIRONMENTS.join(', ')}` };
+    }
+    if (!Array.isArray(scopes) || !scopes.length) {
+        return { error: 'At least one scope required' };
+    }
+    const invalid = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalid.length) {
+        return { error: `Unknown scopes: ${invalid.join(', ')}` };
+    }
+
+    const key = generateKey(environment);
+    const record = {
+        id: `key-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        clientId,
+        name: name || 'API key',
+        environment,
+        key_prefix: key.slice(0, 17),
+        key_hash: hashApiKey(key),
+        scopes: Array.from(new Set(scopes)),
+        status: 'active',
+        created_by: createdBy,
+        rotated_from: rotatedFrom,
+        created_at: new Date().toISOString(),
+        last_used_at: null,
+        last_used_ip: null
+    };
+
+    apiKeys.set(record.id, record);
+    return { key, record };
+}
+
+// Active key record for a plaintext key, or undefined
+function findActiveKey(apiKeys, key) {
+    if (!looksLikeApiKey(key)) {
+        return undefined;
+    }
+    const hash = hashApiKey(key);
+    return apiKeys.findOne(k => k.key_hash === hash && k.status === 'active');
+}
+
+function recordUsage(apiKeys, record, ip) {
+    const lastUsed = record.last_used_at ? Date.parse(record.last_used_at) : 0;
+    if (Date.now() - lastUsed >= LAST_USED_RESOLUTION_MS || record.last_used_ip !== ip) {
+        apiKeys.update(record.id, { last_used_at: new Date().toISOString(), last_used_ip: ip });
+    }
+}
+
+function revokeApiKey(apiKeys, id, revokedBy) {
+    return apiKeys.update(id, {
+        status: 'revoked',
+        revoked_at: new Date().toISOString(),
+        revoked_by: revokedBy
+    });
+}
+
+function publicApiKey({ key_hash, ...record }) {
+    return record;
+}
+
+module.exports = {
+    ENVIRONMENTS,
+    API_KEY_SCOPES,
+    DEFAULT_SCOPES,
+    looksLikeApiKey,
+    createApiKey,
+    findActiveKey,
+    recordUsage,
+    revokeApiKey,
+    publicApiKey
+};
@@ -0,0 +1,380 @@
+// Multi-touch attribution
+// Turns per-customer touchpoints and the revenue records they lead to into
+// conversion journeys, then splits each conversion's revenue across channels
+// using one of the models below.
+
+const { recordDate, round2 } = require('./revenue-analytics');
+const { DAY_MS, addDays } = require('./periods');
+
+const DEFAULT_LOOKBACK_DAYS = 90;
+
+// Time-decay credit halves for every HALF_LIFE_DAYS before the conversion
+const HALF_LIFE_DAYS = 7;
+
+// Exact Shapley values enumerate every coalition; above this many channels we
+// estimate them from sampled permutations instead
+const MAX_EXACT_SHAPLEY_CHANNELS = 12;
+const SHAPLEY_SAMPLES = 2000;
+
+const MODELS = [
+    'first_touch',
+    'last_touch',
+    'linear',
+    'time_decay',
+    'position_based',
+    'markov_chain',
+    'shapley'
+];
+
+// ============================================================================
+// JOURNEYS
+// ============================================================================
+
+// A conversion is credited to the customer's touchpoints in the lookback
+// window up to the end of the day the revenue was booked
+function buildJourneys(records, touchpoints, { start, end, lookbackDays = DEFAULT_LOOKBACK_DAYS }) {
+    const byCustomer = new Map();
+    touchpoints.forEach(tp => {
+        const list = byCustomer.get(tp.customer_id) || [];
+        list.push({ ...tp, time: new Date(tp.timestamp).getTime() });
+        byCustomer.set(tp.customer_id, list);
+    });
+    byCustomer.forEach(list => list.sort((a, b) => a.time - b.time));
+
+    const conversions = [];
+    const unattributed = [];
+    const convertedCustomers = new Set();
+
+    records.forEach(record => {
+        const date = recordDate(record);
+        if (!date || date < start || date > end) {
+            return;
+        }
+
+        const conversionTime = addDays(date, 1).getTime() - 1;
+        const windowStart = conversionTime - lookbackDays * DAY_MS;
+        const path = (byCustomer.get(record.customer_id) || [])
+            .filter(tp => tp.time <= conversionTime && tp.time >= windowStart);
+
+        if (!record.customer_id || !path.length) {
+            unattributed.push(record);
+            return;
+        }
+
+        convertedCustomers.add(record.customer_id);
+        conversions.push({ record, value: record.amount, conversionTime, path });
+    });
+
+    // Customers who were touched in the period but never converted - only the
+    // probabilistic models (Markov, Shapley) use these
+    const rangeEnd = addDays(end, 1).getTime() - 1;
+    const nonConverting = [];
+    byCustomer.forEach((list, customerId) => {
+        if (convertedCustomers.has(customerId)) {
+            return;
+        }
+        const path = list.filter(tp => tp.time >= start.getTime() && tp.time <= rangeEnd);
+        if (path.length) {
+            nonConverting.push({ customerId, path });
+        }
+    });
+
+    return { conversions, unattributed, nonConverting };
+}
+
+// ============================================================================
+// RULE-BASED MODELS
+// ============================================================================
+// Each returns the share of one conversion credited to each touchpoint
+
+const touchWeights = {
+    first_touch: path => path.map((_, i) => (i === 0 ? 1 : 0)),
+
+    last_touch: path => path.map((_, i) => (i === path.length - 1 ? 1 : 0)),
+
+    linear: path => path.map(() => 1 / path.length),
+
+    time_decay: (path, conversionTime) => {
+        const raw = path.map(tp => Math.pow(0.5, (conversionTime - tp.time) / (HALF_LIFE_DAYS * DAY_MS)));
+        const total = raw.reduce((a, b) => a + b, 0);
+        return raw.map(w => w / total);
+    },
+
+    // 40% first, 40% last, remaining 20% spread over the middle touches
+    position_based: path => {
+        if (path.length === 1) {
+            return [1];
+        }
+        if (path.length === 2) {
+            return [0.5, 0.5];
+        }
+        const middle = 0.2 / (path.length - 2);
+        return path.map((_, i) => (i === 0 || i === path.length - 1 ? 0.4 : middle));
+    }
+};
+
+function ruleBasedCredits(conversions, model) {
+    const credits = new Map();
+
+    conversions.forEach(({ path, value, conversionTime }) => {
+        const weights = touchWeights[model](path, conversionTime);
+        path.forEach((tp, i) => {
+            const credit = credits.get(tp.channel) || { revenue: 0, conversions: 0 };
+            credit.revenue += value * weights[i];
+            credit.conversions += weights[i];
+            credits.set(tp.channel, credit);
+        });
+    });
+
+    return credits;
+}
+
+// ============================================================================
+// MARKOV CHAIN (REMOVAL EFFECT)
+// ============================================================================
+
+const START = '(start)';
+const CONVERSION = '(conversion)';
+const NULL = '(null)';
+
+function buildTransitions(conversions, nonConverting) {
+    const counts = new Map();
+    const addPath = (channels, outcome) => {
+        const states = [START, ...channels, outcome];
+        for (let i = 0; i < states.length - 1; i++) {
+            const from = counts.get(states[i]) || new Map();
+            from.set(states[i + 1], (from.get(states[i + 1]) || 0) + 1);
+            counts.set(states[i], from);
+        }
+    };
+
+    conversions.forEach(c => addPath(c.path.map(tp => tp.channel), CONVERSION));
+    nonConverting.forEach(j => addPath(j.path.map(tp => tp.channel), NULL));
+
+    const transitions = new Map();
+    counts.forEach((targets, from) => {
+        const total = Array.from(targets.values()).reduce((a, b) => a + b, 0);
+        transitions.set(from, new Map(Array.from(targets, ([to, n]) => [to, n / total])));
+    });
+    return transitions;
+}
+
+// Probability of reaching CONVERSION from START, treating `removed` as a dead
+// end. Solved by fixed-point iteration since paths can loop.
+function conversionProbability(transitions, removed = null) {
+    const probability = new Map([[CONVERSION, 1], [NULL, 0]]);
+    const states = Array.from(transitions.keys());
+
+    for (let iteration = 0; iteration < 1000; iteration++) {
+        let delta = 0;
+        states.forEach(state => {
+            if (state === removed) {
+                probability.set(state, 0);
+                return;
+            }
+            let p = 0;
+            transitions.get(state).forEach((weight, next) => {
+                p += weight * (next === removed ? 0 : (probability.get(next) || 0));
+            });
+            delta = Math.max(delta, Math.abs(p - (probability.get(state) || 0)));
+            probability.set(state, p);
+        });
+        if (delta < 1e-9) {
+            break;
+        }
+    }
+
+    return probability.get(START) || 0;
+}
+
+function markovShares(conversions, nonConverting, channels) {
+    const transitions = buildTransitions(conversions, nonConverting);
+    const base = conversionProbability(transitions);
+    const effects = new Map(channels.map(channel => [
+        channel,
+        base ? Math.max(0, 1 - conversionProbability(transitions, channel) / base) : 0
+    ]));
+    return normalize(effects);
+}
+
+// ============================================================================
+// SHAPLEY VALUE
+// ============================================================================
+// Players are channels. A coalition's value is the average revenue per journey
+// across journeys whose channels all belong to the coalition, so channels that
+// appear in non-converting journeys are penalised.
+
+function shapleyShares(conversions, nonConverting, channels) {
+    // Coalitions are bitmasks over channel indexes; BigInt so the sampled path
+    // isn't limited to 32 channels
+    const bit = new Map(channels.map((c, i) => [c, 1n << BigInt(i)]));
+    const toMask = path => path.reduce((mask, tp) => mask | bit.get(tp.channel), 0n);
+
+    // Aggregate journeys by the exact set of channels they touched
+    const bySet = new Map();
+    const add = (mask, value) => {
+        const entry = bySet.get(mask) || { journeys: 0, value: 0 };
+        entry.journeys++;
+        entry.value += value;
+        bySet.set(mask, entry);
+    };
+    conversions.forEach(c => add(toMask(c.path), c.value));
+    nonConverting.forEach(j => add(toMask(j.path), 0));
+
+    const cache = new Map();
+    const coalitionValue = mask => {
+        if (!cache.has(mask)) {
+            let journeys = 0;
+            let value = 0;
+            bySet.forEach((entry, set) => {
+                if ((set & mask) === set) {
+                    journeys += entry.journeys;
+                    value += entry.value;
+                }
+            });
+            cache.set(mask, journeys ? value / journeys : 0);
+        }
+        return cache.get(mask);
+    };
+
+    const n = channels.length;
+    const values = new Array(n).fill(0);
+
+    const bits = channels.map(c => bit.get(c));
+
+    if (n <= MAX_EXACT_SHAPLEY_CHANNELS) {
+        const factorial = k => (k <= 1 ? 1 : k * factorial(k - 1));
+        for (let subset = 0; subset < (1 << n); subset++) {
+            const mask = BigInt(subset);
+            const size = popCount(subset);
+            const weight = factorial(size) * factorial(n - size - 1) / factorial(n);
+            for (let i = 0; i < n; i++) {
+                if (!(mask & bits[i])) {
+                    values[i] += weight * (coalitionValue(mask | bits[i]) - coalitionValue(mask));
+                }
+            }
+        }
+    } else {
+        const random = seededRandom(n);
+        for (let sample = 0; sample < SHAPLEY_SAMPLES; sample++) {
+            const order = shuffle(channels.map((_, i) => i), random);
+            let mask = 0n;
+            order.forEach(i => {
+                values[i] += coalitionValue(mask | bits[i]) - coalitionValue(mask);
+                mask |= bits[i];
+            });
+        }
+        values.forEach((v, i) => { values[i] = v / SHAPLEY_SAMPLES; });
+    }
+
+    return normalize(new Map(channels.map((c, i) => [c, Math.max(values[i], 0)])));
+}
+
+function popCount(mask) {
+    let count = 0;
+    while (mask) {
+        count += mask & 1;
+        mask >>>= 1;
+    }
+    return count;
+}
+
+// Deterministic PRNG (mulberry32) so sampled results are reproducible
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function shuffle(items, random) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+function normalize(weights) {
+    const total = Array.from(weights.values()).reduce((a, b) => a + b, 0);
+    const shares = new Map();
+    weights.forEach((w, key) => shares.set(key, total ? w / total : 0));
+    return shares;
+}
+
+// ============================================================================
+// ENTRY POINT
+// ============================================================================
+
+function calculateAttribution(records, touchpoints, { model, start, end, lookbackDays = DEFAULT_LOOKBACK_DAYS }) {
+    const { conversions, unattributed, nonConverting } = buildJourneys(records, touchpoints, { start, end, lookbackDays });
+
+    const attributedRevenue = conversions.reduce((sum, c) => sum + c.value, 0);
+    const unattributedRevenue = unattributed.reduce((sum, r) => sum + r.amount, 0);
+
+    const channels = Array.from(new Set(
+        conversions.concat(nonConverting).flatMap(j => j.path.map(tp => tp.channel))
+    )).sort();
+
+    let credits;
+    if (model === 'markov_chain' || model === 'shapley') {
+        const shares = model === 'markov_chain'
+            ? markovShares(conversions, nonConverting, channels)
+            : shapleyShares(conversions, nonConverting, channels);
+        credits = new Map(channels.map(channel => [channel, {
+            revenue: attributedRevenue * shares.get(channel),
+            conversions: conversions.length * shares.get(channel)
+        }]));
+    } else {
+        credits = ruleBasedCredits(conversions, model);
+    }
+
+    // An assist is a converting journey where the channel touched the customer
+    // before the final touch
+    const assists = new Map();
+    const touchCounts = new Map();
+    conversions.forEach(({ path }) => {
+        new Set(path.slice(0, -1).map(tp => tp.channel)).forEach(channel => {
+            assists.set(channel, (assists.get(channel) || 0) + 1);
+        });
+        path.forEach(tp => touchCounts.set(tp.channel, (touchCounts.get(tp.channel) || 0) + 1));
+    });
+
+    const channelResults = channels
+        .map(channel => {
+            const credit = credits.get(channel) || { revenue: 0, conversions: 0 };
+            return {
+                channel,
+                attributed_revenue: round2(credit.revenue),
+                attribution_percentage: attributedRevenue
+                    ? ((credit.revenue / attributedRevenue) * 100).toFixed(1)
+                    : '0.0',
+                conversions: round2(credit.conversions),
+                assists: assists.get(channel) || 0,
+                touchpoints: touchCounts.get(channel) || 0
+            };
+        })
+        .sort((a, b) => b.attributed_revenue - a.attributed_revenue);
+
+    return {
+        total_revenue: round2(attributedRevenue + unattributedRevenue),
+        attributed_revenue: round2(attributedRevenue),
+        unattributed_revenue: round2(unattributedRevenue),
+        conversions: conversions.length,
+        unattributed_conversions: unattributed.length,
+        non_converting_journeys: nonConverting.length,
+        lookback_days: lookbackDays,
+        channels: channelResults
+    };
+}
+
+module.exports = {
+    MODELS,
+    DEFAULT_LOOKBACK_DAYS,
+    buildJourneys,
+    calculateAttribution
+};
@@ -0,0 +1,235 @@
+// Audit trail
+// Every write route is recorded once its response has been sent: who acted,
+// on which client and object, what changed, from where, and whether it
+// worked. Entries are append-only - nothing in the API updates or deletes
+// them.
+
+const { parseDate, toDateString, addDays } = require('./periods');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Action names for each route, keyed by "METHOD path". `param` names the
+// route parameter holding the target's id; routes that create their target
+// supply the id themselves. The OAuth callback is a GET but completes a
+// connection, so it is listed too.
+const ROUTE_ACTIONS = {
+    'POST /api/v1/auth/register': { action: 'auth.register', target: 'user' },
+    'POST /api/v1/auth/token': { action: 'auth.login', target: 'user' },
+    'POST /api/v1/auth/refresh': { action: 'auth.refresh', target: 'user' },
+    'POST /api/v1/auth/logout': { action: 'auth.logout', target: 'user' },
+    'POST /api/v1/auth/invitations/accept': { action: 'auth.invitation.accept', target: 'user' },
+
+    'POST /api/v1/revenue/records': { action: 'revenue.record.create', target: 'revenue_record' },
+    'PATCH /api/v1/revenue/records/:recordId': { action: 'revenue.record.update', target: 'revenue_record', param: 'recordId' },
+    'DELETE /api/v1/revenue/records/:recordId': { action: 'revenue.record.delete', target: 'revenue_record', param: 'recordId' },
+    'POST /api/v1/revenue/records/:recordId/restore': { action: 'revenue.record.restore', target: 'revenue_record', param: 'recordId' },
+    'POST /api/v1/revenue/imports': { action: 'revenue.import.create', target: 'revenue_import' },
+
+    'POST /api/v1/clients': { action: 'client.create', target: 'client' },
+    'PATCH /api/v1/clients/:clientId': { action: 'client.update', target: 'client', param: 'clientId' },
+    'POST /api/v1/clients/:clientId/archive': { action: 'client.archive', target: 'client', param: 'clientId' },
+    'POST /api/v1/clients/:clientId/restore': { action: 'client.restore', target: 'client', param: 'clientId' },
+    'PATCH /api/v1/clients/:clientId/settings': { action: 'client.settings.update', target: 'client', param: 'clientId' },
+    'POST /api/v1/clients/:clientId/health/recompute': { action: 'client.health.recompute', target: 'client', param: 'clientId' },
+    'POST /api/v1/clients/:clientId/plan-changes': { action: 'client.plan_change.create', target: 'plan_change' },
+    'DELETE /api/v1/clients/:clientId/plan-changes/:changeId': { action: 'client.plan_change.cancel', target: 'plan_change', param: 'changeId' },
+    'POST /api/v1/clients/:clientId/invitations': { action: 'user.invite', target: 'invitation' },
+    'PATCH /api/v1/clients/:clientId/users/:userId': { action: 'user.role.update', target: 'user', param: 'userId' },
+    'POST /api/v1/clients/:clientId/api-keys': { action: 'api_key.create', target: 'api_key' },
+    'POST /api/v1/clients/:clientId/api-keys/:keyId/rotate': { action: 'api_key.rotate', target: 'api_key', param: 'keyId' },
+    'DELETE /api/v1/clients/:clientId/api-keys/:keyId': { action: 'api_key.revoke', target: 'api_key', param: 'keyId' },
+
+    'POST /api/v1/insights/generate': { action: 'insight.generate', target: 'job' },
+    'POST /api/v1/insights/:insightId/acknowledge': { action: 'insight.acknowledge', target: 'insight', param: 'insightId' },
+    'POST /api/v1/insights/:insightId/dismiss': { action: 'insight.dismiss', target: 'insight', param: 'insightId' },
+    'POST /api/v1/insights/:insightId/reopen': { action: 'insight.reopen', target: 'insight', param: 'insightId' },
+    'POST /api/v1/insights/:insightId/snooze': { action: 'insight.snooze', target: 'insight', param: 'insightId' },
+    'POST /api/v1/insights/:insightId/assign': { action: 'insight.assign', target: 'insight', param: 'insightId' },
+    'POST /api/v1/insights/:insightId/feedback': { action: 'insight.feedback', target: 'insight', param: 'insightId' },
+
+    'POST /api/v1/integrations/connect/:provider': { action: 'integration.connect', target: 'integration' },
+    'GET /api/v1/integrations/oauth/callback': { action: 'integration.authorize', target: 'integration' },
+    'DELETE /api/v1/integrations/:integrationId': { action: 'integration.disconnect', target: 'integration', param: 'integrationId' },
+    'POST /api/v1/integrations/:integrationId/sync': { action: 'integration.sync', target: 'integration', param: 'integrationId' },
+
+    'POST /api/v1/attribution/touchpoints': { action: 'attribution.touchpoints.create', target: 'touchpoint' },
+    'POST /api/v1/attribution/calculate': { action: 'attribution.calculate', target: null },
+    'PUT /api/v1/fx-rates': { action: 'fx_rates.upsert', target: 'fx_rate' },
+
+    'POST /api/v1/seo/keywords': { action: 'seo.keyword.create', target: 'seo_keyword' },
+    'PATCH /api/v1/seo/keywords/:keywordId': { action: 'seo.keyword.update', target: 'seo_keyword', param: 'keywordId' },
+    'DELETE /api/v1/seo/keywords/:keywordId': { action: 'seo.keyword.delete', target: 'seo_keyword', param: 'keywordId' },
+    'POST /api/v1/seo/rankings/observations': { action: 'seo.observations.ingest', target: 'ranking_observation' },
+
+    'POST /api/v1/predict/churn': { action: 'churn.predict', target: null },
+    'POST /api/v1/predict/churn/labels': { action: 'churn.labels.create', target: 'churn_label' },
+    'POST /api/v1/predict/churn/train': { action: 'churn.model.train', target: 'churn_model' },
+
+    'POST /api/v1/jobs/:jobId/cancel': { action: 'job.cancel', target: 'job', param: 'jobId' },
+
+    'POST /api/v1/exports': { action: 'export.create', target: 'export' },
+    'POST /api/v1/reports': { action: 'report.create', target: 'report' },
+    'PATCH /api/v1/reports/:reportId': { action: 'report.update', target: 'report', param: 'reportId' },
+    'DELETE /api/v1/reports/:reportId': { action: 'report.delete', target: 'report', param: 'reportId' },
+    'POST /api/v1/reports/:reportId/run': { action: 'report.run', target: 'report', param: 'reportId' },
+
+    'POST /api/v1/webhooks': { action: 'webhook.create', target: 'webhook' },
+    'PATCH /api/v1/webhooks/:webhookId': { action: 'webhook.update', target: 'webhook', param: 'webhookId' },
+    'DELETE /api/v1/webhooks/:webhookId': { action: 'webhook.delete', target: 'webhook', param: 'webhookId' },
+    'POST /api/v1/webhooks/:webhookId/rotate-secret': { action: 'webhook.secret.rotate', target: 'webhook', param: 'webhookId' },
+    'POST /api/v1/webhooks/:webhookId/ping': { action: 'webhook.ping', target: 'webhook', param: 'webhookId' },
+    'POST /api/v1/webhooks/:webhookId/deliveries/:deliveryId/redeliver': { action: 'webhook.redeliver', target: 'webhook_delivery', param: 'deliveryId' }
+};
+
+// Field names whose values never go into the log; a change still shows up,
+// with both sides redacted
+const SENSITIVE_FIELD = /password|secret$|token$|credentials|_hash$|^api_key$/i;
+const REDACTED = '[REDACTED]';
+
+// The action for a matched route, or null for routes that aren't audited.
+// Write routes missing from ROUTE_ACTIONS are still recorded under their
+// method and path.
+function describeRoute(method, path) {
+    const key = `${method} ${path}`;
+    if (ROUTE_ACTIONS[key]) {
+        return ROUTE_ACTIONS[key];
+    }
+    return MUTATING_METHODS.includes(method) ? { action: key, target: null } : null;
+}
+
+function redact(value) {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+            key,
+            SENSITIVE_FIELD.test(key) && field !== null && field !== undefined ? REDACTED : redact(field)
+        ]));
+    }
+    return value;
+}
+
+// Top-level fields that differ between two snapshots, as
+// { field: { before, after } }. `before` is missing for a create and `after`
+// is null for a delete; a request that never got as far as producing an
+// `after` (it failed part way) has no diff.
+function diffChanges(before, after) {
+    if (after === undefined || (!before && !after)) {
+        return null;
+    }
+    const old = before || {};
+    const current = after || {};
+    const changes = {};
+    new Set([...Object.keys(old), ...Object.keys(current)]).forEach(field => {
+        const was = old[field] === undefined ? null : old[field];
+        const now = current[field] === undefined ? null : current[field];
+        if (JSON.stringify(was) !== JSON.stringify(now)) {
+            // Compared before redacting so a changed secret still shows up
+            changes[field] = SENSITIVE_FIELD.test(field)
+                ? { before: was === null ? null : REDACTED, after: now === null ? null : REDACTED }
+                : redact({ before: was, after: now });
+        }
+    });
+    return Object.keys(changes).length ? changes : null;
+}
+
+// Query filters for listing entries. Dates are inclusive calendar days (UTC).
+function parseAuditFilters(query) {
+    const filters = {};
+
+    ['action', 'actor_id', 'target_type', 'target_id', 'request_id', 'ip'].forEach(name => {
+        if (typeof query[name] === 'string' && query[name]) {
+            filters[name] = query[name];
+        }
+    });
+
+    if (query.outcome !== undefined) {
+        if (!['success', 'failure'].includes(query.outcome)) {
+            return { error: 'outcome must be success or failure' };
+        }
+        filters.outcome = query.outcome;
+    }
+
+    if (query.start_date !== undefined) {
+        const start = parseDate(query.start_date);
+        if (!start) {
+            return { error: 'start_date must be an ISO-8601 date (YYYY-MM-DD)' };
+        }
+        filters.from = start.toISOString();
+    }
+
+    if (query.end_date !== undefined) {
+        const end = parseDate(query.end_date);
+        if (!end) {
+            return { error: 'end_date must be an ISO-8601 date (YYYY-MM-DD)' };
+        }
+        filters.until = addDays(end, 1).toISOString();
+    }
+
+    if (filters.from && filters.until && filters.from >= filters.until) {
+        return { error: 'start_date must be on or before end_date' };
+    }
+
+    return { filters };
+}
+
+// `action` matches exactly, or by prefix when it ends in ".*" (e.g. client.*)
+function matchesAuditFilters(entry, filters) {
+    if (filters.action) {
+        const matches = filters.action.endsWith('.*')
+            ? entry.action.startsWith(filters.action.slice(0, -1))
+            : entry.action === filters.action;
+        if (!matches) {
+            return false;
+        }
+    }
+    return (!filters.actor_id || entry.actor.id === filters.actor_id)
+        && (!filters.target_type || entry.target.type === filters.target_type)
+        && (!filters.target_id || entry.target.id === filters.target_id)
+        && (!filters.request_id || entry.request_id === filters.request_id)
+        && (!filters.ip || entry.ip === filters.ip)
+        && (!filters.outcome || entry.outcome === filters.outcome)
+        && (!filters.from || entry.occurred_at >= filters.from)
+        && (!filters.until || entry.occurred_at < filters.until);
+}
+
+function publicAuditEntry(entry) {
+    const { clientId, ...rest } = entry;
+    return { ...rest, client_id: clientId };
+}
+
+const CSV_COLUMNS = [
+    { header: 'occurred_at', value: e => e.occurred_at },
+    { header: 'request_id', value: e => e.request_id },
+    { header: 'action', value: e => e.action },
+    { header: 'outcome', value: e => e.outcome },
+    { header: 'status_code', value: e => e.status_code },
+    { header: 'actor_type', value: e => e.actor.type },
+    { header: 'actor_id', value: e => e.actor.id },
+    { header: 'actor_email', value: e => e.actor.email },
+    { header: 'client_id', value: e => e.clientId },
+    { header: 'target_type', value: e => e.target.type },
+    { header: 'target_id', value: e => e.target.id },
+    { header: 'ip', value: e => e.ip },
+    { header: 'user_agent', value: e => e.user_agent },
+    { header: 'method', value: e => e.method },
+    { header: 'path', value: e => e.path },
+    { header: 'changes', value: e => e.changes }
+];
+
+function exportFilename(clientId, now = new Date()) {
+    return `audit-log-${clientId}-${toDateString(now)}.csv`;
+}
+
+module.exports = {
+    ROUTE_ACTIONS,
+    CSV_COLUMNS,
+    describeRoute,
+    redact,
+    diffChanges,
+    parseAuditFilters,
+    matchesAuditFilters,
+    publicAuditEntry,
+    exportFilename
+};
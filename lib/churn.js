@@ -0,0 +1,320 @@
+// Churn prediction
+// Builds a feature vector per client, fits an L2-regularised logistic
+// regression on labelled churn outcomes and calibrates its scores with Platt
+// scaling fitted on out-of-fold predictions. Explanations are each feature's
+// contribution to the log-odds relative to an average client.
+//
+// Labels describe the past ("churned as of 1 March"), so every feature is
+// computed from what was known on the as-of date: the health score from the
+// health history, the plan tier with later plan changes undone and syncs
+// from the sync history. A client's current state would leak the outcome -
+// a churned client already has poor health and stale syncs - and flatter
+// the cross-validated metrics.
+
+const { recordDate, sumRevenue, filterByDateRange, runRate } = require('./revenue-analytics');
+const { addDays, startOfDay, toDateString, DAY_MS } = require('./periods');
+
+const MODEL_VERSION_PREFIX = 'churn-logreg';
+
+// Window used for revenue trend and insight activity
+const WINDOW_DAYS = 90;
+
+const MIN_TRAINING_SAMPLES = 10;
+
+const PLAN_TIER_LEVEL = {
+    starter: 0,
+    professional: 1,
+    enterprise: 2
+};
+
+// Used for a date before any health score was recorded
+const NEUTRAL_HEALTH_SCORE = 50;
+
+// ============================================================================
+// FEATURES
+// ============================================================================
+
+const FEATURES = [
+    {
+        name: 'revenue_trend',
+        description: 'Revenue growth over the last 90 days vs the 90 days before',
+        compute: ({ records, asOf }) => {
+            const recent = sumRevenue(filterByDateRange(records, addDays(asOf, -(WINDOW_DAYS - 1)), asOf));
+            const prior = sumRevenue(filterByDateRange(records, addDays(asOf, -(2 * WINDOW_DAYS - 1)), addDays(asOf, -WINDOW_DAYS)));
+            if (!prior) {
+                return recent ? 1 : 0;
+            }
+            return Math.max(-1, Math.min(3, (recent - prior) / prior));
+        }
+    },
+    {
+        name: 'days_since_last_revenue',
+        description: 'Days since the most recent revenue record (capped at 180)',
+        compute: ({ records, asOf }) => {
+            const last = records
+                .map(recordDate)
+                .filter(d => d && d <= asOf)
+                .reduce((max, d) => (!max || d > max ? d : max), null);
+            return last ? Math.min((asOf - last) / DAY_MS, 180) : 180;
+        }
+    },
+    {
+        name: 'health_score',
+        description: `Health score on the as-of date (0-100, ${NEUTRAL_HEALTH_SCORE} before any was recorded)`,
+        compute: ({ healthScores, asOf }) => {
+            const date = toDateString(asOf);
+            const latest = healthScores
+                .filter(entry => entry.date <= date)
+                .reduce((max, entry) => (!max || entry.date > max.date ? entry : max), null);
+            return latest ? latest.score : NEUTRAL_HEALTH_SCORE;
+        }
+    },
+    {
+        name: 'plan_tier',
+        description: 'Plan tier level on the as-of date (starter 0, professional 1, enterprise 2)',
+        compute: ({ client, planChanges, asOf }) => {
+            const tier = planTierAt(client, planChanges, asOf);
+            return tier in PLAN_TIER_LEVEL ? PLAN_TIER_LEVEL[tier] : 1;
+        }
+    },
+    {
+        name: 'days_since_last_sync',
+        description: 'Days since any integration last synced, as of the as-of date (capped at 90, 90 if none)',
+        compute: ({ syncedAt, asOf }) => {
+            const syncs = syncedAt
+                .map(at => startOfDay(new Date(at)))
+                .filter(d => !isNaN(d) && d <= asOf);
+            if (!syncs.length) {
+                return WINDOW_DAYS;
+            }
+            const latest = syncs.reduce((max, d) => (d > max ? d : max));
+            return Math.min((asOf - latest) / DAY_MS, WINDOW_DAYS);
+        }
+    },
+    {
+        name: 'insight_activity',
+        description: 'log(1 + insights generated in the last 90 days)',
+        compute: ({ insights, asOf }) => {
+            const since = addDays(asOf, -WINDOW_DAYS);
+            const count = insights.filter(i => {
+                const at = new Date(i.generated_at);
+                return at >= since && at <= addDays(asOf, 1);
+            }).length;
+            return Math.log1p(count);
+        }
+    }
+];
+
+const FEATURE_NAMES = FEATURES.map(f => f.name);
+
+// What a CSM should do when a feature is pushing risk up
+const RECOMMENDED_ACTIONS = {
+    revenue_trend: 'Review revenue decline with the client and agree a recovery plan',
+    days_since_last_revenue: 'Check revenue data is still flowing from the client\'s systems',
+    health_score: 'Schedule an executive business review',
+    plan_tier: 'Discuss whether a higher tier with dedicated support fits better',
+    days_since_last_sync: 'Reconnect or fix stale integrations',
+    insight_activity: 'Walk the client through recent insights to re-engage them'
+};
+
+// The tier before the first plan change applied after `asOf`, or the
+// current tier if there was none
+function planTierAt(client, planChanges, asOf) {
+    const date = toDateString(asOf);
+    const later = planChanges
+        .filter(change => change.status === 'applied' && change.applied_at && change.applied_at.slice(0, 10) > date)
+        .sort((a, b) => a.applied_at.localeCompare(b.applied_at));
+    return later.length ? later[0].from_tier : client.plan_tier;
+}
+
+// context: {
+//   client, asOf,
+//   records       revenue records
+//   healthScores  health history entries ({ date, score })
+//   planChanges   the client's plan changes
+//   syncedAt      times integrations finished a successful sync
+//   insights
+// }
+function buildFeatures(context) {
+    return Object.fromEntries(FEATURES.map(f => [f.name, f.compute(context)]));
+}
+
+// ============================================================================
+// TRAINING
+// ============================================================================
+
+const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+function standardizer(rows) {
+    const means = FEATURE_NAMES.map(name => rows.reduce((s, r) => s + r[name], 0) / rows.length);
+    const stds = FEATURE_NAMES.map((name, i) => {
+        const variance = rows.reduce((s, r) => s + (r[name] - means[i]) ** 2, 0) / rows.length;
+        return Math.sqrt(variance) || 1;
+    });
+    return { means, stds };
+}
+
+function standardize(row, { means, stds }) {
+    return FEATURE_NAMES.map((name, i) => (row[name] - means[i]) / stds[i]);
+}
+
+// Batch gradient descent on the L2-penalised log loss
+function fitLogistic(xs, ys, { lambda = 0.01, learningRate = 0.1, iterations = 2000 } = {}) {
+    const dims = xs[0].length;
+    const weights = new Array(dims).fill(0);
+    let bias = 0;
+
+    for (let iter = 0; iter < iterations; iter++) {
+        const gradW = new Array(dims).fill(0);
+        let gradB = 0;
+        xs.forEach((x, n) => {
+            const error = sigmoid(bias + x.reduce((s, v, i) => s + v * weights[i], 0)) - ys[n];
+            x.forEach((v, i) => { gradW[i] += error * v; });
+            gradB += error;
+        });
+        for (let i = 0; i < dims; i++) {
+            weights[i] -= learningRate * (gradW[i] / xs.length + lambda * weights[i]);
+        }
+        bias -= learningRate * gradB / xs.length;
+    }
+
+    return { weights, bias };
+}
+
+function logit(model, x) {
+    return model.bias + x.reduce((s, v, i) => s + v * model.weights[i], 0);
+}
+
+// Stratified folds so every fold sees both outcomes
+function assignFolds(ys, k) {
+    const folds = new Array(ys.length);
+    [0, 1].forEach(label => {
+        let next = 0;
+        ys.forEach((y, i) => {
+            if (y === label) {
+                folds[i] = next++ % k;
+            }
+        });
+    });
+    return folds;
+}
+
+function evaluate(probabilities, ys) {
+    const eps = 1e-12;
+    const logLoss = -probabilities.reduce((s, p, i) => (
+        s + (ys[i] ? Math.log(Math.max(p, eps)) : Math.log(Math.max(1 - p, eps)))
+    ), 0) / ys.length;
+    const brier = probabilities.reduce((s, p, i) => s + (p - ys[i]) ** 2, 0) / ys.length;
+
+    // AUC as the probability a random churner outranks a random retained client
+    const positives = probabilities.filter((_, i) => ys[i] === 1);
+    const negatives = probabilities.filter((_, i) => ys[i] === 0);
+    let wins = 0;
+    positives.forEach(p => negatives.forEach(n => { wins += p > n ? 1 : p === n ? 0.5 : 0; }));
+    const auc = wins / (positives.length * negatives.length);
+
+    const round = v => Math.round(v * 10000) / 10000;
+    return { log_loss: round(logLoss), brier_score: round(brier), auc: round(auc) };
+}
+
+// samples: [{ features, churned }]. Returns { error } or { model }.
+function trainChurnModel(samples) {
+    const ys = samples.map(s => (s.churned ? 1 : 0));
+    const positives = ys.filter(Boolean).length;
+    const negatives = ys.length - positives;
+
+    if (samples.length < MIN_TRAINING_SAMPLES) {
+        return { error: `At least ${MIN_TRAINING_SAMPLES} labelled clients are required (have ${samples.length})` };
+    }
+    if (positives < 2 || negatives < 2) {
+        return { error: 'Labels must include at least two churned and two retained clients' };
+    }
+
+    const rows = samples.map(s => s.features);
+    const k = Math.min(5, positives, negatives);
+    const folds = assignFolds(ys, k);
+
+    // Out-of-fold scores for calibration and honest metrics
+    const oofLogits = new Array(ys.length);
+    for (let fold = 0; fold < k; fold++) {
+        const trainIdx = ys.map((_, i) => i).filter(i => folds[i] !== fold);
+        const scaler = standardizer(trainIdx.map(i => rows[i]));
+        const model = fitLogistic(trainIdx.map(i => standardize(rows[i], scaler)), trainIdx.map(i => ys[i]));
+        ys.forEach((_, i) => {
+            if (folds[i] === fold) {
+                oofLogits[i] = logit(model, standardize(rows[i], scaler));
+            }
+        });
+    }
+
+    // Platt scaling: p = sigmoid(a * logit + b), fitted on the OOF logits
+    // A non-positive slope means the out-of-fold ranking is no better than
+    // chance, in which case we keep the raw scores rather than invert them
+    const platt = fitLogistic(oofLogits.map(z => [z]), ys, { lambda: 0 });
+    const calibration = platt.weights[0] > 0
+        ? { method: 'platt', a: platt.weights[0], b: platt.bias }
+        : { method: 'none', a: 1, b: 0 };
+    const metrics = evaluate(oofLogits.map(z => sigmoid(calibration.a * z + calibration.b)), ys);
+
+    const scaler = standardizer(rows);
+    const final = fitLogistic(rows.map(r => standardize(r, scaler)), ys);
+
+    return {
+        model: {
+            version: `${MODEL_VERSION_PREFIX}-${Date.now()}`,
+            features: FEATURE_NAMES,
+            weights: final.weights,
+            bias: final.bias,
+            means: scaler.means,
+            stds: scaler.stds,
+            calibration,
+            metrics: { ...metrics, evaluation: `${k}-fold cross-validation` },
+            sample_count: samples.length,
+            churned_count: positives,
+            trained_at: new Date().toISOString()
+        }
+    };
+}
+
+// ============================================================================
+// PREDICTION
+// ============================================================================
+
+function predictChurn(model, features) {
+    const x = standardize(features, model);
+    const z = logit(model, x);
+    const probability = sigmoid(model.calibration.a * z + model.calibration.b);
+
+    // Log-odds contribution of each feature vs an average client (x = 0),
+    // scaled by the calibration slope so they add up to the calibrated logit
+    const contributions = FEATURE_NAMES.map((name, i) => ({
+        feature: name,
+        value: Math.round(features[name] * 100) / 100,
+        contribution: Math.round(model.calibration.a * model.weights[i] * x[i] * 1000) / 1000
+    })).sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+
+    return { probability, contributions };
+}
+
+function recommendedActions(contributions) {
+    return contributions
+        .filter(c => c.contribution > 0)
+        .slice(0, 3)
+        .map(c => RECOMMENDED_ACTIONS[c.feature]);
+}
+
+// Annual revenue currently flowing from the client, used for LTV at risk
+function annualRevenue(records, asOf) {
+    return runRate(records, asOf).arr;
+}
+
+module.exports = {
+    FEATURES,
+    FEATURE_NAMES,
+    MIN_TRAINING_SAMPLES,
+    buildFeatures,
+    trainChurnModel,
+    predictChurn,
+    recommendedActions,
+    annualRevenue
+};
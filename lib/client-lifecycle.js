@@ -0,0 +1,130 @@
+// Client lifecycle
+// Field validation for client records, plan tiers, and the state machine
+// that client status moves through: trial -> active -> past_due -> churned.
+// A past-due client can recover to active and a churned client can be won
+// back; nothing returns to trial.
+
+const PLAN_TIERS = ['starter', 'professional', 'enterprise'];
+
+const CLIENT_STATUSES = ['trial', 'active', 'past_due', 'churned'];
+
+const STATUS_TRANSITIONS = {
+    trial: ['active', 'churned'],
+    active: ['past_due', 'churned'],
+    past_due: ['active', 'churned'],
+    churned: ['active']
+};
+
+// Fields PATCH /clients/:clientId accepts. Plan tiers change through plan
+// changes (they carry an effective date) and the reporting currency through
+// settings.
+const UPDATABLE_FIELDS = ['company_name', 'domain', 'industry', 'primary_contact', 'status'];
+
+const MAX_NAME_LENGTH = 200;
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+function validateOptionalString(input, field, errors, value) {
+    if (input[field] === undefined) {
+        return;
+    }
+    if (input[field] !== null && (typeof input[field] !== 'string' || input[field].length > MAX_NAME_LENGTH)) {
+        errors.push({ field, message: `${field} must be a string of at most ${MAX_NAME_LENGTH} characters or null` });
+        return;
+    }
+    value[field] = input[field] === null ? null : input[field].trim() || null;
+}
+
+function validateContact(contact, errors) {
+    if (contact === null) {
+        return null;
+    }
+    if (typeof contact !== 'object' || Array.isArray(contact)) {
+        errors.push({ field: 'primary_contact', message: 'primary_contact must be an object or null' });
+        return undefined;
+    }
+
+    const value = {};
+    ['name', 'email', 'phone'].forEach(key => {
+        if (contact[key] === undefined || contact[key] === null) {
+            return;
+        }
+        if (typeof contact[key] !== 'string' || contact[key].length > MAX_NAME_LENGTH) {
+            errors.push({ field: `primary_contact.${key}`, message: `${key} must be a string of at most ${MAX_NAME_LENGTH} characters` });
+        } else {
+            value[key] = contact[key].trim();
+        }
+    });
+    if (value.email && !EMAIL_PATTERN.test(value.email)) {
+        errors.push({ field: 'primary_contact.email', message: 'email must be a valid email address' });
+    }
+    return value;
+}
+
+// Validates client fields. `partial` (for updates) makes company_name
+// optional; status is only checked against the known statuses here since
+// whether a transition is allowed depends on the current status.
+function validateClientFields(input, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+
+    if (input.company_name !== undefined || !partial) {
+        const name = typeof input.company_name === 'string' ? input.company_name.trim() : '';
+        if (!name) {
+            errors.push({ field: 'company_name', message: 'company_name is required' });
+        } else if (name.length > MAX_NAME_LENGTH) {
+            errors.push({ field: 'company_name', message: `company_name must be at most ${MAX_NAME_LENGTH} characters` });
+        } else {
+            value.company_name = name;
+        }
+    }
+
+    if (input.domain !== undefined) {
+        if (input.domain !== null && (typeof input.domain !== 'string' || !DOMAIN_PATTERN.test(input.domain))) {
+            errors.push({ field: 'domain', message: 'domain must be a hostname such as example.com, or null' });
+        } else {
+            value.domain = input.domain === null ? null : input.domain.toLowerCase();
+        }
+    }
+
+    validateOptionalString(input, 'industry', errors, value);
+
+    if (input.primary_contact !== undefined) {
+        const contact = validateContact(input.primary_contact, errors);
+        if (contact !== undefined) {
+            value.primary_contact = contact;
+        }
+    }
+
+    if (input.plan_tier !== undefined) {
+        if (!PLAN_TIERS.includes(input.plan_tier)) {
+            errors.push({ field: 'plan_tier', message: `plan_tier must be one of: ${PLAN_TIERS.join(', ')}` });
+        } else {
+            value.plan_tier = input.plan_tier;
+        }
+    }
+
+    if (input.status !== undefined) {
+        if (!CLIENT_STATUSES.includes(input.status)) {
+            errors.push({ field: 'status', message: `status must be one of: ${CLIENT_STATUSES.join(', ')}` });
+        } else {
+            value.status = input.status;
+        }
+    }
+
+    return { value, errors };
+}
+
+module.exports = {
+    PLAN_TIERS,
+    CLIENT_STATUSES,
+    STATUS_TRANSITIONS,
+    UPDATABLE_FIELDS,
+    canTransition,
+    validateClientFields
+};
@@ -0,0 +1,30 @@
+// CSV output
+// RFC 4180 quoting. Cells that a spreadsheet would read as a formula get a
+// leading apostrophe so exported data can't execute when opened.
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ header, value: row => cell }]
+function toCsv(columns, rows) {
+    const lines = [columns.map(column => csvCell(column.header)).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => csvCell(column.value(row))).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    csvCell,
+    toCsv
+};
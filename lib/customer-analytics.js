@@ -0,0 +1,302 @@
+// Customer-level revenue analytics
+// Cohort retention, MRR movements, NRR/GRR, LTV and ARPA, all built from the
+// customer_id on revenue records (records without one are left out and
+// counted). A customer's MRR for a month is what they paid in that calendar
+// month.
+//
+// Analysis runs on whole calendar months covering the requested range. Only
+// records up to the end of the range count, so when the range stops part way
+// through its last month, that month is flagged partial.
+
+const { recordDate, round2 } = require('./revenue-analytics');
+const { addDays, addPeriods, periodKey, startOfPeriod, toDateString } = require('./periods');
+
+function ratio(numerator, denominator, digits = 4) {
+    if (!denominator) {
+        return null;
+    }
+    const factor = 10 ** digits;
+    return Math.round((numerator / denominator) * factor) / factor;
+}
+
+// Calendar months from the one containing `start` to the one containing `end`
+function monthsInRange(start, end) {
+    const months = [];
+    for (let month = startOfPeriod(start, 'monthly'); month <= end; month = addPeriods(month, 'monthly', 1)) {
+        const monthEnd = addDays(addPeriods(month, 'monthly', 1), -1);
+        months.push({ key: toDateString(month), start: month, end: monthEnd, partial: monthEnd > end });
+    }
+    return months;
+}
+
+// Indexes revenue by customer and month, up to `end`
+function indexCustomers(records, end) {
+    const customers = new Map();
+    let unattributed = 0;
+
+    records.forEach(record => {
+        const date = recordDate(record);
+        if (!date || date > end) {
+            return;
+        }
+        if (!record.customer_id) {
+            unattributed++;
+            return;
+        }
+
+        const key = periodKey(date, 'monthly');
+        const customer = customers.get(record.customer_id) || {
+            id: record.customer_id,
+            months: new Map(),
+            first: date,
+            last: date,
+            total: 0,
+            transactions: 0
+        };
+        customer.months.set(key, (customer.months.get(key) || 0) + record.amount);
+        customer.first = date < customer.first ? date : customer.first;
+        customer.last = date > customer.last ? date : customer.last;
+        customer.total += record.amount;
+        customer.transactions++;
+        customers.set(record.customer_id, customer);
+    });
+
+    customers.forEach(customer => {
+        customer.firstMonth = periodKey(customer.first, 'monthly');
+    });
+
+    return { customers: Array.from(customers.values()), unattributed };
+}
+
+function mrrIn(customer, monthKey) {
+    return customer.months.get(monthKey) || 0;
+}
+
+// ============================================================================
+// MRR MOVEMENTS
+// ============================================================================
+
+// Classifies each customer's change from the previous month:
+//   new          first ever revenue this month
+//   reactivation revenue this month, none last month, but some before that
+//   expansion    paying more than last month
+//   contraction  paying less than last month (but still paying)
+//   churned      paid last month, nothing this month
+function monthlyMovements(customers, month) {
+    const previousKey = toDateString(addPeriods(month.start, 'monthly', -1));
+    const movement = {
+        month: month.key,
+        partial: month.partial,
+        starting_mrr: 0,
+        new_mrr: 0,
+        expansion_mrr: 0,
+        contraction_mrr: 0,
+        churned_mrr: 0,
+        reactivation_mrr: 0,
+        ending_mrr: 0,
+        customers: { starting: 0, new: 0, churned: 0, reactivated: 0, ending: 0 }
+    };
+
+    customers.forEach(customer => {
+        const previous = mrrIn(customer, previousKey);
+        const current = mrrIn(customer, month.key);
+
+        movement.starting_mrr += previous;
+        movement.ending_mrr += current;
+        if (previous > 0) {
+            movement.customers.starting++;
+        }
+        if (current > 0) {
+            movement.customers.ending++;
+        }
+
+        if (current > 0 && customer.firstMonth === month.key) {
+            movement.new_mrr += current;
+            movement.customers.new++;
+        } else if (current > 0 && previous === 0) {
+            movement.reactivation_mrr += current;
+            movement.customers.reactivated++;
+        } else if (previous > 0 && current === 0) {
+            movement.churned_mrr += previous;
+            movement.customers.churned++;
+        } else if (current > previous) {
+            movement.expansion_mrr += current - previous;
+        } else if (current < previous) {
+            movement.contraction_mrr += previous - current;
+        }
+    });
+
+    const retained = movement.starting_mrr - movement.contraction_mrr - movement.churned_mrr;
+
+    return {
+        ...movement,
+        starting_mrr: round2(movement.starting_mrr),
+        new_mrr: round2(movement.new_mrr),
+        expansion_mrr: round2(movement.expansion_mrr),
+        contraction_mrr: round2(movement.contraction_mrr),
+        churned_mrr: round2(movement.churned_mrr),
+        reactivation_mrr: round2(movement.reactivation_mrr),
+        ending_mrr: round2(movement.ending_mrr),
+        net_new_mrr: round2(movement.ending_mrr - movement.starting_mrr),
+        net_revenue_retention: ratio(retained + movement.expansion_mrr, movement.starting_mrr),
+        gross_revenue_retention: ratio(retained, movement.starting_mrr),
+        customer_churn_rate: ratio(movement.customers.churned, movement.customers.starting),
+        arpa: movement.customers.ending ? round2(movement.ending_mrr / movement.customers.ending) : null
+    };
+}
+
+// NRR and GRR across the whole range: what the customers paying in the month
+// before the range pay in its last complete month. GRR caps each customer at
+// what they paid at the start, so expansion can't hide losses.
+function periodRetention(customers, months) {
+    const baselineKey = toDateString(addPeriods(months[0].start, 'monthly', -1));
+    const lastKey = (months.filter(m => !m.partial).pop() || months[months.length - 1]).key;
+
+    let starting = 0;
+    let ending = 0;
+    let endingCapped = 0;
+    customers.forEach(customer => {
+        const start = mrrIn(customer, baselineKey);
+        if (start > 0) {
+            const end = mrrIn(customer, lastKey);
+            starting += start;
+            ending += end;
+            endingCapped += Math.min(start, end);
+        }
+    });
+
+    return {
+        baseline_month: baselineKey,
+        final_month: lastKey,
+        starting_mrr: round2(starting),
+        retained_mrr: round2(ending),
+        net_revenue_retention: ratio(ending, starting),
+        gross_revenue_retention: ratio(endingCapped, starting)
+    };
+}
+
+function mrrMovements(records, { start, end }) {
+    const months = monthsInRange(start, end);
+    const { customers, unattributed } = indexCustomers(records, end);
+    const movements = months.map(month => monthlyMovements(customers, month));
+
+    const totals = ['new_mrr', 'expansion_mrr', 'contraction_mrr', 'churned_mrr', 'reactivation_mrr'].reduce((sum, field) => {
+        sum[field] = round2(movements.reduce((total, m) => total + m[field], 0));
+        return sum;
+    }, {});
+
+    return {
+        period: { start: toDateString(start), end: toDateString(end) },
+        months: movements,
+        totals: {
+            starting_mrr: movements[0].starting_mrr,
+            ...totals,
+            ending_mrr: movements[movements.length - 1].ending_mrr,
+            net_new_mrr: round2(movements[movements.length - 1].ending_mrr - movements[0].starting_mrr)
+        },
+        retention: periodRetention(customers, months),
+        arpa_trend: movements.map(m => ({ month: m.month, partial: m.partial, arpa: m.arpa, customers: m.customers.ending })),
+        customers_analyzed: customers.length,
+        records_without_customer: unattributed
+    };
+}
+
+// ============================================================================
+// COHORTS & LTV
+// ============================================================================
+
+// Customers grouped by the month of their first purchase, for cohorts that
+// start inside the range. Each row follows the cohort month by month to the
+// end of the range.
+function cohortMatrix(customers, months) {
+    const keys = new Set(months.map(m => m.key));
+    const cohorts = new Map();
+    customers.filter(c => keys.has(c.firstMonth)).forEach(customer => {
+        const members = cohorts.get(customer.firstMonth) || [];
+        members.push(customer);
+        cohorts.set(customer.firstMonth, members);
+    });
+
+    return months.filter(m => cohorts.has(m.key)).map(cohortMonth => {
+        const members = cohorts.get(cohortMonth.key);
+        const initialRevenue = members.reduce((sum, c) => sum + mrrIn(c, cohortMonth.key), 0);
+        const start = months.indexOf(cohortMonth);
+
+        return {
+            cohort: cohortMonth.key.slice(0, 7),
+            customers: members.length,
+            initial_revenue: round2(initialRevenue),
+            periods: months.slice(start).map((month, offset) => {
+                const active = members.filter(c => mrrIn(c, month.key) > 0);
+                const revenue = active.reduce((sum, c) => sum + mrrIn(c, month.key), 0);
+                return {
+                    month_offset: offset,
+                    month: month.key.slice(0, 7),
+                    partial: month.partial,
+                    active_customers: active.length,
+                    customer_retention: ratio(active.length, members.length),
+                    revenue: round2(revenue),
+                    revenue_retention: ratio(revenue, initialRevenue)
+                };
+            })
+        };
+    });
+}
+
+// Historic LTV is what a customer has paid so far. Predicted LTV for an
+// average customer is ARPA divided by the average monthly customer churn
+// rate over the range.
+function lifetimeValue(customers, movements, { limit }) {
+    const perCustomer = customers
+        .map(customer => {
+            const lifetimeMonths = customer.months.size;
+            return {
+                customer_id: customer.id,
+                first_purchase: toDateString(customer.first),
+                last_purchase: toDateString(customer.last),
+                active_months: lifetimeMonths,
+                transactions: customer.transactions,
+                lifetime_revenue: round2(customer.total),
+                avg_monthly_revenue: round2(customer.total / lifetimeMonths)
+            };
+        })
+        .sort((a, b) => b.lifetime_revenue - a.lifetime_revenue);
+
+    const complete = movements.filter(m => !m.partial);
+    const churnRates = complete.map(m => m.customer_churn_rate).filter(rate => rate !== null);
+    const churnRate = churnRates.length ? churnRates.reduce((a, b) => a + b, 0) / churnRates.length : null;
+    const latest = complete[complete.length - 1] || movements[movements.length - 1];
+    const arpa = latest ? latest.arpa : null;
+
+    return {
+        average_historic_ltv: perCustomer.length
+            ? round2(perCustomer.reduce((sum, c) => sum + c.lifetime_revenue, 0) / perCustomer.length)
+            : null,
+        arpa,
+        avg_monthly_customer_churn_rate: churnRate === null ? null : Math.round(churnRate * 10000) / 10000,
+        predicted_ltv: arpa !== null && churnRate ? round2(arpa / churnRate) : null,
+        top_customers: perCustomer.slice(0, limit)
+    };
+}
+
+function customerCohorts(records, { start, end, limit = 20 }) {
+    const months = monthsInRange(start, end);
+    const { customers, unattributed } = indexCustomers(records, end);
+    const movements = months.map(month => monthlyMovements(customers, month));
+
+    return {
+        period: { start: toDateString(start), end: toDateString(end) },
+        cohorts: cohortMatrix(customers, months),
+        retention: periodRetention(customers, months),
+        ltv: lifetimeValue(customers, movements, { limit }),
+        arpa_trend: movements.map(m => ({ month: m.month, partial: m.partial, arpa: m.arpa, customers: m.customers.ending })),
+        customers_analyzed: customers.length,
+        records_without_customer: unattributed
+    };
+}
+
+module.exports = {
+    monthsInRange,
+    mrrMovements,
+    customerCohorts
+};
@@ -0,0 +1,91 @@
+// Error responses
+// Every error the API returns has the same shape:
+//   { error: <message>, code: <machine-readable code>, details?: [{ field, code, message }], request_id }
+// Routes keep answering with res.status(4xx).json({ error }) and the
+// errorResponses middleware fills in the code (from the status unless the
+// route chose one) and the request id. Unexpected failures are logged here
+// and reach the caller only as a generic message; exception text never does.
+
+const STATUS_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    405: 'method_not_allowed',
+    409: 'conflict',
+    410: 'gone',
+    413: 'payload_too_large',
+    415: 'unsupported_media_type',
+    422: 'unprocessable_entity',
+    429: 'rate_limited',
+    500: 'internal_error',
+    502: 'bad_gateway',
+    503: 'service_unavailable'
+};
+
+function errorCode(status) {
+    return STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+}
+
+function formatError(body, status, requestId) {
+    if (!body || typeof body.error !== 'string') {
+        return body;
+    }
+    const { error, code, message, ...rest } = body;
+    const details = status < 500 && Array.isArray(rest.details) ? rest.details : null;
+    const formatted = {
+        error,
+        code: code || (details ? 'validation_failed' : errorCode(status)),
+        // 5xx bodies never carry anything beyond the route's own message
+        ...(status >= 500 ? {} : rest)
+    };
+    if (details) {
+        formatted.details = details.map(detail => ({ ...detail, code: detail.code || 'invalid' }));
+    }
+    formatted.request_id = requestId;
+    return formatted;
+}
+
+function errorResponses(req, res, next) {
+    const json = res.json.bind(res);
+    res.json = body => json(res.statusCode >= 400 ? formatError(body, res.statusCode, req.id) : body);
+    next();
+}
+
+// For a route's catch block: logs the failure against the request id and
+// answers 500 with the route's message
+function sendServerError(res, error, message) {
+    console.error(`[${res.req.id}] ${message}:`, error);
+    res.status(500).json({ error: message });
+}
+
+function notFound(req, res) {
+    res.status(404).json({ error: `No route for ${req.method} ${req.path}` });
+}
+
+// Final Express error handler: malformed or oversized bodies rejected by the
+// body parsers, and anything a route let escape
+function errorHandler(error, req, res, next) {
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Request body is not valid JSON', code: 'invalid_json' });
+    }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body is too large' });
+    }
+    if (error.type === 'encoding.unsupported' || error.type === 'charset.unsupported') {
+        return res.status(415).json({ error: 'Unsupported request body encoding' });
+    }
+    sendServerError(res, error, 'Internal server error');
+}
+
+module.exports = {
+    errorCode,
+    formatError,
+    errorResponses,
+    sendServerError,
+    notFound,
+    errorHandler
+};
@@ -0,0 +1,303 @@
+// Revenue forecasting
+// Fits a handful of simple time-series models to a client's bucketed revenue
+// history, backtests each one on the most recent periods and forecasts with
+// whichever scored best. Everything here is deterministic and dependency free.
+
+const {
+    toDateString,
+    today,
+    addDays,
+    startOfPeriod,
+    addPeriods
+} = require('./periods');
+const { recordDate, buildTimeSeries, round2 } = require('./revenue-analytics');
+
+const MODEL_VERSION = 'forecast-engine-v1.0';
+
+// Two-sided 95% prediction intervals
+const INTERVAL_LEVEL = 0.95;
+const Z_SCORE = 1.96;
+
+// Smallest history we'll forecast from at all
+const MIN_HISTORY = 3;
+
+const SEASON_LENGTHS = {
+    daily: 7,
+    weekly: 52,
+    monthly: 12,
+    quarterly: 4
+};
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+// Revenue per complete period, from the period holding the first record up to
+// the last period that has fully elapsed as of `asOf`
+function buildHistory(records, granularity, asOf = today()) {
+    const dates = records.map(recordDate).filter(Boolean);
+    const earliest = dates.reduce((min, d) => (!min || d < min ? d : min), null);
+    const currentPeriodStart = startOfPeriod(asOf, granularity);
+
+    if (!earliest || earliest >= currentPeriodStart) {
+        return [];
+    }
+
+    const start = startOfPeriod(earliest, granularity);
+    const end = addDays(currentPeriodStart, -1);
+    const inRange = records.filter(r => {
+        const date = recordDate(r);
+        return date && date >= start && date <= end;
+    });
+
+    return buildTimeSeries(inRange, start, end, granularity);
+}
+
+// ============================================================================
+// MODELS
+// ============================================================================
+// Every model exposes minHistory(seasonLength) and fit(values, seasonLength),
+// where fit() returns { forecast(h) -> [{ mean, stdError }], params }.
+
+function residualStdDev(residuals, parameterCount) {
+    const dof = Math.max(residuals.length - parameterCount, 1);
+    return Math.sqrt(residuals.reduce((sum, e) => sum + e * e, 0) / dof);
+}
+
+const linearTrend = {
+    name: 'linear_trend',
+    minHistory: () => 2,
+    fit(values) {
+        const n = values.length;
+        const meanT = (n - 1) / 2;
+        const meanY = values.reduce((a, b) => a + b, 0) / n;
+
+        let sxx = 0;
+        let sxy = 0;
+        values.forEach((y, t) => {
+            sxx += (t - meanT) ** 2;
+            sxy += (t - meanT) * (y - meanY);
+        });
+
+        const slope = sxx ? sxy / sxx : 0;
+        const intercept = meanY - slope * meanT;
+        const residuals = values.map((y, t) => y - (intercept + slope * t));
+        const sigma = residualStdDev(residuals, 2);
+
+        return {
+            params: { intercept: round2(intercept), slope: round2(slope) },
+            forecast(horizon) {
+                return Array.from({ length: horizon }, (_, i) => {
+                    const t = n + i;
+                    const leverage = sxx ? ((t - meanT) ** 2) / sxx : 0;
+                    return {
+                        mean: intercept + slope * t,
+                        stdError: sigma * Math.sqrt(1 + 1 / n + leverage)
+                    };
+                });
+            }
+        };
+    }
+};
+
+const naiveSeasonal = {
+    name: 'naive_seasonal',
+    minHistory: () => 2,
+    fit(values, seasonLength) {
+        // Without a full season to copy we fall back to a plain naive
+        // (last value) forecast
+        const m = values.length > seasonLength ? seasonLength : 1;
+        const residuals = values.slice(m).map((y, i) => y - values[i]);
+        const sigma = residualStdDev(residuals, 0);
+        const n = values.length;
+
+        return {
+            params: { season_length: m },
+            forecast(horizon) {
+                return Array.from({ length: horizon }, (_, i) => {
+                    const seasonsAhead = Math.floor(i / m) + 1;
+                    return {
+                        mean: values[n - m + (i % m)],
+                        stdError: sigma * Math.sqrt(seasonsAhead)
+                    };
+                });
+            }
+        };
+    }
+};
+
+// Additive Holt-Winters with a grid search over the smoothing parameters
+const holtWinters = {
+    name: 'holt_winters',
+    minHistory: seasonLength => 2 * seasonLength,
+    fit(values, seasonLength) {
+        const grid = {
+            alpha: [0.1, 0.3, 0.5, 0.7, 0.9],
+            beta: [0.05, 0.1, 0.2, 0.3],
+            gamma: [0.1, 0.3, 0.5, 0.7]
+        };
+
+        let best = null;
+        grid.alpha.forEach(alpha => grid.beta.forEach(beta => grid.gamma.forEach(gamma => {
+            const state = runHoltWinters(values, seasonLength, alpha, beta, gamma);
+            if (!best || state.sse < best.sse) {
+                best = { ...state, alpha, beta, gamma };
+            }
+        })));
+
+        const { level, trend, seasonals, residuals, alpha, beta, gamma } = best;
+        const sigma = residualStdDev(residuals, 3);
+        const n = values.length;
+
+        return {
+            params: { alpha, beta, gamma, season_length: seasonLength },
+            forecast(horizon) {
+                return Array.from({ length: horizon }, (_, i) => {
+                    const h = i + 1;
+                    // Variance of the h-step error for additive Holt-Winters
+                    let variance = 1;
+                    for (let j = 1; j < h; j++) {
+                        const c = alpha * (1 + j * beta) + (j % seasonLength === 0 ? gamma * (1 - alpha) : 0);
+                        variance += c * c;
+                    }
+                    return {
+                        mean: level + h * trend + seasonals[(n + i) % seasonLength],
+                        stdError: sigma * Math.sqrt(variance)
+                    };
+                });
+            }
+        };
+    }
+};
+
+function runHoltWinters(values, m, alpha, beta, gamma) {
+    const mean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+    const firstSeason = values.slice(0, m);
+    const secondSeason = values.slice(m, 2 * m);
+
+    let level = mean(firstSeason);
+    let trend = (mean(secondSeason) - level) / m;
+    const seasonals = firstSeason.map(y => y - level);
+    const residuals = [];
+
+    for (let t = m; t < values.length; t++) {
+        const s = seasonals[t % m];
+        const predicted = level + trend + s;
+        residuals.push(values[t] - predicted);
+
+        const previousLevel = level;
+        level = alpha * (values[t] - s) + (1 - alpha) * (level + trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * trend;
+        seasonals[t % m] = gamma * (values[t] - level) + (1 - gamma) * s;
+    }
+
+    return {
+        level,
+        trend,
+        seasonals,
+        residuals,
+        sse: residuals.reduce((sum, e) => sum + e * e, 0)
+    };
+}
+
+const MODELS = [linearTrend, holtWinters, naiveSeasonal];
+
+// ============================================================================
+// BACKTESTING & SELECTION
+// ============================================================================
+
+function errorMetrics(actual, predicted) {
+    const squared = actual.map((y, i) => (y - predicted[i]) ** 2);
+    const rmse = Math.sqrt(squared.reduce((a, b) => a + b, 0) / actual.length);
+
+    // MAPE is undefined for zero-revenue periods, so those are skipped
+    const percentageErrors = actual
+        .map((y, i) => (y === 0 ? null : Math.abs((y - predicted[i]) / y)))
+        .filter(e => e !== null);
+    const mape = percentageErrors.length
+        ? (percentageErrors.reduce((a, b) => a + b, 0) / percentageErrors.length) * 100
+        : null;
+
+    return {
+        mape: mape === null ? null : Math.round(mape * 10) / 10,
+        rmse: Math.round(rmse)
+    };
+}
+
+function backtest(model, values, seasonLength, holdout) {
+    const training = values.slice(0, values.length - holdout);
+    if (training.length < model.minHistory(seasonLength)) {
+        return null;
+    }
+
+    const actual = values.slice(values.length - holdout);
+    const predicted = model.fit(training, seasonLength).forecast(holdout).map(p => p.mean);
+    return errorMetrics(actual, predicted);
+}
+
+// Forecasts `periods` periods past the end of `history` (as returned by
+// buildHistory). Returns null when there isn't enough history.
+function forecastRevenue(history, { periods, granularity }) {
+    const values = history.map(p => p.revenue);
+    if (values.length < MIN_HISTORY) {
+        return null;
+    }
+
+    const seasonLength = SEASON_LENGTHS[granularity];
+    const holdout = Math.max(1, Math.min(periods, Math.floor(values.length * 0.2)));
+
+    const candidates = MODELS.map(model => {
+        if (values.length < model.minHistory(seasonLength)) {
+            return { model: model.name, status: 'insufficient_history', mape: null, rmse: null };
+        }
+        const metrics = backtest(model, values, seasonLength, holdout);
+        return metrics
+            ? { model: model.name, status: 'evaluated', ...metrics }
+            : { model: model.name, status: 'insufficient_history_for_backtest', mape: null, rmse: null };
+    });
+
+    // Lowest holdout RMSE wins; RMSE is always defined and all candidates
+    // are scored on the same series so it's comparable between them
+    const selected = candidates
+        .filter(c => c.status === 'evaluated')
+        .sort((a, b) => a.rmse - b.rmse)[0];
+    const model = MODELS.find(m => m.name === selected.model);
+
+    const fitted = model.fit(values, seasonLength);
+    const lastPeriodStart = new Date(`${history[history.length - 1].period_start}T00:00:00Z`);
+
+    const forecast = fitted.forecast(periods).map((point, i) => {
+        const periodStart = addPeriods(lastPeriodStart, granularity, i + 1);
+        const margin = Z_SCORE * point.stdError;
+        const predicted = Math.max(point.mean, 0);
+        return {
+            period: toDateString(periodStart),
+            period_end: toDateString(addDays(addPeriods(periodStart, granularity, 1), -1)),
+            predicted_revenue: Math.round(predicted),
+            lower_bound: Math.round(Math.max(point.mean - margin, 0)),
+            upper_bound: Math.round(Math.max(point.mean + margin, 0))
+        };
+    });
+
+    return {
+        model: model.name,
+        model_params: fitted.params,
+        forecast,
+        interval_level: INTERVAL_LEVEL,
+        accuracy_metrics: {
+            mape: selected.mape,
+            rmse: selected.rmse,
+            holdout_periods: holdout
+        },
+        candidates
+    };
+}
+
+module.exports = {
+    MODEL_VERSION,
+    MIN_HISTORY,
+    SEASON_LENGTHS,
+    buildHistory,
+    forecastRevenue,
+    errorMetrics
+};
@@ -0,0 +1,173 @@
+// Foreign exchange conversion
+// Rates are stored as dated currency pairs ("1 base = rate quote"). Amounts
+// are converted at the latest rate on or before the transaction date, using
+// the direct pair, its inverse, or a cross rate through a pivot currency.
+
+const { parseDate, toDateString, DAY_MS } = require('./periods');
+const { isCurrencyCode } = require('./currencies');
+
+const PIVOT_CURRENCIES = ['USD', 'EUR'];
+
+// A rate older than this (e.g. over a long holiday gap) isn't used
+const MAX_RATE_AGE_DAYS = 7;
+
+// How many individual missing-rate records to list in a response
+const MAX_REPORTED_MISSING = 50;
+
+function rateId(date, base, quote) {
+    return `${date}:${base}:${quote}`;
+}
+
+// Returns { value, errors } for one { date, base, quote, rate } entry
+function validateRate(input) {
+    const errors = [];
+    const date = parseDate(input.date);
+    const base = String(input.base || '').toUpperCase();
+    const quote = String(input.quote || '').toUpperCase();
+    const rate = Number(input.rate);
+
+    if (!date) {
+        errors.push({ field: 'date', message: 'date must be an ISO-8601 date (YYYY-MM-DD)' });
+    }
+    if (!isCurrencyCode(base)) {
+        errors.push({ field: 'base', message: 'base must be an ISO-4217 code' });
+    }
+    if (!isCurrencyCode(quote)) {
+        errors.push({ field: 'quote', message: 'quote must be an ISO-4217 code' });
+    }
+    if (base && base === quote) {
+        errors.push({ field: 'quote', message: 'quote must differ from base' });
+    }
+    if (!isFinite(rate) || rate <= 0) {
+        errors.push({ field: 'rate', message: 'rate must be a positive number' });
+    }
+
+    if (errors.length) {
+        return { errors };
+    }
+
+    const day = toDateString(date);
+    return {
+        errors,
+        value: { id: rateId(day, base, quote), date: day, base, quote, rate, source: input.source || 'manual' }
+    };
+}
+
+function createConverter(rates) {
+    // pair -> [{ time, rate }] sorted by date
+    const series = new Map();
+    rates.forEach(r => {
+        const key = `${r.base}:${r.quote}`;
+        const list = series.get(key) || [];
+        list.push({ time: Date.parse(`${r.date}T00:00:00Z`), rate: r.rate });
+        series.set(key, list);
+    });
+    series.forEach(list => list.sort((a, b) => a.time - b.time));
+
+    function lookup(base, quote, time) {
+        const list = series.get(`${base}:${quote}`);
+        if (!list) {
+            return null;
+        }
+        // Binary search for the latest entry on or before `time`
+        let lo = 0;
+        let hi = list.length - 1;
+        let found = -1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (list[mid].time <= time) {
+                found = mid;
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        if (found < 0 || time - list[found].time > MAX_RATE_AGE_DAYS * DAY_MS) {
+            return null;
+        }
+        return list[found].rate;
+    }
+
+    function pairRate(from, to, time) {
+        const direct = lookup(from, to, time);
+        if (direct) {
+            return direct;
+        }
+        const inverse = lookup(to, from, time);
+        return inverse ? 1 / inverse : null;
+    }
+
+    function rate(from, to, date) {
+        if (from === to) {
+            return 1;
+        }
+        const time = Date.parse(`${date}T00:00:00Z`);
+        const direct = pairRate(from, to, time);
+        if (direct) {
+            return direct;
+        }
+        for (const pivot of PIVOT_CURRENCIES) {
+            if (pivot === from || pivot === to) {
+                continue;
+            }
+            const leg1 = pairRate(from, pivot, time);
+            const leg2 = leg1 && pairRate(pivot, to, time);
+            if (leg2) {
+                return leg1 * leg2;
+            }
+        }
+        return null;
+    }
+
+    return { rate };
+}
+
+// Converts every record's amount into the reporting currency. Records with
+// no usable rate are left out of `records` and listed in the summary so the
+// caller can flag them rather than silently mixing currencies.
+function normalizeRecords(records, converter, reportingCurrency) {
+    const converted = [];
+    const missing = [];
+    const excludedByCurrency = {};
+
+    records.forEach(record => {
+        const currency = record.currency || 'USD';
+        const date = String(record.date).slice(0, 10);
+        const rate = converter.rate(currency, reportingCurrency, date);
+
+        if (rate === null) {
+            missing.push({ record_id: record.id, currency, date });
+            excludedByCurrency[currency] = (excludedByCurrency[currency] || 0) + record.amount;
+            return;
+        }
+
+        converted.push(currency === reportingCurrency ? record : {
+            ...record,
+            amount: Math.round(record.amount * rate * 100) / 100,
+            currency: reportingCurrency,
+            original_amount: record.amount,
+            original_currency: currency,
+            fx_rate: rate
+        });
+    });
+
+    return {
+        records: converted,
+        conversion: {
+            reporting_currency: reportingCurrency,
+            converted_records: converted.filter(r => r.original_currency).length,
+            missing_rate_records: missing.length,
+            excluded_amount_by_currency: excludedByCurrency,
+            missing_rates: missing.slice(0, MAX_REPORTED_MISSING)
+        }
+    };
+}
+
+module.exports = {
+    PIVOT_CURRENCIES,
+    MAX_RATE_AGE_DAYS,
+    rateId,
+    validateRate,
+    createConverter,
+    normalizeRecords
+};
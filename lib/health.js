@@ -0,0 +1,212 @@
+// Client health scoring
+// A client's health score (0-100) is a weighted average of signals, each
+// scored 0-1. Signals that can't be measured for a client (no integrations,
+// no insights yet, no churn model) are left out and the remaining weights
+// are scaled up to compensate. Weights can be overridden per client.
+
+const { sumRevenue, filterByDateRange } = require('./revenue-analytics');
+const { addDays } = require('./periods');
+
+// Window used for the revenue trend and insight engagement
+const WINDOW_DAYS = 90;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_WEIGHTS = {
+    revenue_trend: 0.3,
+    sync_freshness: 0.15,
+    onboarding_completion: 0.15,
+    insight_engagement: 0.15,
+    churn_probability: 0.25
+};
+
+const MAX_WEIGHT = 100;
+
+// Piecewise-linear mapping through [x, y] points, flat beyond both ends
+function scale(x, points) {
+    if (x <= points[0][0]) {
+        return points[0][1];
+    }
+    for (let i = 1; i < points.length; i++) {
+        const [x1, y1] = points[i];
+        if (x <= x1) {
+            const [x0, y0] = points[i - 1];
+            return y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+        }
+    }
+    return points[points.length - 1][1];
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// Insights someone has acted on: moved out of open, assigned or rated
+function isEngaged(insight) {
+    return insight.status !== 'open' || Boolean(insight.assigned_to) || (insight.feedback || []).length > 0;
+}
+
+// Each signal returns { value, score } or null when it doesn't apply.
+// context: { records, integrations, insights, onboarding, churnProbability, asOf, now }
+const SIGNALS = [
+    {
+        name: 'revenue_trend',
+        description: 'Revenue growth over the last 90 days vs the 90 days before',
+        compute: ({ records, asOf }) => {
+            const recent = sumRevenue(filterByDateRange(records, addDays(asOf, -(WINDOW_DAYS - 1)), asOf));
+            const prior = sumRevenue(filterByDateRange(records, addDays(asOf, -(2 * WINDOW_DAYS - 1)), addDays(asOf, -WINDOW_DAYS)));
+            if (!recent && !prior) {
+                return null;
+            }
+            const growth = prior ? (recent - prior) / prior : 1;
+            // Flat revenue is fair, not perfect; a 30% drop scores nothing
+            return { value: round(growth, 4), score: scale(growth, [[-0.3, 0], [0, 0.7], [0.2, 1]]) };
+        }
+    },
+    {
+        name: 'sync_freshness',
+        description: 'How recently connected integrations synced (full marks within a day, none after a week)',
+        compute: ({ integrations, now }) => {
+            // Integrations in error are still expected to sync, they just can't
+            const expected = integrations.filter(i => ['connected', 'error'].includes(i.status));
+            if (!expected.length) {
+                return null;
+            }
+            const ages = expected.map(i => (i.status === 'connected' && i.last_sync
+                ? Math.max(0, (now - new Date(i.last_sync)) / HOUR_MS)
+                : null));
+            const scores = ages.map(age => (age === null ? 0 : scale(age, [[24, 1], [168, 0]])));
+            return {
+                // Hours since the stalest connection synced, null if one never has
+                value: ages.includes(null) ? null : round(Math.max(...ages), 1),
+                score: scores.reduce((a, b) => a + b, 0) / scores.length
+            };
+        }
+    },
+    {
+        name: 'onboarding_completion',
+        description: 'Share of onboarding checklist steps completed',
+        compute: ({ onboarding }) => ({ value: onboarding.completion, score: onboarding.completion })
+    },
+    {
+        name: 'insight_engagement',
+        description: 'Share of insights from the last 90 days that were acknowledged, dismissed, assigned or rated',
+        compute: ({ insights, now }) => {
+            const since = new Date(now.getTime() - WINDOW_DAYS * 24 * HOUR_MS).toISOString();
+            const recent = insights.filter(i => i.generated_at >= since);
+            if (!recent.length) {
+                return null;
+            }
+            const rate = recent.filter(isEngaged).length / recent.length;
+            // Acting on half of them is as engaged as anyone gets
+            return { value: round(rate, 4), score: scale(rate, [[0, 0], [0.5, 1]]) };
+        }
+    },
+    {
+        name: 'churn_probability',
+        description: 'Churn probability from the active churn model',
+        compute: ({ churnProbability }) => (typeof churnProbability === 'number'
+            ? { value: round(churnProbability, 4), score: 1 - churnProbability }
+            : null)
+    }
+];
+
+const SIGNAL_NAMES = SIGNALS.map(s => s.name);
+
+// Validates a (partial) weight override and merges it over the defaults
+function validateWeights(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value: null, errors: [{ field: 'health_weights', message: 'health_weights must be an object' }] };
+    }
+
+    const errors = [];
+    Object.entries(input).forEach(([name, weight]) => {
+        if (!SIGNAL_NAMES.includes(name)) {
+            errors.push({ field: `health_weights.${name}`, message: `unknown signal; expected one of: ${SIGNAL_NAMES.join(', ')}` });
+        } else if (typeof weight !== 'number' || !isFinite(weight) || weight < 0 || weight > MAX_WEIGHT) {
+            errors.push({ field: `health_weights.${name}`, message: `weight must be a number between 0 and ${MAX_WEIGHT}` });
+        }
+    });
+
+    const value = { ...DEFAULT_WEIGHTS, ...input };
+    if (!errors.length && !SIGNAL_NAMES.some(name => value[name] > 0)) {
+        errors.push({ field: 'health_weights', message: 'at least one weight must be greater than 0' });
+    }
+
+    return { value: errors.length ? null : value, errors };
+}
+
+function resolveWeights(client) {
+    return { ...DEFAULT_WEIGHTS, ...(client && client.health_weights) };
+}
+
+// Scores every signal and combines them. `score` is null when no signal
+// with a weight could be measured.
+function computeHealth(context, weights) {
+    const results = SIGNALS.map(signal => ({ signal, result: signal.compute(context) }));
+    const totalWeight = results
+        .filter(({ signal, result }) => result && weights[signal.name] > 0)
+        .reduce((sum, { signal }) => sum + weights[signal.name], 0);
+
+    const signals = results.map(({ signal, result }) => {
+        const effective = result && totalWeight ? weights[signal.name] / totalWeight : 0;
+        return {
+            signal: signal.name,
+            description: signal.description,
+            available: Boolean(result),
+            value: result ? result.value : null,
+            score: result ? Math.round(result.score * 100) : null,
+            weight: weights[signal.name],
+            effective_weight: round(effective, 4),
+            // Points this signal adds to the overall score
+            contribution: result ? round(effective * result.score * 100, 1) : 0
+        };
+    });
+
+    return {
+        score: totalWeight ? Math.round(signals.reduce((sum, s) => sum + s.contribution, 0)) : null,
+        signals
+    };
+}
+
+// Why the score moved between two history entries: each signal's change in
+// contribution, largest first. Weight changes show up here too.
+function explainChange(current, previous) {
+    const before = new Map(previous.signals.map(s => [s.signal, s]));
+    const signals = current.signals
+        .map(s => {
+            const old = before.get(s.signal) || { contribution: 0, score: null };
+            return {
+                signal: s.signal,
+                contribution_change: round(s.contribution - old.contribution, 1),
+                score_change: s.score !== null && old.score !== null ? s.score - old.score : null,
+                previous_score: old.score,
+                current_score: s.score
+            };
+        })
+        .sort((a, b) => Math.abs(b.contribution_change) - Math.abs(a.contribution_change));
+
+    const scoreChange = current.score !== null && previous.score !== null ? current.score - previous.score : null;
+    const driver = signals.find(s => s.contribution_change !== 0);
+
+    return {
+        from: previous.date,
+        to: current.date,
+        previous_score: previous.score,
+        score_change: scoreChange,
+        primary_driver: driver ? driver.signal : null,
+        signals
+    };
+}
+
+module.exports = {
+    WINDOW_DAYS,
+    DEFAULT_WEIGHTS,
+    SIGNALS,
+    SIGNAL_NAMES,
+    validateWeights,
+    resolveWeights,
+    computeHealth,
+    explainChange
+};
@@ -0,0 +1,75 @@
+// Idempotency keys
+// A create sent with an Idempotency-Key header runs once: retries with the
+// same key and body get the stored response back (flagged with
+// Idempotent-Replayed: true), and reusing a key for a different body is
+// rejected. Keys are per client and per route, and expire after
+// IDEMPOTENCY_TTL_MS. Handlers behind this middleware must answer with
+// res.json, which is where the response is captured.
+
+const crypto = require('crypto');
+
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// `keys` is the repository stored keys live in
+function idempotent(keys, { ttlMs = IDEMPOTENCY_TTL_MS } = {}) {
+    return (req, res, next) => {
+        const key = req.headers['idempotency-key'];
+        if (key === undefined) {
+            return next();
+        }
+
+        if (!KEY_PATTERN.test(key)) {
+            return res.status(400).json({ error: 'Idempotency-Key must be 1-255 printable ASCII characters' });
+        }
+
+        const id = `idem-${sha256([req.user.clientId, req.method, req.route.path, key].join('\n'))}`;
+        const fingerprint = sha256(JSON.stringify(req.body || {}));
+        const now = new Date();
+        const stored = keys.get(id);
+
+        if (stored && stored.expires_at > now.toISOString()) {
+            if (stored.fingerprint !== fingerprint) {
+                return res.status(422).json({ error: 'Idempotency-Key has already been used with a different request body' });
+            }
+            res.setHeader('Idempotent-Replayed', 'true');
+            return res.status(stored.status_code).json(stored.body);
+        }
+
+        // Server errors aren't stored, so the request can be retried
+        const json = res.json.bind(res);
+        res.json = body => {
+            if (res.statusCode < 500) {
+                keys.set(id, {
+                    id,
+                    clientId: req.user.clientId,
+                    route: `${req.method} ${req.route.path}`,
+                    fingerprint,
+                    status_code: res.statusCode,
+                    body,
+                    created_at: now.toISOString(),
+                    expires_at: new Date(now.getTime() + ttlMs).toISOString()
+                });
+            }
+            return json(body);
+        };
+        next();
+    };
+}
+
+function purgeExpiredKeys(keys, now = new Date()) {
+    const expired = keys.find(entry => entry.expires_at <= now.toISOString());
+    expired.forEach(entry => keys.delete(entry.id));
+    return expired.length;
+}
+
+module.exports = {
+    IDEMPOTENCY_TTL_MS,
+    idempotent,
+    purgeExpiredKeys
+};
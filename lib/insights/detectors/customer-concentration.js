@@ -0,0 +1,63 @@
+// Customer concentration risk
+// Warns when a handful of customer_ids bring in too much of the revenue.
+// Confidence reflects how much of the revenue we can actually tie to a
+// customer and how many customers there are to judge from.
+
+const { toDateString } = require('../../periods');
+const { round } = require('../stats');
+
+const TOP_CUSTOMER_LIMIT = 0.25;
+const TOP_THREE_LIMIT = 0.5;
+
+module.exports = {
+    name: 'customer_concentration',
+    focusAreas: ['concentration', 'customers', 'risk'],
+
+    detect({ windowRecords, window, reportingCurrency, impactOf }) {
+        const total = windowRecords.reduce((s, r) => s + r.amount, 0);
+        const byCustomer = new Map();
+        windowRecords.filter(r => r.customer_id).forEach(r => {
+            byCustomer.set(r.customer_id, (byCustomer.get(r.customer_id) || 0) + r.amount);
+        });
+
+        const identified = Array.from(byCustomer.values()).reduce((a, b) => a + b, 0);
+        if (!total || byCustomer.size < 3) {
+            return [];
+        }
+
+        const ranked = Array.from(byCustomer, ([customer_id, revenue]) => ({ customer_id, revenue }))
+            .sort((a, b) => b.revenue - a.revenue);
+        const topShare = ranked[0].revenue / total;
+        const topThree = ranked.slice(0, 3);
+        const topThreeShare = topThree.reduce((s, c) => s + c.revenue, 0) / total;
+
+        if (topShare < TOP_CUSTOMER_LIMIT && topThreeShare < TOP_THREE_LIMIT) {
+            return [];
+        }
+
+        const hhi = ranked.reduce((s, c) => s + (c.revenue / identified) ** 2, 0);
+        const coverage = identified / total;
+        const confidence = Math.round(Math.min(95, 100 * coverage * Math.min(1, byCustomer.size / 10)));
+        const single = topShare >= TOP_CUSTOMER_LIMIT;
+
+        return [{
+            type: 'warning',
+            title: single
+                ? `One customer drives ${round(topShare * 100, 1)}% of revenue`
+                : `Top 3 customers drive ${round(topThreeShare * 100, 1)}% of revenue`,
+            description: `Between ${toDateString(window.start)} and ${toDateString(window.end)}, ${single ? `customer ${ranked[0].customer_id} brought in ${round(ranked[0].revenue)} ${reportingCurrency}` : `the three largest customers brought in ${round(topThreeShare * total)} ${reportingCurrency}`}. Losing them would hit revenue hard.`,
+            key: single ? 'top_customer' : 'top_three',
+            confidence,
+            impact: impactOf(single ? ranked[0].revenue : topThreeShare * total),
+            evidence: {
+                metric: single ? 'top_customer_share' : 'top_3_customer_share',
+                baseline: single ? TOP_CUSTOMER_LIMIT : TOP_THREE_LIMIT,
+                observed: round(single ? topShare : topThreeShare, 4),
+                period: { start: toDateString(window.start), end: toDateString(window.end) },
+                herfindahl_index: round(hhi, 4),
+                revenue_with_customer_id: round(coverage, 4),
+                top_customers: topThree.map(c => ({ customer_id: c.customer_id, revenue: round(c.revenue) }))
+            }
+        }];
+    }
+};
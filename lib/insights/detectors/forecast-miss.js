@@ -0,0 +1,53 @@
+// Forecast misses
+// Re-runs the forecasting engine as it would have looked one period ago and
+// checks whether the period that has since closed landed outside the
+// prediction interval.
+
+const { buildHistory, forecastRevenue } = require('../../forecasting');
+const { confidenceFromZ, round } = require('../stats');
+
+module.exports = {
+    name: 'forecast_miss',
+    focusAreas: ['forecast', 'revenue'],
+
+    detect({ records, asOf, windowDays, reportingCurrency, impactOf }) {
+        const granularity = windowDays <= 31 ? 'weekly' : 'monthly';
+        const history = buildHistory(records, granularity, asOf);
+        if (history.length < 4) {
+            return [];
+        }
+
+        const actual = history[history.length - 1];
+        const result = forecastRevenue(history.slice(0, -1), { periods: 1, granularity });
+        if (!result) {
+            return [];
+        }
+
+        const predicted = result.forecast[0];
+        const observed = actual.revenue;
+        if (observed >= predicted.lower_bound && observed <= predicted.upper_bound) {
+            return [];
+        }
+
+        const sigma = Math.max((predicted.upper_bound - predicted.predicted_revenue) / 1.96, 1);
+        const z = (observed - predicted.predicted_revenue) / sigma;
+        const above = observed > predicted.upper_bound;
+
+        return [{
+            type: above ? 'success' : 'warning',
+            title: above ? 'Revenue beat forecast' : 'Revenue missed forecast',
+            description: `Revenue for the ${granularity === 'weekly' ? 'week' : 'month'} starting ${actual.period_start} was ${round(observed)} ${reportingCurrency}; the ${result.model} forecast expected ${predicted.predicted_revenue} (${predicted.lower_bound}-${predicted.upper_bound}).`,
+            key: `${granularity}:${actual.period_start}`,
+            confidence: confidenceFromZ(z),
+            impact: impactOf(Math.abs(observed - predicted.predicted_revenue)),
+            evidence: {
+                metric: `${granularity}_revenue`,
+                baseline: predicted.predicted_revenue,
+                observed: round(observed),
+                period: { start: actual.period_start, end: actual.period_end },
+                interval: { lower: predicted.lower_bound, upper: predicted.upper_bound, level: result.interval_level },
+                model: result.model
+            }
+        }];
+    }
+};
@@ -0,0 +1,67 @@
+// Revenue anomalies
+// Flags days in the window whose revenue is far from what that weekday
+// usually brings in. Comparing against the same weekday removes the weekly
+// seasonality, so what's left is the seasonal residual expressed as a z-score.
+
+const { addDays, toDateString } = require('../../periods');
+const { mean, stdDev, confidenceFromZ, round } = require('../stats');
+
+const Z_THRESHOLD = 3;
+const BASELINE_WEEKS = 8;
+const MAX_INSIGHTS = 3;
+
+module.exports = {
+    name: 'revenue_anomalies',
+    focusAreas: ['anomalies', 'revenue'],
+
+    detect({ dailyRevenue, window, reportingCurrency, impactOf }) {
+        const baselineStart = addDays(window.start, -7 * BASELINE_WEEKS);
+        const findings = [];
+
+        for (let day = window.start; day <= window.end; day = addDays(day, 1)) {
+            const baseline = [];
+            for (let d = addDays(day, -7); d >= baselineStart; d = addDays(d, -7)) {
+                baseline.push(dailyRevenue(d));
+            }
+            if (baseline.length < 4) {
+                continue;
+            }
+
+            const expected = mean(baseline);
+            // Floor the spread so a perfectly flat baseline doesn't turn every
+            // small wobble into an infinite z-score
+            const spread = Math.max(stdDev(baseline), expected * 0.05, 1);
+            const observed = dailyRevenue(day);
+            const z = (observed - expected) / spread;
+
+            if (Math.abs(z) >= Z_THRESHOLD) {
+                findings.push({ day, expected, observed, z, samples: baseline.length });
+            }
+        }
+
+        return findings
+            .sort((a, b) => Math.abs(b.z) - Math.abs(a.z))
+            .slice(0, MAX_INSIGHTS)
+            .map(({ day, expected, observed, z, samples }) => {
+                const date = toDateString(day);
+                const spike = z > 0;
+                const weekday = day.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+                return {
+                    type: spike ? 'opportunity' : 'warning',
+                    title: spike ? `Unusual revenue spike on ${date}` : `Unusual revenue drop on ${date}`,
+                    description: `Revenue on ${date} was ${round(observed)} ${reportingCurrency} against a typical ${weekday} of ${round(expected)} ${reportingCurrency} (${round(z, 1)} standard deviations ${spike ? 'above' : 'below'} normal).`,
+                    key: date,
+                    confidence: Math.round(confidenceFromZ(z) * Math.min(1, samples / BASELINE_WEEKS)),
+                    impact: impactOf(Math.abs(observed - expected)),
+                    evidence: {
+                        metric: 'daily_revenue',
+                        baseline: round(expected),
+                        observed: round(observed),
+                        period: { start: date, end: date },
+                        z_score: round(z),
+                        baseline_samples: samples
+                    }
+                };
+            });
+    }
+};
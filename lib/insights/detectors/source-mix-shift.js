@@ -0,0 +1,75 @@
+// Source mix shifts
+// Compares each source's share of revenue in the window with its share over
+// the same length of time just before it. Confidence comes from a
+// two-proportion z-test on transaction counts.
+
+const { toDateString } = require('../../periods');
+const { confidenceFromZ, round } = require('../stats');
+
+const MIN_SHIFT = 0.1;
+
+function shares(records) {
+    const total = records.reduce((s, r) => s + r.amount, 0);
+    const bySource = new Map();
+    records.forEach(r => {
+        const entry = bySource.get(r.source) || { revenue: 0, count: 0 };
+        entry.revenue += r.amount;
+        entry.count++;
+        bySource.set(r.source, entry);
+    });
+    return { total, count: records.length, bySource };
+}
+
+module.exports = {
+    name: 'source_mix_shift',
+    focusAreas: ['source_mix', 'channels', 'attribution'],
+
+    detect({ windowRecords, baselineRecords, window, baseline, impactOf }) {
+        const current = shares(windowRecords);
+        const previous = shares(baselineRecords);
+
+        if (!current.total || !previous.total) {
+            return [];
+        }
+
+        const sources = new Set([...current.bySource.keys(), ...previous.bySource.keys()]);
+        const insights = [];
+
+        sources.forEach(source => {
+            const now = current.bySource.get(source) || { revenue: 0, count: 0 };
+            const before = previous.bySource.get(source) || { revenue: 0, count: 0 };
+            const shareNow = now.revenue / current.total;
+            const shareBefore = before.revenue / previous.total;
+            const shift = shareNow - shareBefore;
+
+            if (Math.abs(shift) < MIN_SHIFT) {
+                return;
+            }
+
+            const p1 = now.count / current.count;
+            const p2 = before.count / previous.count;
+            const pooled = (now.count + before.count) / (current.count + previous.count);
+            const se = Math.sqrt(pooled * (1 - pooled) * (1 / current.count + 1 / previous.count)) || 1;
+            const grew = shift > 0;
+
+            insights.push({
+                type: grew ? 'opportunity' : 'warning',
+                title: `${source} ${grew ? 'grew' : 'shrank'} to ${round(shareNow * 100, 1)}% of revenue`,
+                description: `${source} accounted for ${round(shareNow * 100, 1)}% of revenue between ${toDateString(window.start)} and ${toDateString(window.end)}, ${grew ? 'up' : 'down'} from ${round(shareBefore * 100, 1)}% in the previous period.`,
+                key: source,
+                confidence: confidenceFromZ((p1 - p2) / se),
+                impact: impactOf(Math.abs(shift) * current.total),
+                evidence: {
+                    metric: 'source_revenue_share',
+                    baseline: round(shareBefore, 4),
+                    observed: round(shareNow, 4),
+                    period: { start: toDateString(window.start), end: toDateString(window.end) },
+                    baseline_period: { start: toDateString(baseline.start), end: toDateString(baseline.end) },
+                    source
+                }
+            });
+        });
+
+        return insights;
+    }
+};
@@ -0,0 +1,69 @@
+// Week-over-week drops
+// Compares the last complete ISO week with the one before. Confidence is how
+// unusual the drop is against the week-over-week changes of the prior weeks.
+
+const { addDays, startOfPeriod, toDateString } = require('../../periods');
+const { mean, stdDev, confidenceFromZ, round } = require('../stats');
+
+const DROP_THRESHOLD = -0.2;
+const HISTORY_WEEKS = 12;
+
+module.exports = {
+    name: 'week_over_week_drop',
+    focusAreas: ['trends', 'revenue', 'wow'],
+
+    detect({ dailyRevenue, asOf, reportingCurrency, impactOf }) {
+        const weekTotal = start => {
+            let total = 0;
+            for (let i = 0; i < 7; i++) {
+                total += dailyRevenue(addDays(start, i));
+            }
+            return total;
+        };
+
+        const lastWeek = addDays(startOfPeriod(asOf, 'weekly'), -7);
+        const previousWeek = addDays(lastWeek, -7);
+        const current = weekTotal(lastWeek);
+        const previous = weekTotal(previousWeek);
+
+        if (!previous) {
+            return [];
+        }
+
+        const change = (current - previous) / previous;
+        if (change > DROP_THRESHOLD) {
+            return [];
+        }
+
+        const history = [];
+        for (let w = 1; w <= HISTORY_WEEKS; w++) {
+            const a = weekTotal(addDays(previousWeek, -7 * w));
+            const b = weekTotal(addDays(previousWeek, -7 * (w - 1)));
+            if (a) {
+                history.push((b - a) / a);
+            }
+        }
+
+        const confidence = history.length >= 4
+            ? confidenceFromZ((change - mean(history)) / (stdDev(history) || 0.1))
+            : 60;
+
+        return [{
+            type: 'warning',
+            title: `Revenue fell ${round(Math.abs(change) * 100, 1)}% week over week`,
+            description: `The week of ${toDateString(lastWeek)} brought in ${round(current)} ${reportingCurrency}, down from ${round(previous)} ${reportingCurrency} the week before.`,
+            key: toDateString(lastWeek),
+            confidence,
+            impact: impactOf(previous - current),
+            evidence: {
+                metric: 'weekly_revenue',
+                baseline: round(previous),
+                observed: round(current),
+                period: { start: toDateString(lastWeek), end: toDateString(addDays(lastWeek, 6)) },
+                baseline_period: { start: toDateString(previousWeek), end: toDateString(addDays(previousWeek, 6)) },
+                change: round(change, 4),
+                history_weeks: history.length
+            }
+        }];
+    }
+};
@@ -0,0 +1,142 @@
+// Insight engine
+// Runs rule-based detectors over a client's revenue records and turns what
+// they find into insights. Every detector is a plain object:
+//
+//   { name, focusAreas: [...], detect(context) -> [draft] }
+//
+// where a draft carries type, title, description, confidence (0-100), impact,
+// a detector-specific key and evidence { metric, baseline, observed, period }.
+// Register new detectors in DETECTORS below; focus_areas on a generate
+// request select every detector that lists one of them.
+
+const { addDays, toDateString, today } = require('../periods');
+const { recordDate, sumRevenue, filterByDateRange } = require('../revenue-analytics');
+const lifecycle = require('./lifecycle');
+
+const DETECTORS = [
+    require('./detectors/revenue-anomalies'),
+    require('./detectors/source-mix-shift'),
+    require('./detectors/customer-concentration'),
+    require('./detectors/week-over-week-drop'),
+    require('./detectors/forecast-miss')
+];
+
+const FOCUS_AREAS = Array.from(new Set(DETECTORS.flatMap(d => d.focusAreas))).sort();
+
+const TIME_WINDOW_UNITS = { d: 1, w: 7, m: 30, q: 91 };
+const MAX_WINDOW_DAYS = 366;
+
+// Accepts windows like '7d', '12w', '3m' or '1q' and returns a day count, or
+// null when the value isn't one of those
+function parseTimeWindow(value) {
+    const match = /^(\d+)([dwmq])$/.exec(String(value));
+    if (!match) {
+        return null;
+    }
+    const days = parseInt(match[1], 10) * TIME_WINDOW_UNITS[match[2]];
+    return days >= 1 && days <= MAX_WINDOW_DAYS ? days : null;
+}
+
+function selectDetectors(focusAreas = []) {
+    if (!focusAreas.length) {
+        return DETECTORS;
+    }
+    return DETECTORS.filter(d => d.focusAreas.some(area => focusAreas.includes(area)));
+}
+
+// Impact is sized by the revenue at stake relative to the window's revenue
+function impactScale(reference) {
+    return amount => {
+        if (!reference) {
+            return 'low';
+        }
+        const share = amount / reference;
+        if (share >= 0.1) {
+            return 'high';
+        }
+        return share >= 0.03 ? 'medium' : 'low';
+    };
+}
+
+function generateInsights(records, { focusAreas = [], timeWindow = '30d', asOf = today(), reportingCurrency = 'USD' } = {}) {
+    const windowDays = parseTimeWindow(timeWindow);
+    if (!windowDays) {
+        throw new Error(`Invalid time window: ${timeWindow}`);
+    }
+
+    // Only complete days count, so the window ends yesterday
+    const end = addDays(asOf, -1);
+    const window = { start: addDays(end, -(windowDays - 1)), end };
+    const baseline = { start: addDays(window.start, -windowDays), end: addDays(window.start, -1) };
+
+    const daily = new Map();
+    records.forEach(record => {
+        const date = recordDate(record);
+        if (date) {
+            const key = toDateString(date);
+            daily.set(key, (daily.get(key) || 0) + record.amount);
+        }
+    });
+
+    const windowRecords = filterByDateRange(records, window.start, window.end);
+    const baselineRecords = filterByDateRange(records, baseline.start, baseline.end);
+
+    const context = {
+        records,
+        windowRecords,
+        baselineRecords,
+        window,
+        baseline,
+        windowDays,
+        asOf,
+        reportingCurrency,
+        dailyRevenue: date => daily.get(toDateString(date)) || 0,
+        impactOf: impactScale(sumRevenue(windowRecords) || sumRevenue(baselineRecords))
+    };
+
+    return selectDetectors(focusAreas).flatMap(detector =>
+        detector.detect(context).map(draft => ({ ...draft, detector: detector.name }))
+    );
+}
+
+// Stores drafts as open insights for a client. A detector reporting the same
+// finding again (same detector and key) doesn't create a duplicate, even if
+// the earlier one was dismissed; the returned list only holds newly created
+// insights.
+function saveInsights(insights, clientId, drafts, { jobId = null } = {}) {
+    const existing = new Set(insights
+        .find(insight => insight.clientId === clientId && insight.fingerprint)
+        .map(insight => insight.fingerprint));
+    const generatedAt = new Date().toISOString();
+
+    return drafts
+        .filter(draft => !existing.has(`${draft.detector}:${draft.key}`))
+        .map(({ key, ...draft }) => {
+            const insight = {
+                id: `insight-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                clientId,
+                ...draft,
+                fingerprint: `${draft.detector}:${key}`,
+                status: 'open',
+                snoozed_until: null,
+                assigned_to: null,
+                feedback: [],
+                job_id: jobId,
+                generated_at: generatedAt
+            };
+            insights.set(insight.id, insight);
+            existing.add(insight.fingerprint);
+            return insight;
+        });
+}
+
+module.exports = {
+    DETECTORS,
+    FOCUS_AREAS,
+    MAX_WINDOW_DAYS,
+    parseTimeWindow,
+    selectDetectors,
+    generateInsights,
+    saveInsights,
+    ...lifecycle
+};
@@ -0,0 +1,72 @@
+// Insight lifecycle
+// An insight starts out open and can be acknowledged or dismissed (with a
+// reason). Snoozing is orthogonal to status: a snoozed insight drops out of
+// the feed until snoozed_until passes and then comes back as it was.
+
+const { parseDate } = require('../periods');
+
+const INSIGHT_STATUSES = ['open', 'acknowledged', 'dismissed'];
+const SORTABLE_FIELDS = ['generated_at', 'confidence', 'impact'];
+const IMPACT_RANK = { low: 1, medium: 2, high: 3 };
+const MAX_SNOOZE_DAYS = 365;
+const MAX_TEXT_LENGTH = 500;
+
+function isSnoozed(insight, now = new Date()) {
+    return Boolean(insight.snoozed_until) && new Date(insight.snoozed_until) > now;
+}
+
+function sortValue(insight, sort) {
+    return sort === 'impact' ? IMPACT_RANK[insight.impact] || 0 : insight[sort];
+}
+
+// Accepts a YYYY-MM-DD date (snoozes until that day starts, UTC) or a full
+// ISO timestamp. Returns { until } or { error }.
+function parseSnoozeUntil(value, now = new Date()) {
+    if (typeof value !== 'string') {
+        return { error: 'until is required (YYYY-MM-DD or ISO 8601 timestamp)' };
+    }
+    const until = parseDate(value) || (/^\d{4}-\d{2}-\d{2}T/.test(value) ? new Date(value) : null);
+    if (!until || isNaN(until)) {
+        return { error: 'until must be a YYYY-MM-DD date or ISO 8601 timestamp' };
+    }
+    if (until <= now) {
+        return { error: 'until must be in the future' };
+    }
+    if (until - now > MAX_SNOOZE_DAYS * 24 * 60 * 60 * 1000) {
+        return { error: `Insights can be snoozed for at most ${MAX_SNOOZE_DAYS} days` };
+    }
+    return { until: until.toISOString() };
+}
+
+// One feedback entry per principal; giving feedback again replaces it
+function withFeedback(insight, principalId, { helpful, comment = null }) {
+    const entry = { by: principalId, helpful, comment, at: new Date().toISOString() };
+    return [...(insight.feedback || []).filter(f => f.by !== principalId), entry];
+}
+
+function summarizeFeedback(feedback = []) {
+    const helpful = feedback.filter(f => f.helpful).length;
+    return { helpful, not_helpful: feedback.length - helpful };
+}
+
+function publicInsight(insight, now = new Date()) {
+    const { fingerprint, feedback, ...rest } = insight;
+    return {
+        ...rest,
+        snoozed: isSnoozed(insight, now),
+        feedback: summarizeFeedback(feedback)
+    };
+}
+
+module.exports = {
+    INSIGHT_STATUSES,
+    SORTABLE_FIELDS,
+    IMPACT_RANK,
+    MAX_TEXT_LENGTH,
+    isSnoozed,
+    sortValue,
+    parseSnoozeUntil,
+    withFeedback,
+    summarizeFeedback,
+    publicInsight
+};
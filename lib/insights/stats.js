@@ -0,0 +1,42 @@
+// Small statistics helpers shared by the detectors
+
+function mean(values) {
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+// Sample standard deviation
+function stdDev(values) {
+    if (values.length < 2) {
+        return 0;
+    }
+    const m = mean(values);
+    return Math.sqrt(values.reduce((s, v) => s + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 erf approximation)
+function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Confidence (0-100) that a deviation of |z| standard errors is real, from
+// the two-sided p-value
+function confidenceFromZ(z) {
+    const p = 2 * (1 - normalCdf(Math.abs(z)));
+    return Math.round(Math.min(99, Math.max(0, (1 - p) * 100)));
+}
+
+function round(value, digits = 2) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    mean,
+    stdDev,
+    normalCdf,
+    confidenceFromZ,
+    round
+};
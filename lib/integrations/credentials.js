@@ -0,0 +1,57 @@
+// Encryption of stored integration credentials
+// AES-256-GCM with a random IV per value. Ciphertexts look like
+// "v1:<iv>:<tag>:<data>" (base64url parts) so the format can change later.
+//
+// INTEGRATION_ENCRYPTION_KEY holds 32 bytes as hex or base64. Outside
+// production we fall back to a development key; in production a missing key
+// is fatal.
+
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+const DEV_KEY = crypto.createHash('sha256').update('butler-dev-integration-key').digest();
+
+function parseKey(value) {
+    const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+    if (key.length !== 32) {
+        throw new Error('INTEGRATION_ENCRYPTION_KEY must be 32 bytes, hex or base64 encoded');
+    }
+    return key;
+}
+
+function createCredentialCipher(env = process.env) {
+    let key;
+    if (env.INTEGRATION_ENCRYPTION_KEY) {
+        key = parseKey(env.INTEGRATION_ENCRYPTION_KEY);
+    } else if (env.NODE_ENV === 'production') {
+        throw new Error('INTEGRATION_ENCRYPTION_KEY must be set in production');
+    } else {
+        key = DEV_KEY;
+    }
+
+    return {
+        encrypt(credentials) {
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+            const data = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+            return [VERSION, iv, cipher.getAuthTag(), data].map(part =>
+                typeof part === 'string' ? part : part.toString('base64url')).join(':');
+        },
+
+        // Throws if the value was tampered with or encrypted with another key
+        decrypt(ciphertext) {
+            const [version, iv, tag, data] = String(ciphertext).split(':');
+            if (version !== VERSION || !iv || !tag || !data) {
+                throw new Error('Unrecognised credential format');
+            }
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+            decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+            const plain = Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]);
+            return JSON.parse(plain.toString('utf8'));
+        }
+    };
+}
+
+module.exports = {
+    createCredentialCipher
+};
@@ -0,0 +1,68 @@
+// HTTP plumbing shared by the OAuth flow and the connectors
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+class ProviderError extends Error {
+    // `reauthorize` marks failures only the user can fix by connecting again,
+    // such as a revoked grant
+    constructor(message, { status = null, body = null, reauthorize = false } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.body = body;
+        this.reauthorize = reauthorize;
+    }
+}
+
+async function request(url, { method = 'GET', headers = {}, body, query } = {}) {
+    const target = new URL(url);
+    Object.entries(query || {}).forEach(([name, value]) => {
+        if (value !== undefined && value !== null) {
+            target.searchParams.set(name, value);
+        }
+    });
+
+    let payload = body;
+    const allHeaders = { accept: 'application/json', ...headers };
+    if (body instanceof URLSearchParams) {
+        allHeaders['content-type'] = 'application/x-www-form-urlencoded';
+        payload = body.toString();
+    } else if (body !== undefined) {
+        allHeaders['content-type'] = 'application/json';
+        payload = JSON.stringify(body);
+    }
+
+    let response;
+    try {
+        response = await fetch(target, {
+            method,
+            headers: allHeaders,
+            body: payload,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+    } catch (error) {
+        throw new ProviderError(`${method} ${target.origin}${target.pathname} failed: ${error.message}`);
+    }
+
+    const text = await response.text();
+    let parsed = null;
+    try {
+        parsed = text ? JSON.parse(text) : null;
+    } catch (error) {
+        parsed = text;
+    }
+
+    if (!response.ok) {
+        throw new ProviderError(`${method} ${target.pathname} returned ${response.status}`, {
+            status: response.status,
+            body: parsed
+        });
+    }
+
+    return parsed;
+}
+
+module.exports = {
+    ProviderError,
+    request
+};
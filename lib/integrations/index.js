@@ -0,0 +1,96 @@
+// Integration connectors
+// Each provider module describes its OAuth endpoints, the settings a
+// connection needs and how to fetch one page of data from a cursor:
+//
+//   fetchPage({ api, cursor, config }) -> { revenue?, rankings?, cursor, hasMore }
+//
+// OAuth client credentials and endpoint overrides come from the environment,
+// e.g. STRIPE_CLIENT_ID, STRIPE_CLIENT_SECRET, STRIPE_AUTHORIZE_URL,
+// STRIPE_TOKEN_URL and STRIPE_API_BASE. The overrides are what point a
+// connector at a local mock server (see scripts/mock-providers.js).
+
+const { createCredentialCipher } = require('./credentials');
+const { ProviderError } = require('./http');
+const oauth = require('./oauth');
+const { runConnectorSync, MAX_PAGES_PER_SYNC } = require('./sync');
+
+const PROVIDERS = new Map([
+    require('./providers/stripe'),
+    require('./providers/hubspot'),
+    require('./providers/salesforce'),
+    require('./providers/google-search-console')
+].map(provider => [provider.name, provider]));
+
+const INTEGRATION_STATUSES = ['pending', 'connected', 'error', 'disconnected'];
+
+function getProvider(name) {
+    return PROVIDERS.get(name) || null;
+}
+
+function providerConfig(provider, env = process.env) {
+    const prefix = provider.envPrefix;
+    const config = {
+        clientId: env[`${prefix}_CLIENT_ID`] || null,
+        clientSecret: env[`${prefix}_CLIENT_SECRET`] || null,
+        authorizeUrl: env[`${prefix}_AUTHORIZE_URL`] || provider.defaults.authorizeUrl,
+        tokenUrl: env[`${prefix}_TOKEN_URL`] || provider.defaults.tokenUrl,
+        apiBase: env[`${prefix}_API_BASE`] || provider.defaults.apiBase
+    };
+    config.configured = Boolean(config.clientId && config.clientSecret);
+    return config;
+}
+
+function describeProvider(provider, env = process.env) {
+    return {
+        name: provider.name,
+        display_name: provider.display_name,
+        kind: provider.kind,
+        scopes: provider.scopes,
+        config_fields: provider.configFields,
+        configured: providerConfig(provider, env).configured
+    };
+}
+
+// Checks the connection settings a provider needs (e.g. the Search Console
+// property). Returns { config } or { error }.
+function validateConnectionConfig(provider, input = {}) {
+    if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'config must be an object' };
+    }
+
+    const config = {};
+    for (const field of provider.configFields) {
+        const value = input[field.name];
+        if (value === undefined || value === null || value === '') {
+            if (field.required) {
+                return { error: `config.${field.name} is required for ${provider.display_name}` };
+            }
+            continue;
+        }
+        if (typeof value !== 'string') {
+            return { error: `config.${field.name} must be a string` };
+        }
+        config[field.name] = value.trim();
+    }
+    return { config };
+}
+
+function publicIntegration(integration) {
+    const { credentials, oauth_state_hash, oauth_state_expires_at, ...rest } = integration;
+    return { ...rest, has_credentials: Boolean(credentials) };
+}
+
+module.exports = {
+    PROVIDERS,
+    INTEGRATION_STATUSES,
+    MAX_PAGES_PER_SYNC,
+    ProviderError,
+    getProvider,
+    providerConfig,
+    describeProvider,
+    validateConnectionConfig,
+    publicIntegration,
+    createCredentialCipher,
+    runConnectorSync,
+    ...oauth
+};
@@ -0,0 +1,105 @@
+// OAuth2 authorization-code flow
+// The state parameter ties the provider's callback back to the pending
+// integration; we only keep its hash, like invitation tokens.
+
+const crypto = require('crypto');
+const { ProviderError, request } = require('./http');
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Refresh a little before expiry so a sync doesn't start with a token that
+// runs out halfway through
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+function createState() {
+    const state = crypto.randomBytes(24).toString('base64url');
+    return {
+        state,
+        hash: hashState(state),
+        expires_at: new Date(Date.now() + STATE_TTL_MS).toISOString()
+    };
+}
+
+function hashState(state) {
+    return crypto.createHash('sha256').update(String(state)).digest('hex');
+}
+
+function buildAuthorizationUrl(provider, config, { state, redirectUri }) {
+    const url = new URL(config.authorizeUrl);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', config.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('state', state);
+    if (provider.scopes.length) {
+        url.searchParams.set('scope', provider.scopes.join(' '));
+    }
+    Object.entries(provider.authorizeParams || {}).forEach(([name, value]) => url.searchParams.set(name, value));
+    return url.toString();
+}
+
+// Normalises a token endpoint response into the credentials we store
+function toCredentials(token, previous = {}) {
+    return {
+        access_token: token.access_token,
+        // Not every provider rotates refresh tokens on refresh
+        refresh_token: token.refresh_token || previous.refresh_token || null,
+        token_type: token.token_type || 'Bearer',
+        scope: token.scope || previous.scope || null,
+        expires_at: token.expires_in ? new Date(Date.now() + token.expires_in * 1000).toISOString() : null,
+        instance_url: token.instance_url || previous.instance_url || null
+    };
+}
+
+async function exchangeCode(config, { code, redirectUri }) {
+    const token = await request(config.tokenUrl, {
+        method: 'POST',
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri,
+            client_id: config.clientId,
+            client_secret: config.clientSecret
+        })
+    });
+    return toCredentials(token);
+}
+
+async function refreshCredentials(config, credentials) {
+    if (!credentials.refresh_token) {
+        throw new ProviderError('Access token expired and no refresh token is available', { reauthorize: true });
+    }
+
+    let token;
+    try {
+        token = await request(config.tokenUrl, {
+            method: 'POST',
+            body: new URLSearchParams({
+                grant_type: 'refresh_token',
+                refresh_token: credentials.refresh_token,
+                client_id: config.clientId,
+                client_secret: config.clientSecret
+            })
+        });
+    } catch (error) {
+        // invalid_grant and friends come back as 400/401
+        if (error instanceof ProviderError && [400, 401].includes(error.status)) {
+            throw new ProviderError('The provider rejected the refresh token', { status: error.status, body: error.body, reauthorize: true });
+        }
+        throw error;
+    }
+    return toCredentials(token, credentials);
+}
+
+function needsRefresh(credentials, now = Date.now()) {
+    return Boolean(credentials.expires_at) && new Date(credentials.expires_at).getTime() - REFRESH_MARGIN_MS <= now;
+}
+
+module.exports = {
+    STATE_TTL_MS,
+    createState,
+    hashState,
+    buildAuthorizationUrl,
+    exchangeCode,
+    refreshCredentials,
+    needsRefresh
+};
@@ -0,0 +1,67 @@
+// Google Search Console: daily query/page performance becomes ranking
+// observations. Search Console data settles a few days late, so each run
+// re-reads the last few days it already has.
+
+const { addDays, parseDate, toDateString, today } = require('../../periods');
+
+const ROW_LIMIT = 1000;
+const BACKFILL_DAYS = 90;
+const DATA_DELAY_DAYS = 3;
+const REREAD_DAYS = 3;
+
+module.exports = {
+    name: 'google_search_console',
+    display_name: 'Google Search Console',
+    kind: 'seo',
+    envPrefix: 'GOOGLE',
+    defaults: {
+        authorizeUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+        tokenUrl: 'https://oauth2.googleapis.com/token',
+        apiBase: 'https://www.googleapis.com'
+    },
+    scopes: ['https://www.googleapis.com/auth/webmasters.readonly'],
+    // Without these Google doesn't hand out a refresh token
+    authorizeParams: { access_type: 'offline', prompt: 'consent' },
+    configFields: [{ name: 'site_url', required: true, description: 'Search Console property, e.g. https://www.example.com/ or sc-domain:example.com' }],
+
+    initialCursor: () => ({ start_date: null, start_row: 0 }),
+
+    async fetchPage({ api, cursor, config }) {
+        const endDate = addDays(today(), -DATA_DELAY_DAYS);
+        const startDate = parseDate(cursor.start_date) || addDays(endDate, -(BACKFILL_DAYS - 1));
+
+        if (startDate > endDate) {
+            return { rankings: [], hasMore: false, cursor };
+        }
+
+        const page = await api(`/webmasters/v3/sites/${encodeURIComponent(config.site_url)}/searchAnalytics/query`, {
+            method: 'POST',
+            body: {
+                startDate: toDateString(startDate),
+                endDate: toDateString(endDate),
+                dimensions: ['date', 'query', 'page'],
+                rowLimit: ROW_LIMIT,
+                startRow: cursor.start_row || 0
+            }
+        });
+
+        const rows = page.rows || [];
+        const hasMore = rows.length === ROW_LIMIT;
+
+        return {
+            rankings: rows.map(row => ({
+                date: row.keys[0],
+                keyword: row.keys[1],
+                url: row.keys[2],
+                clicks: row.clicks,
+                impressions: row.impressions,
+                ctr: row.ctr,
+                position: row.position
+            })),
+            hasMore,
+            cursor: hasMore
+                ? { start_date: toDateString(startDate), start_row: (cursor.start_row || 0) + rows.length }
+                : { start_date: toDateString(addDays(endDate, -(REREAD_DAYS - 1))), start_row: 0 }
+        };
+    }
+};
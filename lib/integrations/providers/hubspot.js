@@ -0,0 +1,77 @@
+// HubSpot: closed-won deals become revenue records
+// Deals are searched in hs_lastmodifieddate order, so edits to a deal that
+// was already imported come through again and update its record.
+
+const { toDateString } = require('../../periods');
+
+// hs_analytics_source values mapped onto our revenue sources
+const SOURCE_MAP = {
+    ORGANIC_SEARCH: 'organic',
+    PAID_SEARCH: 'paid_ads',
+    PAID_SOCIAL: 'paid_ads',
+    REFERRALS: 'referral',
+    DIRECT_TRAFFIC: 'direct',
+    SOCIAL_MEDIA: 'social',
+    EMAIL_MARKETING: 'email'
+};
+
+const PROPERTIES = ['amount', 'closedate', 'dealstage', 'deal_currency_code', 'hs_analytics_source', 'hs_primary_associated_company', 'hs_lastmodifieddate'];
+
+function toRevenue(deal) {
+    const props = deal.properties || {};
+    return {
+        date: props.closedate ? toDateString(new Date(props.closedate)) : null,
+        amount: props.amount,
+        currency: props.deal_currency_code || undefined,
+        source: SOURCE_MAP[props.hs_analytics_source] || 'direct',
+        channel: 'hubspot',
+        customer_id: props.hs_primary_associated_company || null,
+        external_id: `hubspot:${deal.id}`
+    };
+}
+
+module.exports = {
+    name: 'hubspot',
+    display_name: 'HubSpot',
+    kind: 'revenue',
+    envPrefix: 'HUBSPOT',
+    defaults: {
+        authorizeUrl: 'https://app.hubspot.com/oauth/authorize',
+        tokenUrl: 'https://api.hubapi.com/oauth/v1/token',
+        apiBase: 'https://api.hubapi.com'
+    },
+    scopes: ['crm.objects.deals.read'],
+    configFields: [],
+
+    initialCursor: () => ({ since: 0, after: null, max_modified: null }),
+
+    async fetchPage({ api, cursor }) {
+        const page = await api('/crm/v3/objects/deals/search', {
+            method: 'POST',
+            body: {
+                filterGroups: [{
+                    filters: [
+                        { propertyName: 'dealstage', operator: 'EQ', value: 'closedwon' },
+                        { propertyName: 'hs_lastmodifieddate', operator: 'GTE', value: String(cursor.since || 0) }
+                    ]
+                }],
+                sorts: [{ propertyName: 'hs_lastmodifieddate', direction: 'ASCENDING' }],
+                properties: PROPERTIES,
+                limit: 100,
+                after: cursor.after || undefined
+            }
+        });
+
+        const deals = page.results || [];
+        const newest = deals.reduce((max, d) => Math.max(max, Date.parse(d.properties.hs_lastmodifieddate) || 0), cursor.max_modified || 0);
+        const after = page.paging && page.paging.next && page.paging.next.after;
+
+        return {
+            revenue: deals.map(toRevenue),
+            hasMore: Boolean(after),
+            cursor: after
+                ? { since: cursor.since, after, max_modified: newest }
+                : { since: newest || cursor.since, after: null, max_modified: null }
+        };
+    }
+};
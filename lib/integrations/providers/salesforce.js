@@ -0,0 +1,78 @@
+// Salesforce: won opportunities become revenue records
+// The API lives on the org's own instance, which the token response tells
+// us (instance_url). SOQL results page through nextRecordsUrl.
+
+const API_VERSION = 'v59.0';
+
+const SOURCE_MAP = {
+    'Web': 'organic',
+    'Paid Search': 'paid_ads',
+    'Advertisement': 'paid_ads',
+    'Partner Referral': 'referral',
+    'Employee Referral': 'referral',
+    'External Referral': 'referral'
+};
+
+function buildQuery(since) {
+    const where = ['IsWon = true'];
+    if (since) {
+        // SOQL datetime literals are unquoted. >= re-reads the last
+        // opportunity of the previous run, which the upsert makes harmless.
+        where.push(`LastModifiedDate >= ${since}`);
+    }
+    return `SELECT Id, Amount, CloseDate, CurrencyIsoCode, LeadSource, AccountId, LastModifiedDate FROM Opportunity WHERE ${where.join(' AND ')} ORDER BY LastModifiedDate ASC`;
+}
+
+// Salesforce returns timestamps like 2024-05-01T10:00:00.000+0000, which
+// SOQL won't take back as a literal
+function toSoqlDateTime(value) {
+    const iso = new Date(value.replace(/([+-]\d{2})(\d{2})$/, '$1:$2')).toISOString();
+    return iso.replace(/\.\d{3}Z$/, 'Z');
+}
+
+function toRevenue(opportunity) {
+    return {
+        date: opportunity.CloseDate,
+        amount: opportunity.Amount,
+        currency: opportunity.CurrencyIsoCode || undefined,
+        source: SOURCE_MAP[opportunity.LeadSource] || 'direct',
+        channel: 'salesforce',
+        customer_id: opportunity.AccountId || null,
+        external_id: `salesforce:${opportunity.Id}`
+    };
+}
+
+module.exports = {
+    name: 'salesforce',
+    display_name: 'Salesforce',
+    kind: 'revenue',
+    envPrefix: 'SALESFORCE',
+    defaults: {
+        authorizeUrl: 'https://login.salesforce.com/services/oauth2/authorize',
+        tokenUrl: 'https://login.salesforce.com/services/oauth2/token',
+        apiBase: null
+    },
+    scopes: ['api', 'refresh_token'],
+    configFields: [],
+
+    initialCursor: () => ({ since: null, next_url: null, max_modified: null }),
+
+    async fetchPage({ api, cursor }) {
+        const page = cursor.next_url
+            ? await api(cursor.next_url)
+            : await api(`/services/data/${API_VERSION}/query`, { query: { q: buildQuery(cursor.since) } });
+
+        const opportunities = page.records || [];
+        const newest = opportunities.reduce((max, o) =>
+            (!max || o.LastModifiedDate > max ? o.LastModifiedDate : max), cursor.max_modified);
+        const hasMore = !page.done && Boolean(page.nextRecordsUrl);
+
+        return {
+            revenue: opportunities.map(toRevenue),
+            hasMore,
+            cursor: hasMore
+                ? { since: cursor.since, next_url: page.nextRecordsUrl, max_modified: newest }
+                : { since: newest ? toSoqlDateTime(newest) : cursor.since, next_url: null, max_modified: null }
+        };
+    }
+};
@@ -0,0 +1,60 @@
+// Stripe: successful charges become revenue records
+// Charges are listed newest first, so a run pages backwards with
+// starting_after from `since` (the newest charge seen by the previous run).
+
+const { toDateString } = require('../../periods');
+
+// Currencies Stripe doesn't express in minor units
+const ZERO_DECIMAL_CURRENCIES = new Set(['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF']);
+
+function toRevenue(charge) {
+    const currency = String(charge.currency || 'usd').toUpperCase();
+    const divisor = ZERO_DECIMAL_CURRENCIES.has(currency) ? 1 : 100;
+    return {
+        date: toDateString(new Date(charge.created * 1000)),
+        amount: (charge.amount - (charge.amount_refunded || 0)) / divisor,
+        currency,
+        source: (charge.metadata && charge.metadata.source) || 'direct',
+        channel: 'stripe',
+        customer_id: charge.customer || null,
+        external_id: `stripe:${charge.id}`
+    };
+}
+
+module.exports = {
+    name: 'stripe',
+    display_name: 'Stripe',
+    kind: 'revenue',
+    envPrefix: 'STRIPE',
+    defaults: {
+        authorizeUrl: 'https://connect.stripe.com/oauth/authorize',
+        tokenUrl: 'https://connect.stripe.com/oauth/token',
+        apiBase: 'https://api.stripe.com'
+    },
+    scopes: ['read_only'],
+    configFields: [],
+
+    initialCursor: () => ({ since: null, starting_after: null, max_created: null }),
+
+    async fetchPage({ api, cursor }) {
+        const page = await api('/v1/charges', {
+            query: {
+                limit: 100,
+                'created[gte]': cursor.since || undefined,
+                starting_after: cursor.starting_after || undefined
+            }
+        });
+
+        const charges = page.data || [];
+        const newest = charges.reduce((max, c) => Math.max(max, c.created), cursor.max_created || 0) || null;
+        const hasMore = Boolean(page.has_more) && charges.length > 0;
+
+        return {
+            revenue: charges.filter(c => c.status === 'succeeded').map(toRevenue),
+            hasMore,
+            cursor: hasMore
+                ? { since: cursor.since, starting_after: charges[charges.length - 1].id, max_created: newest }
+                : { since: newest || cursor.since, starting_after: null, max_created: null }
+        };
+    }
+};
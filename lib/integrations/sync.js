@@ -0,0 +1,73 @@
+// Runs a connector from its stored cursor
+// Pages are handed to onPage one at a time together with the cursor that
+// follows them, so the caller can persist both before asking for the next
+// page. A failed run therefore resumes where it stopped instead of starting
+// over.
+//
+// Connectors may hand api() an absolute URL a provider returned (a "next
+// page" link, say). It is only followed on the provider's own API origin,
+// since every call carries the access token.
+
+const { request, ProviderError } = require('./http');
+const { needsRefresh, refreshCredentials } = require('./oauth');
+
+// A single run stops after this many pages and picks up on the next one
+const MAX_PAGES_PER_SYNC = 50;
+
+async function runConnectorSync({ provider, config, integration, credentials, onCredentials, onPage, checkCancelled = () => {}, maxPages = MAX_PAGES_PER_SYNC }) {
+    let current = credentials;
+
+    const refresh = async () => {
+        current = await refreshCredentials(config, current);
+        await onCredentials(current);
+    };
+
+    if (needsRefresh(current)) {
+        await refresh();
+    }
+
+    const api = async (path, options = {}) => {
+        const base = config.apiBase || current.instance_url;
+        const url = /^https?:\/\//i.test(path) ? path : `${base}${path}`;
+        const { origin } = new URL(url);
+        const apiOrigin = new URL(base).origin;
+        if (origin !== apiOrigin) {
+            throw new ProviderError(`Refusing to send credentials to ${origin}, which is not the provider API (${apiOrigin})`);
+        }
+        const call = () => request(url, {
+            ...options,
+            headers: { authorization: `Bearer ${current.access_token}` }
+        });
+
+        try {
+            return await call();
+        } catch (error) {
+            // The token can be revoked or expire early; refresh once and retry
+            if (error.status === 401 && current.refresh_token) {
+                await refresh();
+                return call();
+            }
+            throw error;
+        }
+    };
+
+    let cursor = integration.sync_cursor || provider.initialCursor();
+    let pages = 0;
+    let hasMore = true;
+
+    while (hasMore && pages < maxPages) {
+        checkCancelled();
+        const page = await provider.fetchPage({ api, cursor, config: integration.config || {} });
+        await onPage(page);
+        cursor = page.cursor;
+        hasMore = page.hasMore;
+        pages++;
+    }
+
+    return { pages, complete: !hasMore, cursor };
+}
+
+module.exports = {
+    MAX_PAGES_PER_SYNC,
+    runConnectorSync
+};
@@ -0,0 +1,249 @@
+// Background job queue
+// Jobs are stored in the `jobs` collection, so their state survives restarts
+// with a persistent adapter. A single in-process worker polls for due jobs and
+// runs up to `concurrency` of them at once (optionally fewer per type). Failed
+// jobs are retried with exponential backoff until max_attempts is reached;
+// a run cut short by a restart uses up its attempt too.
+// A finished job keeps its status and result but not its payload, and
+// purgeFinished() deletes finished jobs once they are old enough.
+//
+// Statuses: queued -> running -> succeeded | failed | cancelled
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BACKOFF_MS = 1000;
+
+class JobCancelledError extends Error {
+    constructor() {
+        super('Job was cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+class JobQueue {
+    constructor({ jobs, concurrency = 2, pollIntervalMs = 250, log = () => {} }) {
+        this.jobs = jobs;
+        this.concurrency = concurrency;
+        this.pollIntervalMs = pollIntervalMs;
+        this.log = log;
+        this.handlers = new Map();
+        this.running = new Map();
+        this.timer = null;
+    }
+
+    // options: { maxAttempts, backoffMs, concurrency, onFailure(payload, error, job),
+    // onCancel(payload, job) for a job cancelled before it started }
+    register(type, handler, options = {}) {
+        this.handlers.set(type, { handler, ...options });
+        return this;
+    }
+
+    enqueue(type, payload = {}, { clientId, createdBy, maxAttempts, runAfter } = {}) {
+        const definition = this.handlers.get(type);
+        if (!definition) {
+            throw new Error(`No handler registered for job type "${type}"`);
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            type,
+            clientId,
+            created_by: createdBy,
+            status: 'queued',
+            payload,
+            progress: 0,
+            result_ids: [],
+            attempts: 0,
+            max_attempts: maxAttempts || definition.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+            last_error: null,
+            cancel_requested: false,
+            run_after: runAfter || now,
+            created_at: now,
+            updated_at: now,
+            started_at: null,
+            finished_at: null
+        };
+
+        this.jobs.set(job.id, job);
+        setImmediate(() => this.tick());
+        return job;
+    }
+
+    // Queued jobs are cancelled straight away; running jobs are flagged and
+    // stop at their next progress/cancellation check
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job || !['queued', 'running'].includes(job.status)) {
+            return job;
+        }
+        if (job.status === 'queued') {
+            const cancelled = this.finish(id, { status: 'cancelled' });
+            const definition = this.handlers.get(job.type);
+            if (definition && definition.onCancel) {
+                definition.onCancel(job.payload, cancelled);
+            }
+            return cancelled;
+        }
+        return this.update(id, { cancel_requested: true });
+    }
+
+    start() {
+        if (this.timer) {
+            return this;
+        }
+        this.recover();
+        this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+        this.timer.unref();
+        return this;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // A job still marked running at startup was interrupted by a restart.
+    // The interrupted run counts as an attempt, so a job with none left
+    // fails instead of running again.
+    recover() {
+        this.jobs
+            .find(job => job.status === 'running' && !this.running.has(job.id))
+            .forEach(job => {
+                if (job.attempts < job.max_attempts) {
+                    this.log(`Re-queueing interrupted job ${job.id}`);
+                    this.update(job.id, { status: 'queued', run_after: new Date().toISOString() });
+                    return;
+                }
+                this.log(`Job ${job.id} was interrupted on its last attempt`);
+                const error = new Error('interrupted by restart');
+                this.finish(job.id, { status: 'failed', last_error: error.message });
+                const definition = this.handlers.get(job.type);
+                if (definition && definition.onFailure) {
+                    definition.onFailure(job.payload, error, this.jobs.get(job.id));
+                }
+            });
+    }
+
+    tick() {
+        if (!this.timer || this.running.size >= this.concurrency) {
+            return;
+        }
+
+        const now = new Date().toISOString();
+        const due = this.jobs
+            .find(job => job.status === 'queued' && job.run_after <= now && !this.running.has(job.id))
+            .sort((a, b) => a.run_after.localeCompare(b.run_after));
+
+        for (const job of due) {
+            if (this.running.size >= this.concurrency) {
+                break;
+            }
+            const definition = this.handlers.get(job.type);
+            const runningOfType = Array.from(this.running.values()).filter(type => type === job.type).length;
+            if (definition && definition.concurrency && runningOfType >= definition.concurrency) {
+                continue;
+            }
+            this.run(job, definition);
+        }
+    }
+
+    async run(job, definition) {
+        this.running.set(job.id, job.type);
+        const attempts = job.attempts + 1;
+        this.update(job.id, {
+            status: 'running',
+            attempts,
+            started_at: new Date().toISOString()
+        });
+
+        const context = {
+            // As updated for this attempt, so handlers see the attempt count
+            job: this.jobs.get(job.id),
+            progress: (percent) => {
+                this.checkCancelled(job.id);
+                this.update(job.id, { progress: Math.max(0, Math.min(100, Math.round(percent))) });
+            },
+            addResult: (resultId) => {
+                const current = this.jobs.get(job.id);
+                this.update(job.id, { result_ids: [...current.result_ids, resultId] });
+            },
+            checkCancelled: () => this.checkCancelled(job.id)
+        };
+
+        try {
+            if (!definition) {
+                throw new Error(`No handler registered for job type "${job.type}"`);
+            }
+            const result = await definition.handler(job.payload, context);
+            this.finish(job.id, { status: 'succeeded', progress: 100, result });
+        } catch (error) {
+            if (error instanceof JobCancelledError) {
+                this.finish(job.id, { status: 'cancelled' });
+            } else if (definition && attempts < job.max_attempts) {
+                const backoff = (definition.backoffMs || DEFAULT_BACKOFF_MS) * Math.pow(2, attempts - 1);
+                this.log(`Job ${job.id} failed (attempt ${attempts}), retrying in ${backoff}ms: ${error.message}`);
+                this.update(job.id, {
+                    status: 'queued',
+                    last_error: error.message,
+                    run_after: new Date(Date.now() + backoff).toISOString()
+                });
+            } else {
+                this.log(`Job ${job.id} failed permanently: ${error.message}`);
+                this.finish(job.id, { status: 'failed', last_error: error.message });
+                if (definition && definition.onFailure) {
+                    definition.onFailure(job.payload, error, this.jobs.get(job.id));
+                }
+            }
+        } finally {
+            this.running.delete(job.id);
+            setImmediate(() => this.tick());
+        }
+    }
+
+    // Deletes jobs that finished before `before` (a Date) and drops any
+    // payload a finished job still holds. Returns how many were deleted.
+    purgeFinished(before) {
+        const cutoff = before.toISOString();
+        let deleted = 0;
+        this.jobs.find(job => FINISHED_STATUSES.includes(job.status)).forEach(job => {
+            if (job.finished_at && job.finished_at < cutoff) {
+                this.jobs.delete(job.id);
+                deleted++;
+            } else if (job.payload !== null) {
+                this.jobs.update(job.id, { payload: null });
+            }
+        });
+        return deleted;
+    }
+
+    // Payloads can be large and are only needed to run the job
+    finish(id, changes) {
+        return this.update(id, { ...changes, payload: null, finished_at: new Date().toISOString() });
+    }
+
+    checkCancelled(id) {
+        const job = this.jobs.get(id);
+        if (job && job.cancel_requested) {
+            throw new JobCancelledError();
+        }
+    }
+
+    update(id, changes) {
+        return this.jobs.update(id, { ...changes, updated_at: new Date().toISOString() });
+    }
+}
+
+function publicJob({ payload, cancel_requested, ...job }) {
+    return job;
+}
+
+module.exports = {
+    JOB_STATUSES,
+    FINISHED_STATUSES,
+    JobQueue,
+    JobCancelledError,
+    publicJob
+};
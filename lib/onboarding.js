@@ -0,0 +1,52 @@
+// Client onboarding checklist
+// Steps complete themselves from what the client has actually set up, so the
+// checklist can't drift from reality. `facts` hold the time each milestone
+// first happened (or null); once a step is recorded as complete it stays
+// complete, even if e.g. the integration is later disconnected.
+
+const ONBOARDING_STEPS = [
+    {
+        key: 'connect_integration',
+        title: 'Connect your first integration',
+        fact: 'first_integration_connected_at'
+    },
+    {
+        key: 'import_revenue',
+        title: 'Import your first revenue',
+        fact: 'first_revenue_at'
+    },
+    {
+        key: 'invite_user',
+        title: 'Invite your first teammate',
+        fact: 'first_invitation_at'
+    }
+];
+
+// `recorded` maps step keys to the completion time already stored on the client
+function evaluateOnboarding(facts, recorded = {}) {
+    const steps = ONBOARDING_STEPS.map(step => {
+        const completedAt = recorded[step.key] || facts[step.fact] || null;
+        return {
+            key: step.key,
+            title: step.title,
+            completed: Boolean(completedAt),
+            completed_at: completedAt
+        };
+    });
+    const completed = steps.filter(step => step.completed);
+
+    return {
+        steps,
+        completed_steps: completed.length,
+        total_steps: steps.length,
+        completion: Math.round((completed.length / steps.length) * 100) / 100,
+        completed_at: completed.length === steps.length
+            ? completed.map(step => step.completed_at).sort().pop()
+            : null
+    };
+}
+
+module.exports = {
+    ONBOARDING_STEPS,
+    evaluateOnboarding
+};
@@ -0,0 +1,264 @@
+// OpenAPI description
+// The document served at /api/v1/openapi.json is generated from the Express
+// router itself: every registered route becomes an operation, its parameters
+// and request body come from the schemas on its validate() middleware, and
+// its security and required permission from the auth middleware it runs.
+// Only what the router can't know - summaries and response bodies - comes
+// from the route docs table (lib/api-docs), keyed by "METHOD /path" like the
+// audit actions are. Rate limiting middleware is recognised by its
+// `rateLimit` name, which adds the 429 response and the RateLimit headers.
+
+const OPENAPI_VERSION = '3.1.0';
+
+const ERROR_DESCRIPTIONS = {
+    400: 'The request is invalid',
+    401: 'Missing, invalid or revoked credentials',
+    403: 'The caller may not do this',
+    404: 'Not found',
+    409: 'Conflicts with the current state',
+    410: 'No longer available',
+    413: 'Request body is too large',
+    422: 'Understood but cannot be processed',
+    429: 'Rate limit or monthly quota exceeded; retry after Retry-After seconds',
+    500: 'Unexpected server error',
+    502: 'An upstream provider failed',
+    503: 'Not available on this server'
+};
+
+const SUCCESS_DESCRIPTIONS = {
+    200: 'OK',
+    201: 'Created',
+    202: 'Accepted for background processing',
+    204: 'No content'
+};
+
+const integerHeader = description => ({ description, schema: { type: 'integer' } });
+
+const RATE_LIMIT_HEADERS = {
+    'RateLimit-Limit': integerHeader('Requests allowed in the current window'),
+    'RateLimit-Remaining': integerHeader('Requests left in the current window'),
+    'RateLimit-Reset': integerHeader('Seconds until the window starts over'),
+    'RateLimit-Policy': { description: '<limit>;w=<window seconds>', schema: { type: 'string' } }
+};
+
+const RETRY_AFTER_HEADER = {
+    'Retry-After': { ...integerHeader('Seconds to wait before retrying'), required: true }
+};
+
+// /clients/:clientId -> /clients/{clientId}
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParamNames(path) {
+    return (path.match(/:(\w+)/g) || []).map(param => param.slice(1));
+}
+
+// Every route with the handlers it runs, in registration order
+function listRoutes(app) {
+    const routes = [];
+    app._router.stack
+        .filter(layer => layer.route)
+        .forEach(layer => {
+            Object.keys(layer.route.methods)
+                .filter(method => method !== '_all')
+                .forEach(method => routes.push({
+                    method: method.toUpperCase(),
+                    path: layer.route.path,
+                    handlers: layer.route.stack.filter(entry => entry.method === undefined || entry.method === method).map(entry => entry.handle)
+                }));
+        });
+    return routes;
+}
+
+function routeKey(route) {
+    return `${route.method} ${route.path}`;
+}
+
+// Swaps schemas that are registered components for $refs. Components are
+// matched by identity, so a schema is only referenced where the docs used
+// the very same object.
+function withRefs(schema, names, own) {
+    if (Array.isArray(schema)) {
+        return schema.map(item => withRefs(item, names));
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    if (schema !== own && names.has(schema)) {
+        return { $ref: `#/components/schemas/${names.get(schema)}` };
+    }
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, withRefs(value, names)]));
+}
+
+function queryParameters(schema) {
+    const required = schema.required || [];
+    return Object.entries(schema.properties || {}).map(([name, property]) => {
+        const parameter = { name, in: 'query', required: required.includes(name), schema: property };
+        if (property.type === 'array') {
+            // a,b,c - repeating the parameter works too
+            Object.assign(parameter, { style: 'form', explode: false });
+        } else if (property.type === 'object') {
+            Object.assign(parameter, { style: 'deepObject', explode: true });
+        }
+        return parameter;
+    });
+}
+
+function pathParameters(route, schema) {
+    const properties = (schema && schema.properties) || {};
+    return pathParamNames(route.path).map(name => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: properties[name] || { type: 'string' }
+    }));
+}
+
+function isRequiredBody(schema) {
+    return Boolean(schema.anyOf || (schema.required && schema.required.length));
+}
+
+function errorStatuses(route, { secured, validated, limited, extra = [] }) {
+    const statuses = new Set(extra.map(String));
+    if (validated) {
+        statuses.add('400');
+    }
+    if (limited) {
+        statuses.add('429');
+    }
+    if (secured) {
+        // 404 too: X-Client-Id can name a client that doesn't exist
+        ['401', '403', '404'].forEach(status => statuses.add(status));
+    }
+    if (pathParamNames(route.path).length) {
+        statuses.add('404');
+    }
+    statuses.add('500');
+    return [...statuses].sort();
+}
+
+function buildOperation(route, doc, { authenticate, errorSchema, securityRequirement, commonParameters }) {
+    const secured = route.handlers.includes(authenticate);
+    const guard = route.handlers.find(handler => handler.permission);
+    const validation = (route.handlers.find(handler => handler.schemas) || {}).schemas || {};
+    const rateLimits = route.handlers.filter(handler => handler.rateLimit).map(handler => handler.rateLimit);
+    const limitHeaders = rateLimits.length ? RATE_LIMIT_HEADERS : {};
+
+    const operation = {
+        operationId: doc.operationId,
+        summary: doc.summary,
+        ...(doc.description ? { description: doc.description } : {}),
+        tags: [doc.tag],
+        ...(doc['x-undocumented'] ? { 'x-undocumented': true } : {}),
+        parameters: [
+            ...pathParameters(route, validation.params),
+            ...(validation.query ? queryParameters(validation.query) : []),
+            ...(doc.parameters || []),
+            ...(secured ? commonParameters : [])
+        ]
+    };
+
+    if (doc.requestBody) {
+        operation.requestBody = doc.requestBody;
+    } else if (validation.body) {
+        operation.requestBody = {
+            required: isRequiredBody(validation.body),
+            content: { 'application/json': { schema: validation.body } }
+        };
+    }
+
+    operation.responses = {};
+    Object.entries(doc.responses || {}).forEach(([status, response]) => {
+        const headers = { ...limitHeaders, ...response.headers };
+        operation.responses[status] = {
+            description: response.description || SUCCESS_DESCRIPTIONS[status] || 'Success',
+            ...(Object.keys(headers).length ? { headers } : {}),
+            ...(response.content ? { content: response.content } : {}),
+            ...(response.schema ? { content: { 'application/json': { schema: response.schema } } } : {})
+        };
+    });
+    errorStatuses(route, {
+        secured,
+        validated: Boolean(validation.query || validation.body || validation.params),
+        limited: rateLimits.length > 0,
+        extra: doc.errors
+    }).forEach(status => {
+        const headers = status === '429' ? { ...RETRY_AFTER_HEADER, ...limitHeaders } : {};
+        operation.responses[status] = {
+            description: ERROR_DESCRIPTIONS[status] || 'Error',
+            ...(Object.keys(headers).length ? { headers } : {}),
+            content: { 'application/json': { schema: errorSchema } }
+        };
+    });
+
+    if (rateLimits.length) {
+        operation['x-rate-limits'] = rateLimits;
+    }
+
+    if (secured) {
+        operation.security = securityRequirement;
+        if (guard) {
+            operation['x-required-permission'] = guard.permission;
+            operation.description = [operation.description, `Requires the \`${guard.permission}\` permission.`].filter(Boolean).join('\n\n');
+        }
+    } else {
+        operation.security = [];
+    }
+
+    return operation;
+}
+
+// Builds the document for every route on `app`.
+//   authenticate     the middleware that marks a route as authenticated
+//   routeDocs        { 'METHOD /path': { summary, tag, responses, ... } }
+//   components       named schemas, referenced by $ref wherever they're used
+//   errorSchema      the body of every 4xx/5xx response
+//   securitySchemes  OpenAPI security schemes; authenticated routes accept any
+//   commonParameters parameters every authenticated route takes
+function buildSpec(app, { info, servers = [], tags = [], authenticate, routeDocs, components = {}, errorSchema, securitySchemes, commonParameters = [] }) {
+    const securityRequirement = Object.keys(securitySchemes).map(name => ({ [name]: [] }));
+    const paths = {};
+
+    listRoutes(app).forEach(route => {
+        const doc = routeDocs[routeKey(route)] || { summary: routeKey(route), tag: 'undocumented', 'x-undocumented': true };
+        const path = toOpenApiPath(route.path);
+        paths[path] = paths[path] || {};
+        paths[path][route.method.toLowerCase()] = buildOperation(route, doc, {
+            authenticate,
+            errorSchema,
+            securityRequirement,
+            commonParameters
+        });
+    });
+
+    const names = new Map(Object.entries(components).map(([name, schema]) => [schema, name]));
+    const schemas = Object.fromEntries(Object.entries(components).map(([name, schema]) => [name, withRefs(schema, names, schema)]));
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info,
+        servers,
+        tags,
+        paths: withRefs(paths, names),
+        components: { schemas, securitySchemes }
+    };
+}
+
+// Routes on `app` with no entry in the docs table, and entries naming a
+// route that doesn't exist
+function docsCoverage(app, routeDocs) {
+    const keys = listRoutes(app).map(routeKey);
+    return {
+        undocumented: keys.filter(key => !routeDocs[key]),
+        stale: Object.keys(routeDocs).filter(key => !keys.includes(key))
+    };
+}
+
+module.exports = {
+    OPENAPI_VERSION,
+    toOpenApiPath,
+    listRoutes,
+    buildSpec,
+    docsCoverage
+};
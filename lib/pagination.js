@@ -0,0 +1,92 @@
+// Cursor pagination
+// Sorts a list by one field (ties broken by id) and pages through it with an
+// opaque cursor. The cursor records the sort it was issued for, so it can't
+// be replayed against a different ordering.
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function encodeCursor(payload) {
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return payload && typeof payload === 'object' && typeof payload.id === 'string' ? payload : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function compareValues(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    if (a === null || a === undefined) {
+        return -1;
+    }
+    if (b === null || b === undefined) {
+        return 1;
+    }
+    return a < b ? -1 : 1;
+}
+
+// Validates sort/order/limit query values against the sortable fields and
+// returns { sort, order, limit } or { error }
+function parsePageParams(query, { sortable, defaultSort, defaultOrder = 'desc' }) {
+    const sort = query.sort || defaultSort;
+    const order = query.order || defaultOrder;
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+
+    if (!sortable.includes(sort)) {
+        return { error: `sort must be one of: ${sortable.join(', ')}` };
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        return { error: 'order must be asc or desc' };
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+
+    return { sort, order, limit };
+}
+
+// getValue(item) returns the value sorted on; it defaults to item[sort].
+// Returns { items, next_cursor } or { error } for a bad cursor.
+function paginate(items, { sort, order, limit, cursor, getValue = item => item[sort] }) {
+    const direction = order === 'asc' ? 1 : -1;
+    const compare = (aValue, aId, bValue, bId) =>
+        direction * (compareValues(aValue, bValue) || compareValues(aId, bId));
+
+    let sorted = items
+        .map(item => ({ item, value: getValue(item) }))
+        .sort((a, b) => compare(a.value, a.item.id, b.value, b.item.id));
+
+    if (cursor) {
+        const position = decodeCursor(cursor);
+        if (!position || position.sort !== sort || position.order !== order) {
+            return { error: 'Invalid cursor' };
+        }
+        sorted = sorted.filter(entry => compare(entry.value, entry.item.id, position.value, position.id) > 0);
+    }
+
+    const page = sorted.slice(0, limit);
+    const last = page[page.length - 1];
+
+    return {
+        items: page.map(entry => entry.item),
+        next_cursor: sorted.length > limit
+            ? encodeCursor({ sort, order, value: last.value, id: last.item.id })
+            : null
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    encodeCursor,
+    decodeCursor,
+    parsePageParams,
+    paginate
+};
@@ -0,0 +1,185 @@
+// Calendar period helpers
+// All dates are handled as UTC calendar days so that bucketing doesn't shift
+// with the server's timezone.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const GRANULARITY_ALIASES = {
+    day: 'daily',
+    daily: 'daily',
+    week: 'weekly',
+    weekly: 'weekly',
+    month: 'monthly',
+    monthly: 'monthly',
+    quarter: 'quarterly',
+    quarterly: 'quarterly'
+};
+
+const GRANULARITIES = ['daily', 'weekly', 'monthly', 'quarterly'];
+
+// Most buckets one time series may have: about 2.7 years of days, or 19 of
+// weeks. Series are built synchronously, so this bounds the work per request.
+const MAX_PERIODS = 1000;
+
+// Stored dates (revenue records, ranking observations) must fall in this
+// window - the upper bound moves with the current year - so a mistyped year
+// can't stretch every default reporting range back to 0001. Query bounds may
+// reach further ahead, up to MAX_QUERY_YEAR.
+const MIN_RECORD_YEAR = 1970;
+const MAX_RECORD_YEARS_AHEAD = 1;
+const MAX_QUERY_YEAR = 9999;
+
+const maxRecordYear = () => new Date().getUTCFullYear() + MAX_RECORD_YEARS_AHEAD;
+const isRecordYear = year => year >= MIN_RECORD_YEAR && year <= maxRecordYear();
+const isQueryYear = year => year >= MIN_RECORD_YEAR && year <= MAX_QUERY_YEAR;
+
+// Everything normalizeGranularity accepts
+const GRANULARITY_NAMES = Object.keys(GRANULARITY_ALIASES);
+
+function normalizeGranularity(value) {
+    return GRANULARITY_ALIASES[String(value).toLowerCase()] || null;
+}
+
+// Returns a Date at UTC midnight, or null if the value isn't a valid date
+function parseDate(value) {
+    if (value instanceof Date) {
+        return isNaN(value) ? null : startOfDay(value);
+    }
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+        return null;
+    }
+    const date = new Date(value.length === 10 ? `${value}T00:00:00Z` : value);
+    if (isNaN(date) || (value.length === 10 && toDateString(date) !== value)) {
+        return null;
+    }
+    return startOfDay(date);
+}
+
+// Date.UTC reads years 0-99 as 1900-1999; setUTCFullYear doesn't
+function utcDate(year, month, day) {
+    const date = new Date(0);
+    date.setUTCFullYear(year, month, day);
+    return date;
+}
+
+function startOfDay(date) {
+    return utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+function toDateString(date) {
+    return date.toISOString().split('T')[0];
+}
+
+function today() {
+    return startOfDay(new Date());
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+}
+
+// Inclusive number of calendar days from start to end
+function daysBetween(start, end) {
+    return Math.round((end - start) / DAY_MS) + 1;
+}
+
+function startOfPeriod(date, granularity) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+
+    switch (granularity) {
+        case 'weekly': {
+            // ISO weeks start on Monday
+            const offset = (date.getUTCDay() + 6) % 7;
+            return addDays(startOfDay(date), -offset);
+        }
+        case 'monthly':
+            return utcDate(year, month, 1);
+        case 'quarterly':
+            return utcDate(year, month - (month % 3), 1);
+        default:
+            return startOfDay(date);
+    }
+}
+
+function addPeriods(date, granularity, count) {
+    switch (granularity) {
+        case 'weekly':
+            return addDays(date, 7 * count);
+        case 'monthly':
+            return utcDate(date.getUTCFullYear(), date.getUTCMonth() + count, date.getUTCDate());
+        case 'quarterly':
+            return utcDate(date.getUTCFullYear(), date.getUTCMonth() + 3 * count, date.getUTCDate());
+        default:
+            return addDays(date, count);
+    }
+}
+
+// Calendar buckets covering [start, end]. The first and last bucket are
+// clipped to the range, so a range starting mid-month gets a partial month.
+function enumeratePeriods(start, end, granularity) {
+    const periods = [];
+    let bucketStart = startOfPeriod(start, granularity);
+
+    while (bucketStart <= end) {
+        const next = addPeriods(bucketStart, granularity, 1);
+        periods.push({
+            start: bucketStart < start ? start : bucketStart,
+            end: addDays(next, -1) > end ? end : addDays(next, -1),
+            key: toDateString(bucketStart)
+        });
+        bucketStart = next;
+    }
+
+    return periods;
+}
+
+// Number of buckets enumeratePeriods(start, end, granularity) returns,
+// without building them
+function countPeriods(start, end, granularity) {
+    if (start > end) {
+        return 0;
+    }
+    const first = startOfPeriod(start, granularity);
+    const last = startOfPeriod(end, granularity);
+    const months = (last.getUTCFullYear() - first.getUTCFullYear()) * 12 + last.getUTCMonth() - first.getUTCMonth();
+
+    switch (granularity) {
+        case 'weekly':
+            return Math.round((last - first) / (7 * DAY_MS)) + 1;
+        case 'monthly':
+            return months + 1;
+        case 'quarterly':
+            return months / 3 + 1;
+        default:
+            return daysBetween(first, last);
+    }
+}
+
+function periodKey(date, granularity) {
+    return toDateString(startOfPeriod(date, granularity));
+}
+
+module.exports = {
+    DAY_MS,
+    GRANULARITIES,
+    GRANULARITY_NAMES,
+    MAX_PERIODS,
+    MIN_RECORD_YEAR,
+    MAX_QUERY_YEAR,
+    maxRecordYear,
+    isRecordYear,
+    isQueryYear,
+    normalizeGranularity,
+    parseDate,
+    startOfDay,
+    toDateString,
+    today,
+    addDays,
+    daysBetween,
+    startOfPeriod,
+    addPeriods,
+    enumeratePeriods,
+    countPeriods,
+    periodKey
+};
@@ -0,0 +1,96 @@
+// Role-based access control
+// Every user belongs to one client (tenant) and holds one role there. Agency
+// staff are Butler & Co employees: they can act on any client by sending an
+// X-Client-Id header.
+
+const ROLES = ['viewer', 'analyst', 'admin', 'owner', 'agency_staff'];
+
+// Higher rank can manage lower or equal ranks, never higher
+const ROLE_RANK = {
+    viewer: 1,
+    analyst: 2,
+    admin: 3,
+    owner: 4,
+    agency_staff: 5
+};
+
+const READ_PERMISSIONS = [
+    'clients:read',
+    'users:read',
+    'revenue:read',
+    'insights:read',
+    'integrations:read',
+    'attribution:read',
+    'seo:read',
+    'predictions:read',
+    'jobs:read',
+    'reports:read'
+];
+
+const CLIENT_PERMISSIONS = [
+    ...READ_PERMISSIONS,
+    'clients:update',
+    'users:invite',
+    'users:manage',
+    'revenue:write',
+    'insights:write',
+    'integrations:write',
+    'attribution:write',
+    'seo:write',
+    'reports:manage',
+    'api_keys:manage',
+    'webhooks:manage',
+    'audit_logs:read'
+];
+
+const ROLE_PERMISSIONS = {
+    viewer: READ_PERMISSIONS,
+    analyst: [...READ_PERMISSIONS, 'revenue:write', 'insights:write', 'attribution:write', 'seo:write', 'reports:manage'],
+    admin: CLIENT_PERMISSIONS,
+    owner: CLIENT_PERMISSIONS,
+    agency_staff: [
+        ...CLIENT_PERMISSIONS,
+        'clients:create',
+        'clients:cross_tenant',
+        'clients:lifecycle',
+        'fx_rates:manage',
+        'predictions:train'
+    ]
+};
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+function hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// Principals are either users (checked by role) or API keys (checked by the
+// scopes granted to the key)
+function principalHasPermission(principal, permission) {
+    if (principal.type === 'api_key') {
+        return principal.scopes.includes(permission);
+    }
+    return hasPermission(principal.role, permission);
+}
+
+function canAccessClient(user, clientId) {
+    return user.homeClientId === clientId || hasPermission(user.role, 'clients:cross_tenant');
+}
+
+// Whether `actorRole` may give someone `targetRole`, or change the role of a
+// user who currently holds `targetRole`
+function canAssignRole(actorRole, targetRole) {
+    return (ROLE_RANK[actorRole] || 0) >= (ROLE_RANK[targetRole] || Infinity);
+}
+
+module.exports = {
+    ROLES,
+    ROLE_PERMISSIONS,
+    isValidRole,
+    hasPermission,
+    principalHasPermission,
+    canAccessClient,
+    canAssignRole
+};
@@ -0,0 +1,132 @@
+// Rate limiting
+// Requests are counted in fixed windows per key - an IP address for the
+// sign-in routes, a client for everything authenticated - and refused with
+// 429 once a window's allowance is used up. Every limited response carries
+// the standard headers for the tightest limit that applied:
+//   RateLimit-Limit      requests allowed in the window
+//   RateLimit-Remaining  requests left in it
+//   RateLimit-Reset      seconds until it starts over
+//   RateLimit-Policy     <limit>;w=<window seconds>
+// plus Retry-After (seconds) on the 429 itself.
+// Counters live in process memory: they reset on restart and each instance
+// of the API counts separately.
+
+const MINUTE_MS = 60 * 1000;
+
+// Per-IP allowance for the routes that take a password or an invitation
+// token, shared between them so they can't be brute-forced
+const AUTH_RATE_LIMIT = { limit: 10, windowMs: 15 * MINUTE_MS };
+
+// Per client. `expensive` is a separate, smaller allowance for routes that
+// run analytics or models over the whole data set; those requests count
+// against `requests` too. Monthly quotas are null where unlimited.
+const PLAN_LIMITS = {
+    starter: {
+        requests_per_minute: 120,
+        expensive_requests_per_minute: 10,
+        monthly_api_calls: 50000,
+        monthly_import_rows: 50000
+    },
+    professional: {
+        requests_per_minute: 600,
+        expensive_requests_per_minute: 30,
+        monthly_api_calls: 500000,
+        monthly_import_rows: 500000
+    },
+    enterprise: {
+        requests_per_minute: 3000,
+        expensive_requests_per_minute: 120,
+        monthly_api_calls: null,
+        monthly_import_rows: null
+    }
+};
+
+function planLimits(planTier) {
+    return PLAN_LIMITS[planTier] || PLAN_LIMITS.starter;
+}
+
+class RateLimiter {
+    constructor() {
+        this.windows = new Map();
+    }
+
+    // Counts a request against `key` unless its window is used up.
+    // Returns { allowed, limit, remaining, resetMs, windowMs }.
+    hit(key, { limit, windowMs }) {
+        const now = Date.now();
+        let window = this.windows.get(key);
+        if (!window || now >= window.start + window.windowMs) {
+            window = { start: now, windowMs, count: 0 };
+            this.windows.set(key, window);
+        }
+
+        const allowed = window.count < limit;
+        if (allowed) {
+            window.count++;
+        }
+        return {
+            allowed,
+            limit,
+            remaining: Math.max(0, limit - window.count),
+            resetMs: window.start + window.windowMs - now,
+            windowMs
+        };
+    }
+
+    // Drops windows that have ended
+    purge() {
+        const now = Date.now();
+        this.windows.forEach((window, key) => {
+            if (now >= window.start + window.windowMs) {
+                this.windows.delete(key);
+            }
+        });
+    }
+}
+
+const seconds = ms => Math.max(1, Math.ceil(ms / 1000));
+
+// Sets the RateLimit-* headers unless a tighter limit already has
+function setRateLimitHeaders(res, result) {
+    const current = res.locals.rateLimit;
+    if (current && current.remaining < result.remaining) {
+        return;
+    }
+    res.locals.rateLimit = result;
+    res.setHeader('RateLimit-Limit', String(result.limit));
+    res.setHeader('RateLimit-Remaining', String(result.remaining));
+    res.setHeader('RateLimit-Reset', String(seconds(result.resetMs)));
+    res.setHeader('RateLimit-Policy', `${result.limit};w=${seconds(result.windowMs)}`);
+}
+
+function sendRateLimited(res, result, message) {
+    setRateLimitHeaders(res, result);
+    res.setHeader('Retry-After', String(seconds(result.resetMs)));
+    res.status(429).json({ error: message, retry_after: seconds(result.resetMs) });
+}
+
+// Middleware counting requests against `limiter`.
+//   name    which allowance this is; the API description lists it per route
+//   key     req => the counter's key
+//   policy  req => { limit, windowMs }
+function rateLimit(limiter, { name, key, policy, message = 'Too many requests, please slow down' }) {
+    const middleware = (req, res, next) => {
+        const result = limiter.hit(`${name}:${key(req)}`, policy(req));
+        if (!result.allowed) {
+            return sendRateLimited(res, result, message);
+        }
+        setRateLimitHeaders(res, result);
+        next();
+    };
+    middleware.rateLimit = name;
+    return middleware;
+}
+
+module.exports = {
+    MINUTE_MS,
+    AUTH_RATE_LIMIT,
+    PLAN_LIMITS,
+    planLimits,
+    RateLimiter,
+    rateLimit
+};
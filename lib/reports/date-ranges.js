@@ -0,0 +1,63 @@
+// Report date ranges
+// Scheduled reports can't carry fixed dates, so they name a range relative
+// to when they run: "last full month" generated on 3 March covers 1-28
+// February. Ranges are whole UTC days; `custom` takes explicit dates.
+
+const { parseDate, toDateString, today, addDays, startOfPeriod } = require('../periods');
+
+// The previous complete week/month/quarter before `asOf`
+function lastFull(granularity) {
+    return asOf => {
+        const end = addDays(startOfPeriod(asOf, granularity), -1);
+        return { start: startOfPeriod(end, granularity), end };
+    };
+}
+
+// The `days` days up to and including yesterday
+function trailing(days) {
+    return asOf => ({ start: addDays(asOf, -days), end: addDays(asOf, -1) });
+}
+
+const PRESETS = {
+    last_full_week: lastFull('weekly'),
+    last_full_month: lastFull('monthly'),
+    last_full_quarter: lastFull('quarterly'),
+    last_7_days: trailing(7),
+    last_30_days: trailing(30),
+    last_90_days: trailing(90),
+    month_to_date: asOf => ({ start: startOfPeriod(asOf, 'monthly'), end: asOf }),
+    quarter_to_date: asOf => ({ start: startOfPeriod(asOf, 'quarterly'), end: asOf })
+};
+
+const DATE_RANGES = [...Object.keys(PRESETS), 'custom'];
+const MAX_CUSTOM_RANGE_DAYS = 366 * 2;
+
+// { start_date, end_date } (YYYY-MM-DD) for a preset as of `asOf`, or for
+// a custom range; { error } when a custom range is incomplete or inverted
+function resolveReportRange({ date_range, start_date, end_date }, asOf = today()) {
+    if (date_range !== 'custom') {
+        if (start_date !== undefined || end_date !== undefined) {
+            return { error: 'start_date and end_date only apply to a custom date_range' };
+        }
+        const { start, end } = PRESETS[date_range](asOf);
+        return { start_date: toDateString(start), end_date: toDateString(end) };
+    }
+
+    const start = parseDate(start_date);
+    const end = parseDate(end_date);
+    if (!start || !end) {
+        return { error: 'A custom date_range needs start_date and end_date' };
+    }
+    if (start > end) {
+        return { error: 'start_date must be on or before end_date' };
+    }
+    if (addDays(start, MAX_CUSTOM_RANGE_DAYS) <= end) {
+        return { error: `A custom date_range can cover at most ${MAX_CUSTOM_RANGE_DAYS} days` };
+    }
+    return { start_date, end_date };
+}
+
+module.exports = {
+    DATE_RANGES,
+    resolveReportRange
+};
@@ -0,0 +1,223 @@
+// Report delivery
+// Generated reports are sent through a transport:
+//
+//   { name, send({ from, to, subject, text, attachments: [{ filename, contentType, content }] }) -> { message_id } }
+//
+// REPORT_TRANSPORT picks one: `log` (the default) only writes the message to
+// the console, `smtp` sends it to SMTP_HOST:SMTP_PORT, with AUTH PLAIN when
+// SMTP_USER/SMTP_PASSWORD are set and implicit TLS when SMTP_SECURE=true.
+// `npm run mock-smtp` starts a local server that accepts and prints
+// whatever it is sent.
+
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+const SMTP_TIMEOUT_MS = 30 * 1000;
+
+class DeliveryError extends Error {
+    constructor(message, { code = null } = {}) {
+        super(message);
+        this.name = 'DeliveryError';
+        this.code = code;
+    }
+}
+
+// ============================================================================
+// MESSAGE FORMAT
+// ============================================================================
+
+// Header values can't contain line breaks; non-ASCII needs RFC 2047 encoding
+function headerValue(text) {
+    const flat = String(text).replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(flat) ? flat : `=?UTF-8?B?${Buffer.from(flat, 'utf8').toString('base64')}?=`;
+}
+
+const base64Lines = buffer => buffer.toString('base64').replace(/.{1,76}/g, '$&\r\n');
+
+function messageId(from) {
+    return `<${crypto.randomUUID()}@${String(from).split('@')[1] || 'localhost'}>`;
+}
+
+// A multipart/mixed RFC 5322 message: the text body, then each attachment
+function buildMessage({ from, to, subject, text, attachments = [], id }) {
+    const boundary = `=_butler_${crypto.randomBytes(12).toString('hex')}`;
+    const parts = [
+        [
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            base64Lines(Buffer.from(text, 'utf8'))
+        ].join('\r\n'),
+        ...attachments.map(attachment => [
+            `Content-Type: ${attachment.contentType}; name="${headerValue(attachment.filename).replace(/"/g, '')}"`,
+            'Content-Transfer-Encoding: base64',
+            `Content-Disposition: attachment; filename="${headerValue(attachment.filename).replace(/"/g, '')}"`,
+            '',
+            base64Lines(attachment.content)
+        ].join('\r\n'))
+    ];
+
+    return [
+        `From: ${headerValue(from)}`,
+        `To: ${to.map(headerValue).join(', ')}`,
+        `Subject: ${headerValue(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: ${id}`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/mixed; boundary="${boundary}"`,
+        '',
+        ...parts.map(part => `--${boundary}\r\n${part}`),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+}
+
+// ============================================================================
+// TRANSPORTS
+// ============================================================================
+
+function logTransport({ log = console.log } = {}) {
+    return {
+        name: 'log',
+        async send({ from, to, subject, attachments = [] }) {
+            const id = messageId(from);
+            const files = attachments.map(a => `${a.filename} (${a.content.length} bytes)`).join(', ') || 'none';
+            log(`[reports] Would send "${subject}" to ${to.join(', ')}; attachments: ${files}`);
+            return { message_id: id };
+        }
+    };
+}
+
+// Reads SMTP replies off a socket. A reply is one or more lines with the
+// same code, all but the last written "250-...".
+function replyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+    let failure = null;
+
+    const settle = () => {
+        while (waiting.length && (replies.length || failure)) {
+            const { resolve, reject } = waiting.shift();
+            if (replies.length) {
+                resolve(replies.shift());
+            } else {
+                reject(failure);
+            }
+        }
+    };
+
+    socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        let end;
+        while ((end = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            lines.push(line.slice(4));
+            if (line[3] !== '-') {
+                replies.push({ code: parseInt(line.slice(0, 3)), text: lines.join(' ') });
+                lines = [];
+            }
+        }
+        settle();
+    });
+    const fail = error => {
+        failure = failure || error;
+        settle();
+    };
+    socket.on('error', fail);
+    socket.on('close', () => fail(new DeliveryError('SMTP connection closed unexpectedly')));
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => {
+        fail(new DeliveryError('SMTP server timed out'));
+        socket.destroy();
+    });
+
+    return () => new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+    });
+}
+
+function smtpTransport({ host = 'localhost', port = 25, secure = false, user = null, password = null, clientName = os.hostname() } = {}) {
+    return {
+        name: 'smtp',
+        async send({ from, to, subject, text, attachments }) {
+            const id = messageId(from);
+            const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+            const nextReply = replyReader(socket);
+
+            const expect = async (accepted, command) => {
+                const reply = await nextReply();
+                if (!accepted.includes(reply.code)) {
+                    throw new DeliveryError(`SMTP ${command || 'greeting'} failed: ${reply.code} ${reply.text}`, { code: reply.code });
+                }
+                return reply;
+            };
+            const command = (line, accepted, label = line.split(' ')[0]) => {
+                socket.write(`${line}\r\n`);
+                return expect(accepted, label);
+            };
+
+            try {
+                await expect([220]);
+                try {
+                    await command(`EHLO ${clientName}`, [250]);
+                } catch (error) {
+                    await command(`HELO ${clientName}`, [250]);
+                }
+                if (user) {
+                    const credentials = Buffer.from(`\0${user}\0${password || ''}`, 'utf8').toString('base64');
+                    await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+                }
+                await command(`MAIL FROM:<${from}>`, [250], 'MAIL');
+                for (const recipient of to) {
+                    await command(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT');
+                }
+                await command('DATA', [354]);
+
+                // Lines starting with "." are doubled so they can't end the message early
+                const body = buildMessage({ from, to, subject, text, attachments, id }).replace(/^\./gm, '..');
+                const reply = await command(`${body}.`, [250], 'DATA');
+                socket.write('QUIT\r\n');
+                return { message_id: id, response: `${reply.code} ${reply.text}` };
+            } finally {
+                socket.end();
+            }
+        }
+    };
+}
+
+const TRANSPORTS = {
+    log: logTransport,
+    smtp: smtpTransport
+};
+
+function createTransport(name, options) {
+    const factory = TRANSPORTS[name];
+    if (!factory) {
+        throw new Error(`Unknown report transport "${name}" (expected one of ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+    return factory(options);
+}
+
+function createTransportFromEnv(env = process.env) {
+    const name = env.REPORT_TRANSPORT || 'log';
+    return createTransport(name, name === 'smtp' ? {
+        host: env.SMTP_HOST || 'localhost',
+        port: parseInt(env.SMTP_PORT) || 25,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER || null,
+        password: env.SMTP_PASSWORD || null
+    } : {});
+}
+
+module.exports = {
+    TRANSPORTS,
+    DeliveryError,
+    buildMessage,
+    createTransport,
+    createTransportFromEnv
+};
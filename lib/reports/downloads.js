@@ -0,0 +1,42 @@
+// Download counts
+// Each export keeps download_count and last_downloaded_at. A file can be
+// fetched many times a minute, so downloads are tallied in memory and
+// written to the exports collection by flush(), which the server runs on
+// an interval and on shutdown; reads include what hasn't been flushed yet.
+
+class DownloadTally {
+    // `exports` is the repository export records are stored in
+    constructor(exports) {
+        this.exports = exports;
+        this.pending = new Map();
+    }
+
+    record(exportId, at = new Date()) {
+        const pending = this.pending.get(exportId) || { count: 0, last: null };
+        this.pending.set(exportId, { count: pending.count + 1, last: at.toISOString() });
+    }
+
+    // { download_count, last_downloaded_at } for a stored export record
+    totals(record) {
+        const pending = this.pending.get(record.id);
+        return {
+            download_count: (record.download_count || 0) + (pending ? pending.count : 0),
+            last_downloaded_at: pending ? pending.last : record.last_downloaded_at || null
+        };
+    }
+
+    // Exports purged since their downloads were counted are skipped
+    flush() {
+        this.pending.forEach((pending, exportId) => {
+            const record = this.exports.get(exportId);
+            if (record) {
+                this.exports.update(exportId, this.totals(record));
+            }
+        });
+        this.pending.clear();
+    }
+}
+
+module.exports = {
+    DownloadTally
+};
@@ -0,0 +1,42 @@
+// CSV rendering
+// One file holding every section: a header block, then per section its
+// summary figures and each of its tables, separated by blank lines. Values
+// are written raw (ratios for percents, ISO dates) so they re-import cleanly.
+
+const { csvCell, toCsv } = require('../../csv');
+
+const line = cells => `${cells.map(csvCell).join(',')}\r\n`;
+
+function render(document) {
+    const blocks = [
+        [
+            line(['Report', document.title]),
+            line(['Client', document.client_name]),
+            line(['Period', document.period.start, document.period.end]),
+            line(['Generated at', document.generated_at])
+        ].join('')
+    ];
+
+    document.sections.forEach(section => {
+        blocks.push(line([section.title]) + toCsv([
+            { header: 'Metric', value: item => item.label },
+            { header: 'Value', value: item => item.value }
+        ], section.summary));
+
+        section.tables.forEach(table => {
+            blocks.push(line([`${section.title} - ${table.title}`]) + toCsv(
+                table.columns.map(column => ({ header: column.header, value: row => row[column.key] })),
+                table.rows
+            ));
+        });
+    });
+
+    return Buffer.from(blocks.join('\r\n'), 'utf8');
+}
+
+module.exports = {
+    name: 'csv',
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+    render
+};
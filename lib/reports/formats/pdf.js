@@ -0,0 +1,240 @@
+// PDF rendering
+// A plain, printable A4 document written by hand (PDF 1.4): the report
+// header, then per section its summary figures and tables, paginated with
+// repeated table headers and "page n of N" footers. Only the standard
+// Helvetica fonts are used, so nothing is embedded; text is WinAnsi encoded
+// and characters outside it print as "?".
+
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 40;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const CELL_PADDING = 4;
+const TABLE_FONT_SIZE = 8;
+const ROW_HEIGHT = 13;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from its AFM.
+// Bold is measured as slightly wider regular text, which is close enough
+// for fitting columns.
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const BOLD_FACTOR = 1.08;
+
+function textWidth(text, size, bold = false) {
+    let units = 0;
+    for (const char of text) {
+        const code = char.charCodeAt(0);
+        units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+    }
+    return (units * size / 1000) * (bold ? BOLD_FACTOR : 1);
+}
+
+// Longest prefix of `text` that fits in `width`, with "..." when cut
+function fitText(text, width, size, bold) {
+    if (textWidth(text, size, bold) <= width) {
+        return text;
+    }
+    let fitted = text;
+    while (fitted.length && textWidth(`${fitted}...`, size, bold) > width) {
+        fitted = fitted.slice(0, -1);
+    }
+    return `${fitted}...`;
+}
+
+// A PDF string literal in WinAnsi (Latin-1 for our purposes)
+function pdfString(text) {
+    const latin1 = Array.from(text, char => (char.charCodeAt(0) <= 255 ? char : '?')).join('');
+    return `(${latin1.replace(/[\\()]/g, '\\$&').replace(/[\r\n\t]/g, ' ')})`;
+}
+
+const NUMBER_FORMAT = new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 });
+const MONEY_FORMAT = new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+function displayValue(value, type) {
+    if (value === null || value === undefined || value === '') {
+        return '-';
+    }
+    if (typeof value !== 'number') {
+        return String(value);
+    }
+    switch (type) {
+        case 'money':
+            return MONEY_FORMAT.format(value);
+        case 'percent':
+            return `${(value * 100).toFixed(1)}%`;
+        default:
+            return NUMBER_FORMAT.format(value);
+    }
+}
+
+const isNumeric = type => ['integer', 'number', 'money', 'percent'].includes(type);
+
+// Lays content out top to bottom, starting a new page when it runs out of
+// room. Each page is a list of content stream operators.
+class Layout {
+    constructor() {
+        this.pages = [];
+        this.newPage();
+    }
+
+    newPage() {
+        this.ops = [];
+        this.pages.push(this.ops);
+        this.y = PAGE_HEIGHT - MARGIN;
+    }
+
+    ensureSpace(height) {
+        if (this.y - height < MARGIN + 20) {
+            this.newPage();
+            return true;
+        }
+        return false;
+    }
+
+    text(x, y, value, { size = 10, bold = false, gray = false } = {}) {
+        this.ops.push(`BT ${gray ? '0.4 g ' : ''}/${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(value)} Tj ET${gray ? ' 0 g' : ''}`);
+    }
+
+    line(text, { size = 10, bold = false, gray = false, spaceBefore = 0 } = {}) {
+        this.ensureSpace(spaceBefore + size * 1.4);
+        this.y -= spaceBefore + size * 1.2;
+        this.text(MARGIN, this.y, fitText(text, CONTENT_WIDTH, size, bold), { size, bold, gray });
+        this.y -= size * 0.2;
+    }
+
+    rule(y) {
+        this.ops.push(`0.75 G 0.5 w ${MARGIN} ${y.toFixed(2)} m ${MARGIN + CONTENT_WIDTH} ${y.toFixed(2)} l S 0 G`);
+    }
+
+    shade(y, height) {
+        this.ops.push(`0.93 g ${MARGIN} ${y.toFixed(2)} ${CONTENT_WIDTH} ${height} re f 0 g`);
+    }
+
+    // Column widths follow the widest cell, scaled down to fit the page
+    table(columns, rows) {
+        const cells = rows.map(row => columns.map(column => displayValue(row[column.key], column.type)));
+        const natural = columns.map((column, c) => Math.max(
+            textWidth(column.header, TABLE_FONT_SIZE, true),
+            ...cells.map(row => textWidth(row[c], TABLE_FONT_SIZE))
+        ) + 2 * CELL_PADDING);
+        const total = natural.reduce((sum, width) => sum + width, 0);
+        const widths = total > CONTENT_WIDTH ? natural.map(width => width * CONTENT_WIDTH / total) : natural;
+
+        const drawRow = (values, { bold = false, header = false } = {}) => {
+            if (header) {
+                this.shade(this.y - ROW_HEIGHT, ROW_HEIGHT);
+            }
+            const baseline = this.y - ROW_HEIGHT + 4;
+            let x = MARGIN;
+            values.forEach((value, c) => {
+                const text = fitText(value, widths[c] - 2 * CELL_PADDING, TABLE_FONT_SIZE, bold);
+                const left = isNumeric(columns[c].type)
+                    ? x + widths[c] - CELL_PADDING - textWidth(text, TABLE_FONT_SIZE, bold)
+                    : x + CELL_PADDING;
+                this.text(left, baseline, text, { size: TABLE_FONT_SIZE, bold });
+                x += widths[c];
+            });
+            this.y -= ROW_HEIGHT;
+            this.rule(this.y);
+        };
+
+        const headers = columns.map(column => column.header);
+        this.ensureSpace(ROW_HEIGHT * 2);
+        drawRow(headers, { bold: true, header: true });
+        if (!cells.length) {
+            this.line('No data for this period', { size: TABLE_FONT_SIZE, gray: true, spaceBefore: 2 });
+        }
+        cells.forEach(values => {
+            if (this.ensureSpace(ROW_HEIGHT)) {
+                drawRow(headers, { bold: true, header: true });
+            }
+            drawRow(values);
+        });
+    }
+}
+
+function layoutDocument(document) {
+    const layout = new Layout();
+    layout.line(document.title, { size: 18, bold: true });
+    layout.line(document.client_name, { size: 12, spaceBefore: 2 });
+    layout.line(`${document.period.start} to ${document.period.end}`, { size: 10, spaceBefore: 2 });
+    layout.line(`Generated ${document.generated_at}`, { size: 8, gray: true, spaceBefore: 2 });
+
+    document.sections.forEach(section => {
+        layout.line(section.title, { size: 14, bold: true, spaceBefore: 18 });
+        layout.table(
+            [{ header: 'Metric', key: 'label', type: 'text' }, { header: 'Value', key: 'value', type: 'text' }],
+            section.summary.map(item => ({ label: item.label, value: displayValue(item.value, item.type) }))
+        );
+        section.tables.forEach(table => {
+            layout.line(table.title, { size: 11, bold: true, spaceBefore: 12 });
+            layout.table(table.columns, table.rows);
+        });
+    });
+
+    const footer = document.title;
+    layout.pages.forEach((ops, i) => {
+        const label = `Page ${i + 1} of ${layout.pages.length}`;
+        ops.push(`BT 0.4 g /F1 8 Tf ${MARGIN} ${MARGIN - 16} Td ${pdfString(fitText(footer, CONTENT_WIDTH - 80, 8))} Tj ET 0 g`);
+        ops.push(`BT 0.4 g /F1 8 Tf ${(MARGIN + CONTENT_WIDTH - textWidth(label, 8)).toFixed(2)} ${MARGIN - 16} Td ${pdfString(label)} Tj ET 0 g`);
+    });
+    return layout.pages;
+}
+
+// Objects: 1 catalog, 2 page tree, 3-4 fonts, then a page and its content
+// stream for each page
+function render(document) {
+    const pages = layoutDocument(document);
+    const objects = [];
+    const pageIds = pages.map((_, i) => 5 + i * 2);
+
+    objects[1] = Buffer.from('<< /Type /Catalog /Pages 2 0 R >>', 'latin1');
+    objects[2] = Buffer.from(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`, 'latin1');
+    objects[3] = Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>', 'latin1');
+    objects[4] = Buffer.from('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>', 'latin1');
+    pages.forEach((ops, i) => {
+        const pageId = pageIds[i];
+        const stream = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+        objects[pageId] = Buffer.from(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`, 'latin1');
+        objects[pageId + 1] = Buffer.concat([
+            Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+            stream,
+            Buffer.from('\nendstream', 'latin1')
+        ]);
+    });
+
+    const info = objects.length;
+    objects[info] = Buffer.from(`<< /Title ${pdfString(document.title)} /Producer (Butler & Co Revenue Intelligence) >>`, 'latin1');
+
+    const parts = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = parts[0].length;
+    for (let id = 1; id < objects.length; id++) {
+        const body = Buffer.concat([Buffer.from(`${id} 0 obj\n`, 'latin1'), objects[id], Buffer.from('\nendobj\n', 'latin1')]);
+        offsets[id] = length;
+        parts.push(body);
+        length += body.length;
+    }
+
+    const xref = [`xref\n0 ${objects.length}\n`, '0000000000 65535 f \n']
+        .concat(offsets.slice(1).map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`))
+        .join('');
+    parts.push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length} /Root 1 0 R /Info ${info} 0 R >>\nstartxref\n${length}\n%%EOF\n`, 'latin1'));
+    return Buffer.concat(parts);
+}
+
+module.exports = {
+    name: 'pdf',
+    extension: 'pdf',
+    contentType: 'application/pdf',
+    render
+};
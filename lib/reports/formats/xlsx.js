@@ -0,0 +1,180 @@
+// XLSX rendering
+// A SpreadsheetML workbook (ECMA-376) written by hand: a Summary sheet with
+// the report header and every section's figures, then one sheet per table.
+// Numbers, money, percents and dates are stored as typed cells with number
+// formats so they can be charted and summed; text uses inline strings, so
+// nothing in the data is ever read as a formula.
+
+const { createZip } = require('../zip');
+
+const MAX_SHEET_NAME = 31;
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Indexes into cellXfs in STYLES
+const STYLE = { text: 0, bold: 1, money: 2, percent: 3, date: 4, integer: 5, number: 0, title: 6 };
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="0.0%"/></numFmts>
+<fonts count="3"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="14"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="7">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+</cellXfs>
+</styleSheet>`;
+
+// Drops characters XML 1.0 can't carry at all, then escapes markup
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+// { value, type } -> <c> element, or '' for an empty cell
+function cellXml(ref, value, type = 'text') {
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    if (type === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const serial = Date.parse(`${value}T00:00:00Z`) / DAY_MS + EXCEL_EPOCH_OFFSET_DAYS;
+        return `<c r="${ref}" s="${STYLE.date}"><v>${serial}</v></c>`;
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}" s="${STYLE[type] || 0}"><v>${value}</v></c>`;
+    }
+    const style = type === 'bold' || type === 'title' ? ` s="${STYLE[type]}"` : '';
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+// rows: [[{ value, type }]]
+function sheetXml(rows) {
+    const widths = [];
+    const rowXml = rows.map((cells, r) => {
+        const xml = cells.map((cell, c) => {
+            const length = cell.value === null || cell.value === undefined ? 0 : String(cell.value).length;
+            widths[c] = Math.max(widths[c] || 8, Math.min(60, length + 2));
+            return cellXml(`${columnName(c)}${r + 1}`, cell.value, cell.type);
+        }).join('');
+        return `<row r="${r + 1}">${xml}</row>`;
+    }).join('');
+
+    const cols = widths.length
+        ? `<cols>${widths.map((width, c) => `<col min="${c + 1}" max="${c + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+        : '';
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `${cols}<sheetData>${rowXml}</sheetData></worksheet>`;
+}
+
+// Sheet names are at most 31 characters, can't contain []:*?/\ and must be
+// unique within the workbook
+function sheetName(title, taken) {
+    const base = title.replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, MAX_SHEET_NAME) || 'Sheet';
+    let name = base;
+    for (let n = 2; taken.has(name.toLowerCase()); n++) {
+        name = `${base.slice(0, MAX_SHEET_NAME - String(n).length - 1)} ${n}`;
+    }
+    taken.add(name.toLowerCase());
+    return name;
+}
+
+function summaryRows(document) {
+    const rows = [
+        [{ value: document.title, type: 'title' }],
+        [{ value: 'Client', type: 'bold' }, { value: document.client_name }],
+        [{ value: 'Period', type: 'bold' }, { value: document.period.start, type: 'date' }, { value: document.period.end, type: 'date' }],
+        [{ value: 'Generated at', type: 'bold' }, { value: document.generated_at }]
+    ];
+    document.sections.forEach(section => {
+        rows.push([], [{ value: section.title, type: 'title' }]);
+        section.summary.forEach(item => {
+            rows.push([{ value: item.label }, { value: item.value, type: item.type }]);
+        });
+    });
+    return rows;
+}
+
+function tableRows(table) {
+    return [
+        table.columns.map(column => ({ value: column.header, type: 'bold' })),
+        ...table.rows.map(row => table.columns.map(column => ({ value: row[column.key], type: column.type })))
+    ];
+}
+
+function render(document) {
+    const taken = new Set();
+    const sheets = [{ name: sheetName('Summary', taken), rows: summaryRows(document) }];
+    document.sections.forEach(section => {
+        section.tables.forEach(table => {
+            sheets.push({ name: sheetName(table.title, taken), rows: tableRows(table) });
+        });
+    });
+
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheets.map((sheet, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+                sheets.map((sheet, i) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('') +
+                '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheets.map((sheet, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('') +
+                `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                '</Relationships>'
+        },
+        { name: 'xl/styles.xml', content: STYLES },
+        ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: sheetXml(sheet.rows) }))
+    ];
+
+    return createZip(files, new Date(document.generated_at));
+}
+
+module.exports = {
+    name: 'xlsx',
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    render
+};
@@ -0,0 +1,71 @@
+// Report exports
+// Renders analytics into downloadable files. A report is built in two
+// steps: the server runs the analytics for each requested section (the
+// same code behind the matching routes) and buildDocument turns the results
+// into a format-neutral document; a format then renders that document:
+//
+//   { name, extension, contentType, render(document) -> Buffer }
+//
+// Register new formats in FORMATS and new sections in ./sections.
+
+const { SECTIONS, getSection } = require('./sections');
+const { DATE_RANGES, resolveReportRange } = require('./date-ranges');
+const schedule = require('./schedule');
+const { createLinkSigner } = require('./links');
+const { createTransport, createTransportFromEnv, TRANSPORTS } = require('./delivery');
+const { DownloadTally } = require('./downloads');
+
+const FORMATS = new Map([
+    require('./formats/csv'),
+    require('./formats/xlsx'),
+    require('./formats/pdf')
+].map(format => [format.name, format]));
+
+const SECTION_KEYS = Array.from(SECTIONS.keys());
+const FORMAT_NAMES = Array.from(FORMATS.keys());
+
+// results: [{ key, data }] in the order the sections should appear
+function buildDocument({ title, clientName, period, generatedAt = new Date(), results }) {
+    return {
+        title,
+        client_name: clientName,
+        period,
+        generated_at: generatedAt.toISOString(),
+        sections: results.map(({ key, data }) => {
+            const section = getSection(key);
+            return { key, title: section.title, ...section.build(data) };
+        })
+    };
+}
+
+const slug = text => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'report';
+
+// { content, content_type, filename, size_bytes }
+function renderReport(document, formatName) {
+    const format = FORMATS.get(formatName);
+    const content = format.render(document);
+    return {
+        content,
+        content_type: format.contentType,
+        filename: `${slug(document.client_name)}-${slug(document.title)}-${document.period.start}-to-${document.period.end}.${format.extension}`,
+        size_bytes: content.length
+    };
+}
+
+module.exports = {
+    SECTIONS,
+    SECTION_KEYS,
+    FORMATS,
+    FORMAT_NAMES,
+    DATE_RANGES,
+    TRANSPORTS,
+    getSection,
+    resolveReportRange,
+    buildDocument,
+    renderReport,
+    createLinkSigner,
+    createTransport,
+    createTransportFromEnv,
+    DownloadTally,
+    ...schedule
+};
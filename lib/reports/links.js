@@ -0,0 +1,66 @@
+// Signed download links
+// Export files are fetched from links that carry their own authorisation,
+// so they work from an email without an API token:
+//
+//   /api/v1/exports/<id>/download?expires=<unix seconds>&signature=<hmac>
+//
+// The signature is an HMAC-SHA256 over the export id and expiry with
+// EXPORT_SIGNING_KEY (at least 32 characters). Outside production we fall
+// back to a development key; in production a missing key is fatal. Changing
+// the key invalidates every outstanding link.
+
+const crypto = require('crypto');
+
+const DEV_KEY = 'butler-dev-export-signing-key';
+const MIN_KEY_LENGTH = 32;
+
+function createLinkSigner(env = process.env) {
+    let key;
+    if (env.EXPORT_SIGNING_KEY) {
+        if (env.EXPORT_SIGNING_KEY.length < MIN_KEY_LENGTH) {
+            throw new Error(`EXPORT_SIGNING_KEY must be at least ${MIN_KEY_LENGTH} characters`);
+        }
+        key = env.EXPORT_SIGNING_KEY;
+    } else if (env.NODE_ENV === 'production') {
+        throw new Error('EXPORT_SIGNING_KEY must be set in production');
+    } else {
+        key = DEV_KEY;
+    }
+
+    const sign = (exportId, expires) => crypto
+        .createHmac('sha256', key)
+        .update(`${exportId}.${expires}`)
+        .digest('base64url');
+
+    return {
+        // { path, expires_at } for a link valid until `expiresAt`
+        sign(exportId, expiresAt) {
+            const expires = Math.floor(expiresAt.getTime() / 1000);
+            const query = new URLSearchParams({ expires: String(expires), signature: sign(exportId, expires) });
+            return {
+                path: `/api/v1/exports/${encodeURIComponent(exportId)}/download?${query}`,
+                expires_at: new Date(expires * 1000).toISOString()
+            };
+        },
+
+        // null when the link is good, otherwise why it isn't
+        verify(exportId, { expires, signature }, now = Date.now()) {
+            if (!/^\d+$/.test(String(expires)) || typeof signature !== 'string') {
+                return 'Download link is malformed';
+            }
+            const expected = Buffer.from(sign(exportId, Number(expires)));
+            const actual = Buffer.from(signature);
+            if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+                return 'Download link signature is invalid';
+            }
+            if (Number(expires) * 1000 <= now) {
+                return 'Download link has expired';
+            }
+            return null;
+        }
+    };
+}
+
+module.exports = {
+    createLinkSigner
+};
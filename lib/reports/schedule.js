@@ -0,0 +1,63 @@
+// Report schedules
+// When a scheduled report runs, as
+//   { frequency: 'daily', hour }
+//   { frequency: 'weekly', day_of_week: 'monday', hour }
+//   { frequency: 'monthly', day_of_month: 1, hour }
+// with hours in UTC. Days of the month stop at 28 so every month has one.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const MAX_DAY_OF_MONTH = 28;
+const DEFAULT_HOUR = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fills in defaults and rejects fields that don't apply to the frequency.
+// Returns { value } or { error }.
+function normalizeSchedule({ frequency, day_of_week, day_of_month, hour = DEFAULT_HOUR }) {
+    if (frequency !== 'weekly' && day_of_week !== undefined) {
+        return { error: 'day_of_week only applies to weekly schedules' };
+    }
+    if (frequency !== 'monthly' && day_of_month !== undefined) {
+        return { error: 'day_of_month only applies to monthly schedules' };
+    }
+
+    const value = { frequency, hour };
+    if (frequency === 'weekly') {
+        value.day_of_week = day_of_week || 'monday';
+    }
+    if (frequency === 'monthly') {
+        value.day_of_month = day_of_month || 1;
+    }
+    return { value };
+}
+
+// The first time the schedule comes round strictly after `after`
+function nextRunAt(schedule, after = new Date()) {
+    const year = after.getUTCFullYear();
+    const month = after.getUTCMonth();
+    const day = after.getUTCDate();
+
+    if (schedule.frequency === 'monthly') {
+        const candidate = new Date(Date.UTC(year, month, schedule.day_of_month, schedule.hour));
+        return candidate > after ? candidate : new Date(Date.UTC(year, month + 1, schedule.day_of_month, schedule.hour));
+    }
+
+    let candidate = new Date(Date.UTC(year, month, day, schedule.hour));
+    if (schedule.frequency === 'weekly') {
+        const today = (after.getUTCDay() + 6) % 7;
+        const target = WEEKDAYS.indexOf(schedule.day_of_week);
+        candidate = new Date(candidate.getTime() + ((target - today + 7) % 7) * DAY_MS);
+    }
+    if (candidate <= after) {
+        candidate = new Date(candidate.getTime() + (schedule.frequency === 'weekly' ? 7 : 1) * DAY_MS);
+    }
+    return candidate;
+}
+
+module.exports = {
+    FREQUENCIES,
+    WEEKDAYS,
+    MAX_DAY_OF_MONTH,
+    normalizeSchedule,
+    nextRunAt
+};
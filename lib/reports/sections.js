@@ -0,0 +1,142 @@
+// Report sections
+// What can go into an export: each section turns the response data of one
+// analytics route into summary figures and tables, the format-neutral
+// document the renderers work from:
+//
+//   { key, title, summary: [{ label, value, type }], tables: [{ title, columns: [{ header, key, type }], rows }] }
+//
+// Column and figure types are text, date, integer, number, money and
+// percent; percents are ratios (0.125 is 12.5%). `permission` is what the
+// caller needs to include the section, the same as for the route itself.
+
+const ratio = percentage => (percentage === null || percentage === undefined ? null : Number(percentage) / 100);
+
+const revenueSummary = {
+    key: 'revenue_summary',
+    title: 'Revenue summary',
+    permission: 'revenue:read',
+    build(data) {
+        return {
+            summary: [
+                { label: 'Reporting currency', value: data.reporting_currency, type: 'text' },
+                { label: 'Total revenue', value: data.total_revenue, type: 'money' },
+                { label: 'Transactions', value: data.transactions, type: 'integer' },
+                { label: 'Average daily revenue', value: data.avg_daily_revenue, type: 'money' },
+                { label: 'Previous period revenue', value: data.previous_period.revenue, type: 'money' },
+                { label: 'Growth vs previous period', value: data.growth_rate, type: 'percent' },
+                { label: 'MRR', value: data.mrr, type: 'money' },
+                { label: 'ARR', value: data.arr, type: 'money' }
+            ],
+            tables: [
+                {
+                    title: `Revenue by period (${data.granularity})`,
+                    columns: [
+                        { header: 'Period start', key: 'period_start', type: 'date' },
+                        { header: 'Period end', key: 'period_end', type: 'date' },
+                        { header: 'Revenue', key: 'revenue', type: 'money' },
+                        { header: 'Transactions', key: 'transactions', type: 'integer' }
+                    ],
+                    rows: data.by_period
+                },
+                {
+                    title: 'Revenue by source',
+                    columns: [
+                        { header: 'Source', key: 'source', type: 'text' },
+                        { header: 'Revenue', key: 'revenue', type: 'money' },
+                        { header: 'Transactions', key: 'transactions', type: 'integer' },
+                        { header: 'Share', key: 'share', type: 'percent' }
+                    ],
+                    rows: data.by_source.map(row => ({ ...row, share: ratio(row.percentage) }))
+                }
+            ]
+        };
+    }
+};
+
+const attribution = {
+    key: 'attribution',
+    title: 'Marketing attribution',
+    permission: 'attribution:read',
+    build(data) {
+        return {
+            summary: [
+                { label: 'Model', value: data.model, type: 'text' },
+                { label: 'Lookback window (days)', value: data.lookback_days, type: 'integer' },
+                { label: 'Reporting currency', value: data.reporting_currency, type: 'text' },
+                { label: 'Total revenue', value: data.total_revenue, type: 'money' },
+                { label: 'Attributed revenue', value: data.attributed_revenue, type: 'money' },
+                { label: 'Unattributed revenue', value: data.unattributed_revenue, type: 'money' },
+                { label: 'Conversions', value: data.conversions, type: 'integer' },
+                { label: 'Unattributed conversions', value: data.unattributed_conversions, type: 'integer' }
+            ],
+            tables: [
+                {
+                    title: 'Revenue by channel',
+                    columns: [
+                        { header: 'Channel', key: 'channel', type: 'text' },
+                        { header: 'Attributed revenue', key: 'attributed_revenue', type: 'money' },
+                        { header: 'Share', key: 'share', type: 'percent' },
+                        { header: 'Conversions', key: 'conversions', type: 'number' },
+                        { header: 'Assists', key: 'assists', type: 'integer' },
+                        { header: 'Touchpoints', key: 'touchpoints', type: 'integer' }
+                    ],
+                    rows: data.channels.map(row => ({ ...row, share: ratio(row.attribution_percentage) }))
+                }
+            ]
+        };
+    }
+};
+
+const seoRankings = {
+    key: 'seo_rankings',
+    title: 'SEO rankings',
+    permission: 'seo:read',
+    build(data) {
+        const { summary } = data;
+        return {
+            summary: [
+                { label: 'Tracked keywords', value: summary.total_keywords, type: 'integer' },
+                { label: 'Ranked keywords', value: summary.ranked_keywords, type: 'integer' },
+                { label: 'In top 3', value: summary.top_3_count, type: 'integer' },
+                { label: 'In top 10', value: summary.top_10_count, type: 'integer' },
+                { label: 'Average position', value: summary.avg_position, type: 'number' },
+                { label: 'Average position change', value: summary.avg_position_change, type: 'number' },
+                { label: 'Visibility score', value: summary.visibility_score, type: 'number' },
+                { label: 'Visibility change', value: summary.visibility_change, type: 'number' }
+            ],
+            tables: [
+                {
+                    title: 'Keyword rankings',
+                    columns: [
+                        { header: 'Keyword', key: 'keyword', type: 'text' },
+                        { header: 'Position', key: 'current_position', type: 'number' },
+                        { header: 'Previous', key: 'previous_position', type: 'number' },
+                        { header: 'Change', key: 'change', type: 'number' },
+                        { header: 'Search volume', key: 'search_volume', type: 'integer' },
+                        { header: 'Ranking URL', key: 'url', type: 'text' }
+                    ],
+                    rows: data.rankings
+                },
+                {
+                    title: 'Visibility by day',
+                    columns: [
+                        { header: 'Date', key: 'date', type: 'date' },
+                        { header: 'Visibility score', key: 'visibility_score', type: 'number' }
+                    ],
+                    rows: data.visibility_series
+                }
+            ]
+        };
+    }
+};
+
+const SECTIONS = new Map([revenueSummary, attribution, seoRankings].map(section => [section.key, section]));
+
+function getSection(key) {
+    return SECTIONS.get(key) || null;
+}
+
+module.exports = {
+    SECTIONS,
+    getSection
+};
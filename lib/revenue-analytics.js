@@ -0,0 +1,175 @@
+// Revenue analytics
+// Pure functions over a client's revenue records. Route handlers load the
+// records, these functions do the maths.
+
+const {
+    parseDate,
+    toDateString,
+    today,
+    addDays,
+    daysBetween,
+    enumeratePeriods,
+    periodKey,
+    MIN_RECORD_YEAR,
+    MAX_QUERY_YEAR,
+    isQueryYear
+} = require('./periods');
+
+// Trailing window used for the MRR run rate
+const RUN_RATE_DAYS = 30;
+
+function recordDate(record) {
+    return parseDate(record.date);
+}
+
+function sumRevenue(records) {
+    return records.reduce((sum, r) => sum + r.amount, 0);
+}
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function filterByDateRange(records, start, end) {
+    return records.filter(record => {
+        const date = recordDate(record);
+        return date && date >= start && date <= end;
+    });
+}
+
+// Works out the reporting window from start_date/end_date query values.
+// Missing bounds default to the client's first record and today (or the
+// latest record if it's later). Returns { start, end } or { error }.
+function resolveDateRange({ start_date, end_date }, records = []) {
+    const start = start_date !== undefined ? parseDate(start_date) : null;
+    const end = end_date !== undefined ? parseDate(end_date) : null;
+
+    if (start_date !== undefined && !start) {
+        return { error: 'start_date must be a valid date (YYYY-MM-DD)' };
+    }
+    if (end_date !== undefined && !end) {
+        return { error: 'end_date must be a valid date (YYYY-MM-DD)' };
+    }
+    const outside = [['start_date', start], ['end_date', end]].find(([, date]) => date && !isQueryYear(date.getUTCFullYear()));
+    if (outside) {
+        return { error: `${outside[0]} must be between ${MIN_RECORD_YEAR}-01-01 and ${MAX_QUERY_YEAR}-12-31` };
+    }
+
+    const dates = records.map(recordDate).filter(Boolean);
+    const latest = dates.reduce((max, d) => (!max || d > max ? d : max), null);
+    const earliest = dates.reduce((min, d) => (!min || d < min ? d : min), null);
+
+    const resolvedEnd = end || (latest && latest > today() ? latest : today());
+    const resolvedStart = start || (earliest && earliest <= resolvedEnd ? earliest : resolvedEnd);
+
+    if (resolvedStart > resolvedEnd) {
+        return { error: 'start_date must be on or before end_date' };
+    }
+
+    return { start: resolvedStart, end: resolvedEnd };
+}
+
+function buildTimeSeries(records, start, end, granularity) {
+    const totals = new Map();
+    records.forEach(record => {
+        const key = periodKey(recordDate(record), granularity);
+        const bucket = totals.get(key) || { revenue: 0, transactions: 0 };
+        bucket.revenue += record.amount;
+        bucket.transactions++;
+        totals.set(key, bucket);
+    });
+
+    return enumeratePeriods(start, end, granularity).map(period => {
+        const bucket = totals.get(period.key) || { revenue: 0, transactions: 0 };
+        return {
+            period_start: toDateString(period.start),
+            period_end: toDateString(period.end),
+            revenue: round2(bucket.revenue),
+            transactions: bucket.transactions
+        };
+    });
+}
+
+function revenueBySource(records) {
+    const total = sumRevenue(records);
+    const bySource = {};
+
+    records.forEach(record => {
+        if (!bySource[record.source]) {
+            bySource[record.source] = { revenue: 0, count: 0 };
+        }
+        bySource[record.source].revenue += record.amount;
+        bySource[record.source].count++;
+    });
+
+    return Object.entries(bySource)
+        .map(([source, data]) => ({
+            source,
+            revenue: round2(data.revenue),
+            transactions: data.count,
+            percentage: total ? (data.revenue / total * 100).toFixed(1) : '0.0'
+        }))
+        .sort((a, b) => b.revenue - a.revenue);
+}
+
+// MRR is the revenue booked in the RUN_RATE_DAYS days up to and including
+// asOf; ARR annualises it
+function runRate(records, asOf) {
+    const windowRecords = filterByDateRange(records, addDays(asOf, -(RUN_RATE_DAYS - 1)), asOf);
+    const mrr = sumRevenue(windowRecords);
+    return { mrr: round2(mrr), arr: round2(mrr * 12) };
+}
+
+// Growth of the current window against the window of the same length that
+// ends the day before it starts. null when there's nothing to compare to.
+function growthRate(current, previous) {
+    if (!previous) {
+        return null;
+    }
+    return Math.round(((current - previous) / previous) * 10000) / 10000;
+}
+
+function summarizeRevenue(records, { start, end, granularity }) {
+    const days = daysBetween(start, end);
+    const previousEnd = addDays(start, -1);
+    const previousStart = addDays(previousEnd, -(days - 1));
+
+    const current = filterByDateRange(records, start, end);
+    const previous = filterByDateRange(records, previousStart, previousEnd);
+
+    const totalRevenue = sumRevenue(current);
+    const previousRevenue = sumRevenue(previous);
+    const { mrr, arr } = runRate(records, end);
+
+    return {
+        period: { start: toDateString(start), end: toDateString(end), days },
+        granularity,
+        total_revenue: round2(totalRevenue),
+        transactions: current.length,
+        avg_daily_revenue: round2(totalRevenue / days),
+        growth_rate: growthRate(totalRevenue, previousRevenue),
+        previous_period: {
+            start: toDateString(previousStart),
+            end: toDateString(previousEnd),
+            revenue: round2(previousRevenue)
+        },
+        mrr,
+        arr,
+        by_period: buildTimeSeries(current, start, end, granularity),
+        by_source: revenueBySource(current)
+    };
+}
+
+module.exports = {
+    RUN_RATE_DAYS,
+    recordDate,
+    sumRevenue,
+    round2,
+    filterByDateRange,
+    resolveDateRange,
+    buildTimeSeries,
+    revenueBySource,
+    runRate,
+    growthRate,
+    summarizeRevenue
+};
@@ -0,0 +1,259 @@
+// Revenue record validation and bulk import parsing
+// validateRevenueRecord() is shared by the single-record endpoint and bulk
+// imports so both accept exactly the same input.
+
+const { parseDate, toDateString, MIN_RECORD_YEAR, maxRecordYear, isRecordYear } = require('./periods');
+const { isCurrencyCode } = require('./currencies');
+
+const FORMATS = ['csv', 'ndjson'];
+
+const MAX_IMPORT_ROWS = 100000;
+
+// Fields a column mapping can target
+const IMPORT_FIELDS = ['date', 'amount', 'currency', 'source', 'channel', 'customer_id', 'external_id'];
+
+const AMOUNT_PATTERN = /^-?\d+(\.\d+)?$/;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+// Returns { value, errors } where value is the normalised record fields and
+// errors is a list of { field, message }
+function validateRevenueRecord(input) {
+    const errors = [];
+    const value = {};
+
+    const rawDate = input.date === undefined || input.date === null ? '' : String(input.date).trim();
+    const date = parseDate(rawDate);
+    if (!rawDate) {
+        errors.push({ field: 'date', message: 'date is required' });
+    } else if (!date) {
+        errors.push({ field: 'date', message: 'date must be an ISO-8601 date (YYYY-MM-DD)' });
+    } else if (!isRecordYear(date.getUTCFullYear())) {
+        errors.push({ field: 'date', message: `date must be between ${MIN_RECORD_YEAR}-01-01 and ${maxRecordYear()}-12-31` });
+    } else {
+        value.date = toDateString(date);
+    }
+
+    const rawAmount = input.amount === undefined || input.amount === null ? '' : String(input.amount).trim();
+    if (!rawAmount) {
+        errors.push({ field: 'amount', message: 'amount is required' });
+    } else if (!AMOUNT_PATTERN.test(rawAmount) || !isFinite(Number(rawAmount))) {
+        errors.push({ field: 'amount', message: 'amount must be a number' });
+    } else {
+        value.amount = Number(rawAmount);
+    }
+
+    const currency = input.currency ? String(input.currency).trim().toUpperCase() : 'USD';
+    if (!isCurrencyCode(currency)) {
+        errors.push({ field: 'currency', message: 'currency must be an ISO-4217 code' });
+    } else {
+        value.currency = currency;
+    }
+
+    value.source = input.source ? String(input.source).trim() : 'direct';
+    value.channel = input.channel ? String(input.channel).trim() : 'direct';
+
+    if (input.customer_id !== undefined && input.customer_id !== null && input.customer_id !== '') {
+        value.customer_id = String(input.customer_id).trim();
+    }
+    if (input.external_id !== undefined && input.external_id !== null && input.external_id !== '') {
+        value.external_id = String(input.external_id).trim();
+    }
+
+    return { value, errors };
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+// RFC 4180 CSV: quoted fields may contain commas, newlines and "" escapes.
+// Returns [{ line, values }] with the line each row started on.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const pushRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push({ line: rowLine, values: row });
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            pushRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length) {
+        pushRow();
+    }
+
+    return rows;
+}
+
+// Returns { rows: [{ line, data }] } or { error }. `data` is keyed by the
+// column names in the file (CSV header or NDJSON object keys).
+function parseImport(text, format) {
+    if (format === 'csv') {
+        const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+        if (!header) {
+            return { error: 'CSV file is empty' };
+        }
+        const columns = header.values.map(c => c.trim());
+        return {
+            rows: rows.map(({ line, values }) => ({
+                line,
+                data: Object.fromEntries(columns.map((column, i) => [column, values[i]]))
+            }))
+        };
+    }
+
+    const rows = [];
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].trim()) {
+            continue;
+        }
+        let data;
+        try {
+            data = JSON.parse(lines[i]);
+        } catch (err) {
+            data = null;
+        }
+        rows.push({ line: i + 1, data, parseError: data === null || typeof data !== 'object' });
+    }
+    return { rows };
+}
+
+// mapping is { targetField: 'Column In File' }; unmapped fields are read
+// from a column with the same name
+function applyMapping(data, mapping = {}) {
+    return Object.fromEntries(IMPORT_FIELDS.map(field => [field, data[mapping[field] || field]]));
+}
+
+function validateMapping(mapping) {
+    if (mapping === undefined) {
+        return null;
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return 'mapping must be an object of { field: column }';
+    }
+    const unknown = Object.keys(mapping).filter(field => !IMPORT_FIELDS.includes(field));
+    if (unknown.length) {
+        return `Unknown mapping fields: ${unknown.join(', ')} (expected: ${IMPORT_FIELDS.join(', ')})`;
+    }
+    return null;
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+// Rows handled between yields to the event loop / progress callbacks
+const IMPORT_CHUNK_SIZE = 500;
+
+// Validates every row and, unless dryRun, writes the valid ones through
+// `createRecord`. Rows whose external_id already exists (in the store or
+// earlier in the same file) are reported as duplicates and skipped. Each
+// chunk of rows runs inside `batch`, so a store can write it in one go.
+async function runImport(rows, { mapping, dryRun, existingExternalIds, createRecord, batch = fn => fn(), onProgress = () => {} }) {
+    const seen = new Set(existingExternalIds);
+    const report = {
+        total_rows: rows.length,
+        valid_rows: 0,
+        imported: 0,
+        duplicates: 0,
+        failed: 0,
+        errors: [],
+        duplicate_rows: [],
+        record_ids: []
+    };
+
+    const importRow = ({ line, data, parseError }) => {
+        if (parseError) {
+            report.failed++;
+            report.errors.push({ row: line, errors: [{ field: null, message: 'Line is not a valid JSON object' }] });
+            return;
+        }
+
+        const { value, errors } = validateRevenueRecord(applyMapping(data, mapping));
+        if (errors.length) {
+            report.failed++;
+            report.errors.push({ row: line, external_id: value.external_id, errors });
+            return;
+        }
+
+        if (value.external_id && seen.has(value.external_id)) {
+            report.duplicates++;
+            report.duplicate_rows.push({ row: line, external_id: value.external_id });
+            return;
+        }
+        if (value.external_id) {
+            seen.add(value.external_id);
+        }
+
+        report.valid_rows++;
+        if (!dryRun) {
+            report.record_ids.push(createRecord(value).id);
+            report.imported++;
+        }
+    };
+
+    for (let start = 0; start < rows.length; start += IMPORT_CHUNK_SIZE) {
+        if (start) {
+            onProgress(start / rows.length * 100);
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        batch(() => rows.slice(start, start + IMPORT_CHUNK_SIZE).forEach(importRow));
+    }
+
+    return report;
+}
+
+module.exports = {
+    FORMATS,
+    MAX_IMPORT_ROWS,
+    MIN_RECORD_YEAR,
+    IMPORT_FIELDS,
+    validateRevenueRecord,
+    parseCsv,
+    parseImport,
+    validateMapping,
+    runImport
+};
@@ -0,0 +1,145 @@
+// Revenue record queries and corrections
+// Filtering for the records listing and validation of partial updates.
+// Records are soft-deleted: deleted_at is set and every aggregate skips them,
+// but they stay queryable and can be restored.
+
+const { parseDate, toDateString } = require('./periods');
+const { validateRevenueRecord } = require('./revenue-import');
+
+// Fields a PATCH may change; customer_id and external_id take null to clear
+const EDITABLE_FIELDS = ['date', 'amount', 'currency', 'source', 'channel', 'customer_id', 'external_id', 'metadata'];
+
+const SORTABLE_FIELDS = ['date', 'amount', 'createdAt'];
+
+const RECORD_STATES = ['active', 'deleted', 'all'];
+
+function isDeleted(record) {
+    return Boolean(record.deleted_at);
+}
+
+function listParam(value) {
+    return typeof value === 'string' && value
+        ? value.split(',').map(item => item.trim()).filter(Boolean)
+        : null;
+}
+
+// Filters for GET /revenue/records. Amount bounds apply to the amount as
+// recorded, in the record's own currency. source, channel and currency take
+// comma-separated lists.
+function parseRecordFilters(query) {
+    const filters = {
+        state: query.state || 'active',
+        sources: listParam(query.source),
+        channels: listParam(query.channel),
+        currencies: listParam(query.currency) && listParam(query.currency).map(c => c.toUpperCase()),
+        customerId: typeof query.customer_id === 'string' && query.customer_id ? query.customer_id : null,
+        externalId: typeof query.external_id === 'string' && query.external_id ? query.external_id : null
+    };
+
+    if (!RECORD_STATES.includes(filters.state)) {
+        return { error: `state must be one of: ${RECORD_STATES.join(', ')}` };
+    }
+
+    for (const [name, key] of [['start_date', 'start'], ['end_date', 'end']]) {
+        if (query[name] !== undefined) {
+            const date = parseDate(query[name]);
+            if (!date) {
+                return { error: `${name} must be an ISO-8601 date (YYYY-MM-DD)` };
+            }
+            filters[key] = toDateString(date);
+        }
+    }
+    if (filters.start && filters.end && filters.start > filters.end) {
+        return { error: 'start_date must be on or before end_date' };
+    }
+
+    for (const [name, key] of [['min_amount', 'minAmount'], ['max_amount', 'maxAmount']]) {
+        if (query[name] !== undefined) {
+            const amount = Number(query[name]);
+            if (query[name] === '' || !isFinite(amount)) {
+                return { error: `${name} must be a number` };
+            }
+            filters[key] = amount;
+        }
+    }
+    if (filters.minAmount !== undefined && filters.maxAmount !== undefined && filters.minAmount > filters.maxAmount) {
+        return { error: 'min_amount must not be greater than max_amount' };
+    }
+
+    return { filters };
+}
+
+function matchesRecordFilters(record, filters) {
+    if (filters.state === 'active' && isDeleted(record)) {
+        return false;
+    }
+    if (filters.state === 'deleted' && !isDeleted(record)) {
+        return false;
+    }
+    return (!filters.start || record.date >= filters.start)
+        && (!filters.end || record.date <= filters.end)
+        && (!filters.sources || filters.sources.includes(record.source))
+        && (!filters.channels || filters.channels.includes(record.channel))
+        && (!filters.currencies || filters.currencies.includes(record.currency || 'USD'))
+        && (!filters.customerId || record.customer_id === filters.customerId)
+        && (!filters.externalId || record.external_id === filters.externalId)
+        && (filters.minAmount === undefined || record.amount >= filters.minAmount)
+        && (filters.maxAmount === undefined || record.amount <= filters.maxAmount);
+}
+
+// Validates a partial update by running the merged record through the same
+// validation as create, so a corrected record obeys the same rules as a new
+// one. Returns { changes, errors } with only the fields that actually differ.
+function validateRecordUpdate(record, input) {
+    const unknown = Object.keys(input).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length) {
+        return {
+            changes: {},
+            errors: unknown.map(field => ({ field, message: `not an editable field; expected: ${EDITABLE_FIELDS.join(', ')}` }))
+        };
+    }
+
+    const errors = [];
+    if (input.metadata !== undefined && input.metadata !== null && (typeof input.metadata !== 'object' || Array.isArray(input.metadata))) {
+        errors.push({ field: 'metadata', message: 'metadata must be an object or null' });
+    }
+
+    const merged = {};
+    EDITABLE_FIELDS.forEach(field => {
+        merged[field] = input[field] !== undefined ? input[field] : record[field];
+    });
+    const { value, errors: fieldErrors } = validateRevenueRecord(merged);
+    errors.push(...fieldErrors);
+
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+        const next = field === 'metadata' ? merged.metadata : value[field];
+        const normalized = next === undefined ? null : next;
+        const current = record[field] === undefined ? null : record[field];
+        if (JSON.stringify(normalized) !== JSON.stringify(current)) {
+            changes[field] = normalized;
+        }
+    });
+
+    return { changes: errors.length ? {} : changes, errors };
+}
+
+// The fields a revision diff covers
+function revisionSnapshot(record) {
+    const snapshot = {};
+    [...EDITABLE_FIELDS, 'deleted_at'].forEach(field => {
+        snapshot[field] = record[field] === undefined ? null : record[field];
+    });
+    return snapshot;
+}
+
+module.exports = {
+    EDITABLE_FIELDS,
+    SORTABLE_FIELDS,
+    RECORD_STATES,
+    isDeleted,
+    parseRecordFilters,
+    matchesRecordFilters,
+    validateRecordUpdate,
+    revisionSnapshot
+};
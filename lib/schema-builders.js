@@ -0,0 +1,47 @@
+// Schema builders
+// Shorthand for the JSON Schema subset lib/validation understands, shared by
+// the request schemas (lib/schemas) and the response schemas the API
+// description is built from (lib/api-docs).
+
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const integer = (extra = {}) => ({ type: 'integer', ...extra });
+const number = (extra = {}) => ({ type: 'number', ...extra });
+const boolean = (extra = {}) => ({ type: 'boolean', ...extra });
+const date = (extra = {}) => ({ type: 'string', format: 'date', ...extra });
+const dateTime = (extra = {}) => ({ type: 'string', format: 'date-time', ...extra });
+const array = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const oneOf = (values, extra = {}) => ({ type: 'string', enum: values, ...extra });
+
+// `additional` is true (any other fields allowed), false (none), or the
+// schema every other field must match
+function object(properties, { required = [], additional = true } = {}) {
+    return {
+        type: 'object',
+        properties,
+        ...(required.length ? { required } : {}),
+        ...(additional === true ? {} : { additionalProperties: additional })
+    };
+}
+
+function nullable(schema) {
+    return { ...schema, type: [].concat(schema.type, 'null') };
+}
+
+// Batch endpoints take one item as the body or { <key>: [items] }
+function oneOrMany(key, item, maxItems) {
+    return { anyOf: [item, object({ [key]: array(item, { minItems: 1, maxItems }) }, { required: [key] })] };
+}
+
+module.exports = {
+    string,
+    integer,
+    number,
+    boolean,
+    date,
+    dateTime,
+    array,
+    oneOf,
+    object,
+    nullable,
+    oneOrMany
+};
@@ -0,0 +1,617 @@
+// Request schemas
+// What each route accepts in its query string and body, checked by the
+// validate() middleware in lib/validation before the handler runs. Schemas
+// cover shape, types and ranges; checks that need stored data or domain
+// rules (currency codes, state transitions, URL safety...) stay with the
+// handlers and the lib validators they call.
+
+const { GRANULARITY_NAMES } = require('./periods');
+const { PLAN_TIERS, CLIENT_STATUSES } = require('./client-lifecycle');
+const { ROLES } = require('./permissions');
+const { API_KEY_SCOPES, ENVIRONMENTS } = require('./api-keys');
+const { FOCUS_AREAS, INSIGHT_STATUSES, SORTABLE_FIELDS: INSIGHT_SORTABLE_FIELDS, MAX_TEXT_LENGTH } = require('./insights');
+const { MODELS: ATTRIBUTION_MODELS, DEFAULT_LOOKBACK_DAYS } = require('./attribution');
+const { FORMATS: IMPORT_FORMATS } = require('./revenue-import');
+const { RECORD_STATES, SORTABLE_FIELDS: RECORD_SORTABLE_FIELDS } = require('./revenue-records');
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES } = require('./webhooks');
+const { JOB_STATUSES } = require('./jobs');
+const { MAX_LIMIT } = require('./pagination');
+const {
+    SECTION_KEYS: REPORT_SECTIONS,
+    FORMAT_NAMES: REPORT_FORMATS,
+    DATE_RANGES: REPORT_DATE_RANGES,
+    FREQUENCIES: REPORT_FREQUENCIES,
+    WEEKDAYS,
+    MAX_DAY_OF_MONTH
+} = require('./reports');
+const { string, integer, number, boolean, date, array, oneOf, object, nullable, oneOrMany } = require('./schema-builders');
+
+// ============================================================================
+// SHARED FIELDS
+// ============================================================================
+
+const currencyCode = (extra = {}) => string({ pattern: '^[A-Za-z]{3}$', ...extra });
+const text = (maxLength = MAX_TEXT_LENGTH) => string({ maxLength });
+
+const dateRange = {
+    start_date: date(),
+    end_date: date()
+};
+
+// sort/order/limit/cursor for routes paged with lib/pagination
+function pageQuery(sortable) {
+    return {
+        sort: oneOf(sortable),
+        order: oneOf(['asc', 'desc']),
+        limit: integer({ minimum: 1, maximum: MAX_LIMIT }),
+        cursor: string()
+    };
+}
+
+// ============================================================================
+// AUTHENTICATION
+// ============================================================================
+
+const register = {
+    body: object({
+        email: string({ format: 'email', maxLength: 254 }),
+        password: string({ minLength: 1, maxLength: 200 }),
+        firstName: text(100),
+        lastName: text(100),
+        clientId: string({ minLength: 1, maxLength: 100 }),
+        company_name: text(200)
+    }, { required: ['email', 'password'] })
+};
+
+const login = {
+    body: object({
+        email: string({ minLength: 1, maxLength: 254 }),
+        password: string({ minLength: 1, maxLength: 200 })
+    }, { required: ['email', 'password'] })
+};
+
+const refresh = {
+    body: object({ refresh_token: string({ minLength: 1 }) }, { required: ['refresh_token'] })
+};
+
+const logout = {
+    body: object({
+        refresh_token: string(),
+        all_sessions: boolean({ default: false })
+    })
+};
+
+const acceptInvitation = {
+    body: object({
+        token: string({ minLength: 1 }),
+        password: string({ minLength: 1, maxLength: 200 }),
+        firstName: text(100),
+        lastName: text(100)
+    }, { required: ['token', 'password'] })
+};
+
+// ============================================================================
+// REVENUE
+// ============================================================================
+
+const revenueSummary = {
+    query: object({
+        ...dateRange,
+        granularity: oneOf(GRANULARITY_NAMES, { default: 'daily' })
+    })
+};
+
+const revenueCohorts = {
+    query: object({
+        ...dateRange,
+        limit: integer({ minimum: 0, maximum: 500, default: 20 })
+    })
+};
+
+const mrrMovements = {
+    query: object(dateRange)
+};
+
+const revenueForecast = {
+    query: object({
+        periods: integer({ minimum: 1, maximum: 60, default: 6 }),
+        granularity: oneOf(GRANULARITY_NAMES, { default: 'monthly' })
+    })
+};
+
+// Amounts may be sent as strings so values from CSV-minded ETL jobs keep
+// their exact decimal text
+const revenueRecordFields = {
+    date: date(),
+    amount: { type: ['number', 'string'] },
+    currency: currencyCode(),
+    source: text(100),
+    channel: text(100),
+    customer_id: nullable({ type: ['string', 'number'] }),
+    external_id: nullable({ type: ['string', 'number'] }),
+    metadata: nullable(object({}))
+};
+
+const createRevenueRecord = {
+    body: object(revenueRecordFields, { required: ['date', 'amount'] })
+};
+
+const listRevenueRecords = {
+    query: object({
+        ...dateRange,
+        state: oneOf(RECORD_STATES),
+        source: string(),
+        channel: string(),
+        currency: string(),
+        customer_id: string(),
+        external_id: string(),
+        min_amount: number(),
+        max_amount: number(),
+        ...pageQuery(RECORD_SORTABLE_FIELDS)
+    })
+};
+
+const updateRevenueRecord = {
+    body: object({
+        ...revenueRecordFields,
+        reason: nullable(text(500))
+    }, { additional: false })
+};
+
+const deleteRevenueRecord = {
+    body: object({ reason: nullable(text(500)) })
+};
+
+const createRevenueImport = {
+    query: object({
+        format: oneOf(IMPORT_FORMATS),
+        dry_run: boolean({ default: false }),
+        mapping: object({}, { additional: string() })
+    })
+};
+
+// ============================================================================
+// CLIENTS
+// ============================================================================
+
+const contact = nullable(object({
+    name: text(200),
+    email: string({ maxLength: 200 }),
+    phone: text(200)
+}));
+
+const clientFields = {
+    company_name: string({ minLength: 1, maxLength: 200 }),
+    domain: nullable(string({ maxLength: 253 })),
+    industry: nullable(text(200)),
+    primary_contact: contact,
+    status: oneOf(CLIENT_STATUSES)
+};
+
+const listClients = {
+    query: object({ include_archived: boolean({ default: false }) })
+};
+
+const createClient = {
+    body: object({
+        ...clientFields,
+        plan_tier: oneOf(PLAN_TIERS),
+        reporting_currency: currencyCode({ default: 'USD' })
+    }, { required: ['company_name'] })
+};
+
+// Unknown fields are left to the handler, which points plan_tier at the
+// plan-changes endpoint
+const updateClient = {
+    body: object(clientFields)
+};
+
+const createPlanChange = {
+    body: object({
+        plan_tier: oneOf(PLAN_TIERS),
+        effective_date: date()
+    }, { required: ['plan_tier'] })
+};
+
+const createInvitation = {
+    body: object({
+        email: string({ format: 'email', maxLength: 254 }),
+        role: oneOf(ROLES, { default: 'viewer' })
+    }, { required: ['email'] })
+};
+
+const updateUserRole = {
+    body: object({ role: oneOf(ROLES) }, { required: ['role'] })
+};
+
+const createApiKey = {
+    body: object({
+        name: text(100),
+        scopes: array(oneOf(API_KEY_SCOPES), { minItems: 1 }),
+        environment: oneOf(ENVIRONMENTS)
+    })
+};
+
+const updateSettings = {
+    body: object({
+        reporting_currency: currencyCode(),
+        health_weights: nullable(object({}, { additional: number({ minimum: 0 }) }))
+    })
+};
+
+const clientUsage = {
+    query: object({ month: string({ pattern: '^\\d{4}-(0[1-9]|1[0-2])$' }) })
+};
+
+const clientHealth = {
+    query: object({
+        days: integer({ minimum: 1, maximum: 366, default: 90 }),
+        compare_days: integer({ minimum: 1, maximum: 365, default: 7 })
+    })
+};
+
+// ============================================================================
+// INSIGHTS
+// ============================================================================
+
+const listInsights = {
+    query: object({
+        type: string(),
+        status: oneOf(INSIGHT_STATUSES),
+        assigned_to: string(),
+        min_confidence: number({ minimum: 0, maximum: 1, default: 0 }),
+        include_dismissed: boolean({ default: false }),
+        include_snoozed: boolean({ default: false }),
+        ...pageQuery(INSIGHT_SORTABLE_FIELDS)
+    })
+};
+
+const generateInsights = {
+    body: object({
+        scope: string(),
+        target_id: string(),
+        focus_areas: array(oneOf(FOCUS_AREAS), { default: [] }),
+        time_window: string({ pattern: '^\\d+[dwmq]$', default: '30d' })
+    })
+};
+
+const dismissInsight = {
+    body: object({ reason: string({ minLength: 1, maxLength: MAX_TEXT_LENGTH }) }, { required: ['reason'] })
+};
+
+const snoozeInsight = {
+    body: object({ until: string({ minLength: 1 }) }, { required: ['until'] })
+};
+
+const assignInsight = {
+    body: object({ user_id: nullable(string({ minLength: 1 })) }, { required: ['user_id'] })
+};
+
+const insightFeedback = {
+    body: object({
+        helpful: boolean(),
+        comment: nullable(text())
+    }, { required: ['helpful'] })
+};
+
+// ============================================================================
+// INTEGRATIONS
+// ============================================================================
+
+const connectIntegration = {
+    body: object({ config: object({}, { additional: nullable(string()) }) })
+};
+
+const oauthCallback = {
+    query: object({
+        code: string(),
+        state: string(),
+        error: string(),
+        error_description: string()
+    })
+};
+
+const syncIntegration = {
+    body: object({ full: boolean({ default: false }) })
+};
+
+const listIntegrationSyncs = {
+    query: object({ limit: integer({ minimum: 1, maximum: MAX_LIMIT, default: 20 }) })
+};
+
+// ============================================================================
+// ATTRIBUTION & FX
+// ============================================================================
+
+const touchpoint = object({
+    customer_id: { type: ['string', 'number'] },
+    channel: string({ minLength: 1, maxLength: 100 }),
+    campaign: nullable(text(200)),
+    timestamp: string({ minLength: 1 }),
+    metadata: nullable(object({}))
+}, { required: ['customer_id', 'channel', 'timestamp'] });
+
+const createTouchpoints = {
+    body: oneOrMany('touchpoints', touchpoint, 1000)
+};
+
+const calculateAttribution = {
+    body: object({
+        ...dateRange,
+        model: oneOf(ATTRIBUTION_MODELS, { default: 'markov_chain' }),
+        lookback_days: integer({ minimum: 1, maximum: 365, default: DEFAULT_LOOKBACK_DAYS })
+    })
+};
+
+const listFxRates = {
+    query: object({
+        base: currencyCode(),
+        quote: currencyCode(),
+        ...dateRange
+    })
+};
+
+const upsertFxRates = {
+    body: object({
+        rates: array(object({
+            date: date(),
+            base: currencyCode(),
+            quote: currencyCode(),
+            rate: number({ exclusiveMinimum: 0 }),
+            source: text(100)
+        }, { required: ['date', 'base', 'quote', 'rate'] }), { minItems: 1, maxItems: 10000 })
+    }, { required: ['rates'] })
+};
+
+// ============================================================================
+// SEO
+// ============================================================================
+
+const keywordFields = {
+    target_url: nullable(string({ maxLength: 2000 })),
+    search_volume: nullable(integer({ minimum: 0 })),
+    tags: array(text(100))
+};
+
+const keyword = object({
+    keyword: string({ minLength: 1, maxLength: 200 }),
+    ...keywordFields
+}, { required: ['keyword'] });
+
+const listKeywords = {
+    query: object({ tag: string() })
+};
+
+// A batch may list keywords as plain strings
+const createKeywords = {
+    body: {
+        anyOf: [
+            keyword,
+            object({
+                keywords: array({ anyOf: [string({ minLength: 1, maxLength: 200 }), keyword] }, { minItems: 1, maxItems: 500 })
+            }, { required: ['keywords'] })
+        ]
+    }
+};
+
+// The keyword text is rejected by the handler with its own explanation
+const updateKeyword = {
+    body: object(keywordFields)
+};
+
+const observation = object({
+    keyword: string({ minLength: 1, maxLength: 200 }),
+    date: date(),
+    position: number({ minimum: 1, maximum: 1000 }),
+    url: nullable(string({ maxLength: 2000 })),
+    search_volume: nullable(integer({ minimum: 0 }))
+}, { required: ['keyword', 'date', 'position'] });
+
+const createObservations = {
+    body: oneOrMany('observations', observation, 5000)
+};
+
+const seoRankings = {
+    query: object({
+        ...dateRange,
+        keywords: array(string())
+    })
+};
+
+// ============================================================================
+// PREDICTIONS
+// ============================================================================
+
+const predictChurn = {
+    body: object({
+        client_ids: array(string()),
+        threshold: number({ exclusiveMinimum: 0, exclusiveMaximum: 1, default: 0.5 })
+    })
+};
+
+const churnLabels = {
+    body: object({
+        labels: array(object({
+            client_id: string({ minLength: 1 }),
+            churned: boolean(),
+            as_of: date()
+        }, { required: ['client_id', 'churned'] }), { minItems: 1, maxItems: 10000 })
+    }, { required: ['labels'] })
+};
+
+// ============================================================================
+// REPORTS & EXPORTS
+// ============================================================================
+
+// What goes into a file. Options tune the analytics behind the sections and
+// mean the same as on the matching routes.
+const reportContent = {
+    sections: array(oneOf(REPORT_SECTIONS), { minItems: 1, maxItems: REPORT_SECTIONS.length }),
+    format: oneOf(REPORT_FORMATS),
+    date_range: oneOf(REPORT_DATE_RANGES),
+    ...dateRange,
+    options: object({
+        granularity: oneOf(GRANULARITY_NAMES),
+        model: oneOf(ATTRIBUTION_MODELS),
+        lookback_days: integer({ minimum: 1, maximum: 365 }),
+        keywords: array(string(), { maxItems: 500 })
+    }, { additional: false })
+};
+
+const createExport = {
+    body: object({
+        ...reportContent,
+        date_range: oneOf(REPORT_DATE_RANGES, { default: 'last_full_month' })
+    }, { required: ['sections', 'format'] })
+};
+
+const listExports = {
+    query: object({
+        report_id: string(),
+        ...pageQuery(['created_at'])
+    })
+};
+
+const downloadExport = {
+    query: object({
+        expires: string({ pattern: '^\\d+$' }),
+        signature: string({ minLength: 1 })
+    }, { required: ['expires', 'signature'] })
+};
+
+const reportFields = {
+    name: string({ minLength: 1, maxLength: 200 }),
+    ...reportContent,
+    recipients: array(string({ format: 'email', maxLength: 254 }), { maxItems: 50 }),
+    // null for a report that only runs on demand
+    schedule: nullable(object({
+        frequency: oneOf(REPORT_FREQUENCIES),
+        day_of_week: oneOf(WEEKDAYS),
+        day_of_month: integer({ minimum: 1, maximum: MAX_DAY_OF_MONTH }),
+        hour: integer({ minimum: 0, maximum: 23 })
+    }, { required: ['frequency'], additional: false })),
+    attach_file: boolean(),
+    active: boolean()
+};
+
+const createReport = {
+    body: object({
+        ...reportFields,
+        date_range: oneOf(REPORT_DATE_RANGES, { default: 'last_full_month' }),
+        recipients: { ...reportFields.recipients, default: [] },
+        schedule: { ...reportFields.schedule, default: null },
+        attach_file: boolean({ default: true }),
+        active: boolean({ default: true })
+    }, { required: ['name', 'sections', 'format'] })
+};
+
+const updateReport = {
+    body: object(reportFields)
+};
+
+// ============================================================================
+// JOBS, WEBHOOKS & AUDIT LOGS
+// ============================================================================
+
+const listJobs = {
+    query: object({
+        status: oneOf(JOB_STATUSES),
+        type: string(),
+        limit: integer({ minimum: 1, maximum: MAX_LIMIT, default: 50 })
+    })
+};
+
+const webhookFields = {
+    url: string({ minLength: 1, maxLength: 2000 }),
+    events: array(oneOf(WEBHOOK_EVENTS), { minItems: 1 }),
+    description: nullable(text())
+};
+
+const createWebhook = {
+    body: object(webhookFields, { required: ['url', 'events'] })
+};
+
+const updateWebhook = {
+    body: object({ ...webhookFields, active: boolean() })
+};
+
+const listDeliveries = {
+    query: object({
+        status: oneOf(DELIVERY_STATUSES),
+        event_type: string(),
+        ...pageQuery(['created_at'])
+    })
+};
+
+const listAuditLogs = {
+    query: object({
+        action: string(),
+        actor_id: string(),
+        target_type: string(),
+        target_id: string(),
+        request_id: string(),
+        ip: string(),
+        outcome: oneOf(['success', 'failure']),
+        ...dateRange,
+        format: oneOf(['json', 'csv'], { default: 'json' }),
+        ...pageQuery(['occurred_at'])
+    })
+};
+
+module.exports = {
+    register,
+    login,
+    refresh,
+    logout,
+    acceptInvitation,
+    revenueSummary,
+    revenueCohorts,
+    mrrMovements,
+    revenueForecast,
+    createRevenueRecord,
+    listRevenueRecords,
+    updateRevenueRecord,
+    deleteRevenueRecord,
+    createRevenueImport,
+    listClients,
+    createClient,
+    updateClient,
+    createPlanChange,
+    createInvitation,
+    updateUserRole,
+    createApiKey,
+    updateSettings,
+    clientUsage,
+    clientHealth,
+    listInsights,
+    generateInsights,
+    dismissInsight,
+    snoozeInsight,
+    assignInsight,
+    insightFeedback,
+    connectIntegration,
+    oauthCallback,
+    syncIntegration,
+    listIntegrationSyncs,
+    createTouchpoints,
+    calculateAttribution,
+    listFxRates,
+    upsertFxRates,
+    listKeywords,
+    createKeywords,
+    updateKeyword,
+    createObservations,
+    seoRankings,
+    predictChurn,
+    churnLabels,
+    createExport,
+    listExports,
+    downloadExport,
+    createReport,
+    updateReport,
+    listJobs,
+    createWebhook,
+    updateWebhook,
+    listDeliveries,
+    listAuditLogs
+};
@@ -0,0 +1,144 @@
+// Demo data seeding
+// Used by `npm run seed` and by the server on startup when SEED_DEMO_DATA is
+// enabled. Safe to run more than once: it does nothing if the demo client is
+// already present.
+
+const bcrypt = require('bcryptjs');
+const { generateInsights, saveInsights } = require('./insights');
+const { observationId } = require('./seo');
+
+const DEMO_CLIENT_ID = 'client-demo-001';
+const DEMO_EMAIL = 'demo@butlerco.com';
+const DEMO_PASSWORD = 'demo123';
+const STAFF_EMAIL = 'staff@butlerco.com';
+const STAFF_PASSWORD = 'staff123';
+
+async function seedDemoData(store) {
+    const clients = store.collection('clients');
+    const users = store.collection('users');
+    const revenueRecords = store.collection('revenue_records');
+    const insights = store.collection('insights');
+    const seoKeywords = store.collection('seo_keywords');
+    const rankingObservations = store.collection('ranking_observations');
+
+    if (clients.has(DEMO_CLIENT_ID)) {
+        return false;
+    }
+
+    // Create demo client
+    clients.set(DEMO_CLIENT_ID, {
+        id: DEMO_CLIENT_ID,
+        company_name: 'TechCorp Industries',
+        domain: 'techcorp.com',
+        industry: 'IT Services',
+        plan_tier: 'enterprise',
+        mrr: 12500,
+        arr: 150000,
+        status: 'active',
+        health_score: 95,
+        onboarding_completed: true,
+        onboarding: {
+            steps: {
+                connect_integration: '2025-06-16T00:00:00Z',
+                import_revenue: '2025-06-16T00:00:00Z',
+                invite_user: '2025-06-18T00:00:00Z'
+            },
+            completed_at: '2025-06-18T00:00:00Z'
+        },
+        reporting_currency: 'USD',
+        created_at: '2025-06-15T00:00:00Z'
+    });
+
+    // Create demo user
+    const hash = await bcrypt.hash(DEMO_PASSWORD, 10);
+    users.set(DEMO_EMAIL, {
+        id: 'user-demo-001',
+        email: DEMO_EMAIL,
+        password: hash,
+        firstName: 'Demo',
+        lastName: 'User',
+        clientId: DEMO_CLIENT_ID,
+        role: 'owner',
+        createdAt: new Date().toISOString()
+    });
+
+    // Create a Butler & Co staff user who can work across clients
+    users.set(STAFF_EMAIL, {
+        id: 'user-staff-001',
+        email: STAFF_EMAIL,
+        password: await bcrypt.hash(STAFF_PASSWORD, 10),
+        firstName: 'Agency',
+        lastName: 'Staff',
+        clientId: DEMO_CLIENT_ID,
+        role: 'agency_staff',
+        createdAt: new Date().toISOString()
+    });
+
+    // Seed revenue records
+    const sources = ['organic', 'paid_ads', 'referral', 'direct'];
+    for (let i = 0; i < 100; i++) {
+        const recordId = `record-seed-${i}`;
+        revenueRecords.set(recordId, {
+            id: recordId,
+            clientId: DEMO_CLIENT_ID,
+            date: new Date(Date.now() - Math.random() * 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+            source: sources[Math.floor(Math.random() * sources.length)],
+            channel: 'google_organic',
+            customer_id: `cust-demo-${String(Math.floor(Math.random() * 25)).padStart(2, '0')}`,
+            amount: Math.round(Math.random() * 5000 + 500),
+            currency: 'USD',
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    // Seed tracked keywords with 60 days of rankings drifting up or down
+    const keywords = [
+        { keyword: 'revenue intelligence', search_volume: 2400, start: 9 },
+        { keyword: 'marketing analytics', search_volume: 5400, start: 14 },
+        { keyword: 'b2b revenue attribution', search_volume: 880, start: 4 },
+        { keyword: 'churn prediction software', search_volume: 1300, start: 22 },
+        { keyword: 'mrr dashboard', search_volume: 720, start: 6 }
+    ];
+    keywords.forEach((k, i) => {
+        const keywordId = `kw-seed-${i}`;
+        const url = `https://butlerco.com/${k.keyword.replace(/ /g, '-')}`;
+        seoKeywords.set(keywordId, {
+            id: keywordId,
+            clientId: DEMO_CLIENT_ID,
+            keyword: k.keyword,
+            target_url: url,
+            search_volume: k.search_volume,
+            tags: [],
+            created_by: 'user-demo-001',
+            created_at: new Date().toISOString()
+        });
+
+        const drift = i % 2 === 0 ? -0.08 : 0.05;
+        for (let day = 60; day >= 1; day--) {
+            const observation = {
+                keyword: k.keyword,
+                date: new Date(Date.now() - day * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+                position: Math.max(1, Math.round(k.start + drift * (60 - day) + (Math.random() - 0.5) * 2)),
+                url,
+                search_volume: k.search_volume
+            };
+            const id = observationId(DEMO_CLIENT_ID, observation);
+            rankingObservations.set(id, { id, clientId: DEMO_CLIENT_ID, source: 'api', ...observation, synced_at: new Date().toISOString() });
+        }
+    });
+
+    // Insights come from running the engine over the seeded revenue
+    const drafts = generateInsights(revenueRecords.find(r => r.clientId === DEMO_CLIENT_ID));
+    saveInsights(insights, DEMO_CLIENT_ID, drafts);
+
+    return true;
+}
+
+module.exports = {
+    DEMO_CLIENT_ID,
+    DEMO_EMAIL,
+    DEMO_PASSWORD,
+    STAFF_EMAIL,
+    STAFF_PASSWORD,
+    seedDemoData
+};
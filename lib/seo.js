@@ -0,0 +1,268 @@
+// SEO rank tracking
+// Clients track a set of keywords; ranking observations (one keyword, URL and
+// position on a day) come from the ingestion endpoint or the Search Console
+// connector. Rankings, time series and the summary are all derived from the
+// stored observations.
+
+const crypto = require('crypto');
+const { parseDate, toDateString, addDays, MIN_RECORD_YEAR, maxRecordYear, isRecordYear } = require('./periods');
+
+const MAX_KEYWORD_LENGTH = 200;
+const MAX_POSITION = 1000;
+
+// Share of clicks a result gets at positions 1-10; positions 11-20 get a
+// flat 1% and anything lower is treated as invisible
+const CTR_BY_POSITION = [0.284, 0.157, 0.110, 0.080, 0.072, 0.051, 0.040, 0.032, 0.028, 0.025];
+const PAGE_TWO_CTR = 0.01;
+
+function normalizeKeyword(value) {
+    return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+function validateSearchVolume(value, errors) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    if (!Number.isInteger(Number(value)) || Number(value) < 0) {
+        errors.push({ field: 'search_volume', message: 'search_volume must be a non-negative integer' });
+        return null;
+    }
+    return Number(value);
+}
+
+// Validates a keyword definition. `partial` skips the keyword text itself,
+// which can't be changed once tracked.
+function validateKeyword(input, { partial = false } = {}) {
+    const errors = [];
+    const value = {};
+
+    if (!input || typeof input !== 'object') {
+        return { value, errors: [{ field: 'keyword', message: 'keyword is required' }] };
+    }
+
+    if (!partial) {
+        const keyword = typeof input.keyword === 'string' ? normalizeKeyword(input.keyword) : '';
+        if (!keyword) {
+            errors.push({ field: 'keyword', message: 'keyword is required' });
+        } else if (keyword.length > MAX_KEYWORD_LENGTH) {
+            errors.push({ field: 'keyword', message: `keyword must be at most ${MAX_KEYWORD_LENGTH} characters` });
+        } else {
+            value.keyword = keyword;
+        }
+    }
+
+    if (input.target_url !== undefined) {
+        if (input.target_url !== null && !isHttpUrl(input.target_url)) {
+            errors.push({ field: 'target_url', message: 'target_url must be an http(s) URL' });
+        } else {
+            value.target_url = input.target_url;
+        }
+    }
+
+    if (input.search_volume !== undefined) {
+        value.search_volume = validateSearchVolume(input.search_volume, errors);
+    }
+
+    if (input.tags !== undefined) {
+        if (!Array.isArray(input.tags) || input.tags.some(tag => typeof tag !== 'string')) {
+            errors.push({ field: 'tags', message: 'tags must be an array of strings' });
+        } else {
+            value.tags = Array.from(new Set(input.tags.map(tag => tag.trim()).filter(Boolean)));
+        }
+    }
+
+    return { value, errors };
+}
+
+function validateObservation(input) {
+    const errors = [];
+    const value = {};
+
+    if (!input || typeof input !== 'object') {
+        return { value, errors: [{ field: 'keyword', message: 'observation must be an object' }] };
+    }
+
+    const keyword = typeof input.keyword === 'string' ? normalizeKeyword(input.keyword) : '';
+    if (!keyword) {
+        errors.push({ field: 'keyword', message: 'keyword is required' });
+    } else {
+        value.keyword = keyword;
+    }
+
+    const date = parseDate(input.date);
+    if (!date) {
+        errors.push({ field: 'date', message: 'date must be an ISO-8601 date (YYYY-MM-DD)' });
+    } else if (!isRecordYear(date.getUTCFullYear())) {
+        errors.push({ field: 'date', message: `date must be between ${MIN_RECORD_YEAR}-01-01 and ${maxRecordYear()}-12-31` });
+    } else {
+        value.date = toDateString(date);
+    }
+
+    const position = Number(input.position);
+    if (input.position === undefined || input.position === null || !isFinite(position) || position < 1 || position > MAX_POSITION) {
+        errors.push({ field: 'position', message: `position must be a number between 1 and ${MAX_POSITION}` });
+    } else {
+        value.position = position;
+    }
+
+    if (input.url === undefined || input.url === null) {
+        value.url = null;
+    } else if (!isHttpUrl(input.url)) {
+        errors.push({ field: 'url', message: 'url must be an http(s) URL' });
+    } else {
+        value.url = input.url;
+    }
+
+    value.search_volume = validateSearchVolume(input.search_volume, errors);
+
+    return { value, errors };
+}
+
+// Observations are keyed by client, day, keyword and URL, so ingesting the
+// same day again replaces it
+function observationId(clientId, { date, keyword, url }) {
+    const digest = crypto.createHash('sha1')
+        .update([clientId, date, normalizeKeyword(keyword), url || ''].join('\n'))
+        .digest('hex');
+    return `rank-${digest.slice(0, 20)}`;
+}
+
+function expectedCtr(position) {
+    if (!position) {
+        return 0;
+    }
+    const rounded = Math.round(position);
+    if (rounded <= CTR_BY_POSITION.length) {
+        return CTR_BY_POSITION[rounded - 1];
+    }
+    return rounded <= 20 ? PAGE_TWO_CTR : 0;
+}
+
+// Estimated share (0-100) of the clicks available across the keyword set,
+// weighting each keyword by its search volume
+function visibilityScore(entries) {
+    const weighted = entries.map(e => ({ weight: e.search_volume || 1, position: e.position }));
+    const possible = weighted.reduce((sum, e) => sum + e.weight * CTR_BY_POSITION[0], 0);
+    if (!possible) {
+        return 0;
+    }
+    const actual = weighted.reduce((sum, e) => sum + e.weight * expectedCtr(e.position), 0);
+    return Math.round((actual / possible) * 10000) / 100;
+}
+
+function round1(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Builds one ranking per tracked keyword from the observations in
+// [start, end]. When a keyword ranks with several URLs on a day, the best
+// position counts.
+function buildRankings(keywords, observations, { start, end }) {
+    const daily = new Map(keywords.map(k => [k.keyword, new Map()]));
+
+    observations.forEach(obs => {
+        const date = parseDate(obs.date);
+        const days = daily.get(normalizeKeyword(obs.keyword));
+        if (!days || !date || date < start || date > end) {
+            return;
+        }
+        const best = days.get(obs.date);
+        if (!best || obs.position < best.position) {
+            days.set(obs.date, obs);
+        }
+    });
+
+    return keywords.map(k => {
+        const series = Array.from(daily.get(k.keyword).values())
+            .sort((a, b) => a.date.localeCompare(b.date));
+        const first = series[0];
+        const last = series[series.length - 1];
+        const volume = k.search_volume !== null && k.search_volume !== undefined
+            ? k.search_volume
+            : (series.slice().reverse().find(o => o.search_volume !== null && o.search_volume !== undefined) || {}).search_volume || null;
+
+        return {
+            keyword_id: k.id,
+            keyword: k.keyword,
+            tags: k.tags || [],
+            search_volume: volume,
+            target_url: k.target_url || null,
+            current_position: last ? last.position : null,
+            previous_position: first ? first.position : null,
+            // Positive means the keyword moved up
+            change: first && last ? round1(first.position - last.position) : null,
+            url: last ? last.url : null,
+            time_series: series.map(o => ({ date: o.date, position: o.position, url: o.url }))
+        };
+    });
+}
+
+// Daily visibility across the keyword set. A keyword keeps its last known
+// position on days without an observation.
+function visibilitySeries(rankings, { start, end }) {
+    const series = [];
+    const latest = new Map();
+    const byDate = new Map();
+    rankings.forEach(r => r.time_series.forEach(point => {
+        const entries = byDate.get(point.date) || [];
+        entries.push({ keyword: r.keyword, position: point.position });
+        byDate.set(point.date, entries);
+    }));
+    const volumes = new Map(rankings.map(r => [r.keyword, r.search_volume]));
+
+    for (let day = start; day <= end; day = addDays(day, 1)) {
+        const date = toDateString(day);
+        (byDate.get(date) || []).forEach(e => latest.set(e.keyword, e.position));
+        if (latest.size) {
+            series.push({
+                date,
+                visibility_score: visibilityScore(rankings.map(r => ({
+                    search_volume: volumes.get(r.keyword),
+                    position: latest.get(r.keyword) || null
+                })))
+            });
+        }
+    }
+    return series;
+}
+
+function summarizeRankings(rankings, series) {
+    const ranked = rankings.filter(r => r.current_position !== null);
+    const changes = rankings.filter(r => r.change !== null);
+    const positions = ranked.map(r => r.current_position);
+
+    return {
+        total_keywords: rankings.length,
+        ranked_keywords: ranked.length,
+        top_3_count: positions.filter(p => p <= 3).length,
+        top_10_count: positions.filter(p => p <= 10).length,
+        avg_position: positions.length ? round1(positions.reduce((a, b) => a + b, 0) / positions.length) : null,
+        avg_position_change: changes.length ? round1(changes.reduce((sum, r) => sum + r.change, 0) / changes.length) : null,
+        visibility_score: series.length ? series[series.length - 1].visibility_score : 0,
+        visibility_change: series.length
+            ? Math.round((series[series.length - 1].visibility_score - series[0].visibility_score) * 100) / 100
+            : 0
+    };
+}
+
+module.exports = {
+    MAX_KEYWORD_LENGTH,
+    CTR_BY_POSITION,
+    normalizeKeyword,
+    validateKeyword,
+    validateObservation,
+    observationId,
+    expectedCtr,
+    visibilityScore,
+    buildRankings,
+    visibilitySeries,
+    summarizeRankings
+};
@@ -0,0 +1,130 @@
+// Blob storage
+// Large content - uploaded import files, generated report files - is kept
+// out of the collections: the file adapter rewrites its whole snapshot on
+// every change and repositories copy a record on every read. Records hold a
+// key instead and the content lives here.
+//
+// Keys look like "<namespace>/<name>". MemoryBlobStore keeps blobs in a Map;
+// FileBlobStore writes one file per blob under its directory.
+
+const fs = require('fs');
+const path = require('path');
+
+const KEY_PATTERN = /^[\w-]+\/[\w-][\w.-]*$/;
+
+function checkKey(key) {
+    if (typeof key !== 'string' || !KEY_PATTERN.test(key)) {
+        throw new Error(`Invalid blob key "${key}"`);
+    }
+}
+
+class MemoryBlobStore {
+    constructor() {
+        this.blobs = new Map();
+    }
+
+    // `content` is a Buffer or a string (stored as UTF-8)
+    put(key, content) {
+        checkKey(key);
+        this.blobs.set(key, Buffer.from(content));
+        return key;
+    }
+
+    // A Buffer, or null when there is no such blob
+    get(key) {
+        checkKey(key);
+        const content = this.blobs.get(key);
+        return content ? Buffer.from(content) : null;
+    }
+
+    has(key) {
+        checkKey(key);
+        return this.blobs.has(key);
+    }
+
+    delete(key) {
+        checkKey(key);
+        return this.blobs.delete(key);
+    }
+}
+
+class FileBlobStore {
+    constructor({ dir }) {
+        if (!dir) {
+            throw new Error('FileBlobStore requires a dir');
+        }
+        this.dir = path.resolve(dir);
+    }
+
+    pathFor(key) {
+        checkKey(key);
+        return path.join(this.dir, ...key.split('/'));
+    }
+
+    // Written to a temp file and renamed, like the file adapter's snapshot
+    put(key, content) {
+        const filePath = this.pathFor(key);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, content);
+        fs.renameSync(tmpPath, filePath);
+        return key;
+    }
+
+    get(key) {
+        try {
+            return fs.readFileSync(this.pathFor(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    has(key) {
+        return fs.existsSync(this.pathFor(key));
+    }
+
+    delete(key) {
+        try {
+            fs.unlinkSync(this.pathFor(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+const blobStores = {
+    memory: () => new MemoryBlobStore(),
+    file: options => new FileBlobStore(options)
+};
+
+function createBlobStore({ adapter = 'memory', ...options } = {}) {
+    const factory = blobStores[adapter];
+    if (!factory) {
+        throw new Error(`Unknown blob store "${adapter}" (expected one of: ${Object.keys(blobStores).join(', ')})`);
+    }
+    return factory(options);
+}
+
+// Follows STORAGE_ADAPTER, so blobs persist exactly when records do.
+// STORAGE_BLOB_PATH is the directory for the file store.
+function createBlobStoreFromEnv(options = {}) {
+    return createBlobStore({
+        adapter: process.env.STORAGE_ADAPTER || 'memory',
+        dir: process.env.STORAGE_BLOB_PATH || 'data/blobs',
+        ...options
+    });
+}
+
+module.exports = {
+    MemoryBlobStore,
+    FileBlobStore,
+    createBlobStore,
+    createBlobStoreFromEnv
+};
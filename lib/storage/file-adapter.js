@@ -0,0 +1,48 @@
+// File-backed storage adapter
+// Holds the working set in memory (via MemoryAdapter) and writes a JSON
+// snapshot to disk after every change, or once per store.batch(). Writes go
+// to a temp file first and are then renamed over the target so a crash never
+// leaves a half-written file. The whole snapshot is rewritten each time, so
+// bulk writes belong in a batch and large content in the blob store.
+
+const fs = require('fs');
+const path = require('path');
+const MemoryAdapter = require('./memory-adapter');
+
+class FileAdapter extends MemoryAdapter {
+    constructor({ filePath }) {
+        super();
+        if (!filePath) {
+            throw new Error('FileAdapter requires a filePath');
+        }
+        this.filePath = path.resolve(filePath);
+    }
+
+    open() {
+        if (!fs.existsSync(this.filePath)) {
+            return this;
+        }
+
+        const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.meta = snapshot.meta || {};
+        Object.entries(snapshot.collections || {}).forEach(([name, records]) => {
+            this.collections.set(name, new Map(Object.entries(records)));
+        });
+
+        return this;
+    }
+
+    flush() {
+        const snapshot = { meta: this.meta, collections: {} };
+        this.collections.forEach((records, name) => {
+            snapshot.collections[name] = Object.fromEntries(records);
+        });
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
+
+module.exports = FileAdapter;
@@ -0,0 +1,81 @@
+// Storage layer entry point
+// createStore() opens an adapter, brings its schema up to date and exposes one
+// Repository per collection. createBlobStore() keeps content too large for a
+// record (see blob-store).
+
+const MemoryAdapter = require('./memory-adapter');
+const FileAdapter = require('./file-adapter');
+const Repository = require('./repository');
+const { MemoryBlobStore, FileBlobStore, createBlobStore, createBlobStoreFromEnv } = require('./blob-store');
+const { runMigrations } = require('./migrations');
+
+const adapters = {
+    memory: () => new MemoryAdapter(),
+    file: options => new FileAdapter(options)
+};
+
+class Store {
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.repositories = new Map();
+    }
+
+    collection(name) {
+        if (!this.repositories.has(name)) {
+            if (!this.adapter.hasCollection(name)) {
+                throw new Error(`Unknown collection "${name}" - have the migrations been run?`);
+            }
+            this.repositories.set(name, new Repository(this.adapter, name));
+        }
+        return this.repositories.get(name);
+    }
+
+    // Writes made inside `fn` are flushed together; see MemoryAdapter#batch
+    batch(fn) {
+        return this.adapter.batch(fn);
+    }
+
+    migrate(options) {
+        return runMigrations(this.adapter, options);
+    }
+
+    close() {
+        this.adapter.close();
+    }
+}
+
+function createStore({ adapter = 'memory', migrate = true, ...options } = {}) {
+    const factory = adapters[adapter];
+    if (!factory) {
+        throw new Error(`Unknown storage adapter "${adapter}" (expected one of: ${Object.keys(adapters).join(', ')})`);
+    }
+
+    const store = new Store(factory(options).open());
+    if (migrate) {
+        store.migrate();
+    }
+    return store;
+}
+
+// Reads STORAGE_ADAPTER / STORAGE_PATH so the server and the CLI scripts
+// always agree on where data lives
+function createStoreFromEnv(options = {}) {
+    return createStore({
+        adapter: process.env.STORAGE_ADAPTER || 'memory',
+        filePath: process.env.STORAGE_PATH || 'data/butler.json',
+        ...options
+    });
+}
+
+module.exports = {
+    Store,
+    Repository,
+    MemoryAdapter,
+    FileAdapter,
+    createStore,
+    createStoreFromEnv,
+    MemoryBlobStore,
+    FileBlobStore,
+    createBlobStore,
+    createBlobStoreFromEnv
+};
@@ -0,0 +1,100 @@
+// In-memory storage adapter
+// Keeps every collection in a Map. Data is lost when the process exits, which
+// is exactly what we want for local development and tests.
+
+class MemoryAdapter {
+    constructor() {
+        this.collections = new Map();
+        this.meta = {};
+        this.batchDepth = 0;
+        this.unflushed = false;
+    }
+
+    open() {
+        return this;
+    }
+
+    close() {}
+
+    hasCollection(name) {
+        return this.collections.has(name);
+    }
+
+    createCollection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Map());
+            this.persist();
+        }
+    }
+
+    dropCollection(name) {
+        this.collections.delete(name);
+        this.persist();
+    }
+
+    read(name, id) {
+        return this.collection(name).get(id);
+    }
+
+    write(name, id, value) {
+        this.collection(name).set(id, value);
+        this.persist();
+    }
+
+    remove(name, id) {
+        const removed = this.collection(name).delete(id);
+        if (removed) {
+            this.persist();
+        }
+        return removed;
+    }
+
+    list(name) {
+        return Array.from(this.collection(name).values());
+    }
+
+    getMeta(key) {
+        return this.meta[key];
+    }
+
+    setMeta(key, value) {
+        this.meta[key] = value;
+        this.persist();
+    }
+
+    collection(name) {
+        const collection = this.collections.get(name);
+        if (!collection) {
+            throw new Error(`Unknown collection "${name}" - have the migrations been run?`);
+        }
+        return collection;
+    }
+
+    // Runs `fn` (which must be synchronous) with flushing held back, then
+    // flushes once if it changed anything. Batches nest.
+    batch(fn) {
+        this.batchDepth++;
+        try {
+            return fn();
+        } finally {
+            this.batchDepth--;
+            if (!this.batchDepth && this.unflushed) {
+                this.unflushed = false;
+                this.flush();
+            }
+        }
+    }
+
+    persist() {
+        if (this.batchDepth) {
+            this.unflushed = true;
+        } else {
+            this.flush();
+        }
+    }
+
+    // Hook for persistent subclasses; nothing to do in memory
+    flush() {}
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,211 @@
+// Schema migrations
+// Each migration runs once, in order, and the highest applied version is kept
+// in the store's metadata. Never edit a migration that has shipped - add a new
+// one instead.
+
+const migrations = [
+    {
+        version: 1,
+        name: 'create_core_collections',
+        up(adapter) {
+            ['users', 'clients', 'revenue_records', 'integrations', 'insights']
+                .forEach(name => adapter.createCollection(name));
+        }
+    },
+    {
+        version: 2,
+        name: 'create_touchpoints',
+        up(adapter) {
+            adapter.createCollection('touchpoints');
+        }
+    },
+    {
+        version: 3,
+        name: 'create_invitations_and_assign_owners',
+        up(adapter) {
+            adapter.createCollection('invitations');
+
+            // Every user used to be created as 'admin'. Make the earliest
+            // user of each client its owner so every client has one.
+            const byClient = new Map();
+            adapter.list('users').forEach(user => {
+                const first = byClient.get(user.clientId);
+                if (!first || user.createdAt < first.createdAt) {
+                    byClient.set(user.clientId, user);
+                }
+            });
+            byClient.forEach(user => {
+                if (user.role === 'admin') {
+                    adapter.write('users', user.email, { ...user, role: 'owner' });
+                }
+            });
+        }
+    },
+    {
+        version: 4,
+        name: 'create_token_stores',
+        up(adapter) {
+            adapter.createCollection('refresh_tokens');
+            adapter.createCollection('revoked_tokens');
+        }
+    },
+    {
+        version: 5,
+        name: 'create_api_keys',
+        up(adapter) {
+            adapter.createCollection('api_keys');
+        }
+    },
+    {
+        version: 6,
+        name: 'create_revenue_imports',
+        up(adapter) {
+            adapter.createCollection('revenue_imports');
+        }
+    },
+    {
+        version: 7,
+        name: 'create_fx_rates_and_reporting_currency',
+        up(adapter) {
+            adapter.createCollection('fx_rates');
+            adapter.list('clients')
+                .filter(client => !client.reporting_currency)
+                .forEach(client => adapter.write('clients', client.id, { ...client, reporting_currency: 'USD' }));
+        }
+    },
+    {
+        version: 8,
+        name: 'create_churn_model_stores',
+        up(adapter) {
+            adapter.createCollection('churn_labels');
+            adapter.createCollection('churn_models');
+        }
+    },
+    {
+        version: 9,
+        name: 'create_jobs',
+        up(adapter) {
+            adapter.createCollection('jobs');
+        }
+    },
+    {
+        version: 10,
+        name: 'add_insight_lifecycle',
+        up(adapter) {
+            adapter.list('insights')
+                .filter(insight => !insight.status)
+                .forEach(insight => adapter.write('insights', insight.id, {
+                    ...insight,
+                    status: 'open',
+                    snoozed_until: null,
+                    assigned_to: null,
+                    feedback: []
+                }));
+        }
+    },
+    {
+        version: 11,
+        name: 'create_integration_sync_stores',
+        up(adapter) {
+            adapter.createCollection('integration_syncs');
+            adapter.createCollection('ranking_observations');
+            // Connections made before the OAuth flow existed have no
+            // credentials to sync with and have to be set up again
+            adapter.list('integrations')
+                .filter(integration => !integration.credentials)
+                .forEach(integration => adapter.write('integrations', integration.id, {
+                    ...integration,
+                    status: 'disconnected',
+                    credentials: null,
+                    last_error: 'Reconnect required: this connection was created without credentials'
+                }));
+        }
+    },
+    {
+        version: 12,
+        name: 'create_webhook_stores',
+        up(adapter) {
+            adapter.createCollection('webhook_endpoints');
+            adapter.createCollection('webhook_deliveries');
+        }
+    },
+    {
+        version: 13,
+        name: 'create_seo_keywords',
+        up(adapter) {
+            adapter.createCollection('seo_keywords');
+        }
+    },
+    {
+        version: 14,
+        name: 'create_health_scores',
+        up(adapter) {
+            adapter.createCollection('health_scores');
+        }
+    },
+    {
+        version: 15,
+        name: 'create_client_plan_changes',
+        up(adapter) {
+            adapter.createCollection('client_plan_changes');
+        }
+    },
+    {
+        version: 16,
+        name: 'create_audit_logs',
+        up(adapter) {
+            adapter.createCollection('audit_logs');
+        }
+    },
+    {
+        version: 17,
+        name: 'create_revenue_record_revisions_and_idempotency_keys',
+        up(adapter) {
+            adapter.createCollection('revenue_record_revisions');
+            adapter.createCollection('idempotency_keys');
+        }
+    },
+    {
+        version: 18,
+        name: 'create_client_usage',
+        up(adapter) {
+            adapter.createCollection('client_usage');
+        }
+    },
+    {
+        version: 19,
+        name: 'create_reports_and_exports',
+        up(adapter) {
+            adapter.createCollection('reports');
+            adapter.createCollection('exports');
+        }
+    }
+];
+
+function currentVersion(adapter) {
+    return adapter.getMeta('schema_version') || 0;
+}
+
+function pendingMigrations(adapter) {
+    const version = currentVersion(adapter);
+    return migrations.filter(m => m.version > version);
+}
+
+function runMigrations(adapter, { log = () => {} } = {}) {
+    const pending = pendingMigrations(adapter);
+
+    pending.forEach(migration => {
+        log(`Applying migration ${migration.version}: ${migration.name}`);
+        migration.up(adapter);
+        adapter.setMeta('schema_version', migration.version);
+    });
+
+    return pending.map(m => m.version);
+}
+
+module.exports = {
+    migrations,
+    currentVersion,
+    pendingMigrations,
+    runMigrations
+};
@@ -0,0 +1,63 @@
+// Repository - Map-like access to a single collection
+// Route handlers only talk to repositories, never to an adapter directly, so
+// swapping the backing store doesn't touch any endpoint code. Values are
+// copied on the way in and out: mutating a returned object does nothing until
+// it is written back with set() or update().
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+class Repository {
+    constructor(adapter, name) {
+        this.adapter = adapter;
+        this.name = name;
+    }
+
+    get(id) {
+        return clone(this.adapter.read(this.name, id));
+    }
+
+    has(id) {
+        return this.adapter.read(this.name, id) !== undefined;
+    }
+
+    set(id, value) {
+        this.adapter.write(this.name, id, clone(value));
+        return this;
+    }
+
+    // Shallow-merges `changes` into an existing record and returns the result
+    update(id, changes) {
+        const existing = this.adapter.read(this.name, id);
+        if (existing === undefined) {
+            return undefined;
+        }
+        const updated = { ...existing, ...clone(changes) };
+        this.adapter.write(this.name, id, updated);
+        return clone(updated);
+    }
+
+    delete(id) {
+        return this.adapter.remove(this.name, id);
+    }
+
+    values() {
+        return this.adapter.list(this.name).map(clone);
+    }
+
+    find(predicate) {
+        return this.adapter.list(this.name).filter(predicate).map(clone);
+    }
+
+    findOne(predicate) {
+        return clone(this.adapter.list(this.name).find(predicate));
+    }
+
+    count(predicate) {
+        const records = this.adapter.list(this.name);
+        return predicate ? records.filter(predicate).length : records.length;
+    }
+}
+
+module.exports = Repository;
@@ -0,0 +1,163 @@
+// Access and refresh tokens
+//
+// Access tokens are short-lived JWTs signed with the active key from the
+// keyring; the key id travels in the `kid` header so older keys can keep
+// verifying tokens while a rotation rolls out.
+//
+// Refresh tokens are opaque random strings, stored only as SHA-256 hashes.
+// Each use rotates the token: the old one is marked `rotated` and a new one is
+// issued in the same family. Presenting a rotated token again means it was
+// copied, so the whole family is revoked.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const DEV_SECRET = 'butler-revenue-intelligence-secret-2026';
+
+// ============================================================================
+// SIGNING KEYS
+// ============================================================================
+
+// JWT_SIGNING_KEYS="kid2:secret2,kid1:secret1" - the first key signs, all of
+// them verify. JWT_SECRET is accepted as a single key with kid "default".
+// Outside production we fall back to a development secret; in production a
+// missing secret is fatal.
+function createKeyring(env = process.env) {
+    let keys = [];
+
+    if (env.JWT_SIGNING_KEYS) {
+        keys = env.JWT_SIGNING_KEYS.split(',').map(entry => {
+            const separator = entry.indexOf(':');
+            if (separator < 1 || separator === entry.length - 1) {
+                throw new Error('JWT_SIGNING_KEYS entries must look like "<kid>:<secret>"');
+            }
+            return { kid: entry.slice(0, separator).trim(), secret: entry.slice(separator + 1).trim() };
+        });
+    } else if (env.JWT_SECRET) {
+        keys = [{ kid: 'default', secret: env.JWT_SECRET }];
+    } else if (env.NODE_ENV === 'production') {
+        throw new Error('JWT_SIGNING_KEYS or JWT_SECRET must be set in production');
+    } else {
+        keys = [{ kid: 'dev', secret: DEV_SECRET }];
+    }
+
+    return {
+        active: keys[0],
+        keys: new Map(keys.map(k => [k.kid, k.secret]))
+    };
+}
+
+function signAccessToken(keyring, claims) {
+    return jwt.sign(
+        { ...claims, jti: crypto.randomUUID() },
+        keyring.active.secret,
+        { expiresIn: ACCESS_TOKEN_TTL_SECONDS, keyid: keyring.active.kid }
+    );
+}
+
+// Throws (like jwt.verify) if the token is malformed, expired or signed with
+// a key we don't know
+function verifyAccessToken(keyring, token) {
+    const decoded = jwt.decode(token, { complete: true });
+    const secret = decoded && keyring.keys.get(decoded.header.kid);
+    if (!secret) {
+        throw new jwt.JsonWebTokenError('unknown signing key');
+    }
+    return jwt.verify(token, secret, { algorithms: ['HS256'] });
+}
+
+// ============================================================================
+// REFRESH TOKENS
+// ============================================================================
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function issueRefreshToken(refreshTokens, user, familyId = crypto.randomUUID()) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const record = {
+        id: `rt-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        family_id: familyId,
+        user_id: user.id,
+        email: user.email,
+        token_hash: hashToken(token),
+        status: 'active',
+        created_at: new Date().toISOString(),
+        expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString()
+    };
+    refreshTokens.set(record.id, record);
+    return { token, record };
+}
+
+function revokeFamily(refreshTokens, familyId) {
+    refreshTokens
+        .find(t => t.family_id === familyId && t.status !== 'revoked')
+        .forEach(t => refreshTokens.update(t.id, { status: 'revoked', revoked_at: new Date().toISOString() }));
+}
+
+// Returns { record } for a usable token (already marked as rotated) or
+// { error, reuse } when it can't be used
+function consumeRefreshToken(refreshTokens, token) {
+    const record = refreshTokens.findOne(t => t.token_hash === hashToken(token));
+
+    if (!record) {
+        return { error: 'Invalid refresh token' };
+    }
+
+    if (record.status === 'rotated') {
+        revokeFamily(refreshTokens, record.family_id);
+        return { error: 'Refresh token reuse detected; all sessions in this family were revoked', reuse: true };
+    }
+
+    if (record.status !== 'active' || new Date(record.expires_at) < new Date()) {
+        return { error: 'Refresh token expired or revoked' };
+    }
+
+    refreshTokens.update(record.id, { status: 'rotated', rotated_at: new Date().toISOString() });
+    return { record };
+}
+
+function findRefreshToken(refreshTokens, token) {
+    return refreshTokens.findOne(t => t.token_hash === hashToken(token));
+}
+
+// ============================================================================
+// ACCESS TOKEN REVOCATION
+// ============================================================================
+
+// Entries only need to live until the token would have expired anyway
+function revokeAccessToken(revokedTokens, payload) {
+    const now = Date.now();
+    revokedTokens
+        .find(entry => new Date(entry.expires_at).getTime() < now)
+        .forEach(entry => revokedTokens.delete(entry.id));
+
+    revokedTokens.set(payload.jti, {
+        id: payload.jti,
+        user_id: payload.userId,
+        revoked_at: new Date(now).toISOString(),
+        expires_at: new Date(payload.exp * 1000).toISOString()
+    });
+}
+
+function isAccessTokenRevoked(revokedTokens, payload) {
+    return Boolean(payload.jti) && revokedTokens.has(payload.jti);
+}
+
+module.exports = {
+    ACCESS_TOKEN_TTL_SECONDS,
+    REFRESH_TOKEN_TTL_MS,
+    createKeyring,
+    signAccessToken,
+    verifyAccessToken,
+    issueRefreshToken,
+    consumeRefreshToken,
+    findRefreshToken,
+    revokeFamily,
+    revokeAccessToken,
+    isAccessTokenRevoked
+};
@@ -0,0 +1,90 @@
+// Usage metering
+// Counts what each client uses per calendar month (UTC) - authenticated API
+// calls, and revenue imports with their row counts - so it can be shown
+// against the plan's quotas (lib/rate-limit). Counting happens on every
+// request, so increments are held in memory and written to the usage
+// collection by flush(), which the server runs on an interval; reads
+// include what hasn't been flushed yet.
+
+const METRICS = ['api_calls', 'imports', 'import_rows'];
+
+// 2026-10-19T... -> 2026-10
+function monthOf(date = new Date()) {
+    return date.toISOString().slice(0, 7);
+}
+
+// First and last day of a YYYY-MM month, and when the next one starts
+function monthPeriod(month) {
+    const [year, monthIndex] = month.split('-').map(Number);
+    const start = new Date(Date.UTC(year, monthIndex - 1, 1));
+    const next = new Date(Date.UTC(year, monthIndex, 1));
+    return {
+        start: start.toISOString().slice(0, 10),
+        end: new Date(next.getTime() - 1).toISOString().slice(0, 10),
+        resets_at: next.toISOString()
+    };
+}
+
+const emptyCounts = () => Object.fromEntries(METRICS.map(metric => [metric, 0]));
+
+class UsageMeter {
+    // `usage` is the repository monthly totals are stored in
+    constructor(usage) {
+        this.usage = usage;
+        this.pending = new Map();
+    }
+
+    record(clientId, counts, at = new Date()) {
+        const id = `${clientId}:${monthOf(at)}`;
+        const pending = this.pending.get(id) || { clientId, month: monthOf(at), counts: emptyCounts() };
+        Object.entries(counts).forEach(([metric, amount]) => {
+            pending.counts[metric] += amount;
+        });
+        this.pending.set(id, pending);
+    }
+
+    // { api_calls, imports, import_rows } for the client's month
+    totals(clientId, month = monthOf()) {
+        const id = `${clientId}:${month}`;
+        const stored = this.usage.get(id);
+        const pending = this.pending.get(id);
+        return Object.fromEntries(METRICS.map(metric => [
+            metric,
+            ((stored && stored[metric]) || 0) + ((pending && pending.counts[metric]) || 0)
+        ]));
+    }
+
+    flush() {
+        const now = new Date().toISOString();
+        this.pending.forEach(({ clientId, month, counts }, id) => {
+            const stored = this.usage.get(id);
+            if (stored) {
+                this.usage.update(id, {
+                    ...Object.fromEntries(METRICS.map(metric => [metric, (stored[metric] || 0) + counts[metric]])),
+                    updated_at: now
+                });
+            } else {
+                this.usage.set(id, { id, clientId, month, ...counts, created_at: now, updated_at: now });
+            }
+        });
+        this.pending.clear();
+    }
+}
+
+// used/quota/remaining for one metered quantity; quota null is unlimited
+function quotaStatus(used, quota) {
+    return {
+        used,
+        quota,
+        remaining: quota === null ? null : Math.max(0, quota - used),
+        exceeded: quota !== null && used >= quota
+    };
+}
+
+module.exports = {
+    METRICS,
+    monthOf,
+    monthPeriod,
+    UsageMeter,
+    quotaStatus
+};
@@ -0,0 +1,271 @@
+// Request validation
+// Routes declare their params/query/body as schemas - a subset of JSON Schema
+// (type, enum, format, minimum/maximum and their exclusive forms,
+// minLength/maxLength, pattern, items, minItems/maxItems, properties,
+// required, additionalProperties, default, anyOf) -
+// and the validate() middleware checks the request against them before the
+// handler runs. Query strings are coerced to the declared types first, so
+// handlers receive numbers, booleans and arrays rather than raw strings.
+// Problems come back as one 400 listing every failing field:
+//   { error, code: 'validation_failed', details: [{ field, code, message }] }
+
+const { parseDate } = require('./periods');
+
+const FORMATS = {
+    date: value => Boolean(parseDate(value)),
+    'date-time': value => !isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    uri: value => {
+        try {
+            return Boolean(new URL(value));
+        } catch (error) {
+            return false;
+        }
+    }
+};
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+function typesOf(schema) {
+    if (!schema.type) {
+        return null;
+    }
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function describe(types) {
+    return types.filter(type => type !== 'null').join(' or ') + (types.includes('null') ? ' or null' : '');
+}
+
+// Query values arrive as strings (or arrays of strings when repeated); turn
+// them into the type the schema asks for where that's unambiguous. Lists may
+// be comma-separated, repeated, or both.
+function coerce(value, types) {
+    if (Array.isArray(value)) {
+        return types.includes('array')
+            ? value.flatMap(item => coerce(item, types))
+            : coerce(value[value.length - 1], types);
+    }
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if ((types.includes('integer') || types.includes('number')) && NUMBER_PATTERN.test(value.trim())) {
+        return Number(value);
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    if (types.includes('array')) {
+        return value === '' ? [] : value.split(',').map(item => item.trim());
+    }
+    if (types.includes('null') && value === 'null') {
+        return null;
+    }
+    return value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'string': return typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        default: return false;
+    }
+}
+
+function fieldPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+}
+
+// Of several alternative schemas, the one the value was evidently meant for:
+// one whose type it has, then the one declaring most of its fields, then
+// fewest missing top-level fields, then fewest errors, then first listed
+function checkAnyOf(schema, value, path, errors, options) {
+    const field = path || options.root;
+    const isOwnField = name => {
+        const rest = path ? name.slice(path.length + 1) : name;
+        return (!path || name.startsWith(`${path}.`)) && !/[.[]/.test(rest);
+    };
+    let best = null;
+    for (const alternative of schema.anyOf) {
+        const attempt = [];
+        const result = check(alternative, value, path, attempt, options);
+        if (!attempt.length) {
+            return result;
+        }
+        const rank = [
+            attempt.some(error => error.field === field && error.code === 'invalid_type') ? 1 : 0,
+            matchesType(value, 'object') ? Object.keys(value).filter(key => !(key in (alternative.properties || {}))).length : 0,
+            attempt.filter(error => error.code === 'required' && isOwnField(error.field)).length,
+            attempt.length
+        ];
+        const index = best ? rank.findIndex((value, i) => value !== best.rank[i]) : -1;
+        if (!best || (index !== -1 && rank[index] < best.rank[index])) {
+            best = { result, rank, errors: attempt };
+        }
+    }
+    errors.push(...best.errors);
+    return best.result;
+}
+
+// Returns the (coerced) value; problems are pushed onto `errors`
+function check(schema, input, path, errors, options) {
+    if (schema.anyOf) {
+        return checkAnyOf(schema, input, path, errors, options);
+    }
+
+    const types = typesOf(schema);
+    const value = options.coerce && types ? coerce(input, types) : input;
+    const field = path || options.root;
+    const fail = (code, message) => {
+        errors.push({ field, code, message });
+        return value;
+    };
+
+    if (types && !types.some(type => matchesType(value, type))) {
+        return fail('invalid_type', `${field} must be ${describe(types)}`);
+    }
+    if (value === null) {
+        return value;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return fail('invalid_value', `${field} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            return schema.minLength === 1
+                ? fail('required', `${field} must not be empty`)
+                : fail('too_short', `${field} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            return fail('too_long', `${field} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            return fail('invalid_format', `${field} must be a valid ${schema.format}${schema.format === 'date' ? ' (YYYY-MM-DD)' : ''}`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            return fail('invalid_format', `${field} must match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            return fail('too_small', `${field} must be at least ${schema.minimum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            return fail('too_small', `${field} must be greater than ${schema.exclusiveMinimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            return fail('too_large', `${field} must be at most ${schema.maximum}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            return fail('too_large', `${field} must be less than ${schema.exclusiveMaximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            return fail('too_few_items', `${field} must contain at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            return fail('too_many_items', `${field} must contain at most ${schema.maxItems} items`);
+        }
+        return schema.items
+            ? value.map((item, index) => check(schema.items, item, fieldPath(path, index), errors, options))
+            : value;
+    }
+
+    if (matchesType(value, 'object') && (schema.properties || schema.additionalProperties !== undefined)) {
+        return checkObject(schema, value, path, errors, options);
+    }
+
+    return value;
+}
+
+function checkObject(schema, value, path, errors, options) {
+    const properties = schema.properties || {};
+    const result = {};
+
+    Object.entries(properties).forEach(([key, property]) => {
+        const field = fieldPath(path, key);
+        if (value[key] === undefined) {
+            if ((schema.required || []).includes(key)) {
+                errors.push({ field, code: 'required', message: `${field} is required` });
+            } else if (property.default !== undefined) {
+                result[key] = property.default;
+            }
+            return;
+        }
+        result[key] = check(property, value[key], field, errors, options);
+    });
+
+    Object.keys(value).filter(key => !(key in properties)).forEach(key => {
+        const field = fieldPath(path, key);
+        if (schema.additionalProperties === false) {
+            errors.push({ field, code: 'unknown_field', message: `${field} is not a recognised field` });
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+            result[key] = check(schema.additionalProperties, value[key], field, errors, options);
+        } else {
+            result[key] = value[key];
+        }
+    });
+
+    return result;
+}
+
+// Validates `value` against `schema`, returning { value, errors }. Field
+// paths are relative to the value (e.g. focus_areas[1]); `root` names the
+// value itself in errors about it as a whole.
+function validateValue(schema, value, { coerce: coerceStrings = false, root = 'value' } = {}) {
+    const errors = [];
+    const result = check(schema, value, '', errors, { coerce: coerceStrings, root });
+    return { value: result, errors };
+}
+
+// Prefixes the field of each error, for domain validators run on one item
+// of a batch: prefixErrors(errors, 'rates[3]') turns `base` into `rates[3].base`
+function prefixErrors(errors, prefix) {
+    return errors.map(error => ({ ...error, field: error.field ? fieldPath(prefix, error.field) : prefix }));
+}
+
+// Express middleware checking any of { params, query, body } against their
+// schemas. Validated values replace the originals, with query strings
+// coerced and defaults filled in. The schemas stay attached to the
+// middleware so the API description can be generated from the routes.
+function validate(schemas) {
+    const middleware = (req, res, next) => {
+        const errors = [];
+
+        ['params', 'query', 'body'].forEach(part => {
+            if (!schemas[part]) {
+                return;
+            }
+            const input = req[part] === undefined ? {} : req[part];
+            const result = validateValue(schemas[part], input, { coerce: part !== 'body', root: part });
+            errors.push(...result.errors);
+            req[part] = result.value;
+        });
+
+        if (errors.length) {
+            return res.status(400).json({ error: 'Request validation failed', code: 'validation_failed', details: errors });
+        }
+        next();
+    };
+    middleware.schemas = schemas;
+    return middleware;
+}
+
+module.exports = {
+    validateValue,
+    prefixErrors,
+    validate
+};
@@ -0,0 +1,256 @@
+// Outbound webhooks
+// Clients register endpoints subscribed to event types. Every delivery is a
+// POST of the event as JSON, signed like this:
+//
+//   Butler-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// keyed with the endpoint's secret. Receivers should recompute the HMAC and
+// reject old timestamps to stop replays.
+//
+// In production, endpoints must not reach private, loopback, link-local or
+// otherwise reserved addresses. The URL is checked when it is registered and
+// the resolved addresses again on every delivery, and the connection goes to
+// the address that was checked, so a DNS name can't be pointed somewhere
+// internal later. The receiver's response body is never read back.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const WEBHOOK_EVENTS = [
+    'insight.created',
+    'revenue.import.completed',
+    'integration.sync.failed',
+    'churn.risk.high'
+];
+
+// Sent by the test-ping endpoint whatever the subscriptions are
+const PING_EVENT = 'webhook.ping';
+
+const DELIVERY_STATUSES = ['pending', 'retrying', 'succeeded', 'failed', 'cancelled'];
+
+const DELIVERY_TIMEOUT_MS = 10000;
+const MAX_ATTEMPTS = 6;
+// 1, 2, 4, 8 then 16 minutes between attempts
+const BACKOFF_MS = 60 * 1000;
+
+function createSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+// Special-purpose ranges (RFC 6890 and friends). IPv4 rules also match
+// IPv4-mapped IPv6 addresses such as ::ffff:127.0.0.1.
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.88.99.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 96, 'ipv6'],
+    ['100::', 64, 'ipv6'],
+    ['2001:db8::', 32, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['fec0::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+BLOCKED_RANGES.forEach(([address, prefix, family]) => blockList.addSubnet(address, prefix, family));
+
+// NAT64 addresses (64:ff9b::/96) carry an IPv4 address in their last 32 bits
+const NAT64_PREFIX = new net.BlockList();
+NAT64_PREFIX.addSubnet('64:ff9b::', 96, 'ipv6');
+
+function nat64Address(address) {
+    const words = address.split(':');
+    const [high, low] = words.slice(-2).map(word => parseInt(word || '0', 16));
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+// True for an IP address (or localhost name) a production webhook may not
+// reach. Other hostnames are checked once resolved, see guardedLookup.
+function isPrivateAddress(hostname) {
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+        return true;
+    }
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIPv4(host)) {
+        return blockList.check(host, 'ipv4');
+    }
+    if (net.isIPv6(host)) {
+        if (host.includes('.')) {
+            // ::ffff:127.0.0.1 style; BlockList wants the hex form
+            return isPrivateAddress(new URL(`http://[${host}]`).hostname);
+        }
+        if (NAT64_PREFIX.check(host, 'ipv6')) {
+            return isPrivateAddress(nat64Address(host));
+        }
+        return blockList.check(host, 'ipv6');
+    }
+    return false;
+}
+
+// A dns.lookup replacement for http.request that fails when the name
+// resolves to any private address, so the socket only ever connects to an
+// address that passed the check
+function guardedLookup(resolve = dns.lookup) {
+    return (hostname, options, callback) => {
+        resolve(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) {
+                return callback(error);
+            }
+            const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+            if (blocked) {
+                const refused = new Error(`${hostname} resolves to a private or local address (${blocked.address})`);
+                refused.code = 'EPRIVATEADDRESS';
+                return callback(refused);
+            }
+            if (options.all) {
+                return callback(null, addresses);
+            }
+            return callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+}
+
+// Production endpoints must be https and public; elsewhere http and
+// localhost are fine so receivers can be tested locally
+function validateEndpointUrl(value, env = process.env) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return { error: 'url must be an absolute URL' };
+    }
+
+    if (env.NODE_ENV === 'production') {
+        if (url.protocol !== 'https:') {
+            return { error: 'url must use https' };
+        }
+        if (isPrivateAddress(url.hostname)) {
+            return { error: 'url must not point at a private or local address' };
+        }
+    } else if (!['http:', 'https:'].includes(url.protocol)) {
+        return { error: 'url must use http or https' };
+    }
+
+    return { url: url.toString() };
+}
+
+function validateEvents(events) {
+    if (!Array.isArray(events) || !events.length) {
+        return { error: `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length) {
+        return { error: `Unknown events: ${unknown.join(', ')}` };
+    }
+    return { events: Array.from(new Set(events)) };
+}
+
+function buildEvent(type, clientId, data) {
+    return {
+        id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+        type,
+        client_id: clientId,
+        created_at: new Date().toISOString(),
+        data
+    };
+}
+
+// POSTs `body` and resolves with the status code once the response has
+// ended. Redirects are not followed and the response body is discarded.
+function post(url, { headers, body, lookup }) {
+    return new Promise((resolve, reject) => {
+        const transport = url.protocol === 'https:' ? https : http;
+        const request = transport.request(url, {
+            method: 'POST',
+            headers: { ...headers, 'content-length': Buffer.byteLength(body) },
+            lookup,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        }, response => {
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+            response.on('error', reject);
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// Makes one delivery attempt. Never throws; the outcome says whether the
+// receiver accepted it (any 2xx). `resolve` stands in for dns.lookup.
+async function deliver({ url, secret, deliveryId, event, resolve }, env = process.env) {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const outcome = fields => ({ ...fields, duration_ms: Date.now() - startedAt, at: new Date(startedAt).toISOString() });
+
+    try {
+        const target = new URL(url);
+        const guarded = env.NODE_ENV === 'production';
+        if (guarded && isPrivateAddress(target.hostname)) {
+            return outcome({ ok: false, status_code: null, error: 'url points at a private or local address' });
+        }
+
+        const statusCode = await post(target, {
+            headers: {
+                'content-type': 'application/json',
+                'user-agent': 'Butler-Webhooks/1.0',
+                'butler-event': event.type,
+                'butler-delivery': deliveryId,
+                'butler-signature': sign(secret, timestamp, body)
+            },
+            body,
+            lookup: guarded ? guardedLookup(resolve) : resolve
+        });
+        const ok = statusCode >= 200 && statusCode < 300;
+
+        return outcome({ ok, status_code: statusCode, error: ok ? null : `Receiver responded with ${statusCode}` });
+    } catch (error) {
+        return outcome({
+            ok: false,
+            status_code: null,
+            error: error.name === 'TimeoutError' || error.name === 'AbortError' ? `No response within ${DELIVERY_TIMEOUT_MS}ms` : error.message
+        });
+    }
+}
+
+function publicEndpoint(endpoint) {
+    const { secret, ...rest } = endpoint;
+    return rest;
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    PING_EVENT,
+    DELIVERY_STATUSES,
+    MAX_ATTEMPTS,
+    BACKOFF_MS,
+    createSecret,
+    sign,
+    isPrivateAddress,
+    validateEndpointUrl,
+    validateEvents,
+    buildEvent,
+    deliver,
+    publicEndpoint
+};
@@ -0,0 +1,426 @@
+// API reference page
+// Renders the OpenAPI document served next to it (../openapi.json): the
+// operations grouped by tag, each with its parameters, request body and
+// responses, plus a form for sending the request with a stored token.
+// Served as a separate file because the API's CSP blocks inline scripts.
+
+(function () {
+    const TOKEN_KEY = 'butler-api-docs-token';
+    const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+    let spec = null;
+    const operations = [];
+
+    // ------------------------------------------------------------------------
+    // DOM helpers
+    // ------------------------------------------------------------------------
+
+    // el('div', { className: 'x' }, child, 'text', ...)
+    function el(tag, props, ...children) {
+        const node = document.createElement(tag);
+        Object.entries(props || {}).forEach(([key, value]) => {
+            if (key === 'dataset') {
+                Object.assign(node.dataset, value);
+            } else if (key.startsWith('on')) {
+                node.addEventListener(key.slice(2), value);
+            } else {
+                node[key] = value;
+            }
+        });
+        children.flat().filter(child => child !== null && child !== undefined && child !== false).forEach(child => {
+            node.append(child instanceof Node ? child : String(child));
+        });
+        return node;
+    }
+
+    function methodBadge(method) {
+        return el('span', { className: `method ${method}` }, method.toUpperCase());
+    }
+
+    // ------------------------------------------------------------------------
+    // Schemas
+    // ------------------------------------------------------------------------
+
+    function refName(schema) {
+        return schema && schema.$ref ? schema.$ref.split('/').pop() : null;
+    }
+
+    function resolve(schema) {
+        const name = refName(schema);
+        return name ? spec.components.schemas[name] : (schema || {});
+    }
+
+    function typeLabel(schema) {
+        const name = refName(schema);
+        if (name) {
+            return name;
+        }
+        if (schema.anyOf) {
+            return schema.anyOf.map(typeLabel).join(' | ');
+        }
+        const types = [].concat(schema.type || 'any');
+        return types.map(type => {
+            if (type === 'array') {
+                return `${typeLabel(schema.items || {})}[]`;
+            }
+            return type;
+        }).join(' | ');
+    }
+
+    function constraints(schema) {
+        const notes = [];
+        if (schema.enum) {
+            notes.push(`one of ${schema.enum.join(', ')}`);
+        }
+        if (schema.format) {
+            notes.push(schema.format);
+        }
+        ['minimum', 'exclusiveMinimum', 'maximum', 'exclusiveMaximum', 'minLength', 'maxLength', 'minItems', 'maxItems'].forEach(key => {
+            if (schema[key] !== undefined) {
+                notes.push(`${key} ${schema[key]}`);
+            }
+        });
+        if (schema.pattern) {
+            notes.push(`pattern ${schema.pattern}`);
+        }
+        if (schema.default !== undefined) {
+            notes.push(`default ${JSON.stringify(schema.default)}`);
+        }
+        return notes.length ? ` (${notes.join('; ')})` : '';
+    }
+
+    // Nested field list; component references are expanded once per branch
+    function renderSchema(schema, seen = []) {
+        const name = refName(schema);
+        const resolved = resolve(schema);
+        const nextSeen = name ? [...seen, name] : seen;
+        if (name && seen.includes(name)) {
+            return el('div', { className: 'field muted' }, `(${name}, see above)`);
+        }
+
+        if (resolved.anyOf) {
+            return el('div', {},
+                el('div', { className: 'muted' }, 'One of:'),
+                resolved.anyOf.map(alternative => el('div', { className: 'field' }, renderSchema(alternative, nextSeen))));
+        }
+
+        const types = [].concat(resolved.type || []);
+        if (types.includes('array')) {
+            const items = resolved.items || {};
+            const inner = resolve(items);
+            return el('div', {},
+                el('span', { className: 'type' }, typeLabel(resolved)),
+                constraints(resolved),
+                (inner.properties || inner.anyOf) ? el('div', { className: 'field' }, renderSchema(items, nextSeen)) : null);
+        }
+
+        if (!resolved.properties) {
+            return el('div', {}, el('span', { className: 'type' }, typeLabel(schema)), constraints(resolved));
+        }
+
+        const required = resolved.required || [];
+        const fields = Object.entries(resolved.properties).map(([field, property]) => {
+            const inner = resolve(property);
+            const nested = inner.properties || inner.anyOf || (inner.items && (resolve(inner.items).properties || resolve(inner.items).anyOf));
+            return el('div', { className: 'field' },
+                el('span', { className: 'name' }, field),
+                required.includes(field) ? el('span', { className: 'required' }, '*') : null,
+                ': ',
+                el('span', { className: 'type' }, typeLabel(property)),
+                constraints(inner),
+                inner.description ? el('span', { className: 'muted' }, ` - ${inner.description}`) : null,
+                nested ? renderSchema(property, nextSeen) : null);
+        });
+        const additional = resolved.additionalProperties;
+        return el('div', {},
+            name ? el('div', { className: 'muted' }, name) : null,
+            fields,
+            additional && typeof additional === 'object'
+                ? el('div', { className: 'field' }, el('span', { className: 'name' }, '<any key>'), ': ', el('span', { className: 'type' }, typeLabel(additional)))
+                : null);
+    }
+
+    // A plausible value for the request body editor
+    function example(schema, depth = 0) {
+        const resolved = resolve(schema);
+        if (depth > 6) {
+            return null;
+        }
+        if (resolved.default !== undefined) {
+            return resolved.default;
+        }
+        if (resolved.anyOf) {
+            return example(resolved.anyOf[0], depth + 1);
+        }
+        if (resolved.enum) {
+            return resolved.enum[0];
+        }
+        const type = [].concat(resolved.type || 'string').find(t => t !== 'null');
+        switch (type) {
+            case 'object':
+                return Object.fromEntries(Object.entries(resolved.properties || {})
+                    .filter(([field]) => (resolved.required || []).includes(field) || depth === 0)
+                    .map(([field, property]) => [field, example(property, depth + 1)]));
+            case 'array':
+                return [example(resolved.items || {}, depth + 1)];
+            case 'integer':
+            case 'number':
+                return resolved.minimum !== undefined ? resolved.minimum : 0;
+            case 'boolean':
+                return false;
+            default:
+                if (resolved.format === 'date') {
+                    return new Date().toISOString().slice(0, 10);
+                }
+                if (resolved.format === 'date-time') {
+                    return new Date().toISOString();
+                }
+                if (resolved.format === 'email') {
+                    return 'someone@example.com';
+                }
+                return '';
+        }
+    }
+
+    // ------------------------------------------------------------------------
+    // Operation page
+    // ------------------------------------------------------------------------
+
+    function renderParameters(operation) {
+        const parameters = operation.parameters || [];
+        if (!parameters.length) {
+            return null;
+        }
+        return [
+            el('h3', {}, 'Parameters'),
+            el('table', {},
+                el('thead', {}, el('tr', {}, el('th', {}, 'Name'), el('th', {}, 'In'), el('th', {}, 'Type'), el('th', {}, 'Description'))),
+                el('tbody', {}, parameters.map(parameter => el('tr', {},
+                    el('td', {}, el('span', { className: 'path' }, parameter.name), parameter.required ? el('span', { className: 'required' }, ' *') : null),
+                    el('td', {}, parameter.in),
+                    el('td', {}, typeLabel(parameter.schema || {}), constraints(resolve(parameter.schema))),
+                    el('td', {}, parameter.description || '')))))
+        ];
+    }
+
+    function renderContent(content) {
+        return Object.entries(content || {}).map(([mediaType, media]) => el('div', {},
+            el('div', { className: 'muted' }, mediaType),
+            el('div', { className: 'schema' }, renderSchema(media.schema || {}))));
+    }
+
+    function renderResponses(operation) {
+        return [
+            el('h3', {}, 'Responses'),
+            Object.entries(operation.responses || {}).map(([status, response]) => el('div', {},
+                el('p', {}, el('span', { className: 'response-status' }, status), ` ${response.description}`),
+                response.headers ? Object.entries(response.headers).map(([header, info]) => el('p', { className: 'muted' }, `Header ${header}: ${info.description || ''}`)) : null,
+                refName((response.content || {})['application/json'] && response.content['application/json'].schema) === 'Error'
+                    ? el('p', { className: 'muted' }, 'Body: the standard Error object')
+                    : renderContent(response.content)))
+        ];
+    }
+
+    function renderTryIt({ method, path, operation }) {
+        const parameters = (operation.parameters || []).filter(parameter => parameter.in !== 'header' || parameter.name !== 'Authorization');
+        const inputs = parameters.map(parameter => {
+            const input = el('input', { type: 'text', placeholder: typeLabel(parameter.schema || {}) });
+            return { parameter, input, label: el('label', {}, el('span', {}, `${parameter.in}: ${parameter.name}`), input) };
+        });
+
+        const jsonBody = operation.requestBody && (operation.requestBody.content || {})['application/json'];
+        const rawType = operation.requestBody && !jsonBody ? Object.keys(operation.requestBody.content || {})[0] : null;
+        const bodyInput = operation.requestBody
+            ? el('textarea', { value: jsonBody ? JSON.stringify(example(jsonBody.schema), null, 2) : '' })
+            : null;
+        const result = el('pre', { className: 'result', hidden: true });
+
+        async function send() {
+            let url = path;
+            const query = new URLSearchParams();
+            const headers = {};
+            inputs.forEach(({ parameter, input }) => {
+                const value = input.value.trim();
+                if (parameter.in === 'path') {
+                    url = url.replace(`{${parameter.name}}`, encodeURIComponent(value));
+                } else if (value && parameter.in === 'query') {
+                    query.append(parameter.name, value);
+                } else if (value && parameter.in === 'header') {
+                    headers[parameter.name] = value;
+                }
+            });
+            const token = document.getElementById('token').value.trim();
+            if (token) {
+                headers.Authorization = `Bearer ${token}`;
+            }
+            if (bodyInput) {
+                headers['Content-Type'] = rawType || 'application/json';
+            }
+
+            result.hidden = false;
+            result.textContent = 'Sending…';
+            try {
+                const response = await fetch(url + (query.toString() ? `?${query}` : ''), {
+                    method: method.toUpperCase(),
+                    headers,
+                    body: bodyInput ? bodyInput.value : undefined
+                });
+                const text = await response.text();
+                let shown = text;
+                try {
+                    shown = JSON.stringify(JSON.parse(text), null, 2);
+                } catch (error) {
+                    // not JSON - show as is
+                }
+                result.textContent = `${response.status} ${response.statusText}\n\n${shown}`;
+            } catch (error) {
+                result.textContent = `Request failed: ${error.message}`;
+            }
+        }
+
+        return el('div', { className: 'try-it' },
+            el('h3', {}, 'Try it'),
+            inputs.map(({ label }) => label),
+            bodyInput ? [el('div', { className: 'muted' }, `Body (${rawType || 'application/json'})`), bodyInput] : null,
+            el('p', {}, el('button', { type: 'button', onclick: send }, 'Send request')),
+            result);
+    }
+
+    function showOperation(entry) {
+        const { method, path, operation } = entry;
+        const main = document.getElementById('operation');
+        const permission = operation['x-required-permission'];
+        const secured = operation.security && operation.security.length;
+        const rateLimits = operation['x-rate-limits'] || [];
+
+        main.replaceChildren(
+            el('h2', { className: 'operation-title' }, methodBadge(method), el('span', { className: 'path' }, path)),
+            el('p', {}, operation.summary),
+            operation.description ? el('p', { className: 'muted' }, operation.description.replace(/`/g, '')) : null,
+            el('p', {},
+                secured ? 'Authenticated' : 'No authentication',
+                permission ? [' · requires ', el('span', { className: 'permission' }, permission)] : null,
+                rateLimits.length ? ` · rate limits: ${rateLimits.join(', ')}` : null),
+            renderParameters(operation),
+            operation.requestBody ? [el('h3', {}, 'Request body'), renderContent(operation.requestBody.content)] : null,
+            renderResponses(operation),
+            renderTryIt(entry));
+
+        document.querySelectorAll('nav a').forEach(link => link.classList.toggle('active', link.dataset.id === entry.id));
+    }
+
+    // ------------------------------------------------------------------------
+    // Navigation
+    // ------------------------------------------------------------------------
+
+    function renderNav() {
+        const nav = document.getElementById('operations');
+        const tags = [...(spec.tags || []).map(tag => tag.name)];
+        operations.forEach(entry => {
+            if (!tags.includes(entry.tag)) {
+                tags.push(entry.tag);
+            }
+        });
+
+        nav.replaceChildren(...tags.map(tag => {
+            const entries = operations.filter(entry => entry.tag === tag);
+            if (!entries.length) {
+                return null;
+            }
+            return el('div', {},
+                el('h2', {}, tag),
+                entries.map(entry => el('a', { href: `#${entry.id}`, dataset: { id: entry.id }, title: entry.operation.summary || '' },
+                    methodBadge(entry.method),
+                    el('span', { className: 'path' }, entry.path))));
+        }).filter(Boolean));
+    }
+
+    function route() {
+        const id = decodeURIComponent(location.hash.slice(1));
+        const entry = operations.find(candidate => candidate.id === id);
+        if (entry) {
+            showOperation(entry);
+        } else {
+            const main = document.getElementById('operation');
+            main.replaceChildren(
+                el('h2', {}, spec.info.title),
+                el('p', {}, spec.info.description || ''),
+                el('p', { className: 'muted' }, `${operations.length} operations. Pick one on the left; paste an access token or API key above to try requests.`));
+        }
+    }
+
+    // ------------------------------------------------------------------------
+    // Token
+    // ------------------------------------------------------------------------
+
+    function setUpAuth() {
+        const token = document.getElementById('token');
+        const loginForm = document.getElementById('login');
+        const status = document.getElementById('login-status');
+
+        token.value = localStorage.getItem(TOKEN_KEY) || '';
+        token.addEventListener('change', () => localStorage.setItem(TOKEN_KEY, token.value.trim()));
+        document.getElementById('login-toggle').addEventListener('click', () => {
+            loginForm.hidden = !loginForm.hidden;
+        });
+
+        loginForm.addEventListener('submit', async event => {
+            event.preventDefault();
+            status.textContent = '';
+            const response = await fetch('../auth/token', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    email: document.getElementById('email').value,
+                    password: document.getElementById('password').value
+                })
+            });
+            const body = await response.json();
+            if (!response.ok) {
+                status.textContent = body.error || `Login failed (${response.status})`;
+                return;
+            }
+            token.value = body.access_token;
+            localStorage.setItem(TOKEN_KEY, body.access_token);
+            loginForm.hidden = true;
+        });
+    }
+
+    // ------------------------------------------------------------------------
+    // Start
+    // ------------------------------------------------------------------------
+
+    async function load() {
+        setUpAuth();
+        try {
+            const response = await fetch('../openapi.json');
+            spec = await response.json();
+        } catch (error) {
+            document.getElementById('operation').textContent = `Could not load the API description: ${error.message}`;
+            return;
+        }
+
+        document.title = `${spec.info.title} reference`;
+        document.getElementById('title').textContent = spec.info.title;
+        document.getElementById('version').textContent = `v${spec.info.version} · OpenAPI ${spec.openapi}`;
+
+        Object.entries(spec.paths).forEach(([path, pathItem]) => {
+            METHODS.filter(method => pathItem[method]).forEach(method => {
+                const operation = pathItem[method];
+                operations.push({
+                    id: operation.operationId || `${method}-${path}`,
+                    method,
+                    path,
+                    tag: (operation.tags || ['Other'])[0],
+                    operation
+                });
+            });
+        });
+
+        renderNav();
+        route();
+        window.addEventListener('hashchange', route);
+    }
+
+    load();
+})();
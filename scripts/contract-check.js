@@ -0,0 +1,615 @@
+// Contract check
+// Starts the API on a spare port against a freshly seeded in-memory store,
+// calls its routes as the demo accounts would and checks every response
+// against the OpenAPI document the server publishes: the status must be one
+// the operation documents, the body must match that response's schema and
+// headers it marks required must be present.
+// Also fails when a route has no entry in lib/api-docs or an entry names a
+// route that no longer exists.
+// Usage: npm run contract
+
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const { validateValue } = require('../lib/validation');
+const { toOpenApiPath } = require('../lib/openapi');
+const { ROUTE_DOCS } = require('../lib/api-docs');
+const { DEMO_EMAIL, DEMO_PASSWORD, STAFF_EMAIL, STAFF_PASSWORD } = require('../lib/seed');
+
+const STARTUP_TIMEOUT_MS = 20000;
+const JOB_TIMEOUT_MS = 15000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = new Date().toISOString().slice(0, 10);
+const daysFromNow = days => new Date(Date.now() + days * DAY_MS).toISOString();
+const runId = Date.now().toString(36);
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+function startServer(port) {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, PORT: String(port), STORAGE_ADAPTER: 'memory', SEED_DEMO_DATA: 'true' },
+        stdio: ['ignore', 'ignore', 'pipe']
+    });
+    let stderr = '';
+    child.stderr.on('data', chunk => {
+        stderr = (stderr + chunk).slice(-4000);
+    });
+    child.output = () => stderr;
+    return child;
+}
+
+async function waitForServer(base, child) {
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) {
+            throw new Error(`server exited with code ${child.exitCode}\n${child.output()}`);
+        }
+        try {
+            const response = await fetch(`${base}/health`);
+            if (response.ok) {
+                return;
+            }
+        } catch (error) {
+            // not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    throw new Error(`server did not answer /health within ${STARTUP_TIMEOUT_MS}ms\n${child.output()}`);
+}
+
+// ============================================================================
+// CHECKING
+// ============================================================================
+
+// Inlines #/components/schemas references so lib/validation can check
+// against the schema
+function resolveRefs(schema, components) {
+    if (Array.isArray(schema)) {
+        return schema.map(item => resolveRefs(item, components));
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    if (schema.$ref) {
+        return resolveRefs(components[schema.$ref.split('/').pop()], components);
+    }
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, resolveRefs(value, components)]));
+}
+
+function createChecker(spec) {
+    const failures = [];
+    const exercised = new Set();
+
+    function check(route, { status, contentType, headers, body }) {
+        const [method, routePath] = route.split(' ');
+        const operation = (spec.paths[toOpenApiPath(routePath)] || {})[method.toLowerCase()];
+        const label = `${route} -> ${status}`;
+        if (!operation) {
+            return failures.push(`${label}: no such operation in the document`);
+        }
+        exercised.add(route);
+
+        const response = operation.responses[status];
+        if (!response) {
+            return failures.push(`${label}: status not documented (documented: ${Object.keys(operation.responses).join(', ')})`);
+        }
+        Object.entries(response.headers || {})
+            .filter(([name, header]) => header.required && !headers.has(name))
+            .forEach(([name]) => failures.push(`${label}: ${name} header missing`));
+        if (!response.content) {
+            if (body !== '') {
+                failures.push(`${label}: documented without a body but one was sent`);
+            }
+            return;
+        }
+        const media = response.content[contentType];
+        if (!media) {
+            return failures.push(`${label}: content type ${contentType || '(none)'} not documented (documented: ${Object.keys(response.content).join(', ')})`);
+        }
+        const value = contentType === 'application/json' ? JSON.parse(body) : body;
+        const { errors } = validateValue(resolveRefs(media.schema, spec.components.schemas), value, { root: 'body' });
+        errors.forEach(error => failures.push(`${label}: ${error.message}`));
+    }
+
+    function fail(message) {
+        failures.push(message);
+    }
+
+    return { check, fail, failures, exercised };
+}
+
+// ============================================================================
+// SCENARIO
+// ============================================================================
+
+// Each step calls one route. Fields may be functions of the values captured
+// by earlier steps (ctx):
+//   route    'METHOD /path/:param', as in lib/api-docs
+//   as       whose token to send (default demo; null for none)
+//   params, query, body, headers
+//   raw      a string body sent as is, with its content type in headers
+//   expect   the status the scenario needs; others are reported as failures
+//   until    resend (up to `attempts` times) until this status comes back
+//   capture  (body, ctx, response) => void, after a successful check
+function scenario(base) {
+    const insightAction = (action, body) => ({
+        route: `POST /api/v1/insights/:insightId/${action}`,
+        params: ctx => ({ insightId: ctx.insightId }),
+        body,
+        expect: 200
+    });
+
+    return [
+        // Service & errors
+        { route: 'GET /', as: null, expect: 200 },
+        { route: 'GET /health', as: null, expect: 200 },
+        { route: 'GET /ready', as: null, expect: 200 },
+        { route: 'GET /api/health', as: null, expect: 200 },
+        { route: 'GET /api/v1/openapi.json', as: null, expect: 200 },
+        { route: 'GET /api/v1/clients', as: null, expect: 401 },
+        { route: 'GET /api/v1/revenue/summary', query: { granularity: 'fortnightly' }, expect: 400 },
+        { route: 'GET /api/v1/revenue/records/:recordId', params: { recordId: 'missing' }, expect: 404 },
+        { route: 'PUT /api/v1/fx-rates', body: { rates: [{ date: today, base: 'EUR', quote: 'USD', rate: 1.1 }] }, expect: 403 },
+
+        // Auth
+        {
+            route: 'POST /api/v1/auth/refresh',
+            as: null,
+            body: ctx => ({ refresh_token: ctx.refreshTokens.demo }),
+            expect: 200,
+            capture: (body, ctx) => {
+                ctx.tokens.demo = body.access_token;
+            }
+        },
+        {
+            route: 'POST /api/v1/auth/register',
+            as: null,
+            body: { email: `contract-${runId}@example.com`, password: 'contract-password', company_name: 'Contract Check Ltd' },
+            expect: 201,
+            capture: (body, ctx) => {
+                ctx.tokens.registered = body.access_token;
+            }
+        },
+        { route: 'POST /api/v1/auth/logout', as: 'registered', body: {}, expect: 204 },
+
+        // Revenue
+        { route: 'GET /api/v1/revenue/summary', query: { granularity: 'weekly' }, expect: 200 },
+        { route: 'GET /api/v1/revenue/cohorts', expect: 200 },
+        { route: 'GET /api/v1/revenue/mrr-movements', expect: 200 },
+        { route: 'GET /api/v1/revenue/forecast', expect: 200 },
+        ...[0, 1].map(() => ({
+            route: 'POST /api/v1/revenue/records',
+            headers: { 'Idempotency-Key': `contract-${runId}` },
+            body: { date: today, amount: 120, currency: 'USD', source: 'contract', customer_id: 'contract-customer' },
+            expect: 201,
+            capture: (body, ctx) => {
+                ctx.recordId = body.id;
+            }
+        })),
+        { route: 'GET /api/v1/revenue/records', query: { limit: 5 }, expect: 200 },
+        { route: 'GET /api/v1/revenue/records/:recordId', params: ctx => ({ recordId: ctx.recordId }), expect: 200 },
+        { route: 'PATCH /api/v1/revenue/records/:recordId', params: ctx => ({ recordId: ctx.recordId }), body: { amount: 150, reason: 'Contract check correction' }, expect: 200 },
+        { route: 'DELETE /api/v1/revenue/records/:recordId', params: ctx => ({ recordId: ctx.recordId }), body: {}, expect: 204 },
+        { route: 'POST /api/v1/revenue/records/:recordId/restore', params: ctx => ({ recordId: ctx.recordId }), expect: 200 },
+        { route: 'GET /api/v1/revenue/records/:recordId/revisions', params: ctx => ({ recordId: ctx.recordId }), expect: 200 },
+        {
+            route: 'POST /api/v1/revenue/imports',
+            query: { format: 'csv' },
+            headers: { 'Content-Type': 'text/csv' },
+            raw: `date,amount,currency,source\n${today},75.50,USD,contract\n`,
+            expect: 202,
+            capture: (body, ctx) => {
+                ctx.importId = body.import_id;
+                ctx.jobId = body.job_id;
+            }
+        },
+        { waitForJob: ctx => ctx.jobId },
+        { route: 'GET /api/v1/revenue/imports', expect: 200 },
+        { route: 'GET /api/v1/revenue/imports/:importId', params: ctx => ({ importId: ctx.importId }), expect: 200 },
+
+        // Clients
+        { route: 'GET /api/v1/clients', expect: 200 },
+        { route: 'GET /api/v1/clients/:clientId', params: ctx => ({ clientId: ctx.clientId }), expect: 200 },
+        {
+            route: 'POST /api/v1/clients',
+            as: 'staff',
+            body: { company_name: `Contract Client ${runId}`, plan_tier: 'starter' },
+            expect: 201,
+            capture: (body, ctx) => {
+                ctx.newClientId = body.id;
+            }
+        },
+        { route: 'PATCH /api/v1/clients/:clientId', as: 'staff', params: ctx => ({ clientId: ctx.newClientId }), body: { industry: 'Testing' }, expect: 200 },
+        { route: 'POST /api/v1/clients/:clientId/archive', as: 'staff', params: ctx => ({ clientId: ctx.newClientId }), expect: 200 },
+        { route: 'POST /api/v1/clients/:clientId/restore', as: 'staff', params: ctx => ({ clientId: ctx.newClientId }), expect: 200 },
+        { route: 'GET /api/v1/clients/:clientId/plan-changes', params: ctx => ({ clientId: ctx.clientId }), expect: 200 },
+        {
+            route: 'POST /api/v1/clients/:clientId/plan-changes',
+            as: 'staff',
+            params: ctx => ({ clientId: ctx.clientId }),
+            body: { plan_tier: 'enterprise', effective_date: daysFromNow(30).slice(0, 10) },
+            expect: 201,
+            capture: (body, ctx) => {
+                ctx.changeId = body.data.id;
+            }
+        },
+        { route: 'DELETE /api/v1/clients/:clientId/plan-changes/:changeId', as: 'staff', params: ctx => ({ clientId: ctx.clientId, changeId: ctx.changeId }), expect: 200 },
+        { route: 'GET /api/v1/clients/:clientId/onboarding', params: ctx => ({ clientId: ctx.clientId }), expect: 200 },
+        { route: 'GET /api/v1/clients/:clientId/users', params: ctx => ({ clientId: ctx.clientId }), expect: 200 },
+        {
+            route: 'POST /api/v1/clients/:clientId/invitations',
+            params: ctx => ({ clientId: ctx.clientId }),
+            body: { email: `invitee-${runId}@example.com`, role: 'viewer' },
+            expect: 201,
+            capture: (body, ctx) => {
+                ctx.inviteToken = body.invite_token;
+            }
+        },
+        { route: 'GET /api/v1/clients/:clientId/invitations', params: ctx => ({ clientId: ctx.clientId }), expect: 200 },
+        {
+            route: 'POST /api/v1/auth/invitations/accept',
+            as: null,
+            body: ctx => ({ token: ctx.inviteToken, password: 'invitee-password', firstName: 'Contract' }),
+            expect: 201,
+            capture: (body, ctx) => {
+                ctx.inviteeId = body.user.id;
+            }
+        },
+        { route: 'PATCH /api/v1/clients/:clientId/users/:userId', params: ctx => ({ clientId: ctx.clientId, userId: ctx.inviteeId }), body: { role: 'analyst' }, expect: 200 },
+        { route: 'GET /api/v1/clients/:clientId/api-keys', params: ctx => ({ clientId: ctx.clientId }), expect: 200 },
+        {
+            route: 'POST /api/v1/clients/:clientId/api-keys',
+            params: ctx => ({ clientId: ctx.clientId }),
+            body: { name: 'Contract check', environment: 'test' },
+            expect: 201,
+            capture: (body, ctx) => {
+                ctx.keyId = body.id;
+            }
+        },
+        {
+            route: 'POST /api/v1/clients/:clientId/api-keys/:keyId/rotate',
+            params: ctx => ({ clientId: ctx.clientId, keyId: ctx.keyId }),
+            expect: 201,
+            capture: (body, ctx) => {
+                ctx.keyId = body.id;
+            }
+        },
+        { route: 'DELETE /api/v1/clients/:clientId/api-keys/:keyId', params: ctx => ({ clientId: ctx.clientId, keyId: ctx.keyId }), expect: 200 },
+        { route: 'GET /api/v1/clients/:clientId/settings', params: ctx => ({ clientId: ctx.clientId }), expect: 200 },
+        { route: 'PATCH /api/v1/clients/:clientId/settings', params: ctx => ({ clientId: ctx.clientId }), body: { reporting_currency: 'USD' }, expect: 200 },
+        { route: 'GET /api/v1/clients/:clientId/usage', params: ctx => ({ clientId: ctx.clientId }), expect: 200 },
+        { route: 'GET /api/v1/clients/:clientId/health', params: ctx => ({ clientId: ctx.clientId }), expect: 200 },
+        { route: 'POST /api/v1/clients/:clientId/health/recompute', params: ctx => ({ clientId: ctx.clientId }), expect: 200 },
+
+        // Insights
+        {
+            route: 'POST /api/v1/insights/generate',
+            body: {},
+            expect: 202,
+            capture: (body, ctx) => {
+                ctx.jobId = body.job_id;
+            }
+        },
+        { waitForJob: ctx => ctx.jobId },
+        {
+            route: 'GET /api/v1/insights/latest',
+            expect: 200,
+            capture: (body, ctx) => {
+                ctx.insightId = body.data.insights.length ? body.data.insights[0].id : 'missing';
+            }
+        },
+        { route: 'GET /api/v1/insights/:insightId', params: ctx => ({ insightId: ctx.insightId }), expect: 200 },
+        insightAction('acknowledge'),
+        insightAction('reopen'),
+        insightAction('snooze', { until: daysFromNow(7) }),
+        insightAction('assign', ctx => ({ user_id: ctx.userIds.demo })),
+        insightAction('feedback', { helpful: true, comment: 'Contract check' }),
+        insightAction('dismiss', { reason: 'Contract check' }),
+
+        // Integrations - nothing is connected without provider credentials, so
+        // the per-integration routes are only checked for their 404
+        { route: 'GET /api/v1/integrations', expect: 200 },
+        { route: 'GET /api/v1/integrations/providers', expect: 200 },
+        { route: 'POST /api/v1/integrations/connect/:provider', params: { provider: 'stripe' }, body: {} },
+        { route: 'GET /api/v1/integrations/oauth/callback', as: null, query: { state: 'unknown', code: 'unknown' } },
+        { route: 'GET /api/v1/integrations/:integrationId', params: { integrationId: 'missing' }, expect: 404 },
+        { route: 'DELETE /api/v1/integrations/:integrationId', params: { integrationId: 'missing' }, expect: 404 },
+        { route: 'POST /api/v1/integrations/:integrationId/sync', params: { integrationId: 'missing' }, body: {}, expect: 404 },
+        { route: 'GET /api/v1/integrations/:integrationId/syncs', params: { integrationId: 'missing' }, expect: 404 },
+
+        // Attribution
+        {
+            route: 'POST /api/v1/attribution/touchpoints',
+            body: { customer_id: 'contract-customer', channel: 'email', campaign: 'contract', timestamp: daysFromNow(-1) },
+            expect: 201
+        },
+        { route: 'GET /api/v1/attribution/journeys/:customerId', params: { customerId: 'contract-customer' }, expect: 200 },
+        { route: 'POST /api/v1/attribution/calculate', body: {}, expect: 200 },
+
+        // FX rates
+        { route: 'PUT /api/v1/fx-rates', as: 'staff', body: { rates: [{ date: today, base: 'EUR', quote: 'USD', rate: 1.1, source: 'contract' }] }, expect: 200 },
+        { route: 'GET /api/v1/fx-rates', expect: 200 },
+
+        // SEO
+        ...[201, 200].map(status => ({
+            route: 'POST /api/v1/seo/keywords',
+            body: { keyword: `contract keyword ${runId}`, tags: ['contract'] },
+            expect: status,
+            capture: (body, ctx) => {
+                if (body.data.created.length) {
+                    ctx.keywordId = body.data.created[0].id;
+                }
+            }
+        })),
+        { route: 'GET /api/v1/seo/keywords', expect: 200 },
+        { route: 'GET /api/v1/seo/keywords/:keywordId', params: ctx => ({ keywordId: ctx.keywordId }), expect: 200 },
+        { route: 'PATCH /api/v1/seo/keywords/:keywordId', params: ctx => ({ keywordId: ctx.keywordId }), body: { search_volume: 90 }, expect: 200 },
+        {
+            route: 'POST /api/v1/seo/rankings/observations',
+            body: { keyword: `contract keyword ${runId}`, date: today, position: 4 },
+            expect: 201
+        },
+        { route: 'GET /api/v1/seo/rankings', expect: 200 },
+        { route: 'DELETE /api/v1/seo/keywords/:keywordId', params: ctx => ({ keywordId: ctx.keywordId }), expect: 204 },
+
+        // Predictions - whether training succeeds depends on the labels
+        // available, so either documented outcome passes
+        { route: 'POST /api/v1/predict/churn/labels', as: 'staff', body: ctx => ({ labels: [{ client_id: ctx.clientId, churned: false }] }), expect: 201 },
+        { route: 'POST /api/v1/predict/churn/train', as: 'staff', body: {} },
+        { route: 'GET /api/v1/predict/churn/model' },
+        { route: 'POST /api/v1/predict/churn', body: {} },
+
+        // Jobs
+        { route: 'GET /api/v1/jobs', expect: 200 },
+        { route: 'GET /api/v1/jobs/:jobId', params: ctx => ({ jobId: ctx.jobId }), expect: 200 },
+        { route: 'POST /api/v1/jobs/:jobId/cancel', params: ctx => ({ jobId: ctx.jobId }), expect: 409 },
+
+        // Webhooks - the receiver is this server, which answers the ping 404
+        { route: 'GET /api/v1/webhooks/events', expect: 200 },
+        {
+            route: 'POST /api/v1/webhooks',
+            body: { url: `${base}/health`, events: ['insight.created'], description: 'Contract check' },
+            expect: 201,
+            capture: (body, ctx) => {
+                ctx.webhookId = body.data.id;
+            }
+        },
+        { route: 'GET /api/v1/webhooks', expect: 200 },
+        { route: 'GET /api/v1/webhooks/:webhookId', params: ctx => ({ webhookId: ctx.webhookId }), expect: 200 },
+        { route: 'PATCH /api/v1/webhooks/:webhookId', params: ctx => ({ webhookId: ctx.webhookId }), body: { description: 'Contract check (updated)' }, expect: 200 },
+        { route: 'POST /api/v1/webhooks/:webhookId/rotate-secret', params: ctx => ({ webhookId: ctx.webhookId }), expect: 200 },
+        { route: 'POST /api/v1/webhooks/:webhookId/ping', params: ctx => ({ webhookId: ctx.webhookId }), expect: 200 },
+        {
+            route: 'GET /api/v1/webhooks/:webhookId/deliveries',
+            params: ctx => ({ webhookId: ctx.webhookId }),
+            expect: 200,
+            capture: (body, ctx) => {
+                ctx.deliveryId = body.data.length ? body.data[0].id : 'missing';
+            }
+        },
+        { route: 'GET /api/v1/webhooks/:webhookId/deliveries/:deliveryId', params: ctx => ({ webhookId: ctx.webhookId, deliveryId: ctx.deliveryId }), expect: 200 },
+        { route: 'POST /api/v1/webhooks/:webhookId/deliveries/:deliveryId/redeliver', params: ctx => ({ webhookId: ctx.webhookId, deliveryId: ctx.deliveryId }), expect: 202 },
+        { route: 'DELETE /api/v1/webhooks/:webhookId', params: ctx => ({ webhookId: ctx.webhookId }), expect: 204 },
+
+        // Reports & exports
+        ...['csv', 'xlsx', 'pdf'].map(format => ({
+            route: 'POST /api/v1/exports',
+            body: { sections: ['revenue_summary', 'attribution', 'seo_rankings'], format, date_range: 'last_90_days' },
+            expect: 201,
+            capture: (body, ctx) => {
+                ctx.exportId = body.data.id;
+                ctx.downloadQuery = Object.fromEntries(new URL(body.data.download_url, base).searchParams);
+            }
+        })),
+        { route: 'GET /api/v1/exports', expect: 200 },
+        { route: 'GET /api/v1/exports/:exportId', params: ctx => ({ exportId: ctx.exportId }), expect: 200 },
+        { route: 'GET /api/v1/exports/:exportId/download', as: null, params: ctx => ({ exportId: ctx.exportId }), query: ctx => ctx.downloadQuery, expect: 200 },
+        {
+            route: 'GET /api/v1/exports/:exportId/download',
+            as: null,
+            params: ctx => ({ exportId: ctx.exportId }),
+            query: ctx => ({ ...ctx.downloadQuery, signature: 'forged' }),
+            expect: 403
+        },
+        {
+            route: 'POST /api/v1/reports',
+            body: {
+                name: 'Contract check report',
+                sections: ['revenue_summary'],
+                format: 'csv',
+                recipients: [`reports-${runId}@example.com`],
+                schedule: { frequency: 'weekly', day_of_week: 'monday' }
+            },
+            expect: 201,
+            capture: (body, ctx) => {
+                ctx.reportId = body.data.id;
+            }
+        },
+        { route: 'GET /api/v1/reports', expect: 200 },
+        { route: 'GET /api/v1/reports/:reportId', params: ctx => ({ reportId: ctx.reportId }), expect: 200 },
+        { route: 'PATCH /api/v1/reports/:reportId', params: ctx => ({ reportId: ctx.reportId }), body: { date_range: 'last_full_week' }, expect: 200 },
+        {
+            route: 'POST /api/v1/reports/:reportId/run',
+            params: ctx => ({ reportId: ctx.reportId }),
+            expect: 202,
+            capture: (body, ctx) => {
+                ctx.jobId = body.job_id;
+            }
+        },
+        { waitForJob: ctx => ctx.jobId },
+        { route: 'DELETE /api/v1/reports/:reportId', params: ctx => ({ reportId: ctx.reportId }), expect: 204 },
+
+        // Audit logs
+        {
+            route: 'GET /api/v1/audit-logs',
+            query: { limit: 20 },
+            expect: 200,
+            capture: (body, ctx) => {
+                ctx.auditEntryId = body.data[0].id;
+            }
+        },
+        { route: 'GET /api/v1/audit-logs', query: { format: 'csv', action: 'revenue_record.create' }, expect: 200 },
+        { route: 'GET /api/v1/audit-logs/:entryId', params: ctx => ({ entryId: ctx.auditEntryId }), expect: 200 },
+
+        // Rate limiting - last, as it locks this IP out of signing in
+        { route: 'POST /api/v1/auth/token', as: null, body: { email: DEMO_EMAIL, password: 'wrong-password' }, until: 429, attempts: 20 }
+    ];
+}
+
+// ============================================================================
+// RUNNING
+// ============================================================================
+
+const valueOf = (field, ctx) => (typeof field === 'function' ? field(ctx) : field);
+
+function buildUrl(base, routePath, params = {}, query = {}) {
+    const filled = routePath.replace(/:(\w+)/g, (match, name) => encodeURIComponent(params[name]));
+    const search = new URLSearchParams(Object.entries(query).map(([key, value]) => [key, String(value)])).toString();
+    return `${base}${filled}${search ? `?${search}` : ''}`;
+}
+
+async function send(base, step, ctx) {
+    const [method, routePath] = step.route.split(' ');
+    const body = valueOf(step.body, ctx);
+    const who = step.as === undefined ? 'demo' : step.as;
+    const headers = {
+        ...(who ? { Authorization: `Bearer ${ctx.tokens[who]}` } : {}),
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...valueOf(step.headers, ctx)
+    };
+    const response = await fetch(buildUrl(base, routePath, valueOf(step.params, ctx), valueOf(step.query, ctx)), {
+        method,
+        headers,
+        body: step.raw !== undefined ? step.raw : (body !== undefined ? JSON.stringify(body) : undefined)
+    });
+    return {
+        status: response.status,
+        contentType: (response.headers.get('content-type') || '').split(';')[0].trim() || null,
+        headers: response.headers,
+        body: await response.text()
+    };
+}
+
+async function waitForJob(base, jobId, ctx, checker) {
+    const deadline = Date.now() + JOB_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        const response = await send(base, { route: 'GET /api/v1/jobs/:jobId', params: { jobId } }, ctx);
+        checker.check('GET /api/v1/jobs/:jobId', response);
+        const job = JSON.parse(response.body);
+        if (['succeeded', 'failed', 'cancelled'].includes(job.status)) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    checker.fail(`job ${jobId} did not finish within ${JOB_TIMEOUT_MS}ms`);
+}
+
+async function login(base, email, password, checker) {
+    const response = await send(base, { route: 'POST /api/v1/auth/token', as: null, body: { email, password } }, {});
+    checker.check('POST /api/v1/auth/token', response);
+    if (response.status !== 200) {
+        throw new Error(`login as ${email} failed with ${response.status}`);
+    }
+    return JSON.parse(response.body);
+}
+
+async function run(base, spec, checker) {
+    // Every route documented, every documented route served
+    Object.entries(spec.paths).forEach(([specPath, operations]) => {
+        Object.entries(operations)
+            .filter(([, operation]) => operation['x-undocumented'])
+            .forEach(([method]) => checker.fail(`${method.toUpperCase()} ${specPath}: no entry in lib/api-docs`));
+    });
+    Object.keys(ROUTE_DOCS).forEach(key => {
+        const [method, routePath] = key.split(' ');
+        if (!(spec.paths[toOpenApiPath(routePath)] || {})[method.toLowerCase()]) {
+            checker.fail(`${key}: documented in lib/api-docs but not served`);
+        }
+    });
+
+    const demo = await login(base, DEMO_EMAIL, DEMO_PASSWORD, checker);
+    const staff = await login(base, STAFF_EMAIL, STAFF_PASSWORD, checker);
+    const ctx = {
+        clientId: demo.user.clientId,
+        tokens: { demo: demo.access_token, staff: staff.access_token },
+        refreshTokens: { demo: demo.refresh_token },
+        userIds: { demo: demo.user.id }
+    };
+
+    for (const step of scenario(base)) {
+        if (step.waitForJob) {
+            await waitForJob(base, step.waitForJob(ctx), ctx, checker);
+            continue;
+        }
+        if (step.until) {
+            let result = null;
+            for (let attempt = 0; attempt < step.attempts && (!result || result.status !== step.until); attempt++) {
+                result = await send(base, step, ctx);
+                checker.check(step.route, result);
+            }
+            if (result.status !== step.until) {
+                checker.fail(`${step.route}: still ${result.status} after ${step.attempts} attempts, expected ${step.until}`);
+            }
+            continue;
+        }
+        const result = await send(base, step, ctx);
+        const before = checker.failures.length;
+        checker.check(step.route, result);
+        if (step.expect !== undefined && result.status !== step.expect) {
+            checker.fail(`${step.route}: expected ${step.expect}, got ${result.status} ${result.body.slice(0, 200)}`);
+            continue;
+        }
+        if (step.capture && checker.failures.length === before) {
+            step.capture(result.contentType === 'application/json' ? JSON.parse(result.body) : result.body, ctx, result);
+        }
+    }
+}
+
+async function main() {
+    const port = await freePort();
+    const base = `http://localhost:${port}`;
+    const server = startServer(port);
+    let spec = null;
+    let checker = null;
+    const failures = [];
+
+    try {
+        await waitForServer(base, server);
+        spec = await (await fetch(`${base}/api/v1/openapi.json`)).json();
+        checker = createChecker(spec);
+        await run(base, spec, checker);
+    } catch (error) {
+        failures.push(`aborted: ${error.stack || error.message}`);
+    } finally {
+        server.kill();
+    }
+
+    if (checker) {
+        const operations = Object.values(spec.paths).reduce((count, methods) => count + Object.keys(methods).length, 0);
+        console.log(`Exercised ${checker.exercised.size} of ${operations} operations`);
+        failures.unshift(...checker.failures);
+    }
+
+    if (failures.length) {
+        console.error(`\n❌ ${failures.length} contract failure${failures.length === 1 ? '' : 's'}:`);
+        failures.forEach(failure => console.error(`   ${failure}`));
+        process.exit(1);
+    }
+    console.log('✅ Every response matched the OpenAPI document');
+}
+
+main();
@@ -0,0 +1,10 @@
+// Applies any pending schema migrations to the configured store
+// Usage: STORAGE_ADAPTER=file STORAGE_PATH=data/butler.json npm run migrate
+
+const { createStoreFromEnv } = require('../lib/storage');
+
+const store = createStoreFromEnv({ migrate: false });
+const applied = store.migrate({ log: message => console.log(message) });
+
+console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date');
+store.close();
@@ -0,0 +1,241 @@
+// Local stand-in for the Stripe, HubSpot, Salesforce and Google Search Console
+// APIs, so the OAuth flow and the connectors can be exercised without real
+// accounts. Every provider lives under its own path prefix and serves a
+// fixed, generated data set.
+// Usage: npm run mock-providers, then start the API with the environment it
+// prints (MOCK_PROVIDERS_PORT defaults to 9400)
+
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = parseInt(process.env.MOCK_PROVIDERS_PORT) || 9400;
+const BASE = `http://localhost:${PORT}`;
+const CLIENT_ID = 'mock-client-id';
+const CLIENT_SECRET = 'mock-client-secret';
+const TOKEN_TTL_SECONDS = parseInt(process.env.MOCK_TOKEN_TTL_SECONDS) || 3600;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+// Deterministic pseudo-random numbers so every run serves the same data
+function seeded(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+const random = seeded(42);
+const now = Date.now();
+const SOURCES = ['ORGANIC_SEARCH', 'PAID_SEARCH', 'REFERRALS', 'DIRECT_TRAFFIC'];
+const LEAD_SOURCES = ['Web', 'Paid Search', 'Partner Referral', 'Phone Inquiry'];
+
+const charges = Array.from({ length: 250 }, (_, i) => ({
+    id: `ch_mock_${String(i).padStart(4, '0')}`,
+    object: 'charge',
+    amount: Math.round(random() * 50000 + 1000),
+    amount_refunded: i % 25 === 0 ? 500 : 0,
+    currency: i % 10 === 0 ? 'eur' : 'usd',
+    created: Math.floor((now - (250 - i) * 8 * 60 * 60 * 1000) / 1000),
+    customer: `cus_mock_${i % 30}`,
+    status: i % 20 === 0 ? 'failed' : 'succeeded',
+    metadata: {}
+})).sort((a, b) => b.created - a.created);
+
+const deals = Array.from({ length: 150 }, (_, i) => ({
+    id: String(9000 + i),
+    properties: {
+        amount: String(Math.round(random() * 20000 + 500)),
+        closedate: new Date(now - (150 - i) * 12 * 60 * 60 * 1000).toISOString(),
+        dealstage: i % 7 === 0 ? 'closedlost' : 'closedwon',
+        deal_currency_code: 'USD',
+        hs_analytics_source: SOURCES[i % SOURCES.length],
+        hs_primary_associated_company: String(500 + (i % 20)),
+        hs_lastmodifieddate: new Date(now - (150 - i) * 12 * 60 * 60 * 1000 + 60000).toISOString()
+    }
+}));
+
+const opportunities = Array.from({ length: 120 }, (_, i) => {
+    const modified = new Date(now - (120 - i) * 18 * 60 * 60 * 1000);
+    return {
+        attributes: { type: 'Opportunity' },
+        Id: `006MOCK${String(i).padStart(8, '0')}`,
+        Amount: Math.round(random() * 30000 + 2000),
+        CloseDate: modified.toISOString().slice(0, 10),
+        CurrencyIsoCode: 'USD',
+        LeadSource: LEAD_SOURCES[i % LEAD_SOURCES.length],
+        AccountId: `001MOCK${String(i % 15).padStart(8, '0')}`,
+        IsWon: i % 6 !== 0,
+        LastModifiedDate: modified.toISOString().replace('Z', '+0000')
+    };
+});
+
+const KEYWORDS = ['revenue intelligence', 'revenue analytics', 'mrr dashboard', 'churn prediction', 'marketing attribution', 'saas metrics', 'arr calculator', 'revenue forecasting'];
+
+// ============================================================================
+// OAUTH
+// ============================================================================
+
+const issuedTokens = new Map();
+
+function issueToken(provider, refreshToken = null) {
+    const accessToken = `mock-access-${crypto.randomBytes(12).toString('hex')}`;
+    issuedTokens.set(accessToken, Date.now() + TOKEN_TTL_SECONDS * 1000);
+    const token = {
+        access_token: accessToken,
+        refresh_token: refreshToken || `mock-refresh-${crypto.randomBytes(12).toString('hex')}`,
+        token_type: 'Bearer',
+        expires_in: TOKEN_TTL_SECONDS
+    };
+    if (provider === 'salesforce') {
+        token.instance_url = `${BASE}/salesforce`;
+    }
+    return token;
+}
+
+function requireToken(req, res, next) {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const expiresAt = issuedTokens.get(token);
+    if (!expiresAt || expiresAt < Date.now()) {
+        return res.status(401).json({ error: 'invalid_token' });
+    }
+    next();
+}
+
+app.get('/:provider/oauth/authorize', (req, res) => {
+    const { redirect_uri, state, client_id } = req.query;
+    if (client_id !== CLIENT_ID || !redirect_uri) {
+        return res.status(400).send('Unknown client_id or missing redirect_uri');
+    }
+    const target = new URL(redirect_uri);
+    target.searchParams.set('code', `mock-code-${req.params.provider}`);
+    target.searchParams.set('state', state);
+    res.redirect(target.toString());
+});
+
+app.post('/:provider/oauth/token', (req, res) => {
+    const { grant_type, code, refresh_token, client_id, client_secret } = req.body;
+    if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+    if (grant_type === 'authorization_code' && code === `mock-code-${req.params.provider}`) {
+        return res.json(issueToken(req.params.provider));
+    }
+    if (grant_type === 'refresh_token' && /^mock-refresh-/.test(refresh_token || '')) {
+        return res.json(issueToken(req.params.provider, refresh_token));
+    }
+    res.status(400).json({ error: 'invalid_grant' });
+});
+
+// ============================================================================
+// STRIPE
+// ============================================================================
+
+app.get('/stripe/v1/charges', requireToken, (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const since = parseInt(req.query.created && req.query.created.gte || req.query['created[gte]']) || 0;
+    let list = charges.filter(c => c.created >= since);
+    if (req.query.starting_after) {
+        const index = list.findIndex(c => c.id === req.query.starting_after);
+        list = list.slice(index + 1);
+    }
+    res.json({ object: 'list', data: list.slice(0, limit), has_more: list.length > limit });
+});
+
+// ============================================================================
+// HUBSPOT
+// ============================================================================
+
+app.post('/hubspot/crm/v3/objects/deals/search', requireToken, (req, res) => {
+    const filters = (req.body.filterGroups || []).flatMap(group => group.filters || []);
+    const since = Number((filters.find(f => f.propertyName === 'hs_lastmodifieddate') || {}).value || 0);
+    const stage = (filters.find(f => f.propertyName === 'dealstage') || {}).value;
+    const limit = Math.min(parseInt(req.body.limit) || 10, 100);
+    const offset = parseInt(req.body.after) || 0;
+
+    const matches = deals
+        .filter(d => Date.parse(d.properties.hs_lastmodifieddate) >= since && (!stage || d.properties.dealstage === stage))
+        .sort((a, b) => a.properties.hs_lastmodifieddate.localeCompare(b.properties.hs_lastmodifieddate));
+    const results = matches.slice(offset, offset + limit);
+
+    res.json({
+        total: matches.length,
+        results,
+        paging: offset + limit < matches.length ? { next: { after: String(offset + limit) } } : undefined
+    });
+});
+
+// ============================================================================
+// SALESFORCE
+// ============================================================================
+
+const SALESFORCE_PAGE_SIZE = 50;
+const salesforceResults = new Map();
+
+function salesforcePage(queryId, offset) {
+    const results = salesforceResults.get(queryId) || [];
+    const done = offset + SALESFORCE_PAGE_SIZE >= results.length;
+    return {
+        totalSize: results.length,
+        done,
+        records: results.slice(offset, offset + SALESFORCE_PAGE_SIZE),
+        nextRecordsUrl: done ? undefined : `${BASE}/salesforce/services/data/v59.0/query/${queryId}-${offset + SALESFORCE_PAGE_SIZE}`
+    };
+}
+
+app.get('/salesforce/services/data/:version/query', requireToken, (req, res) => {
+    const since = /LastModifiedDate >= (\S+)/.exec(req.query.q || '');
+    const sinceTime = since ? Date.parse(since[1]) : 0;
+    const queryId = crypto.randomBytes(6).toString('hex');
+    salesforceResults.set(queryId, opportunities
+        .filter(o => o.IsWon && Date.parse(o.LastModifiedDate.replace('+0000', 'Z')) >= sinceTime));
+    res.json(salesforcePage(queryId, 0));
+});
+
+app.get('/salesforce/services/data/:version/query/:locator', requireToken, (req, res) => {
+    const [queryId, offset] = req.params.locator.split('-');
+    if (!salesforceResults.has(queryId)) {
+        return res.status(404).json([{ errorCode: 'INVALID_QUERY_LOCATOR' }]);
+    }
+    res.json(salesforcePage(queryId, parseInt(offset)));
+});
+
+// ============================================================================
+// GOOGLE SEARCH CONSOLE
+// ============================================================================
+
+app.post('/google/webmasters/v3/sites/:siteUrl/searchAnalytics/query', requireToken, (req, res) => {
+    const { startDate, endDate, rowLimit = 1000, startRow = 0 } = req.body;
+    const rows = [];
+    for (let day = Date.parse(startDate); day <= Date.parse(endDate); day += DAY_MS) {
+        const date = new Date(day).toISOString().slice(0, 10);
+        const daySeed = seeded(Math.floor(day / DAY_MS));
+        KEYWORDS.forEach((keyword, i) => {
+            const impressions = Math.round(daySeed() * 900 + 100);
+            const clicks = Math.round(impressions * (0.02 + daySeed() * 0.1));
+            rows.push({
+                keys: [date, keyword, `https://www.example.com/${keyword.replace(/ /g, '-')}`],
+                clicks,
+                impressions,
+                ctr: clicks / impressions,
+                position: Math.round((2 + i * 1.5 + daySeed() * 3) * 10) / 10
+            });
+        });
+    }
+    res.json({ rows: rows.slice(startRow, startRow + rowLimit) });
+});
+
+app.listen(PORT, () => {
+    console.log(`🧪 Mock providers listening on ${BASE}`);
+    console.log('Start the API with:');
+    [['STRIPE', 'stripe'], ['HUBSPOT', 'hubspot'], ['SALESFORCE', 'salesforce'], ['GOOGLE', 'google']].forEach(([prefix, path]) => {
+        console.log(`  ${prefix}_CLIENT_ID=${CLIENT_ID} ${prefix}_CLIENT_SECRET=${CLIENT_SECRET} \\`);
+        console.log(`  ${prefix}_AUTHORIZE_URL=${BASE}/${path}/oauth/authorize ${prefix}_TOKEN_URL=${BASE}/${path}/oauth/token \\`);
+        if (prefix !== 'SALESFORCE') {
+            console.log(`  ${prefix}_API_BASE=${BASE}/${path} \\`);
+        }
+    });
+});
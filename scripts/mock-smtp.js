@@ -0,0 +1,123 @@
+// Local stand-in for an SMTP server, so scheduled report delivery can be
+// exercised without a real mail account. Accepts every message (and any
+// AUTH PLAIN credentials), prints who it was for and what was attached, and
+// with MOCK_SMTP_DIR set also saves each message there as an .eml file.
+// Usage: npm run mock-smtp, then start the API with the environment it
+// prints (MOCK_SMTP_PORT defaults to 2525)
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const PORT = parseInt(process.env.MOCK_SMTP_PORT) || 2525;
+const SAVE_DIR = process.env.MOCK_SMTP_DIR || null;
+
+let received = 0;
+
+function describe(envelope, data) {
+    const subject = (data.match(/^Subject: (.*)$/m) || [])[1] || '(no subject)';
+    const attachments = Array.from(data.matchAll(/^Content-Disposition: attachment; filename="([^"]*)"/gm), match => match[1]);
+    console.log(`📨 #${received} from ${envelope.from} to ${envelope.to.join(', ')}`);
+    console.log(`   Subject: ${subject}`);
+    console.log(`   Attachments: ${attachments.join(', ') || 'none'} (${data.length} bytes in total)`);
+}
+
+function save(data) {
+    if (!SAVE_DIR) {
+        return;
+    }
+    fs.mkdirSync(SAVE_DIR, { recursive: true });
+    const file = path.join(SAVE_DIR, `message-${Date.now()}-${received}.eml`);
+    fs.writeFileSync(file, data);
+    console.log(`   Saved to ${file}`);
+}
+
+const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    let envelope = { from: null, to: [] };
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 mock-smtp ready');
+
+    socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+
+        while (buffer.length) {
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) {
+                    return;
+                }
+                // Undo dot-stuffing
+                const data = buffer.slice(0, end + 2).replace(/^\.\./gm, '.');
+                buffer = buffer.slice(end + 5);
+                inData = false;
+                received++;
+                describe(envelope, data);
+                save(data);
+                envelope = { from: null, to: [] };
+                reply(`250 OK queued as mock-${received}`);
+                continue;
+            }
+
+            const end = buffer.indexOf('\r\n');
+            if (end === -1) {
+                return;
+            }
+            const line = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const verb = line.split(' ')[0].toUpperCase();
+
+            switch (verb) {
+                case 'EHLO':
+                    reply('250-mock-smtp');
+                    reply('250-AUTH PLAIN');
+                    reply('250 8BITMIME');
+                    break;
+                case 'HELO':
+                    reply('250 mock-smtp');
+                    break;
+                case 'AUTH':
+                    reply('235 Authentication successful');
+                    break;
+                case 'MAIL':
+                    envelope.from = (line.match(/<([^>]*)>/) || [])[1] || '';
+                    reply('250 OK');
+                    break;
+                case 'RCPT':
+                    envelope.to.push((line.match(/<([^>]*)>/) || [])[1] || '');
+                    reply('250 OK');
+                    break;
+                case 'DATA':
+                    if (!envelope.to.length) {
+                        reply('503 No recipients');
+                        break;
+                    }
+                    inData = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                    break;
+                case 'RSET':
+                    envelope = { from: null, to: [] };
+                    reply('250 OK');
+                    break;
+                case 'NOOP':
+                    reply('250 OK');
+                    break;
+                case 'QUIT':
+                    reply('221 Bye');
+                    socket.end();
+                    return;
+                default:
+                    reply('502 Command not implemented');
+            }
+        }
+    });
+    socket.on('error', error => console.error(`Connection error: ${error.message}`));
+});
+
+server.listen(PORT, () => {
+    console.log(`🧪 Mock SMTP server listening on port ${PORT}`);
+    console.log('Start the API with:');
+    console.log(`  REPORT_TRANSPORT=smtp SMTP_HOST=localhost SMTP_PORT=${PORT}`);
+});
@@ -0,0 +1,31 @@
+// Loads the demo client, user, revenue records and insights into the
+// configured store (migrating it first)
+// Usage: STORAGE_ADAPTER=file STORAGE_PATH=data/butler.json npm run seed
+
+const { createStoreFromEnv } = require('../lib/storage');
+const {
+    seedDemoData,
+    DEMO_EMAIL,
+    DEMO_PASSWORD,
+    STAFF_EMAIL,
+    STAFF_PASSWORD
+} = require('../lib/seed');
+
+async function main() {
+    const store = createStoreFromEnv();
+    const seeded = await seedDemoData(store);
+    store.close();
+
+    if (seeded) {
+        console.log('✅ Initial data seeded');
+        console.log(`📧 Demo credentials: ${DEMO_EMAIL} / ${DEMO_PASSWORD}`);
+        console.log(`📧 Agency staff credentials: ${STAFF_EMAIL} / ${STAFF_PASSWORD}`);
+    } else {
+        console.log('ℹ️  Demo data already present, nothing to do');
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Seeding failed:', error.message);
+    process.exit(1);
+});
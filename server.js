@@ -5,17 +5,205 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const path = require('path');
+const { createStoreFromEnv, createBlobStoreFromEnv } = require('./lib/storage');
+const {
+    hasPermission,
+    principalHasPermission,
+    canAccessClient,
+    canAssignRole
+} = require('./lib/permissions');
+const {
+    looksLikeApiKey,
+    createApiKey,
+    findActiveKey,
+    recordUsage,
+    revokeApiKey,
+    publicApiKey
+} = require('./lib/api-keys');
+const {
+    ACCESS_TOKEN_TTL_SECONDS,
+    REFRESH_TOKEN_TTL_MS,
+    createKeyring,
+    signAccessToken,
+    verifyAccessToken,
+    issueRefreshToken,
+    consumeRefreshToken,
+    findRefreshToken,
+    revokeFamily,
+    revokeAccessToken,
+    isAccessTokenRevoked
+} = require('./lib/tokens');
+const {
+    seedDemoData,
+    DEMO_EMAIL,
+    DEMO_PASSWORD,
+    STAFF_EMAIL,
+    STAFF_PASSWORD
+} = require('./lib/seed');
+const {
+    MAX_PERIODS,
+    normalizeGranularity,
+    parseDate,
+    toDateString,
+    addDays,
+    today,
+    startOfPeriod,
+    addPeriods,
+    countPeriods
+} = require('./lib/periods');
+const { resolveDateRange, summarizeRevenue, runRate } = require('./lib/revenue-analytics');
+const { mrrMovements, customerCohorts } = require('./lib/customer-analytics');
+const {
+    MAX_IMPORT_ROWS,
+    validateRevenueRecord,
+    parseImport,
+    validateMapping,
+    runImport
+} = require('./lib/revenue-import');
+const { isCurrencyCode } = require('./lib/currencies');
+const { validateRate, createConverter, normalizeRecords } = require('./lib/fx');
+const {
+    FEATURES: CHURN_FEATURES,
+    buildFeatures,
+    trainChurnModel,
+    predictChurn,
+    recommendedActions,
+    annualRevenue
+} = require('./lib/churn');
+const { JobQueue, JobCancelledError, publicJob } = require('./lib/jobs');
+const {
+    MAX_WINDOW_DAYS,
+    SORTABLE_FIELDS,
+    parseTimeWindow,
+    generateInsights,
+    saveInsights,
+    isSnoozed,
+    sortValue,
+    parseSnoozeUntil,
+    withFeedback,
+    publicInsight
+} = require('./lib/insights');
+const { parsePageParams, paginate } = require('./lib/pagination');
+const {
+    MODEL_VERSION: FORECAST_MODEL_VERSION,
+    MIN_HISTORY,
+    buildHistory,
+    forecastRevenue
+} = require('./lib/forecasting');
+const {
+    MODELS: ATTRIBUTION_MODELS,
+    DEFAULT_LOOKBACK_DAYS,
+    calculateAttribution
+} = require('./lib/attribution');
+const {
+    PROVIDERS,
+    ProviderError,
+    getProvider,
+    providerConfig,
+    describeProvider,
+    validateConnectionConfig,
+    publicIntegration,
+    createCredentialCipher,
+    runConnectorSync,
+    createState,
+    hashState,
+    buildAuthorizationUrl,
+    exchangeCode
+} = require('./lib/integrations');
+const {
+    WEBHOOK_EVENTS,
+    PING_EVENT,
+    MAX_ATTEMPTS: WEBHOOK_MAX_ATTEMPTS,
+    BACKOFF_MS: WEBHOOK_BACKOFF_MS,
+    createSecret,
+    validateEndpointUrl,
+    validateEvents,
+    buildEvent,
+    deliver,
+    publicEndpoint
+} = require('./lib/webhooks');
+const {
+    normalizeKeyword,
+    validateKeyword,
+    validateObservation,
+    observationId,
+    buildRankings,
+    visibilitySeries,
+    summarizeRankings
+} = require('./lib/seo');
+const { ONBOARDING_STEPS, evaluateOnboarding } = require('./lib/onboarding');
+const {
+    CSV_COLUMNS: AUDIT_CSV_COLUMNS,
+    describeRoute,
+    diffChanges,
+    parseAuditFilters,
+    matchesAuditFilters,
+    publicAuditEntry,
+    exportFilename: auditExportFilename
+} = require('./lib/audit');
+const { toCsv } = require('./lib/csv');
+const {
+    STATUS_TRANSITIONS,
+    UPDATABLE_FIELDS: UPDATABLE_CLIENT_FIELDS,
+    canTransition,
+    validateClientFields
+} = require('./lib/client-lifecycle');
+const {
+    validateWeights,
+    resolveWeights,
+    computeHealth,
+    explainChange
+} = require('./lib/health');
+const {
+    SORTABLE_FIELDS: SORTABLE_RECORD_FIELDS,
+    isDeleted,
+    parseRecordFilters,
+    matchesRecordFilters,
+    validateRecordUpdate,
+    revisionSnapshot
+} = require('./lib/revenue-records');
+const { idempotent, purgeExpiredKeys } = require('./lib/idempotency');
+const { AUTH_RATE_LIMIT, MINUTE_MS, planLimits, RateLimiter, rateLimit } = require('./lib/rate-limit');
+const { monthOf, monthPeriod, UsageMeter, quotaStatus } = require('./lib/usage');
+const {
+    getSection,
+    resolveReportRange,
+    buildDocument,
+    renderReport,
+    createLinkSigner,
+    createTransportFromEnv,
+    DownloadTally,
+    normalizeSchedule,
+    nextRunAt
+} = require('./lib/reports');
+const { validate, validateValue, prefixErrors } = require('./lib/validation');
+const schemas = require('./lib/schemas');
+const { errorResponses, sendServerError, notFound, errorHandler } = require('./lib/errors');
+const { buildSpec } = require('./lib/openapi');
+const apiDocs = require('./lib/api-docs');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Behind a load balancer req.ip is the balancer's address unless Express is
+// told to trust X-Forwarded-For: TRUST_PROXY=true, a hop count, or addresses
+// as for Express's 'trust proxy' setting. Per-IP rate limits depend on it.
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : (/^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy));
+}
+
 // Middleware
 app.use(helmet());
-app.use(cors());
+app.use(cors({ exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'] }));
+app.use(assignRequestId);
+app.use(errorResponses);
 app.use(express.json());
 app.use(morgan('combined'));
+app.use(auditTrail);
 // =====================
 // Health Check
 // =====================
@@ -30,59 +218,444 @@ app.get('/', (req, res) => {
   res.send('Butler & Co Revenue Intelligence API is running');
 });
 
-// JWT Secret (in production, use environment variable)
-const JWT_SECRET = process.env.JWT_SECRET || 'butler-revenue-intelligence-secret-2026';
+// JWT signing keys - JWT_SIGNING_KEYS or JWT_SECRET, see lib/tokens. Throws in
+// production when neither is set so the server refuses to start.
+const keyring = createKeyring();
+
+// Integration credentials are encrypted at rest with INTEGRATION_ENCRYPTION_KEY,
+// which is likewise required in production
+const credentialCipher = createCredentialCipher();
+
+// Export download links are signed with EXPORT_SIGNING_KEY, also required
+// in production
+const linkSigner = createLinkSigner();
+
+// Persistence - STORAGE_ADAPTER=memory (default) or file, see lib/storage
+const store = createStoreFromEnv();
+const users = store.collection('users');
+const clients = store.collection('clients');
+const revenueRecords = store.collection('revenue_records');
+const integrations = store.collection('integrations');
+const insights = store.collection('insights');
+const touchpoints = store.collection('touchpoints');
+const invitations = store.collection('invitations');
+const refreshTokens = store.collection('refresh_tokens');
+const revokedTokens = store.collection('revoked_tokens');
+const apiKeys = store.collection('api_keys');
+const revenueImports = store.collection('revenue_imports');
+const fxRates = store.collection('fx_rates');
+const churnLabels = store.collection('churn_labels');
+const churnModels = store.collection('churn_models');
+const jobs = store.collection('jobs');
+const integrationSyncs = store.collection('integration_syncs');
+const rankingObservations = store.collection('ranking_observations');
+const webhookEndpoints = store.collection('webhook_endpoints');
+const webhookDeliveries = store.collection('webhook_deliveries');
+const seoKeywords = store.collection('seo_keywords');
+const healthScores = store.collection('health_scores');
+const planChanges = store.collection('client_plan_changes');
+const auditLogs = store.collection('audit_logs');
+const recordRevisions = store.collection('revenue_record_revisions');
+const idempotencyKeys = store.collection('idempotency_keys');
+const clientUsage = store.collection('client_usage');
+const reports = store.collection('reports');
+const reportExports = store.collection('exports');
+
+// Uploaded and generated files, kept out of the records (see lib/storage/blob-store)
+const blobs = createBlobStoreFromEnv();
+
+// Request counters for rate limiting, monthly usage per client and export
+// downloads; the last two are written out every USAGE_FLUSH_INTERVAL_MS
+const rateLimiter = new RateLimiter();
+const usageMeter = new UsageMeter(clientUsage);
+const downloadTally = new DownloadTally(reportExports);
+const USAGE_FLUSH_INTERVAL_MS = 15 * 1000;
+
+// Background jobs - handlers are registered near the end of this file
+const jobQueue = new JobQueue({
+    jobs,
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+    log: message => console.log(`[jobs] ${message}`)
+});
+
+// Finished jobs stay visible through /jobs for JOB_RETENTION_DAYS
+const JOB_RETENTION_MS = (parseInt(process.env.JOB_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Where providers send users back to after authorising a connection; it has
+// to match the redirect URI registered with each provider
+const OAUTH_REDIRECT_URI = process.env.OAUTH_REDIRECT_URI || `http://localhost:${PORT}/api/v1/integrations/oauth/callback`;
+const INTEGRATION_SYNC_INTERVAL_MS = (parseInt(process.env.INTEGRATION_SYNC_INTERVAL_MINUTES) || 360) * 60 * 1000;
 
-// In-memory data stores (replace with real database in production)
-const users = new Map();
-const clients = new Map();
-const revenueRecords = new Map();
-const integrations = new Map();
-const insights = new Map();
+// Churn probability at which a client is flagged and churn.risk.high is sent
+const CHURN_ALERT_THRESHOLD = parseFloat(process.env.CHURN_ALERT_THRESHOLD) || 0.7;
 
-// Seed some initial data
-seedInitialData();
+// How often every client's health score is recomputed on schedule
+const HEALTH_RECOMPUTE_INTERVAL_MS = (parseInt(process.env.HEALTH_RECOMPUTE_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Generated report files are kept for EXPORT_RETENTION_DAYS; a download
+// link is good for EXPORT_LINK_TTL_HOURS or until the file goes, if sooner.
+// Emailed links are absolute, starting with PUBLIC_API_URL.
+const EXPORT_RETENTION_MS = (parseInt(process.env.EXPORT_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const EXPORT_LINK_TTL_MS = (parseInt(process.env.EXPORT_LINK_TTL_HOURS) || 72) * 60 * 60 * 1000;
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+// Scheduled reports are sent through REPORT_TRANSPORT (see lib/reports/delivery)
+// from REPORT_FROM. Files over REPORT_MAX_ATTACHMENT_MB are linked but not attached.
+const reportTransport = createTransportFromEnv();
+const REPORT_FROM = process.env.REPORT_FROM || 'reports@butlerco.com';
+const REPORT_MAX_ATTACHMENT_BYTES = (parseFloat(process.env.REPORT_MAX_ATTACHMENT_MB) || 10) * 1024 * 1024;
+
+// Demo data is loaded by default only for the in-memory adapter; persistent
+// stores are seeded explicitly with `npm run seed`
+const SEED_DEMO_DATA = process.env.SEED_DEMO_DATA
+    ? process.env.SEED_DEMO_DATA === 'true'
+    : (process.env.STORAGE_ADAPTER || 'memory') === 'memory';
 
 // ============================================================================
 // MIDDLEWARE
 // ============================================================================
 
-// Authentication middleware
+// Every request gets an id, returned in X-Request-Id and stored on audit
+// entries. A well-formed id sent by the caller is kept so it can be traced
+// end to end.
+function assignRequestId(req, res, next) {
+    const supplied = req.headers['x-request-id'];
+    req.id = typeof supplied === 'string' && /^[\w.:-]{1,128}$/.test(supplied) ? supplied : crypto.randomUUID();
+    res.setHeader('X-Request-Id', req.id);
+    next();
+}
+
+// Records an audit entry for every write route once the response is sent,
+// successful or not. Routes add what they changed with auditChange.
+function auditTrail(req, res, next) {
+    res.on('finish', () => {
+        // Unmatched paths never reached a route
+        const route = req.route && describeRoute(req.method, req.route.path);
+        if (!route) {
+            return;
+        }
+        try {
+            recordAuditEntry(req, res, route);
+        } catch (error) {
+            console.error(`[audit] Failed to record ${route.action}: ${error.message}`);
+        }
+    });
+    next();
+}
+
+function auditActor(principal) {
+    if (!principal) {
+        return { type: 'anonymous', id: null };
+    }
+    if (principal.type === 'api_key') {
+        return { type: 'api_key', id: principal.apiKeyId };
+    }
+    return { type: 'user', id: principal.userId, email: principal.email, role: principal.role };
+}
+
+function recordAuditEntry(req, res, route) {
+    const context = res.locals.audit || {};
+    const entry = {
+        id: `audit-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        clientId: context.clientId || req.params.clientId || (req.user && req.user.clientId) || null,
+        occurred_at: new Date().toISOString(),
+        request_id: req.id,
+        action: route.action,
+        outcome: res.statusCode < 400 ? 'success' : 'failure',
+        status_code: res.statusCode,
+        actor: context.actor || auditActor(req.user),
+        target: {
+            type: route.target,
+            id: context.targetId || (route.param && req.params[route.param]) || null
+        },
+        changes: diffChanges(context.before, context.after),
+        ip: req.ip,
+        user_agent: req.headers['user-agent'] || null,
+        method: req.method,
+        path: req.path
+    };
+    auditLogs.set(entry.id, entry);
+}
+
+// Adds detail to the request's audit entry: `before`/`after` snapshots of
+// the object (no `before` for a create, `after: null` for a delete),
+// `targetId` for objects the route created, and `actor`/`clientId` for
+// routes that run without an authenticated principal
+function auditChange(res, details) {
+    res.locals.audit = { ...res.locals.audit, ...details };
+}
+
+// Audit details for a route that writes several objects at once: before and
+// after are keyed by id, so the diff lists each object that changed. The
+// target is the object itself when there is only one.
+function auditBatch(after, before) {
+    const byId = items => Object.fromEntries(items.map(item => [item.id, item]));
+    const ids = new Set(after.map(item => item.id));
+    return {
+        targetId: ids.size === 1 ? after[0].id : null,
+        before: before.length ? byId(before) : undefined,
+        after: byId(after)
+    };
+}
+
+// Authentication middleware - accepts a user JWT or a client API key, either
+// as "Authorization: Bearer <key>" or in the X-API-Key header
 function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
+    const apiKey = req.headers['x-api-key'] || (looksLikeApiKey(token) ? token : null);
+
+    if (apiKey) {
+        return authenticateApiKey(apiKey, req, res, next);
+    }
 
     if (!token) {
         return res.status(401).json({ error: 'Access token required' });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
+    let payload;
+    try {
+        payload = verifyAccessToken(keyring, token);
+    } catch (err) {
+        return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+
+    if (isAccessTokenRevoked(revokedTokens, payload)) {
+        return res.status(401).json({ error: 'Token has been revoked' });
+    }
+
+    // Roles and memberships can change after a token is issued, so they
+    // are always read from the user record rather than the token
+    const account = users.get(payload.email);
+    if (!account || account.id !== payload.userId) {
+        return res.status(401).json({ error: 'User no longer exists' });
+    }
+
+    // Set by "log out everywhere" - anything issued before it is dead
+    if (account.tokens_valid_after && payload.iat * 1000 < Date.parse(account.tokens_valid_after)) {
+        return res.status(401).json({ error: 'Token has been revoked' });
+    }
+
+    // Members of an archived client are locked out; agency staff keep access
+    // so they can restore it
+    const homeClient = clients.get(account.clientId);
+    if (homeClient && homeClient.archived_at && !hasPermission(account.role, 'clients:cross_tenant')) {
+        return res.status(403).json({ error: 'This client has been archived' });
+    }
+
+    const user = {
+        type: 'user',
+        userId: account.id,
+        email: account.email,
+        role: account.role,
+        homeClientId: account.clientId,
+        clientId: account.clientId
+    };
+
+    // Agency staff pick the client they're working on with X-Client-Id;
+    // everyone else is pinned to their own client
+    const requestedClientId = req.headers['x-client-id'];
+    if (requestedClientId && requestedClientId !== account.clientId) {
+        if (!hasPermission(account.role, 'clients:cross_tenant')) {
+            return res.status(403).json({ error: 'Access to this client is not allowed' });
+        }
+        if (!clients.has(requestedClientId)) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+        user.clientId = requestedClientId;
+    }
+
+    req.user = user;
+    req.tokenPayload = payload;
+    admitClient(req, res, next);
+}
+// Read by the API description (lib/openapi): authenticated routes are rate limited
+authenticateToken.rateLimit = 'client';
+
+function authenticateApiKey(key, req, res, next) {
+    const record = findActiveKey(apiKeys, key);
+    if (!record) {
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+
+    const requestedClientId = req.headers['x-client-id'];
+    if (requestedClientId && requestedClientId !== record.clientId) {
+        return res.status(403).json({ error: 'Access to this client is not allowed' });
+    }
+
+    if (isArchived(record.clientId)) {
+        return res.status(403).json({ error: 'This client has been archived' });
+    }
+
+    recordUsage(apiKeys, record, req.ip);
+
+    req.user = {
+        type: 'api_key',
+        apiKeyId: record.id,
+        environment: record.environment,
+        scopes: record.scopes,
+        userId: null,
+        role: null,
+        homeClientId: record.clientId,
+        clientId: record.clientId
+    };
+    admitClient(req, res, next);
+}
+
+function clientPlanLimits(clientId) {
+    const client = clients.get(clientId);
+    return planLimits(client && client.plan_tier);
+}
+
+// Per client, by plan tier. Agency staff acting on a client with
+// X-Client-Id count against that client's limits.
+const clientRateLimit = rateLimit(rateLimiter, {
+    name: 'client',
+    key: req => req.user.clientId,
+    policy: req => ({ limit: clientPlanLimits(req.user.clientId).requests_per_minute, windowMs: MINUTE_MS })
+});
+
+// For routes running analytics or models over all of a client's data
+const expensiveRateLimit = rateLimit(rateLimiter, {
+    name: 'expensive',
+    key: req => req.user.clientId,
+    policy: req => ({ limit: clientPlanLimits(req.user.clientId).expensive_requests_per_minute, windowMs: MINUTE_MS })
+});
+
+// Per IP for the routes that check a password or an invitation token
+const authRateLimit = rateLimit(rateLimiter, {
+    name: 'auth',
+    key: req => req.ip,
+    policy: () => AUTH_RATE_LIMIT,
+    message: 'Too many sign-in attempts, please try again later'
+});
+
+// Still answered once the monthly API call quota is used up, so clients can
+// see why they're being refused
+const QUOTA_EXEMPT_ROUTES = ['GET /api/v1/clients/:clientId/usage'];
+
+const QUOTA_NAMES = { api_calls: 'API call', import_rows: 'import row' };
+
+function quotaExceededResponse(res, { metric, quota, used, requested }) {
+    const { resets_at } = monthPeriod(monthOf());
+    res.setHeader('Retry-After', String(Math.ceil((Date.parse(resets_at) - Date.now()) / 1000)));
+    return res.status(429).json({
+        error: `Monthly ${QUOTA_NAMES[metric]} quota exceeded for this plan`,
+        code: 'quota_exceeded',
+        metric,
+        quota,
+        used,
+        ...(requested !== undefined ? { requested } : {}),
+        resets_at
+    });
+}
+
+// Last step of authentication: the client's per-minute limit and monthly
+// API call quota, then the call is metered
+function admitClient(req, res, next) {
+    clientRateLimit(req, res, () => {
+        const { clientId } = req.user;
+        const quota = clientPlanLimits(clientId).monthly_api_calls;
+        const calls = quotaStatus(usageMeter.totals(clientId).api_calls, quota);
+        if (calls.exceeded && !QUOTA_EXEMPT_ROUTES.includes(`${req.method} ${req.route.path}`)) {
+            return quotaExceededResponse(res, { metric: 'api_calls', quota, used: calls.used });
         }
-        req.user = user;
+        usageMeter.record(clientId, { api_calls: 1 });
         next();
     });
 }
 
+function isArchived(clientId) {
+    const client = clients.get(clientId);
+    return Boolean(client && client.archived_at);
+}
+
+// Authorization middleware - use after authenticateToken
+function requirePermission(permission) {
+    const guard = (req, res, next) => {
+        if (!principalHasPermission(req.user, permission)) {
+            return res.status(403).json({ error: 'Insufficient permissions', required_permission: permission });
+        }
+        next();
+    };
+    // Read by the API description (lib/openapi)
+    guard.permission = permission;
+    return guard;
+}
+
 // ============================================================================
 // AUTHENTICATION ENDPOINTS
 // ============================================================================
 
-app.post('/api/v1/auth/register', async (req, res) => {
-    try {
-        const { email, password, firstName, lastName, clientId } = req.body;
+// Issues an access token plus a refresh token. Pass the family id when
+// rotating so reuse detection can revoke the whole chain.
+function issueSession(user, familyId) {
+    const accessToken = signAccessToken(keyring, {
+        userId: user.id,
+        email: user.email,
+        role: user.role,
+        clientId: user.clientId
+    });
+    const refresh = issueRefreshToken(refreshTokens, user, familyId);
 
-        if (!email || !password) {
-            return res.status(400).json({ error: 'Email and password required' });
-        }
+    return {
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: ACCESS_TOKEN_TTL_SECONDS,
+        refresh_token: refresh.token,
+        refresh_expires_in: REFRESH_TOKEN_TTL_MS / 1000,
+        user: publicUser(user)
+    };
+}
+
+function publicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        clientId: user.clientId
+    };
+}
+
+function hashInvitationToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Self sign-up always creates a brand new client with the registering user as
+// its owner. Joining an existing client requires an invitation.
+app.post('/api/v1/auth/register', authRateLimit, validate(schemas.register), async (req, res) => {
+    try {
+        const { email, password, firstName, lastName, clientId, company_name } = req.body;
 
         if (users.has(email)) {
             return res.status(409).json({ error: 'User already exists' });
         }
 
+        if (clientId && (clients.has(clientId) || users.findOne(u => u.clientId === clientId))) {
+            return res.status(403).json({ error: 'Joining an existing client requires an invitation' });
+        }
+
         const hashedPassword = await bcrypt.hash(password, 10);
         const userId = `user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const newClientId = clientId || `client-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+        clients.set(newClientId, {
+            id: newClientId,
+            company_name: company_name || email.split('@')[1],
+            domain: email.split('@')[1],
+            plan_tier: 'professional',
+            mrr: 0,
+            arr: 0,
+            status: 'trial',
+            health_score: null,
+            onboarding_completed: false,
+            reporting_currency: 'USD',
+            created_at: new Date().toISOString()
+        });
 
         const user = {
             id: userId,
@@ -90,46 +663,35 @@ app.post('/api/v1/auth/register', async (req, res) => {
             password: hashedPassword,
             firstName,
             lastName,
-            clientId: clientId || `client-${Date.now()}`,
-            role: 'admin',
+            clientId: newClientId,
+            role: 'owner',
             createdAt: new Date().toISOString()
         };
 
         users.set(email, user);
-
-        const token = jwt.sign(
-            { userId: user.id, email: user.email, role: user.role, clientId: user.clientId },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
-
-        res.status(201).json({
-            access_token: token,
-            token_type: 'Bearer',
-            expires_in: 86400,
-            user: {
-                id: user.id,
-                email: user.email,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                role: user.role,
-                clientId: user.clientId
-            }
+        queueHealthRecompute(newClientId);
+        auditChange(res, {
+            actor: { type: 'user', id: user.id, email: user.email, role: user.role },
+            clientId: newClientId,
+            targetId: user.id,
+            after: publicUser(user)
         });
+
+        res.status(201).json(issueSession(user));
     } catch (error) {
-        res.status(500).json({ error: 'Registration failed', message: error.message });
+        sendServerError(res, error, 'Registration failed');
     }
 });
 
-app.post('/api/v1/auth/token', async (req, res) => {
+app.post('/api/v1/auth/token', authRateLimit, validate(schemas.login), async (req, res) => {
     try {
         const { email, password } = req.body;
 
-        if (!email || !password) {
-            return res.status(400).json({ error: 'Email and password required' });
-        }
-
+        // Failed attempts are logged against the email that was tried
         const user = users.get(email);
+        auditChange(res, user
+            ? { actor: { type: 'user', id: user.id, email: user.email, role: user.role }, clientId: user.clientId, targetId: user.id }
+            : { actor: { type: 'anonymous', id: null, email: String(email) } });
         if (!user) {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
@@ -139,455 +701,3431 @@ app.post('/api/v1/auth/token', async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        const token = jwt.sign(
-            { userId: user.id, email: user.email, role: user.role, clientId: user.clientId },
-            JWT_SECRET,
-            { expiresIn: '24h' }
-        );
-
-        res.json({
-            access_token: token,
-            token_type: 'Bearer',
-            expires_in: 86400,
-            user: {
-                id: user.id,
-                email: user.email,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                role: user.role,
-                clientId: user.clientId
-            }
-        });
+        res.json(issueSession(user));
     } catch (error) {
-        res.status(500).json({ error: 'Login failed', message: error.message });
+        sendServerError(res, error, 'Login failed');
     }
 });
 
-// ============================================================================
-// REVENUE ANALYTICS ENDPOINTS
-// ============================================================================
-
-app.get('/api/v1/revenue/summary', authenticateToken, (req, res) => {
+app.post('/api/v1/auth/refresh', validate(schemas.refresh), (req, res) => {
     try {
-        const { start_date, end_date, granularity = 'daily' } = req.query;
-        const clientId = req.user.clientId;
+        const { refresh_token } = req.body;
 
-        const clientRecords = Array.from(revenueRecords.values())
-            .filter(record => record.clientId === clientId);
-
-        const totalRevenue = clientRecords.reduce((sum, r) => sum + r.amount, 0);
-        const avgDailyRevenue = totalRevenue / Math.max(clientRecords.length, 1);
+        const result = consumeRefreshToken(refreshTokens, refresh_token);
+        if (result.error) {
+            return res.status(401).json({ error: result.error });
+        }
 
-        // Calculate by source
-        const bySource = {};
-        clientRecords.forEach(record => {
-            if (!bySource[record.source]) {
-                bySource[record.source] = { revenue: 0, count: 0 };
-            }
-            bySource[record.source].revenue += record.amount;
-            bySource[record.source].count++;
+        const user = users.get(result.record.email);
+        if (!user || user.id !== result.record.user_id) {
+            revokeFamily(refreshTokens, result.record.family_id);
+            return res.status(401).json({ error: 'User no longer exists' });
+        }
+        auditChange(res, {
+            actor: { type: 'user', id: user.id, email: user.email, role: user.role },
+            clientId: user.clientId,
+            targetId: user.id
         });
 
-        const bySourceArray = Object.entries(bySource).map(([source, data]) => ({
-            source,
-            revenue: data.revenue,
-            percentage: (data.revenue / totalRevenue * 100).toFixed(1)
-        }));
-
-        // Generate time series data
-        const byPeriod = generateTimeSeries(clientRecords, granularity);
-
-        res.json({
-            data: {
-                total_revenue: totalRevenue,
-                avg_daily_revenue: avgDailyRevenue,
-                growth_rate: 0.34,
-                mrr: totalRevenue * 0.85,
-                arr: totalRevenue * 0.85 * 12,
-                by_period: byPeriod,
-                by_source: bySourceArray
-            }
-        });
+        res.json(issueSession(user, result.record.family_id));
     } catch (error) {
-        res.status(500).json({ error: 'Failed to get revenue summary', message: error.message });
+        sendServerError(res, error, 'Token refresh failed');
     }
 });
 
-app.get('/api/v1/revenue/forecast', authenticateToken, (req, res) => {
+// Revokes the presented access token and, if given, the refresh token's
+// family. all_sessions also kills every other token the user holds.
+app.post('/api/v1/auth/logout', authenticateToken, validate(schemas.logout), (req, res) => {
     try {
-        const { periods = 6, granularity = 'monthly' } = req.query;
-        const clientId = req.user.clientId;
+        const { refresh_token, all_sessions } = req.body;
 
-        const clientRecords = Array.from(revenueRecords.values())
-            .filter(record => record.clientId === clientId);
-
-        const avgRevenue = clientRecords.reduce((sum, r) => sum + r.amount, 0) / Math.max(clientRecords.length, 1);
-        const growthRate = 0.15; // 15% monthly growth
-
-        const forecast = [];
-        for (let i = 1; i <= periods; i++) {
-            const predictedRevenue = avgRevenue * Math.pow(1 + growthRate, i);
-            const confidence = Math.max(0.95 - (i * 0.05), 0.70);
-            
-            forecast.push({
-                period: `2026-${String(i + 2).padStart(2, '0')}-01`,
-                predicted_revenue: Math.round(predictedRevenue),
-                lower_bound: Math.round(predictedRevenue * 0.85),
-                upper_bound: Math.round(predictedRevenue * 1.15),
-                confidence
-            });
+        if (req.user.type !== 'user') {
+            return res.status(400).json({ error: 'API keys cannot log out; revoke the key instead' });
         }
 
-        res.json({
-            data: {
-                model_version: 'v2.3.1',
-                generated_at: new Date().toISOString(),
-                forecast,
-                assumptions: [
-                    'Historical growth rate continues',
-                    'No major market disruptions',
-                    'Seasonal patterns from previous year apply'
-                ],
-                accuracy_metrics: {
-                    mape: 8.2,
-                    rmse: 12500
-                }
+        revokeAccessToken(revokedTokens, req.tokenPayload);
+        auditChange(res, { targetId: req.user.userId });
+
+        if (refresh_token) {
+            const record = findRefreshToken(refreshTokens, refresh_token);
+            if (record && record.user_id === req.user.userId) {
+                revokeFamily(refreshTokens, record.family_id);
             }
-        });
+        }
+
+        if (all_sessions) {
+            new Set(refreshTokens.find(t => t.user_id === req.user.userId).map(t => t.family_id))
+                .forEach(familyId => revokeFamily(refreshTokens, familyId));
+            users.update(req.user.email, { tokens_valid_after: new Date().toISOString() });
+        }
+
+        res.status(204).end();
     } catch (error) {
-        res.status(500).json({ error: 'Forecast generation failed', message: error.message });
+        sendServerError(res, error, 'Logout failed');
     }
 });
 
-app.post('/api/v1/revenue/records', authenticateToken, (req, res) => {
+app.post('/api/v1/auth/invitations/accept', authRateLimit, validate(schemas.acceptInvitation), async (req, res) => {
     try {
-        const { date, source, channel, amount, currency = 'USD', customer_id, metadata } = req.body;
+        const { token, password, firstName, lastName } = req.body;
+
+        const tokenHash = hashInvitationToken(token);
+        const invitation = invitations.findOne(i => i.token_hash === tokenHash);
 
-        if (!date || !amount) {
-            return res.status(400).json({ error: 'Date and amount required' });
+        if (!invitation || invitation.status !== 'pending') {
+            return res.status(404).json({ error: 'Invitation not found' });
         }
 
-        const recordId = `record-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        const record = {
-            id: recordId,
-            clientId: req.user.clientId,
-            date,
-            source: source || 'direct',
-            channel: channel || 'direct',
-            amount: parseFloat(amount),
-            currency,
-            customer_id,
-            metadata,
+        if (new Date(invitation.expires_at) < new Date()) {
+            invitations.update(invitation.id, { status: 'expired' });
+            return res.status(410).json({ error: 'Invitation has expired' });
+        }
+
+        if (users.has(invitation.email)) {
+            return res.status(409).json({ error: 'User already exists' });
+        }
+
+        const user = {
+            id: `user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            email: invitation.email,
+            password: await bcrypt.hash(password, 10),
+            firstName,
+            lastName,
+            clientId: invitation.clientId,
+            role: invitation.role,
+            invitedBy: invitation.invited_by,
             createdAt: new Date().toISOString()
         };
 
-        revenueRecords.set(recordId, record);
+        users.set(user.email, user);
+        invitations.update(invitation.id, { status: 'accepted', accepted_at: new Date().toISOString() });
+        auditChange(res, {
+            actor: { type: 'user', id: user.id, email: user.email, role: user.role },
+            clientId: user.clientId,
+            targetId: user.id,
+            after: publicUser(user)
+        });
 
-        res.status(201).json(record);
+        res.status(201).json(issueSession(user));
     } catch (error) {
-        res.status(500).json({ error: 'Failed to create revenue record', message: error.message });
+        sendServerError(res, error, 'Failed to accept invitation');
     }
 });
 
 // ============================================================================
-// CLIENT MANAGEMENT ENDPOINTS
+// REVENUE ANALYTICS ENDPOINTS
 // ============================================================================
 
-app.get('/api/v1/clients', authenticateToken, (req, res) => {
-    try {
-        const clientsArray = Array.from(clients.values());
-        
-        res.json({
-            data: clientsArray,
-            pagination: {
-                total_count: clientsArray.length,
-                has_more: false
-            }
-        });
-    } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch clients', message: error.message });
+// A client's revenue records converted into its reporting currency. Every
+// aggregate goes through this so amounts in different currencies are never
+// added together; records without a rate come back in `conversion`.
+function loadClientRevenue(clientId) {
+    const client = clients.get(clientId);
+    const reportingCurrency = (client && client.reporting_currency) || 'USD';
+    const records = revenueRecords.find(record => record.clientId === clientId && !isDeleted(record));
+    return normalizeRecords(records, createConverter(fxRates.values()), reportingCurrency);
+}
+
+// The analytics behind /revenue/summary, /attribution/calculate and
+// /seo/rankings, shared with report exports. Each takes the route's
+// validated query or body and returns { data } or { error } for a bad range.
+function revenueSummaryData(clientId, { start_date, end_date, granularity }) {
+    const { records: clientRecords, conversion } = loadClientRevenue(clientId);
+
+    const range = resolveDateRange({ start_date, end_date }, clientRecords);
+    if (range.error) {
+        return { error: range.error };
     }
-});
 
-app.get('/api/v1/clients/:clientId', authenticateToken, (req, res) => {
+    // One by_period bucket per period, at most MAX_PERIODS of them. When
+    // start_date is left to default, the range starts as far back as fits.
+    const periodGranularity = normalizeGranularity(granularity);
+    if (countPeriods(range.start, range.end, periodGranularity) > MAX_PERIODS) {
+        if (start_date !== undefined) {
+            return { error: `A ${periodGranularity} summary can cover at most ${MAX_PERIODS} periods; narrow start_date/end_date or use a coarser granularity` };
+        }
+        range.start = addPeriods(startOfPeriod(range.end, periodGranularity), periodGranularity, -(MAX_PERIODS - 1));
+    }
+
+    return {
+        data: {
+            ...summarizeRevenue(clientRecords, { ...range, granularity: periodGranularity }),
+            reporting_currency: conversion.reporting_currency,
+            currency_conversion: conversion
+        }
+    };
+}
+
+app.get('/api/v1/revenue/summary', authenticateToken, requirePermission('revenue:read'), validate(schemas.revenueSummary), (req, res) => {
     try {
-        const client = clients.get(req.params.clientId);
-        
-        if (!client) {
-            return res.status(404).json({ error: 'Client not found' });
+        const { data, error } = revenueSummaryData(req.user.clientId, req.query);
+        if (error) {
+            return res.status(400).json({ error });
         }
 
-        res.json(client);
+        res.json({ data });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch client', message: error.message });
+        sendServerError(res, error, 'Failed to get revenue summary');
     }
 });
 
-app.post('/api/v1/clients', authenticateToken, (req, res) => {
+// Cohort retention by first-purchase month, period NRR/GRR, LTV and ARPA.
+// Takes the same start_date/end_date as /revenue/summary.
+app.get('/api/v1/revenue/cohorts', authenticateToken, requirePermission('revenue:read'), expensiveRateLimit, validate(schemas.revenueCohorts), (req, res) => {
     try {
-        const { company_name, domain, industry, plan_tier, primary_contact } = req.body;
-
-        if (!company_name) {
-            return res.status(400).json({ error: 'Company name required' });
-        }
+        const { start_date, end_date, limit } = req.query;
+        const clientId = req.user.clientId;
 
-        const clientId = `client-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        const client = {
-            id: clientId,
-            company_name,
-            domain,
-            industry,
-            plan_tier: plan_tier || 'professional',
-            mrr: 0,
-            arr: 0,
-            status: 'trial',
-            health_score: 85,
-            onboarding_completed: false,
-            primary_contact,
-            created_at: new Date().toISOString()
-        };
+        const { records: clientRecords, conversion } = loadClientRevenue(clientId);
 
-        clients.set(clientId, client);
+        const range = resolveDateRange({ start_date, end_date }, clientRecords);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
+        }
 
-        res.status(201).json({
-            ...client,
-            onboarding_url: `https://app.butlerco.com/onboarding/${clientId}`,
-            api_key: `bco_test_${Math.random().toString(36).substr(2, 24)}`
+        res.json({
+            data: {
+                ...customerCohorts(clientRecords, { ...range, limit }),
+                reporting_currency: conversion.reporting_currency,
+                currency_conversion: conversion
+            }
         });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to create client', message: error.message });
+        sendServerError(res, error, 'Failed to build cohorts');
     }
 });
 
-// ============================================================================
-// AI INSIGHTS ENDPOINTS
-// ============================================================================
-
-app.get('/api/v1/insights/latest', authenticateToken, (req, res) => {
+// Monthly new/expansion/contraction/churned/reactivation MRR with NRR, GRR
+// and ARPA per month
+app.get('/api/v1/revenue/mrr-movements', authenticateToken, requirePermission('revenue:read'), expensiveRateLimit, validate(schemas.mrrMovements), (req, res) => {
     try {
-        const { limit = 10, type, min_confidence = 0 } = req.query;
+        const { start_date, end_date } = req.query;
         const clientId = req.user.clientId;
 
-        let clientInsights = Array.from(insights.values())
-            .filter(insight => insight.clientId === clientId);
+        const { records: clientRecords, conversion } = loadClientRevenue(clientId);
 
-        if (type) {
-            clientInsights = clientInsights.filter(i => i.type === type);
+        const range = resolveDateRange({ start_date, end_date }, clientRecords);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
         }
 
-        clientInsights = clientInsights
-            .filter(i => i.confidence >= min_confidence)
-            .slice(0, parseInt(limit));
-
-        res.json({ data: { insights: clientInsights } });
+        res.json({
+            data: {
+                ...mrrMovements(clientRecords, range),
+                reporting_currency: conversion.reporting_currency,
+                currency_conversion: conversion
+            }
+        });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch insights', message: error.message });
+        sendServerError(res, error, 'Failed to compute MRR movements');
     }
 });
 
-app.post('/api/v1/insights/generate', authenticateToken, (req, res) => {
+app.get('/api/v1/revenue/forecast', authenticateToken, requirePermission('revenue:read'), expensiveRateLimit, validate(schemas.revenueForecast), (req, res) => {
     try {
-        const { scope, target_id, focus_areas, time_window } = req.body;
+        const { periods, granularity } = req.query;
+        const clientId = req.user.clientId;
+        const bucketing = normalizeGranularity(granularity);
 
-        const jobId = `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const { records: clientRecords, conversion } = loadClientRevenue(clientId);
+        const history = buildHistory(clientRecords, bucketing);
+        const result = forecastRevenue(history, { periods, granularity: bucketing });
 
-        // Simulate async processing
-        setTimeout(() => {
-            const insight = {
-                id: `insight-${Date.now()}`,
-                clientId: req.user.clientId,
-                type: 'opportunity',
-                title: 'Growth Opportunity Detected',
-                description: `Analysis of ${focus_areas.join(', ')} over ${time_window} reveals significant upside potential.`,
-                confidence: 88,
-                impact: 'high',
-                generated_at: new Date().toISOString()
-            };
-            insights.set(insight.id, insight);
-        }, 2000);
+        if (!result) {
+            return res.status(422).json({
+                error: 'Not enough revenue history to forecast',
+                required_periods: MIN_HISTORY,
+                available_periods: history.length
+            });
+        }
 
-        res.status(202).json({
-            job_id: jobId,
-            status: 'processing',
-            estimated_completion: new Date(Date.now() + 5000).toISOString()
+        res.json({
+            data: {
+                model_version: FORECAST_MODEL_VERSION,
+                generated_at: new Date().toISOString(),
+                granularity: bucketing,
+                history: {
+                    start: history[0].period_start,
+                    end: history[history.length - 1].period_end,
+                    periods: history.length
+                },
+                ...result,
+                reporting_currency: conversion.reporting_currency,
+                currency_conversion: conversion
+            }
         });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to generate insights', message: error.message });
+        sendServerError(res, error, 'Forecast generation failed');
     }
 });
 
-// ============================================================================
-// INTEGRATION ENDPOINTS
-// ============================================================================
+function createRevenueRecord(clientId, value, extra = {}) {
+    const recordId = `record-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const record = {
+        id: recordId,
+        clientId,
+        ...value,
+        ...extra,
+        createdAt: new Date().toISOString()
+    };
+
+    revenueRecords.set(recordId, record);
+    return record;
+}
 
-app.get('/api/v1/integrations', authenticateToken, (req, res) => {
+// Sending an Idempotency-Key header makes retries safe: a repeat of the same
+// request returns the original response instead of creating a second record
+app.post('/api/v1/revenue/records', authenticateToken, requirePermission('revenue:write'), validate(schemas.createRevenueRecord), idempotent(idempotencyKeys), (req, res) => {
     try {
+        const { metadata } = req.body;
         const clientId = req.user.clientId;
-        const clientIntegrations = Array.from(integrations.values())
-            .filter(int => int.clientId === clientId);
 
-        res.json({ data: clientIntegrations });
+        const { value, errors } = validateRevenueRecord(req.body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid revenue record', details: errors });
+        }
+
+        // Deleted records keep their external_id so a re-sent row can't
+        // quietly come back as a new record
+        const duplicate = value.external_id && revenueRecords.findOne(r => r.clientId === clientId && r.external_id === value.external_id);
+        if (duplicate) {
+            return res.status(409).json({
+                error: isDeleted(duplicate)
+                    ? 'A deleted revenue record with this external_id exists; restore it instead'
+                    : 'A revenue record with this external_id already exists',
+                record_id: duplicate.id
+            });
+        }
+
+        const record = createRevenueRecord(clientId, value, { metadata, revision: 1 });
+        refreshOnboarding(clientId);
+        queueHealthRecompute(clientId);
+        auditChange(res, { targetId: record.id, after: record });
+
+        res.status(201).json(record);
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch integrations', message: error.message });
+        sendServerError(res, error, 'Failed to create revenue record');
     }
 });
 
-app.post('/api/v1/integrations/connect/:provider', authenticateToken, (req, res) => {
+// Records as stored, in their original currency. Soft-deleted records are
+// left out unless state=deleted or state=all.
+app.get('/api/v1/revenue/records', authenticateToken, requirePermission('revenue:read'), validate(schemas.listRevenueRecords), (req, res) => {
     try {
-        const { provider } = req.params;
-        const clientId = req.user.clientId;
+        const { cursor } = req.query;
 
-        // Simulate OAuth flow
-        const integrationId = `int-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        const integration = {
-            id: integrationId,
-            clientId,
-            provider,
-            status: 'connected',
-            connected_at: new Date().toISOString(),
-            last_sync: new Date().toISOString()
-        };
+        const parsed = parseRecordFilters(req.query);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
 
-        integrations.set(integrationId, integration);
+        const page = parsePageParams(req.query, { sortable: SORTABLE_RECORD_FIELDS, defaultSort: 'date' });
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
 
-        res.status(201).json(integration);
+        const records = revenueRecords.find(r => r.clientId === req.user.clientId && matchesRecordFilters(r, parsed.filters));
+        const result = paginate(records, { ...page, cursor });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({ data: result.items, next_cursor: result.next_cursor });
     } catch (error) {
-        res.status(500).json({ error: 'Integration connection failed', message: error.message });
+        sendServerError(res, error, 'Failed to fetch revenue records');
     }
 });
 
-// ============================================================================
-// ATTRIBUTION ENDPOINTS
-// ============================================================================
+function findClientRecord(req, res) {
+    const record = revenueRecords.get(req.params.recordId);
+    if (!record || record.clientId !== req.user.clientId) {
+        res.status(404).json({ error: 'Revenue record not found' });
+        return null;
+    }
+    return record;
+}
 
-app.post('/api/v1/attribution/calculate', authenticateToken, (req, res) => {
-    try {
-        const { start_date, end_date, model = 'markov_chain' } = req.body;
-        const clientId = req.user.clientId;
+// Applies changes to a record and appends the revision describing them.
+// Records created before revisions were kept count as revision 1.
+function reviseRecord(record, changes, { action, actor, reason = null }) {
+    const now = new Date().toISOString();
+    const revision = (record.revision || 1) + 1;
+    const updated = revenueRecords.update(record.id, { ...changes, revision, updatedAt: now });
 
-        const clientRecords = Array.from(revenueRecords.values())
-            .filter(record => record.clientId === clientId);
+    recordRevisions.set(`${record.id}:${revision}`, {
+        id: `${record.id}:${revision}`,
+        recordId: record.id,
+        clientId: record.clientId,
+        revision,
+        action,
+        changes: diffChanges(revisionSnapshot(record), revisionSnapshot(updated)),
+        reason,
+        actor,
+        created_at: now
+    });
+    return updated;
+}
 
-        const totalRevenue = clientRecords.reduce((sum, r) => sum + r.amount, 0);
+app.get('/api/v1/revenue/records/:recordId', authenticateToken, requirePermission('revenue:read'), (req, res) => {
+    try {
+        const record = findClientRecord(req, res);
+        if (!record) {
+            return;
+        }
 
-        const channels = [
-            { channel: 'google_organic', attributed_revenue: totalRevenue * 0.38, conversions: 234, assists: 89 },
-            { channel: 'linkedin_ads', attributed_revenue: totalRevenue * 0.29, conversions: 178, assists: 156 },
-            { channel: 'direct', attributed_revenue: totalRevenue * 0.18, conversions: 124, assists: 45 },
-            { channel: 'referral', attributed_revenue: totalRevenue * 0.15, conversions: 98, assists: 67 }
-        ];
+        res.json({ data: record });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch revenue record');
+    }
+});
 
-        channels.forEach(ch => {
-            ch.attribution_percentage = ((ch.attributed_revenue / totalRevenue) * 100).toFixed(1);
+// Corrects a record. Takes any of the fields accepted on create plus an
+// optional `reason`, which is kept with the revision.
+app.patch('/api/v1/revenue/records/:recordId', authenticateToken, requirePermission('revenue:write'), validate(schemas.updateRevenueRecord), (req, res) => {
+    try {
+        const record = findClientRecord(req, res);
+        if (!record) {
+            return;
+        }
+
+        if (isDeleted(record)) {
+            return res.status(409).json({ error: 'Revenue record is deleted; restore it before editing' });
+        }
+
+        const { reason, ...input } = req.body;
+
+        const { changes, errors } = validateRecordUpdate(record, input);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid revenue record', details: errors });
+        }
+
+        if (!Object.keys(changes).length) {
+            return res.json({ data: record });
+        }
+
+        if (changes.external_id && revenueRecords.findOne(r => r.clientId === record.clientId && r.external_id === changes.external_id && r.id !== record.id)) {
+            return res.status(409).json({ error: 'A revenue record with this external_id already exists' });
+        }
+
+        const updated = reviseRecord(record, changes, { action: 'update', actor: auditActor(req.user), reason: reason || null });
+        queueHealthRecompute(record.clientId);
+        auditChange(res, { before: record, after: updated });
+
+        res.json({ data: updated });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to update revenue record');
+    }
+});
+
+// Soft delete: the record drops out of every report but can be restored
+app.delete('/api/v1/revenue/records/:recordId', authenticateToken, requirePermission('revenue:write'), validate(schemas.deleteRevenueRecord), (req, res) => {
+    try {
+        const record = findClientRecord(req, res);
+        if (!record) {
+            return;
+        }
+
+        if (isDeleted(record)) {
+            return res.status(409).json({ error: 'Revenue record is already deleted' });
+        }
+
+        const { reason } = req.body;
+        const actor = auditActor(req.user);
+        const updated = reviseRecord(record, {
+            deleted_at: new Date().toISOString(),
+            deleted_by: actor.id
+        }, { action: 'delete', actor, reason: reason || null });
+        queueHealthRecompute(record.clientId);
+        auditChange(res, { before: record, after: updated });
+
+        res.status(204).send();
+    } catch (error) {
+        sendServerError(res, error, 'Failed to delete revenue record');
+    }
+});
+
+app.post('/api/v1/revenue/records/:recordId/restore', authenticateToken, requirePermission('revenue:write'), (req, res) => {
+    try {
+        const record = findClientRecord(req, res);
+        if (!record) {
+            return;
+        }
+
+        if (!isDeleted(record)) {
+            return res.status(409).json({ error: 'Revenue record is not deleted' });
+        }
+
+        const updated = reviseRecord(record, { deleted_at: null, deleted_by: null }, { action: 'restore', actor: auditActor(req.user) });
+        queueHealthRecompute(record.clientId);
+        auditChange(res, { before: record, after: updated });
+
+        res.json({ data: updated });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to restore revenue record');
+    }
+});
+
+// Every change made to a record after it was created, oldest first. Each
+// revision lists the fields it changed with their before and after values,
+// so the record's state at any revision can be rebuilt from the current one.
+app.get('/api/v1/revenue/records/:recordId/revisions', authenticateToken, requirePermission('revenue:read'), (req, res) => {
+    try {
+        const record = findClientRecord(req, res);
+        if (!record) {
+            return;
+        }
+
+        const revisions = recordRevisions
+            .find(r => r.recordId === record.id)
+            .sort((a, b) => a.revision - b.revision)
+            .map(({ recordId, clientId, ...revision }) => ({ record_id: recordId, ...revision }));
+
+        res.json({ data: revisions, current_revision: record.revision || 1 });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch revisions');
+    }
+});
+
+// Bulk backfill. The file is the raw request body (Content-Type text/csv or
+// application/x-ndjson); options go in the query string, e.g.
+// ?dry_run=true&mapping[date]=Order%20Date&mapping[amount]=Total
+// Returns an import id to poll for the validation report.
+app.post('/api/v1/revenue/imports',
+    authenticateToken,
+    requirePermission('revenue:write'),
+    expensiveRateLimit,
+    validate(schemas.createRevenueImport),
+    express.text({ type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/ndjson'], limit: '25mb' }),
+    (req, res) => {
+        try {
+            const clientId = req.user.clientId;
+            const { mapping, dry_run } = req.query;
+            const contentType = req.headers['content-type'] || '';
+            const format = req.query.format || (contentType.includes('ndjson') ? 'ndjson' : 'csv');
+
+            if (typeof req.body !== 'string' || !req.body.trim()) {
+                return res.status(400).json({ error: 'Upload the file as the request body with Content-Type text/csv or application/x-ndjson' });
+            }
+
+            const mappingError = validateMapping(mapping);
+            if (mappingError) {
+                return res.status(400).json({ error: mappingError });
+            }
+
+            const parsed = parseImport(req.body, format);
+            if (parsed.error) {
+                return res.status(400).json({ error: parsed.error });
+            }
+
+            if (parsed.rows.length > MAX_IMPORT_ROWS) {
+                return res.status(413).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} rows per file` });
+            }
+
+            // Dry runs import nothing, so they don't count towards the quota
+            const rowQuota = clientPlanLimits(clientId).monthly_import_rows;
+            const usedRows = usageMeter.totals(clientId).import_rows;
+            if (!dry_run && rowQuota !== null && usedRows + parsed.rows.length > rowQuota) {
+                return quotaExceededResponse(res, { metric: 'import_rows', quota: rowQuota, used: usedRows, requested: parsed.rows.length });
+            }
+
+            const revenueImport = {
+                id: `import-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                clientId,
+                format,
+                dry_run,
+                mapping: mapping || {},
+                status: 'processing',
+                created_by: req.user.userId || req.user.apiKeyId,
+                created_at: new Date().toISOString()
+            };
+
+            // The file waits in the blob store; the job only names it
+            const uploadKey = blobs.put(`imports/${revenueImport.id}`, req.body);
+            const job = jobQueue.enqueue('revenue.import', {
+                importId: revenueImport.id,
+                clientId,
+                format,
+                mapping,
+                dryRun: revenueImport.dry_run,
+                uploadKey
+            }, { clientId, createdBy: revenueImport.created_by, maxAttempts: 1 });
+
+            revenueImports.set(revenueImport.id, { ...revenueImport, job_id: job.id });
+            if (!dry_run) {
+                usageMeter.record(clientId, { imports: 1, import_rows: parsed.rows.length });
+            }
+            auditChange(res, { targetId: revenueImport.id, after: { ...revenueImport, job_id: job.id } });
+
+            res.status(202).json({
+                import_id: revenueImport.id,
+                job_id: job.id,
+                status: revenueImport.status,
+                dry_run: revenueImport.dry_run,
+                rows_received: parsed.rows.length,
+                status_url: `/api/v1/revenue/imports/${revenueImport.id}`,
+                job_url: `/api/v1/jobs/${job.id}`
+            });
+        } catch (error) {
+            sendServerError(res, error, 'Failed to start import');
+        }
+    }
+);
+
+app.get('/api/v1/revenue/imports', authenticateToken, requirePermission('revenue:read'), (req, res) => {
+    try {
+        const clientImports = revenueImports
+            .find(i => i.clientId === req.user.clientId)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .map(({ report, ...summary }) => ({
+                ...summary,
+                imported: report ? report.imported : null,
+                failed: report ? report.failed : null
+            }));
+
+        res.json({ data: clientImports });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch imports');
+    }
+});
+
+app.get('/api/v1/revenue/imports/:importId', authenticateToken, requirePermission('revenue:read'), (req, res) => {
+    try {
+        const revenueImport = revenueImports.get(req.params.importId);
+
+        if (!revenueImport || revenueImport.clientId !== req.user.clientId) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+
+        res.json(revenueImport);
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch import');
+    }
+});
+
+// ============================================================================
+// CLIENT MANAGEMENT ENDPOINTS
+// ============================================================================
+
+app.get('/api/v1/clients', authenticateToken, requirePermission('clients:read'), validate(schemas.listClients), (req, res) => {
+    try {
+        const includeArchived = req.query.include_archived;
+        const clientsArray = (principalHasPermission(req.user, 'clients:cross_tenant')
+            ? clients.values()
+            : clients.find(c => c.id === req.user.homeClientId))
+            .filter(c => includeArchived || !c.archived_at);
+        
+        res.json({
+            data: clientsArray,
+            pagination: {
+                total_count: clientsArray.length,
+                has_more: false
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch clients');
+    }
+});
+
+app.get('/api/v1/clients/:clientId', authenticateToken, requirePermission('clients:read'), (req, res) => {
+    try {
+        const client = canAccessClient(req.user, req.params.clientId) && clients.get(req.params.clientId);
+
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        res.json(client);
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch client');
+    }
+});
+
+app.post('/api/v1/clients', authenticateToken, requirePermission('clients:create'), validate(schemas.createClient), (req, res) => {
+    try {
+        const reportingCurrency = req.body.reporting_currency.toUpperCase();
+
+        const { value, errors } = validateClientFields(req.body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid client', details: errors });
+        }
+
+        if (value.status !== undefined && value.status !== 'trial') {
+            return res.status(400).json({ error: 'New clients start in trial' });
+        }
+
+        if (!isCurrencyCode(reportingCurrency)) {
+            return res.status(400).json({
+                error: 'Invalid client',
+                details: [{ field: 'reporting_currency', code: 'invalid_value', message: 'reporting_currency must be an ISO-4217 code' }]
+            });
+        }
+
+        const clientId = `client-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const client = {
+            id: clientId,
+            company_name: value.company_name,
+            domain: value.domain || null,
+            industry: value.industry || null,
+            plan_tier: value.plan_tier || 'professional',
+            mrr: 0,
+            arr: 0,
+            status: 'trial',
+            health_score: null,
+            onboarding_completed: false,
+            primary_contact: value.primary_contact || null,
+            reporting_currency: reportingCurrency,
+            created_at: new Date().toISOString()
+        };
+
+        clients.set(clientId, client);
+        queueHealthRecompute(clientId);
+        auditChange(res, { clientId, targetId: clientId, after: client });
+
+        const { key } = createApiKey(apiKeys, {
+            clientId,
+            name: 'Default ingestion key',
+            environment: 'test',
+            createdBy: req.user.userId
+        });
+
+        res.status(201).json({
+            ...client,
+            onboarding_url: onboardingUrl(clientId),
+            onboarding: refreshOnboarding(clientId),
+            api_key: key
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to create client');
+    }
+});
+
+// Profile fields anyone with clients:update can edit; status moves through
+// the lifecycle state machine and is reserved for clients:lifecycle
+app.patch('/api/v1/clients/:clientId', authenticateToken, requirePermission('clients:update'), validate(schemas.updateClient), (req, res) => {
+    try {
+        const client = canAccessClient(req.user, req.params.clientId) && clients.get(req.params.clientId);
+
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        if (client.archived_at) {
+            return res.status(409).json({ error: 'Archived clients cannot be changed; restore it first' });
+        }
+
+        const unknown = Object.keys(req.body).filter(field => !UPDATABLE_CLIENT_FIELDS.includes(field));
+        if (unknown.length) {
+            return res.status(400).json({
+                error: 'Invalid client update',
+                details: unknown.map(field => ({
+                    field,
+                    code: 'unknown_field',
+                    message: field === 'plan_tier'
+                        ? 'change plans with POST /api/v1/clients/:clientId/plan-changes'
+                        : `not an updatable field; expected: ${UPDATABLE_CLIENT_FIELDS.join(', ')}`
+                }))
+            });
+        }
+
+        const { value, errors } = validateClientFields(req.body, { partial: true });
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid client update', details: errors });
+        }
+
+        if (!Object.keys(value).length) {
+            return res.status(400).json({ error: `Provide at least one of: ${UPDATABLE_CLIENT_FIELDS.join(', ')}` });
+        }
+
+        const changes = { ...value };
+        if (value.status === client.status) {
+            delete changes.status;
+        } else if (value.status) {
+            if (!principalHasPermission(req.user, 'clients:lifecycle')) {
+                return res.status(403).json({ error: 'Insufficient permissions', required_permission: 'clients:lifecycle' });
+            }
+            if (!canTransition(client.status, value.status)) {
+                return res.status(409).json({
+                    error: `Cannot change status from ${client.status} to ${value.status}`,
+                    allowed_transitions: STATUS_TRANSITIONS[client.status] || []
+                });
+            }
+            changes.status_changed_at = new Date().toISOString();
+        }
+
+        const updated = clients.update(client.id, { ...changes, updated_at: new Date().toISOString() });
+        auditChange(res, { before: client, after: updated });
+
+        res.json(updated);
+    } catch (error) {
+        sendServerError(res, error, 'Failed to update client');
+    }
+});
+
+// Archiving locks the client's users and API keys out and stops scheduled
+// syncs and health scoring; nothing is deleted, so restoring picks up where
+// it left off
+app.post('/api/v1/clients/:clientId/archive', authenticateToken, requirePermission('clients:lifecycle'), (req, res) => {
+    try {
+        const client = canAccessClient(req.user, req.params.clientId) && clients.get(req.params.clientId);
+
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        if (client.archived_at) {
+            return res.status(409).json({ error: 'Client is already archived' });
+        }
+
+        const updated = clients.update(client.id, {
+            archived_at: new Date().toISOString(),
+            archived_by: req.user.userId
+        });
+        auditChange(res, { before: client, after: updated });
+
+        res.json(updated);
+    } catch (error) {
+        sendServerError(res, error, 'Failed to archive client');
+    }
+});
+
+app.post('/api/v1/clients/:clientId/restore', authenticateToken, requirePermission('clients:lifecycle'), (req, res) => {
+    try {
+        const client = canAccessClient(req.user, req.params.clientId) && clients.get(req.params.clientId);
+
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        if (!client.archived_at) {
+            return res.status(409).json({ error: 'Client is not archived' });
+        }
+
+        const updated = clients.update(client.id, {
+            archived_at: null,
+            archived_by: null,
+            restored_at: new Date().toISOString()
+        });
+        queueHealthRecompute(client.id);
+        auditChange(res, { before: client, after: updated });
+
+        res.json(updated);
+    } catch (error) {
+        sendServerError(res, error, 'Failed to restore client');
+    }
+});
+
+// ============================================================================
+// PLAN CHANGES
+// ============================================================================
+
+// Moves the client onto the change's tier. from_tier is taken now rather than
+// when the change was requested, in case something else changed the plan in
+// between.
+function applyPlanChange(change) {
+    const client = clients.get(change.clientId);
+    const now = new Date().toISOString();
+    clients.update(client.id, { plan_tier: change.to_tier, plan_changed_at: now });
+    return planChanges.update(change.id, { status: 'applied', from_tier: client.plan_tier, applied_at: now });
+}
+
+// Applies scheduled changes whose effective date has arrived. Archived
+// clients keep theirs until they are restored.
+function applyDuePlanChanges() {
+    const due = toDateString(today());
+    planChanges
+        .find(change => change.status === 'scheduled' && change.effective_date <= due && !isArchived(change.clientId))
+        .forEach(applyPlanChange);
+}
+
+app.get('/api/v1/clients/:clientId/plan-changes', authenticateToken, requirePermission('clients:read'), (req, res) => {
+    try {
+        const client = canAccessClient(req.user, req.params.clientId) && clients.get(req.params.clientId);
+
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const changes = planChanges
+            .find(change => change.clientId === client.id)
+            .sort((a, b) => b.effective_date.localeCompare(a.effective_date) || b.created_at.localeCompare(a.created_at));
+
+        res.json({ data: changes, current_plan_tier: client.plan_tier });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch plan changes');
+    }
+});
+
+// { plan_tier, effective_date? } - effective today when no date is given.
+// A date in the past is recorded as given and applied straight away; a
+// future date schedules the change, replacing any change already scheduled.
+app.post('/api/v1/clients/:clientId/plan-changes', authenticateToken, requirePermission('clients:lifecycle'), validate(schemas.createPlanChange), (req, res) => {
+    try {
+        const { plan_tier, effective_date } = req.body;
+        const client = canAccessClient(req.user, req.params.clientId) && clients.get(req.params.clientId);
+
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        if (client.archived_at) {
+            return res.status(409).json({ error: 'Archived clients cannot be changed; restore it first' });
+        }
+
+        const effectiveDate = toDateString(effective_date === undefined ? today() : parseDate(effective_date));
+        const immediate = effectiveDate <= toDateString(today());
+        if (immediate && plan_tier === client.plan_tier) {
+            return res.status(409).json({ error: `Client is already on the ${plan_tier} plan` });
+        }
+
+        const now = new Date().toISOString();
+        const change = {
+            id: `plan-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            clientId: client.id,
+            from_tier: client.plan_tier,
+            to_tier: plan_tier,
+            effective_date: effectiveDate,
+            status: 'scheduled',
+            requested_by: req.user.userId,
+            created_at: now,
+            applied_at: null
+        };
+
+        planChanges
+            .find(existing => existing.clientId === client.id && existing.status === 'scheduled')
+            .forEach(existing => planChanges.update(existing.id, { status: 'cancelled', cancelled_at: now, superseded_by: change.id }));
+        planChanges.set(change.id, change);
+        const recorded = immediate ? applyPlanChange(change) : change;
+        auditChange(res, { targetId: change.id, after: recorded });
+
+        res.status(201).json({ data: recorded });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to change plan');
+    }
+});
+
+app.delete('/api/v1/clients/:clientId/plan-changes/:changeId', authenticateToken, requirePermission('clients:lifecycle'), (req, res) => {
+    try {
+        const client = canAccessClient(req.user, req.params.clientId) && clients.get(req.params.clientId);
+        const change = client && planChanges.get(req.params.changeId);
+
+        if (!change || change.clientId !== client.id) {
+            return res.status(404).json({ error: 'Plan change not found' });
+        }
+
+        if (change.status !== 'scheduled') {
+            return res.status(409).json({ error: `Only scheduled plan changes can be cancelled (this one is ${change.status})` });
+        }
+
+        const cancelled = planChanges.update(change.id, { status: 'cancelled', cancelled_at: new Date().toISOString() });
+        auditChange(res, { before: change, after: cancelled });
+
+        res.json({ data: cancelled });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to cancel plan change');
+    }
+});
+
+// ============================================================================
+// ONBOARDING
+// ============================================================================
+
+function onboardingUrl(clientId) {
+    return `https://app.butlerco.com/onboarding/${clientId}`;
+}
+
+// When each onboarding milestone first happened, from the client's data
+function onboardingFacts(clientId) {
+    const ofClient = record => record.clientId === clientId;
+    const earliest = values => values.filter(Boolean).sort()[0] || null;
+    const joined = users.find(ofClient).map(u => u.createdAt).filter(Boolean).sort();
+
+    return {
+        first_integration_connected_at: earliest(integrations.find(ofClient).map(i => i.connected_at)),
+        first_revenue_at: earliest(revenueRecords.find(ofClient).map(r => r.createdAt)),
+        // An invitation, or a second member added some other way
+        first_invitation_at: earliest([...invitations.find(ofClient).map(i => i.created_at), joined[1]])
+    };
+}
+
+// Evaluates the checklist and records newly completed steps on the client,
+// keeping onboarding_completed in step with it
+function refreshOnboarding(clientId) {
+    const client = clients.get(clientId);
+    const recorded = (client.onboarding && client.onboarding.steps) || {};
+    const complete = ONBOARDING_STEPS.every(step => recorded[step.key]);
+    const onboarding = evaluateOnboarding(complete ? {} : onboardingFacts(clientId), recorded);
+
+    const steps = Object.fromEntries(onboarding.steps.filter(s => s.completed).map(s => [s.key, s.completed_at]));
+    const completed = Boolean(onboarding.completed_at);
+    if (Object.keys(steps).length !== Object.keys(recorded).length || completed !== Boolean(client.onboarding_completed)) {
+        clients.update(clientId, {
+            onboarding: { steps, completed_at: onboarding.completed_at },
+            onboarding_completed: completed
+        });
+    }
+
+    return onboarding;
+}
+
+app.get('/api/v1/clients/:clientId/onboarding', authenticateToken, requirePermission('clients:read'), (req, res) => {
+    try {
+        const client = canAccessClient(req.user, req.params.clientId) && clients.get(req.params.clientId);
+
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        res.json({
+            data: {
+                client_id: client.id,
+                onboarding_url: onboardingUrl(client.id),
+                ...refreshOnboarding(client.id)
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch onboarding checklist');
+    }
+});
+
+app.get('/api/v1/clients/:clientId/users', authenticateToken, requirePermission('users:read'), (req, res) => {
+    try {
+        const { clientId } = req.params;
+
+        if (!canAccessClient(req.user, clientId) || !clients.has(clientId)) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const members = users.find(u => u.clientId === clientId).map(publicUser);
+
+        res.json({ data: members });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch users');
+    }
+});
+
+app.get('/api/v1/clients/:clientId/invitations', authenticateToken, requirePermission('users:invite'), (req, res) => {
+    try {
+        const { clientId } = req.params;
+
+        if (!canAccessClient(req.user, clientId) || !clients.has(clientId)) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const pending = invitations
+            .find(i => i.clientId === clientId && i.status === 'pending')
+            .map(({ token_hash, ...invitation }) => invitation);
+
+        res.json({ data: pending });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch invitations');
+    }
+});
+
+app.post('/api/v1/clients/:clientId/invitations', authenticateToken, requirePermission('users:invite'), validate(schemas.createInvitation), (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const { email, role } = req.body;
+
+        if (!canAccessClient(req.user, clientId) || !clients.has(clientId)) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        if (!canAssignRole(req.user.role, role)) {
+            return res.status(403).json({ error: `You cannot invite users with the ${role} role` });
+        }
+
+        if (users.has(email)) {
+            return res.status(409).json({ error: 'User already exists' });
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        const invitation = {
+            id: `inv-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            clientId,
+            email,
+            role,
+            status: 'pending',
+            token_hash: hashInvitationToken(token),
+            invited_by: req.user.userId,
+            created_at: new Date().toISOString(),
+            expires_at: new Date(Date.now() + INVITATION_TTL_MS).toISOString()
+        };
+
+        invitations.set(invitation.id, invitation);
+        refreshOnboarding(clientId);
+
+        const { token_hash, ...publicInvitation } = invitation;
+        auditChange(res, { targetId: invitation.id, after: publicInvitation });
+        res.status(201).json({
+            ...publicInvitation,
+            invite_token: token,
+            invite_url: `https://app.butlerco.com/invite/${token}`
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to create invitation');
+    }
+});
+
+app.patch('/api/v1/clients/:clientId/users/:userId', authenticateToken, requirePermission('users:manage'), validate(schemas.updateUserRole), (req, res) => {
+    try {
+        const { clientId, userId } = req.params;
+        const { role } = req.body;
+
+        if (!canAccessClient(req.user, clientId) || !clients.has(clientId)) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const member = users.findOne(u => u.id === userId && u.clientId === clientId);
+        if (!member) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!canAssignRole(req.user.role, role) || !canAssignRole(req.user.role, member.role)) {
+            return res.status(403).json({ error: 'You cannot change this user to or from that role' });
+        }
+
+        if (member.role === 'owner' && role !== 'owner'
+            && users.count(u => u.clientId === clientId && u.role === 'owner') === 1) {
+            return res.status(409).json({ error: 'A client must keep at least one owner' });
+        }
+
+        const updated = users.update(member.email, { role, updatedAt: new Date().toISOString() });
+        auditChange(res, { before: publicUser(member), after: publicUser(updated) });
+
+        res.json(publicUser(updated));
+    } catch (error) {
+        sendServerError(res, error, 'Failed to update user role');
+    }
+});
+
+app.get('/api/v1/clients/:clientId/api-keys', authenticateToken, requirePermission('api_keys:manage'), (req, res) => {
+    try {
+        const { clientId } = req.params;
+
+        if (!canAccessClient(req.user, clientId) || !clients.has(clientId)) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const keys = apiKeys.find(k => k.clientId === clientId).map(publicApiKey);
+
+        res.json({ data: keys });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch API keys');
+    }
+});
+
+app.post('/api/v1/clients/:clientId/api-keys', authenticateToken, requirePermission('api_keys:manage'), validate(schemas.createApiKey), (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const { name, scopes, environment } = req.body;
+
+        if (!canAccessClient(req.user, clientId) || !clients.has(clientId)) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const result = createApiKey(apiKeys, { clientId, name, scopes, environment, createdBy: req.user.userId });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        auditChange(res, { targetId: result.record.id, after: publicApiKey(result.record) });
+
+        res.status(201).json({ ...publicApiKey(result.record), api_key: result.key });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to create API key');
+    }
+});
+
+// Issues a replacement key with the same name, scopes and environment and
+// revokes the old one
+app.post('/api/v1/clients/:clientId/api-keys/:keyId/rotate', authenticateToken, requirePermission('api_keys:manage'), (req, res) => {
+    try {
+        const { clientId, keyId } = req.params;
+
+        if (!canAccessClient(req.user, clientId) || !clients.has(clientId)) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const existing = apiKeys.get(keyId);
+        if (!existing || existing.clientId !== clientId) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        if (existing.status !== 'active') {
+            return res.status(409).json({ error: 'Only active API keys can be rotated' });
+        }
+
+        const result = createApiKey(apiKeys, {
+            clientId,
+            name: existing.name,
+            scopes: existing.scopes,
+            environment: existing.environment,
+            createdBy: req.user.userId,
+            rotatedFrom: existing.id
+        });
+        const revoked = revokeApiKey(apiKeys, existing.id, req.user.userId);
+        auditChange(res, { before: publicApiKey(existing), after: publicApiKey(revoked) });
+
+        res.status(201).json({ ...publicApiKey(result.record), api_key: result.key });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to rotate API key');
+    }
+});
+
+app.delete('/api/v1/clients/:clientId/api-keys/:keyId', authenticateToken, requirePermission('api_keys:manage'), (req, res) => {
+    try {
+        const { clientId, keyId } = req.params;
+
+        if (!canAccessClient(req.user, clientId) || !clients.has(clientId)) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const existing = apiKeys.get(keyId);
+        if (!existing || existing.clientId !== clientId) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        const revoked = existing.status === 'revoked'
+            ? existing
+            : revokeApiKey(apiKeys, keyId, req.user.userId);
+        auditChange(res, { before: publicApiKey(existing), after: publicApiKey(revoked) });
+
+        res.json(publicApiKey(revoked));
+    } catch (error) {
+        sendServerError(res, error, 'Failed to revoke API key');
+    }
+});
+
+app.get('/api/v1/clients/:clientId/settings', authenticateToken, requirePermission('clients:read'), (req, res) => {
+    try {
+        const client = canAccessClient(req.user, req.params.clientId) && clients.get(req.params.clientId);
+
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        res.json({
+            reporting_currency: client.reporting_currency || 'USD',
+            health_weights: resolveWeights(client)
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch client settings');
+    }
+});
+
+// health_weights is a partial override of the default signal weights; null
+// goes back to the defaults. Both settings feed the health score (MRR/ARR are
+// in the reporting currency), so it is recomputed straight away.
+app.patch('/api/v1/clients/:clientId/settings', authenticateToken, requirePermission('clients:update'), validate(schemas.updateSettings), (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const { reporting_currency, health_weights } = req.body;
+
+        if (!canAccessClient(req.user, clientId) || !clients.has(clientId)) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const changes = {};
+
+        if (reporting_currency !== undefined) {
+            const currency = reporting_currency.toUpperCase();
+            if (!isCurrencyCode(currency)) {
+                return res.status(400).json({
+                    error: 'Invalid settings',
+                    details: [{ field: 'reporting_currency', code: 'invalid_value', message: 'reporting_currency must be an ISO-4217 code' }]
+                });
+            }
+            changes.reporting_currency = currency;
+        }
+
+        if (health_weights !== undefined) {
+            if (health_weights === null) {
+                changes.health_weights = null;
+            } else {
+                const { value, errors } = validateWeights(health_weights);
+                if (errors.length) {
+                    return res.status(400).json({ error: 'Invalid health_weights', details: errors });
+                }
+                changes.health_weights = value;
+            }
+        }
+
+        if (!Object.keys(changes).length) {
+            return res.status(400).json({ error: 'Provide reporting_currency and/or health_weights' });
+        }
+
+        const before = clients.get(clientId);
+        const client = clients.update(clientId, changes);
+        recomputeClientHealth(client);
+        auditChange(res, {
+            before: { reporting_currency: before.reporting_currency, health_weights: resolveWeights(before) },
+            after: { reporting_currency: client.reporting_currency, health_weights: resolveWeights(client) }
+        });
+
+        res.json({
+            reporting_currency: client.reporting_currency,
+            health_weights: resolveWeights(client)
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to update client settings');
+    }
+});
+
+// API calls and imported rows in a month (the current one by default)
+// against the plan's quotas, with the plan's rate limits
+app.get('/api/v1/clients/:clientId/usage', authenticateToken, requirePermission('clients:read'), validate(schemas.clientUsage), (req, res) => {
+    try {
+        const client = canAccessClient(req.user, req.params.clientId) && clients.get(req.params.clientId);
+
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const month = req.query.month || monthOf();
+        const limits = planLimits(client.plan_tier);
+        const totals = usageMeter.totals(client.id, month);
+
+        res.json({
+            data: {
+                client_id: client.id,
+                plan_tier: client.plan_tier,
+                month,
+                period: monthPeriod(month),
+                api_calls: quotaStatus(totals.api_calls, limits.monthly_api_calls),
+                imports: { count: totals.imports, rows: quotaStatus(totals.import_rows, limits.monthly_import_rows) },
+                rate_limits: {
+                    requests_per_minute: limits.requests_per_minute,
+                    expensive_requests_per_minute: limits.expensive_requests_per_minute
+                }
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch usage');
+    }
+});
+
+// ============================================================================
+// CLIENT HEALTH ENDPOINTS
+// ============================================================================
+
+// Scores the client now, stores the result as today's history entry
+// (replacing an earlier run the same day) and brings health_score, mrr and
+// arr on the client up to date
+function recomputeClientHealth(client) {
+    const now = new Date();
+    const asOf = today();
+    const { records } = loadClientRevenue(client.id);
+
+    // The churn model uses the health score as a feature; it sees the
+    // previous score, never the one being computed
+    const model = activeChurnModel();
+    const prediction = model ? predictChurn(model, buildChurnFeatures(client, asOf)) : null;
+    const churnProbability = prediction ? prediction.probability : null;
+
+    const weights = resolveWeights(client);
+    const { score, signals } = computeHealth({
+        records,
+        integrations: integrations.find(i => i.clientId === client.id),
+        insights: insights.find(i => i.clientId === client.id),
+        onboarding: refreshOnboarding(client.id),
+        churnProbability,
+        asOf,
+        now
+    }, weights);
+    const { mrr, arr } = runRate(records, asOf);
+
+    const date = toDateString(asOf);
+    const entry = {
+        id: `${client.id}:${date}`,
+        clientId: client.id,
+        date,
+        score,
+        signals,
+        weights,
+        mrr,
+        arr,
+        computed_at: now.toISOString()
+    };
+    healthScores.set(entry.id, entry);
+    clients.update(client.id, { health_score: score, mrr, arr, health_updated_at: entry.computed_at });
+
+    // Scheduled scoring raises churn.risk.high too, so the alert doesn't
+    // depend on someone calling /predict/churn
+    if (prediction) {
+        updateChurnAlert(client, prediction.probability, primaryChurnFactors(prediction.contributions), model);
+    }
+
+    return entry;
+}
+
+function queueHealthRecompute(clientId) {
+    const queued = jobs.findOne(job => job.type === 'client.health' && job.clientId === clientId && job.status === 'queued');
+    if (!queued) {
+        jobQueue.enqueue('client.health', { clientId }, { clientId });
+    }
+}
+
+// Queues a recompute for every client whose score is older than
+// HEALTH_RECOMPUTE_INTERVAL_MS (or has never been computed)
+function scheduleHealthRecomputes() {
+    const staleBefore = new Date(Date.now() - HEALTH_RECOMPUTE_INTERVAL_MS).toISOString();
+    clients
+        .find(client => !client.archived_at && (!client.health_updated_at || client.health_updated_at <= staleBefore))
+        .forEach(client => queueHealthRecompute(client.id));
+}
+
+// Current score with its per-signal breakdown, the daily trend over `days`
+// and what changed since the score `compare_days` ago
+app.get('/api/v1/clients/:clientId/health', authenticateToken, requirePermission('clients:read'), validate(schemas.clientHealth), (req, res) => {
+    try {
+        const { days, compare_days: compareDays } = req.query;
+        const client = canAccessClient(req.user, req.params.clientId) && clients.get(req.params.clientId);
+
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const history = healthScores
+            .find(entry => entry.clientId === client.id)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        // Clients scored before the scheduler first ran get scored on demand
+        const latest = history.length ? history[history.length - 1] : recomputeClientHealth(client);
+        if (!history.length) {
+            history.push(latest);
+        }
+
+        const latestDate = parseDate(latest.date);
+        const since = toDateString(addDays(latestDate, -(days - 1)));
+        const compareTo = toDateString(addDays(latestDate, -compareDays));
+        const baseline = history.filter(entry => entry.date <= compareTo).pop();
+
+        res.json({
+            data: {
+                client_id: client.id,
+                score: latest.score,
+                date: latest.date,
+                computed_at: latest.computed_at,
+                mrr: latest.mrr,
+                arr: latest.arr,
+                reporting_currency: client.reporting_currency || 'USD',
+                weights: latest.weights,
+                signals: latest.signals,
+                trend: history.filter(entry => entry.date >= since).map(entry => ({ date: entry.date, score: entry.score })),
+                change: baseline ? explainChange(latest, baseline) : null
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch client health');
+    }
+});
+
+app.post('/api/v1/clients/:clientId/health/recompute', authenticateToken, requirePermission('clients:update'), expensiveRateLimit, (req, res) => {
+    try {
+        const client = canAccessClient(req.user, req.params.clientId) && clients.get(req.params.clientId);
+
+        if (!client) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        const entry = recomputeClientHealth(client);
+        const healthFields = ({ health_score, mrr, arr }) => ({ health_score, mrr, arr });
+        auditChange(res, { before: healthFields(client), after: healthFields(clients.get(client.id)) });
+
+        res.json({
+            data: {
+                client_id: client.id,
+                score: entry.score,
+                date: entry.date,
+                computed_at: entry.computed_at,
+                mrr: entry.mrr,
+                arr: entry.arr,
+                weights: entry.weights,
+                signals: entry.signals
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to recompute client health');
+    }
+});
+
+// ============================================================================
+// AI INSIGHTS ENDPOINTS
+// ============================================================================
+
+app.get('/api/v1/insights/latest', authenticateToken, requirePermission('insights:read'), validate(schemas.listInsights), (req, res) => {
+    try {
+        const { type, status, assigned_to, min_confidence, include_dismissed, include_snoozed, cursor } = req.query;
+        const clientId = req.user.clientId;
+
+        const page = parsePageParams({ limit: 10, ...req.query }, { sortable: SORTABLE_FIELDS, defaultSort: 'generated_at' });
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        const now = new Date();
+        const assignee = assigned_to === 'me' ? req.user.userId : assigned_to;
+
+        // Asking for dismissed insights by status implies wanting to see them
+        const showDismissed = include_dismissed || status === 'dismissed';
+        const showSnoozed = include_snoozed;
+
+        const clientInsights = insights.find(insight => insight.clientId === clientId
+            && (!type || insight.type === type)
+            && (!status || insight.status === status)
+            && (!assignee || insight.assigned_to === assignee)
+            && insight.confidence >= min_confidence
+            && (showDismissed || insight.status !== 'dismissed')
+            && (showSnoozed || !isSnoozed(insight, now)));
+
+        const result = paginate(clientInsights, { ...page, cursor, getValue: insight => sortValue(insight, page.sort) });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({
+            data: {
+                insights: result.items.map(insight => publicInsight(insight, now)),
+                next_cursor: result.next_cursor
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch insights');
+    }
+});
+
+app.post('/api/v1/insights/generate', authenticateToken, requirePermission('insights:write'), expensiveRateLimit, validate(schemas.generateInsights), (req, res) => {
+    try {
+        const { scope, target_id, focus_areas, time_window } = req.body;
+
+        if (!parseTimeWindow(time_window)) {
+            return res.status(400).json({
+                error: 'Request validation failed',
+                details: [{ field: 'time_window', code: 'too_large', message: `time_window must be at most ${MAX_WINDOW_DAYS} days` }]
+            });
+        }
+
+        const job = jobQueue.enqueue('insights.generate', {
+            clientId: req.user.clientId,
+            scope,
+            target_id,
+            focus_areas,
+            time_window
+        }, { clientId: req.user.clientId, createdBy: req.user.userId || req.user.apiKeyId });
+        auditChange(res, { targetId: job.id });
+
+        res.status(202).json({
+            job_id: job.id,
+            status: job.status,
+            status_url: `/api/v1/jobs/${job.id}`
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to generate insights');
+    }
+});
+
+// Looks up an insight belonging to the caller's current client, or sends 404
+function findClientInsight(req, res) {
+    const insight = insights.get(req.params.insightId);
+    if (!insight || insight.clientId !== req.user.clientId) {
+        res.status(404).json({ error: 'Insight not found' });
+        return null;
+    }
+    return insight;
+}
+
+app.get('/api/v1/insights/:insightId', authenticateToken, requirePermission('insights:read'), (req, res) => {
+    try {
+        const insight = findClientInsight(req, res);
+        if (!insight) {
+            return;
+        }
+
+        res.json({ data: publicInsight(insight) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch insight');
+    }
+});
+
+app.post('/api/v1/insights/:insightId/acknowledge', authenticateToken, requirePermission('insights:write'), (req, res) => {
+    try {
+        const insight = findClientInsight(req, res);
+        if (!insight) {
+            return;
+        }
+
+        const updated = insights.update(insight.id, {
+            status: 'acknowledged',
+            acknowledged_at: new Date().toISOString(),
+            acknowledged_by: req.user.userId || req.user.apiKeyId
+        });
+        auditChange(res, { before: publicInsight(insight), after: publicInsight(updated) });
+
+        res.json({ data: publicInsight(updated) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to acknowledge insight');
+    }
+});
+
+app.post('/api/v1/insights/:insightId/dismiss', authenticateToken, requirePermission('insights:write'), validate(schemas.dismissInsight), (req, res) => {
+    try {
+        const { reason } = req.body;
+
+        const insight = findClientInsight(req, res);
+        if (!insight) {
+            return;
+        }
+
+        const updated = insights.update(insight.id, {
+            status: 'dismissed',
+            dismissed_at: new Date().toISOString(),
+            dismissed_by: req.user.userId || req.user.apiKeyId,
+            dismiss_reason: reason.trim()
+        });
+        auditChange(res, { before: publicInsight(insight), after: publicInsight(updated) });
+
+        res.json({ data: publicInsight(updated) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to dismiss insight');
+    }
+});
+
+// Brings a dismissed or snoozed insight back into the feed
+app.post('/api/v1/insights/:insightId/reopen', authenticateToken, requirePermission('insights:write'), (req, res) => {
+    try {
+        const insight = findClientInsight(req, res);
+        if (!insight) {
+            return;
+        }
+
+        const updated = insights.update(insight.id, {
+            status: 'open',
+            snoozed_until: null,
+            dismissed_at: null,
+            dismissed_by: null,
+            dismiss_reason: null
+        });
+        auditChange(res, { before: publicInsight(insight), after: publicInsight(updated) });
+
+        res.json({ data: publicInsight(updated) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to reopen insight');
+    }
+});
+
+app.post('/api/v1/insights/:insightId/snooze', authenticateToken, requirePermission('insights:write'), validate(schemas.snoozeInsight), (req, res) => {
+    try {
+        const insight = findClientInsight(req, res);
+        if (!insight) {
+            return;
+        }
+
+        const snooze = parseSnoozeUntil(req.body.until);
+        if (snooze.error) {
+            return res.status(400).json({ error: snooze.error });
+        }
+
+        const updated = insights.update(insight.id, {
+            snoozed_until: snooze.until,
+            snoozed_by: req.user.userId || req.user.apiKeyId
+        });
+        auditChange(res, { before: publicInsight(insight), after: publicInsight(updated) });
+
+        res.json({ data: publicInsight(updated) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to snooze insight');
+    }
+});
+
+// { user_id } assigns the insight; { user_id: null } unassigns it
+app.post('/api/v1/insights/:insightId/assign', authenticateToken, requirePermission('insights:write'), validate(schemas.assignInsight), (req, res) => {
+    try {
+        const { user_id } = req.body;
+
+        const insight = findClientInsight(req, res);
+        if (!insight) {
+            return;
+        }
+
+        if (user_id !== null) {
+            const assignee = users.findOne(u => u.id === user_id);
+            if (!assignee || !canAccessClient({ homeClientId: assignee.clientId, role: assignee.role }, insight.clientId)) {
+                return res.status(400).json({ error: 'user_id must be a user with access to this client' });
+            }
+        }
+
+        const updated = insights.update(insight.id, {
+            assigned_to: user_id,
+            assigned_at: user_id ? new Date().toISOString() : null,
+            assigned_by: user_id ? req.user.userId || req.user.apiKeyId : null
+        });
+        auditChange(res, { before: publicInsight(insight), after: publicInsight(updated) });
+
+        res.json({ data: publicInsight(updated) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to assign insight');
+    }
+});
+
+// Feedback only needs read access: anyone who can see an insight can say
+// whether it was useful
+app.post('/api/v1/insights/:insightId/feedback', authenticateToken, requirePermission('insights:read'), validate(schemas.insightFeedback), (req, res) => {
+    try {
+        const { helpful, comment = null } = req.body;
+
+        const insight = findClientInsight(req, res);
+        if (!insight) {
+            return;
+        }
+
+        const updated = insights.update(insight.id, {
+            feedback: withFeedback(insight, req.user.userId || req.user.apiKeyId, { helpful, comment })
+        });
+        auditChange(res, { before: publicInsight(insight), after: publicInsight(updated) });
+
+        res.json({ data: publicInsight(updated) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to record feedback');
+    }
+});
+
+// ============================================================================
+// INTEGRATION ENDPOINTS
+// ============================================================================
+
+function findClientIntegration(req, res) {
+    const integration = integrations.get(req.params.integrationId);
+    if (!integration || integration.clientId !== req.user.clientId) {
+        res.status(404).json({ error: 'Integration not found' });
+        return null;
+    }
+    return integration;
+}
+
+function activeSync(integrationId) {
+    return integrationSyncs.findOne(sync => sync.integrationId === integrationId
+        && ['queued', 'running', 'retrying'].includes(sync.status));
+}
+
+// Every sync run gets a history entry; `trigger` is initial, manual or
+// scheduled
+function enqueueIntegrationSync(integration, { trigger, createdBy = null }) {
+    const syncId = `sync-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const job = jobQueue.enqueue('integration.sync', { integrationId: integration.id, syncId }, {
+        clientId: integration.clientId,
+        createdBy
+    });
+
+    const sync = {
+        id: syncId,
+        integrationId: integration.id,
+        clientId: integration.clientId,
+        provider: integration.provider,
+        trigger,
+        status: 'queued',
+        job_id: job.id,
+        attempts: 0,
+        pages: 0,
+        records_created: 0,
+        records_updated: 0,
+        records_rejected: 0,
+        rankings_upserted: 0,
+        errors: [],
+        created_at: new Date().toISOString(),
+        started_at: null,
+        finished_at: null
+    };
+    integrationSyncs.set(syncId, sync);
+    return sync;
+}
+
+app.get('/api/v1/integrations', authenticateToken, requirePermission('integrations:read'), (req, res) => {
+    try {
+        const clientId = req.user.clientId;
+        const clientIntegrations = integrations.find(int => int.clientId === clientId).map(publicIntegration);
+
+        res.json({ data: clientIntegrations });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch integrations');
+    }
+});
+
+app.get('/api/v1/integrations/providers', authenticateToken, requirePermission('integrations:read'), (req, res) => {
+    try {
+        res.json({ data: Array.from(PROVIDERS.values()).map(provider => describeProvider(provider)) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch providers');
+    }
+});
+
+// Starts the OAuth flow: creates a pending integration and returns the URL to
+// send the user to. The provider redirects back to the callback below.
+app.post('/api/v1/integrations/connect/:provider', authenticateToken, requirePermission('integrations:write'), validate(schemas.connectIntegration), (req, res) => {
+    try {
+        const clientId = req.user.clientId;
+        const provider = getProvider(req.params.provider);
+
+        if (!provider) {
+            return res.status(404).json({ error: `Unknown provider. Supported: ${Array.from(PROVIDERS.keys()).join(', ')}` });
+        }
+
+        const config = providerConfig(provider);
+        if (!config.configured) {
+            return res.status(503).json({ error: `${provider.display_name} is not configured on this server` });
+        }
+
+        const settings = validateConnectionConfig(provider, req.body.config);
+        if (settings.error) {
+            return res.status(400).json({ error: settings.error });
+        }
+
+        if (integrations.findOne(int => int.clientId === clientId && int.provider === provider.name && int.status === 'connected')) {
+            return res.status(409).json({ error: `${provider.display_name} is already connected` });
+        }
+
+        // Abandoned attempts are replaced rather than piling up
+        integrations
+            .find(int => int.clientId === clientId && int.provider === provider.name && int.status === 'pending')
+            .forEach(int => integrations.delete(int.id));
+
+        const state = createState();
+        const integrationId = `int-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const integration = {
+            id: integrationId,
+            clientId,
+            provider: provider.name,
+            status: 'pending',
+            config: settings.config,
+            credentials: null,
+            oauth_state_hash: state.hash,
+            oauth_state_expires_at: state.expires_at,
+            sync_cursor: null,
+            last_sync: null,
+            last_sync_status: null,
+            last_error: null,
+            next_sync_at: null,
+            created_by: req.user.userId || req.user.apiKeyId,
+            created_at: new Date().toISOString(),
+            connected_at: null
+        };
+        integrations.set(integrationId, integration);
+        auditChange(res, { targetId: integrationId, after: publicIntegration(integration) });
+
+        res.status(201).json({
+            data: publicIntegration(integration),
+            authorization_url: buildAuthorizationUrl(provider, config, { state: state.state, redirectUri: OAUTH_REDIRECT_URI })
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Integration connection failed');
+    }
+});
+
+// The provider redirects the user's browser here, so there is no bearer
+// token: the state parameter identifies the pending integration
+app.get('/api/v1/integrations/oauth/callback', validate(schemas.oauthCallback), async (req, res) => {
+    try {
+        const { code, state, error: providerError, error_description } = req.query;
+
+        const integration = state && integrations.findOne(int => int.oauth_state_hash === hashState(state));
+        if (!integration || integration.status !== 'pending' || new Date(integration.oauth_state_expires_at) < new Date()) {
+            return res.status(400).json({ error: 'Invalid or expired authorization state' });
+        }
+
+        // The provider redirects the browser here without our credentials,
+        // so the connection is attributed to whoever started it
+        auditChange(res, {
+            actor: { type: 'user', id: integration.created_by },
+            clientId: integration.clientId,
+            targetId: integration.id,
+            before: publicIntegration(integration)
+        });
+
+        if (providerError || !code) {
+            integrations.update(integration.id, {
+                status: 'error',
+                oauth_state_hash: null,
+                last_error: `Authorization failed: ${error_description || providerError || 'no code returned'}`
+            });
+            return res.status(400).json({ error: 'Authorization was not granted' });
+        }
+
+        const provider = getProvider(integration.provider);
+        let credentials;
+        try {
+            credentials = await exchangeCode(providerConfig(provider), { code, redirectUri: OAUTH_REDIRECT_URI });
+        } catch (error) {
+            if (!(error instanceof ProviderError)) {
+                throw error;
+            }
+            integrations.update(integration.id, {
+                status: 'error',
+                oauth_state_hash: null,
+                last_error: `Token exchange failed: ${error.message}`
+            });
+            return res.status(502).json({ error: `${provider.display_name} rejected the authorization code` });
+        }
+
+        const now = new Date().toISOString();
+        const connected = integrations.update(integration.id, {
+            status: 'connected',
+            credentials: credentialCipher.encrypt(credentials),
+            oauth_state_hash: null,
+            oauth_state_expires_at: null,
+            connected_at: now,
+            last_error: null
+        });
+        refreshOnboarding(connected.clientId);
+        auditChange(res, { after: publicIntegration(connected) });
+
+        const sync = enqueueIntegrationSync(connected, { trigger: 'initial', createdBy: connected.created_by });
+
+        res.json({ data: publicIntegration(connected), sync_id: sync.id, sync_job_id: sync.job_id });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to complete authorization');
+    }
+});
+
+app.get('/api/v1/integrations/:integrationId', authenticateToken, requirePermission('integrations:read'), (req, res) => {
+    try {
+        const integration = findClientIntegration(req, res);
+        if (!integration) {
+            return;
+        }
+
+        res.json({ data: publicIntegration(integration) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch integration');
+    }
+});
+
+// Drops the stored credentials and stops syncing. Data already synced stays.
+app.delete('/api/v1/integrations/:integrationId', authenticateToken, requirePermission('integrations:write'), (req, res) => {
+    try {
+        const integration = findClientIntegration(req, res);
+        if (!integration) {
+            return;
+        }
+
+        const sync = activeSync(integration.id);
+        if (sync) {
+            jobQueue.cancel(sync.job_id);
+            integrationSyncs.update(sync.id, { status: 'cancelled', finished_at: new Date().toISOString() });
+        }
+
+        const updated = integrations.update(integration.id, {
+            status: 'disconnected',
+            credentials: null,
+            oauth_state_hash: null,
+            next_sync_at: null,
+            disconnected_at: new Date().toISOString(),
+            disconnected_by: req.user.userId || req.user.apiKeyId
+        });
+        auditChange(res, { before: publicIntegration(integration), after: publicIntegration(updated) });
+
+        res.json({ data: publicIntegration(updated) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to disconnect integration');
+    }
+});
+
+// { full: true } discards the cursor and syncs everything again
+app.post('/api/v1/integrations/:integrationId/sync', authenticateToken, requirePermission('integrations:write'), expensiveRateLimit, validate(schemas.syncIntegration), (req, res) => {
+    try {
+        const { full } = req.body;
+
+        const integration = findClientIntegration(req, res);
+        if (!integration) {
+            return;
+        }
+
+        if (integration.status !== 'connected') {
+            return res.status(409).json({ error: `Integration is ${integration.status}; reconnect it before syncing` });
+        }
+
+        const running = activeSync(integration.id);
+        if (running) {
+            return res.status(409).json({ error: 'A sync is already in progress', sync_id: running.id, job_id: running.job_id });
+        }
+
+        if (full) {
+            integrations.update(integration.id, { sync_cursor: null });
+        }
+
+        const sync = enqueueIntegrationSync(integration, { trigger: 'manual', createdBy: req.user.userId || req.user.apiKeyId });
+        auditChange(res, {
+            before: { sync_cursor: integration.sync_cursor || null },
+            after: { sync_cursor: full ? null : integration.sync_cursor || null, sync }
+        });
+
+        res.status(202).json({
+            sync_id: sync.id,
+            job_id: sync.job_id,
+            status: sync.status,
+            status_url: `/api/v1/integrations/${integration.id}/syncs`
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to start integration sync');
+    }
+});
+
+app.get('/api/v1/integrations/:integrationId/syncs', authenticateToken, requirePermission('integrations:read'), validate(schemas.listIntegrationSyncs), (req, res) => {
+    try {
+        const { limit } = req.query;
+
+        const integration = findClientIntegration(req, res);
+        if (!integration) {
+            return;
+        }
+
+        const history = integrationSyncs
+            .find(sync => sync.integrationId === integration.id)
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .slice(0, limit);
+
+        res.json({ data: history });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch sync history');
+    }
+});
+
+// ============================================================================
+// ATTRIBUTION ENDPOINTS
+// ============================================================================
+
+// Records marketing touches (ad clicks, visits, emails...) per customer so that
+// revenue can be attributed to the journey that led to it. Accepts a single
+// touchpoint or { touchpoints: [...] }.
+app.post('/api/v1/attribution/touchpoints', authenticateToken, requirePermission('attribution:write'), validate(schemas.createTouchpoints), (req, res) => {
+    try {
+        const isBatch = Array.isArray(req.body.touchpoints);
+        const batch = isBatch ? req.body.touchpoints : [req.body];
+
+        const errors = [];
+        batch.forEach((tp, index) => {
+            if (isNaN(new Date(tp.timestamp))) {
+                errors.push({
+                    field: isBatch ? `touchpoints[${index}].timestamp` : 'timestamp',
+                    code: 'invalid_format',
+                    message: 'timestamp must be a valid ISO-8601 date-time'
+                });
+            }
+        });
+
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid touchpoints', details: errors });
+        }
+
+        const created = store.batch(() => batch.map(tp => {
+            const touchpoint = {
+                id: `tp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                clientId: req.user.clientId,
+                customer_id: String(tp.customer_id),
+                channel: tp.channel,
+                campaign: tp.campaign,
+                timestamp: new Date(tp.timestamp).toISOString(),
+                metadata: tp.metadata,
+                createdAt: new Date().toISOString()
+            };
+            touchpoints.set(touchpoint.id, touchpoint);
+            return touchpoint;
+        }));
+        auditChange(res, auditBatch(created, []));
+
+        res.status(201).json({ data: { accepted: created.length, touchpoints: created } });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to record touchpoints');
+    }
+});
+
+app.get('/api/v1/attribution/journeys/:customerId', authenticateToken, requirePermission('attribution:read'), (req, res) => {
+    try {
+        const clientId = req.user.clientId;
+        const { customerId } = req.params;
+
+        const journey = touchpoints
+            .find(tp => tp.clientId === clientId && tp.customer_id === customerId)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        const conversions = revenueRecords
+            .find(r => r.clientId === clientId && r.customer_id === customerId && !isDeleted(r))
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        res.json({ data: { customer_id: customerId, touchpoints: journey, conversions } });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch journey');
+    }
+});
+
+// See revenueSummaryData
+function attributionData(clientId, { start_date, end_date, model, lookback_days: lookbackDays }) {
+    const { records: clientRecords, conversion } = loadClientRevenue(clientId);
+    const range = resolveDateRange({ start_date, end_date }, clientRecords);
+    if (range.error) {
+        return { error: range.error };
+    }
+
+    const clientTouchpoints = touchpoints.find(tp => tp.clientId === clientId);
+    const result = calculateAttribution(clientRecords, clientTouchpoints, { model, ...range, lookbackDays });
+
+    return {
+        data: {
+            model,
+            period: { start: toDateString(range.start), end: toDateString(range.end) },
+            ...result,
+            reporting_currency: conversion.reporting_currency,
+            currency_conversion: conversion
+        }
+    };
+}
+
+app.post('/api/v1/attribution/calculate', authenticateToken, requirePermission('attribution:read'), expensiveRateLimit, validate(schemas.calculateAttribution), (req, res) => {
+    try {
+        const { data, error } = attributionData(req.user.clientId, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.json({ data });
+    } catch (error) {
+        sendServerError(res, error, 'Attribution calculation failed');
+    }
+});
+
+// ============================================================================
+// FX RATE ENDPOINTS
+// ============================================================================
+
+app.get('/api/v1/fx-rates', authenticateToken, requirePermission('revenue:read'), validate(schemas.listFxRates), (req, res) => {
+    try {
+        const { base, quote, start_date, end_date } = req.query;
+
+        const rates = fxRates
+            .find(r => (!base || r.base === base.toUpperCase())
+                && (!quote || r.quote === quote.toUpperCase())
+                && (!start_date || r.date >= start_date)
+                && (!end_date || r.date <= end_date))
+            .sort((a, b) => a.date.localeCompare(b.date) || a.base.localeCompare(b.base));
+
+        res.json({ data: rates });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch FX rates');
+    }
+});
+
+// Upserts dated rates: { rates: [{ date, base, quote, rate, source? }] }
+// where 1 base = rate quote. An existing rate for the same date and pair is
+// replaced.
+app.put('/api/v1/fx-rates', authenticateToken, requirePermission('fx_rates:manage'), validate(schemas.upsertFxRates), (req, res) => {
+    try {
+        const validated = req.body.rates.map(validateRate);
+        const errors = validated.flatMap((result, index) => prefixErrors(result.errors, `rates[${index}]`));
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid FX rates', details: errors });
+        }
+
+        const previous = validated.map(({ value }) => fxRates.get(value.id)).filter(Boolean);
+        const saved = validated.map(({ value }) => ({ ...value, updated_at: new Date().toISOString() }));
+
+        let created = 0;
+        store.batch(() => saved.forEach(rate => {
+            if (!fxRates.has(rate.id)) {
+                created++;
+            }
+            fxRates.set(rate.id, rate);
+        }));
+        auditChange(res, auditBatch(saved, previous));
+
+        res.json({ data: { created, updated: validated.length - created } });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to load FX rates');
+    }
+});
+
+// ============================================================================
+// SEO TRACKING ENDPOINTS
+// ============================================================================
+
+function findClientKeyword(req, res) {
+    const keyword = seoKeywords.get(req.params.keywordId);
+    if (!keyword || keyword.clientId !== req.user.clientId) {
+        res.status(404).json({ error: 'Keyword not found' });
+        return null;
+    }
+    return keyword;
+}
+
+app.get('/api/v1/seo/keywords', authenticateToken, requirePermission('seo:read'), validate(schemas.listKeywords), (req, res) => {
+    try {
+        const { tag } = req.query;
+
+        const keywords = seoKeywords
+            .find(k => k.clientId === req.user.clientId && (!tag || (k.tags || []).includes(tag)))
+            .sort((a, b) => a.keyword.localeCompare(b.keyword));
+
+        res.json({ data: keywords });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch keywords');
+    }
+});
+
+// Accepts a single keyword or { keywords: [...] }. Keywords the client
+// already tracks are reported back rather than failing the batch.
+app.post('/api/v1/seo/keywords', authenticateToken, requirePermission('seo:write'), validate(schemas.createKeywords), (req, res) => {
+    try {
+        const clientId = req.user.clientId;
+        const isBatch = Array.isArray(req.body.keywords);
+        const batch = isBatch ? req.body.keywords : [req.body];
+
+        const errors = [];
+        const values = batch.map((input, index) => {
+            const { value, errors: fieldErrors } = validateKeyword(typeof input === 'string' ? { keyword: input } : input);
+            errors.push(...(isBatch ? prefixErrors(fieldErrors, `keywords[${index}]`) : fieldErrors));
+            return value;
+        });
+
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid keywords', details: errors });
+        }
+
+        const tracked = new Set(seoKeywords.find(k => k.clientId === clientId).map(k => k.keyword));
+        const existing = [];
+        const created = [];
+
+        store.batch(() => values.forEach(value => {
+            if (tracked.has(value.keyword)) {
+                existing.push(value.keyword);
+                return;
+            }
+            const keyword = {
+                id: `kw-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+                clientId,
+                keyword: value.keyword,
+                target_url: value.target_url || null,
+                search_volume: value.search_volume === undefined ? null : value.search_volume,
+                tags: value.tags || [],
+                created_by: req.user.userId || req.user.apiKeyId,
+                created_at: new Date().toISOString()
+            };
+            seoKeywords.set(keyword.id, keyword);
+            tracked.add(keyword.keyword);
+            created.push(keyword);
+        }));
+        auditChange(res, auditBatch(created, []));
+
+        res.status(created.length ? 201 : 200).json({ data: { created, existing } });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to add keywords');
+    }
+});
+
+app.get('/api/v1/seo/keywords/:keywordId', authenticateToken, requirePermission('seo:read'), (req, res) => {
+    try {
+        const keyword = findClientKeyword(req, res);
+        if (!keyword) {
+            return;
+        }
+
+        res.json({ data: keyword });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch keyword');
+    }
+});
+
+// The keyword text itself can't change: delete it and track the new one
+app.patch('/api/v1/seo/keywords/:keywordId', authenticateToken, requirePermission('seo:write'), validate(schemas.updateKeyword), (req, res) => {
+    try {
+        const keyword = findClientKeyword(req, res);
+        if (!keyword) {
+            return;
+        }
+
+        if (req.body.keyword !== undefined) {
+            return res.status(400).json({
+                error: 'Invalid keyword',
+                details: [{ field: 'keyword', code: 'unknown_field', message: 'keyword cannot be changed' }]
+            });
+        }
+
+        const { value, errors } = validateKeyword(req.body, { partial: true });
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid keyword', details: errors });
+        }
+
+        const updated = seoKeywords.update(keyword.id, { ...value, updated_at: new Date().toISOString() });
+        auditChange(res, { before: keyword, after: updated });
+
+        res.json({ data: updated });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to update keyword');
+    }
+});
+
+// Stops tracking; stored observations are kept so re-adding the keyword
+// brings its history back
+app.delete('/api/v1/seo/keywords/:keywordId', authenticateToken, requirePermission('seo:write'), (req, res) => {
+    try {
+        const keyword = findClientKeyword(req, res);
+        if (!keyword) {
+            return;
+        }
+
+        seoKeywords.delete(keyword.id);
+        auditChange(res, { before: keyword, after: null });
+
+        res.status(204).send();
+    } catch (error) {
+        sendServerError(res, error, 'Failed to delete keyword');
+    }
+});
+
+// Ingests ranking observations for tracked keywords: a single observation or
+// { observations: [...] }. Re-sending a day for the same keyword and URL
+// replaces it.
+app.post('/api/v1/seo/rankings/observations', authenticateToken, requirePermission('seo:write'), validate(schemas.createObservations), (req, res) => {
+    try {
+        const clientId = req.user.clientId;
+        const isBatch = Array.isArray(req.body.observations);
+        const batch = isBatch ? req.body.observations : [req.body];
+
+        const tracked = new Set(seoKeywords.find(k => k.clientId === clientId).map(k => k.keyword));
+        const errors = [];
+        const values = batch.map((input, index) => {
+            const { value, errors: fieldErrors } = validateObservation(input);
+            const itemErrors = fieldErrors.length || tracked.has(value.keyword)
+                ? fieldErrors
+                : [{ field: 'keyword', code: 'invalid_value', message: `"${value.keyword}" is not a tracked keyword` }];
+            errors.push(...(isBatch ? prefixErrors(itemErrors, `observations[${index}]`) : itemErrors));
+            return value;
+        });
+
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid observations', details: errors });
+        }
+
+        const saved = values.map(value => ({
+            id: observationId(clientId, value),
+            clientId,
+            source: 'api',
+            ...value,
+            synced_at: new Date().toISOString()
+        }));
+        const previous = saved.map(observation => rankingObservations.get(observation.id)).filter(Boolean);
+        store.batch(() => saved.forEach(observation => rankingObservations.set(observation.id, observation)));
+        auditChange(res, auditBatch(saved, previous));
+
+        res.status(201).json({ data: { accepted: values.length } });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to record observations');
+    }
+});
+
+// Rankings for the tracked keywords over start_date..end_date (defaulting to
+// all stored history), optionally limited to some keywords. See
+// revenueSummaryData.
+function seoRankingsData(clientId, { start_date, end_date, keywords }) {
+    const wanted = keywords && keywords.length ? new Set(keywords.map(normalizeKeyword).filter(Boolean)) : null;
+    const tracked = seoKeywords.find(k => k.clientId === clientId && (!wanted || wanted.has(k.keyword)));
+    const trackedNames = new Set(tracked.map(k => k.keyword));
+    const observations = rankingObservations.find(o => o.clientId === clientId && trackedNames.has(o.keyword));
+
+    const range = resolveDateRange({ start_date, end_date }, observations);
+    if (range.error) {
+        return { error: range.error };
+    }
+
+    // The visibility series has a point per day; capped like the buckets
+    // of revenueSummaryData
+    if (countPeriods(range.start, range.end, 'daily') > MAX_PERIODS) {
+        if (start_date !== undefined) {
+            return { error: `Rankings can cover at most ${MAX_PERIODS} days; narrow start_date/end_date` };
+        }
+        range.start = addDays(range.end, -(MAX_PERIODS - 1));
+    }
+
+    const rankings = buildRankings(tracked, observations, range)
+        .sort((a, b) => (a.current_position || Infinity) - (b.current_position || Infinity));
+    const visibility = visibilitySeries(rankings, range);
+
+    return {
+        data: {
+            period: { start: toDateString(range.start), end: toDateString(range.end) },
+            rankings,
+            summary: summarizeRankings(rankings, visibility),
+            visibility_series: visibility
+        }
+    };
+}
+
+app.get('/api/v1/seo/rankings', authenticateToken, requirePermission('seo:read'), validate(schemas.seoRankings), (req, res) => {
+    try {
+        const { data, error } = seoRankingsData(req.user.clientId, req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.json({ data });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch rankings');
+    }
+});
+
+// ============================================================================
+// PREDICTIVE ANALYTICS ENDPOINTS
+// ============================================================================
+
+// Everything is as of `asOf`, for training on past labels; see lib/churn.
+// An integration's last_sync covers syncs that predate the sync history.
+function buildChurnFeatures(client, asOf) {
+    const { records } = loadClientRevenue(client.id);
+    const syncedAt = [
+        ...integrations.find(i => i.clientId === client.id && i.last_sync).map(i => i.last_sync),
+        ...integrationSyncs.find(sync => sync.clientId === client.id && sync.status === 'succeeded').map(sync => sync.finished_at)
+    ];
+    return buildFeatures({
+        client,
+        records,
+        healthScores: healthScores.find(entry => entry.clientId === client.id),
+        planChanges: planChanges.find(change => change.clientId === client.id),
+        syncedAt,
+        insights: insights.find(i => i.clientId === client.id),
+        asOf
+    });
+}
+
+function activeChurnModel() {
+    return churnModels.findOne(m => m.active);
+}
+
+// The (up to three) features pushing the probability up the most
+function primaryChurnFactors(contributions) {
+    return contributions.filter(c => c.contribution > 0).slice(0, 3).map(c => c.feature);
+}
+
+// Flags a client once its churn probability reaches CHURN_ALERT_THRESHOLD and
+// sends churn.risk.high. The flag clears when the probability drops back, so
+// the event fires again only on the next crossing.
+function updateChurnAlert(client, probability, primaryFactors, model) {
+    const high = probability >= CHURN_ALERT_THRESHOLD;
+    if (high === Boolean(client.churn_risk_high)) {
+        return;
+    }
+
+    clients.update(client.id, {
+        churn_risk_high: high,
+        churn_risk_flagged_at: high ? new Date().toISOString() : null
+    });
+
+    if (high) {
+        emitWebhookEvent(client.id, 'churn.risk.high', {
+            client_id: client.id,
+            client_name: client.company_name,
+            churn_probability: Math.round(probability * 10000) / 10000,
+            alert_threshold: CHURN_ALERT_THRESHOLD,
+            primary_factors: primaryFactors,
+            model_version: model.version
+        });
+    }
+}
+
+app.post('/api/v1/predict/churn', authenticateToken, requirePermission('predictions:read'), expensiveRateLimit, validate(schemas.predictChurn), (req, res) => {
+    try {
+        const { client_ids, threshold: cutoff } = req.body;
+
+        const model = activeChurnModel();
+        if (!model) {
+            return res.status(409).json({
+                error: 'No churn model has been trained yet',
+                hint: 'Submit labelled outcomes to /api/v1/predict/churn/labels and train with /api/v1/predict/churn/train'
+            });
+        }
+
+        const asOf = today();
+        const predictions = clients
+            .find(c => canAccessClient(req.user, c.id) && (client_ids ? client_ids.includes(c.id) : c.id === req.user.clientId))
+            .map(client => {
+                const { probability, contributions } = predictChurn(model, buildChurnFeatures(client, asOf));
+                const { records } = loadClientRevenue(client.id);
+                const riskLevel = probability >= cutoff ? 'high' : probability >= cutoff / 2 ? 'medium' : 'low';
+                const primaryFactors = primaryChurnFactors(contributions);
+
+                updateChurnAlert(client, probability, primaryFactors, model);
+
+                return {
+                    client_id: client.id,
+                    client_name: client.company_name,
+                    churn_probability: Math.round(probability * 10000) / 10000,
+                    risk_level: riskLevel,
+                    above_threshold: probability >= cutoff,
+                    primary_factors: primaryFactors,
+                    feature_contributions: contributions,
+                    recommended_actions: recommendedActions(contributions),
+                    estimated_ltv_at_risk: Math.round(probability * annualRevenue(records, asOf))
+                };
+            });
+
+        const highRisk = predictions.filter(p => p.risk_level === 'high').length;
+        const mediumRisk = predictions.filter(p => p.risk_level === 'medium').length;
+        const lowRisk = predictions.filter(p => p.risk_level === 'low').length;
+
+        res.json({
+            data: {
+                model_version: model.version,
+                model_metrics: model.metrics,
+                threshold: cutoff,
+                prediction_date: new Date().toISOString(),
+                predictions,
+                summary: {
+                    total_clients: predictions.length,
+                    high_risk: highRisk,
+                    medium_risk: mediumRisk,
+                    low_risk: lowRisk,
+                    total_ltv_at_risk: predictions.reduce((sum, p) => sum + p.estimated_ltv_at_risk, 0)
+                }
+            }
+        });
+    } catch (error) {
+        sendServerError(res, error, 'Churn prediction failed');
+    }
+});
+
+// Labelled outcomes: { labels: [{ client_id, churned, as_of? }] }. as_of is
+// the date the outcome was observed; features are rebuilt as of that date at
+// training time. A later label for the same client and date replaces it.
+app.post('/api/v1/predict/churn/labels', authenticateToken, requirePermission('predictions:train'), validate(schemas.churnLabels), (req, res) => {
+    try {
+        const { labels } = req.body;
+
+        const errors = labels
+            .map((label, index) => ({ label, index }))
+            .filter(({ label }) => !clients.has(label.client_id))
+            .map(({ index }) => ({
+                field: `labels[${index}].client_id`,
+                code: 'invalid_value',
+                message: 'client_id must reference an existing client'
+            }));
+
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid labels', details: errors });
+        }
+
+        const saved = labels.map(label => {
+            const asOf = label.as_of ? toDateString(parseDate(label.as_of)) : toDateString(today());
+            return {
+                id: `${label.client_id}:${asOf}`,
+                client_id: label.client_id,
+                churned: label.churned,
+                as_of: asOf,
+                submitted_by: req.user.userId,
+                submitted_at: new Date().toISOString()
+            };
+        });
+        const previous = saved.map(label => churnLabels.get(label.id)).filter(Boolean);
+        store.batch(() => saved.forEach(label => churnLabels.set(label.id, label)));
+        auditChange(res, auditBatch(saved, previous));
+
+        res.status(201).json({ data: { accepted: labels.length, total_labels: churnLabels.count() } });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to store churn labels');
+    }
+});
+
+app.post('/api/v1/predict/churn/train', authenticateToken, requirePermission('predictions:train'), expensiveRateLimit, (req, res) => {
+    try {
+        const samples = churnLabels.values()
+            .filter(label => clients.has(label.client_id))
+            .map(label => ({
+                churned: label.churned,
+                features: buildChurnFeatures(clients.get(label.client_id), parseDate(label.as_of))
+            }));
+
+        const result = trainChurnModel(samples);
+        if (result.error) {
+            return res.status(422).json({ error: result.error });
+        }
+
+        const replaced = churnModels.find(m => m.active);
+        const deactivated = replaced.map(m => churnModels.update(m.id, { active: false }));
+        const model = { id: result.model.version, ...result.model, active: true, trained_by: req.user.userId };
+        churnModels.set(model.id, model);
+        const snapshot = m => ({ id: m.id, active: m.active, ...describeChurnModel(m) });
+        auditChange(res, {
+            ...auditBatch([...deactivated, model].map(snapshot), replaced.map(snapshot)),
+            targetId: model.id
+        });
+
+        res.status(201).json({ data: describeChurnModel(model) });
+    } catch (error) {
+        sendServerError(res, error, 'Churn model training failed');
+    }
+});
+
+app.get('/api/v1/predict/churn/model', authenticateToken, requirePermission('predictions:read'), (req, res) => {
+    try {
+        const model = activeChurnModel();
+
+        if (!model) {
+            return res.status(404).json({ error: 'No churn model has been trained yet' });
+        }
+
+        res.json({ data: describeChurnModel(model) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch churn model');
+    }
+});
+
+function describeChurnModel(model) {
+    return {
+        version: model.version,
+        trained_at: model.trained_at,
+        sample_count: model.sample_count,
+        churned_count: model.churned_count,
+        metrics: model.metrics,
+        coefficients: CHURN_FEATURES.map((feature, i) => ({
+            feature: feature.name,
+            description: feature.description,
+            weight: Math.round(model.weights[i] * 1000) / 1000
+        }))
+    };
+}
+
+// ============================================================================
+// JOB ENDPOINTS
+// ============================================================================
+
+// Cancelling a job needs the same permission as starting it
+const JOB_PERMISSIONS = {
+    'insights.generate': 'insights:write',
+    'revenue.import': 'revenue:write',
+    'integration.sync': 'integrations:write',
+    'client.health': 'clients:update',
+    'report.generate': 'reports:manage',
+    'report.deliver': 'reports:manage'
+};
+
+app.get('/api/v1/jobs', authenticateToken, requirePermission('jobs:read'), validate(schemas.listJobs), (req, res) => {
+    try {
+        const { status, type, limit } = req.query;
+
+        const clientJobs = jobs
+            .find(job => job.clientId === req.user.clientId
+                && (!status || job.status === status)
+                && (!type || job.type === type))
+            .sort((a, b) => b.created_at.localeCompare(a.created_at))
+            .slice(0, limit)
+            .map(publicJob);
+
+        res.json({ data: clientJobs });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch jobs');
+    }
+});
+
+app.get('/api/v1/jobs/:jobId', authenticateToken, requirePermission('jobs:read'), (req, res) => {
+    try {
+        const job = jobs.get(req.params.jobId);
+
+        if (!job || job.clientId !== req.user.clientId) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json(publicJob(job));
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch job');
+    }
+});
+
+app.post('/api/v1/jobs/:jobId/cancel', authenticateToken, requirePermission('jobs:read'), (req, res) => {
+    try {
+        const job = jobs.get(req.params.jobId);
+
+        if (!job || job.clientId !== req.user.clientId) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const permission = JOB_PERMISSIONS[job.type];
+        if (permission && !principalHasPermission(req.user, permission)) {
+            return res.status(403).json({ error: 'Insufficient permissions', required_permission: permission });
+        }
+
+        if (!['queued', 'running'].includes(job.status)) {
+            return res.status(409).json({ error: `Job is already ${job.status}` });
+        }
+
+        const cancelled = jobQueue.cancel(job.id);
+        auditChange(res, { before: publicJob(job), after: publicJob(cancelled) });
+
+        res.status(202).json(publicJob(cancelled));
+    } catch (error) {
+        sendServerError(res, error, 'Failed to cancel job');
+    }
+});
+
+// ============================================================================
+// WEBHOOK ENDPOINTS
+// ============================================================================
+
+// Secrets are needed in the clear to sign deliveries, so they're encrypted
+// at rest like integration credentials rather than hashed
+function webhookSecret(endpoint) {
+    return credentialCipher.decrypt(endpoint.secret);
+}
+
+function queueWebhookDelivery(endpoint, event, { redeliveryOf = null } = {}) {
+    const deliveryId = `whd-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const job = jobQueue.enqueue('webhook.deliver', { deliveryId }, { clientId: endpoint.clientId });
+
+    const delivery = {
+        id: deliveryId,
+        webhookId: endpoint.id,
+        clientId: endpoint.clientId,
+        event_id: event.id,
+        event_type: event.type,
+        payload: event,
+        status: 'pending',
+        attempts: [],
+        job_id: job.id,
+        redelivery_of: redeliveryOf,
+        created_at: new Date().toISOString(),
+        completed_at: null
+    };
+    webhookDeliveries.set(deliveryId, delivery);
+    return delivery;
+}
+
+// Sends `type` to every active endpoint of the client subscribed to it
+function emitWebhookEvent(clientId, type, data) {
+    const subscribers = webhookEndpoints.find(endpoint => endpoint.clientId === clientId
+        && endpoint.active && endpoint.events.includes(type));
+    if (!subscribers.length) {
+        return;
+    }
+
+    const event = buildEvent(type, clientId, data);
+    subscribers.forEach(endpoint => queueWebhookDelivery(endpoint, event));
+}
+
+function findClientWebhook(req, res) {
+    const endpoint = webhookEndpoints.get(req.params.webhookId);
+    if (!endpoint || endpoint.clientId !== req.user.clientId) {
+        res.status(404).json({ error: 'Webhook not found' });
+        return null;
+    }
+    return endpoint;
+}
+
+function deliverySummary(delivery) {
+    const { payload, attempts, ...rest } = delivery;
+    const last = attempts[attempts.length - 1];
+    return {
+        ...rest,
+        attempt_count: attempts.length,
+        last_status_code: last ? last.status_code : null,
+        last_error: last ? last.error : null
+    };
+}
+
+app.get('/api/v1/webhooks/events', authenticateToken, requirePermission('webhooks:manage'), (req, res) => {
+    res.json({ data: WEBHOOK_EVENTS });
+});
+
+app.get('/api/v1/webhooks', authenticateToken, requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        const endpoints = webhookEndpoints
+            .find(endpoint => endpoint.clientId === req.user.clientId)
+            .map(publicEndpoint);
+
+        res.json({ data: endpoints });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch webhooks');
+    }
+});
+
+// The signing secret is only ever returned here and on rotation
+app.post('/api/v1/webhooks', authenticateToken, requirePermission('webhooks:manage'), validate(schemas.createWebhook), (req, res) => {
+    try {
+        const { url, events, description = null } = req.body;
+
+        const target = validateEndpointUrl(url);
+        if (target.error) {
+            return res.status(400).json({ error: target.error });
+        }
+
+        const subscriptions = validateEvents(events);
+        if (subscriptions.error) {
+            return res.status(400).json({ error: subscriptions.error });
+        }
+
+        const secret = createSecret();
+        const webhookId = `wh-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const endpoint = {
+            id: webhookId,
+            clientId: req.user.clientId,
+            url: target.url,
+            events: subscriptions.events,
+            description,
+            active: true,
+            secret: credentialCipher.encrypt(secret),
+            created_by: req.user.userId || req.user.apiKeyId,
+            created_at: new Date().toISOString(),
+            last_delivery_at: null,
+            last_delivery_status: null
+        };
+        webhookEndpoints.set(webhookId, endpoint);
+        auditChange(res, { targetId: webhookId, after: publicEndpoint(endpoint) });
+
+        res.status(201).json({ data: publicEndpoint(endpoint), secret });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to create webhook');
+    }
+});
+
+app.get('/api/v1/webhooks/:webhookId', authenticateToken, requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        const endpoint = findClientWebhook(req, res);
+        if (!endpoint) {
+            return;
+        }
+
+        res.json({ data: publicEndpoint(endpoint) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch webhook');
+    }
+});
+
+app.patch('/api/v1/webhooks/:webhookId', authenticateToken, requirePermission('webhooks:manage'), validate(schemas.updateWebhook), (req, res) => {
+    try {
+        const { url, events, description, active } = req.body;
+
+        const endpoint = findClientWebhook(req, res);
+        if (!endpoint) {
+            return;
+        }
+
+        const changes = {};
+
+        if (url !== undefined) {
+            const target = validateEndpointUrl(url);
+            if (target.error) {
+                return res.status(400).json({ error: target.error });
+            }
+            changes.url = target.url;
+        }
+
+        if (events !== undefined) {
+            const subscriptions = validateEvents(events);
+            if (subscriptions.error) {
+                return res.status(400).json({ error: subscriptions.error });
+            }
+            changes.events = subscriptions.events;
+        }
+
+        if (description !== undefined) {
+            changes.description = description;
+        }
+
+        if (active !== undefined) {
+            changes.active = active;
+        }
+
+        const updated = webhookEndpoints.update(endpoint.id, { ...changes, updated_at: new Date().toISOString() });
+        auditChange(res, { before: publicEndpoint(endpoint), after: publicEndpoint(updated) });
+
+        res.json({ data: publicEndpoint(updated) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to update webhook');
+    }
+});
+
+// Pending deliveries to a deleted endpoint are dropped when their job runs
+app.delete('/api/v1/webhooks/:webhookId', authenticateToken, requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        const endpoint = findClientWebhook(req, res);
+        if (!endpoint) {
+            return;
+        }
+
+        webhookEndpoints.delete(endpoint.id);
+        auditChange(res, { before: publicEndpoint(endpoint), after: null });
+
+        res.status(204).send();
+    } catch (error) {
+        sendServerError(res, error, 'Failed to delete webhook');
+    }
+});
+
+app.post('/api/v1/webhooks/:webhookId/rotate-secret', authenticateToken, requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        const endpoint = findClientWebhook(req, res);
+        if (!endpoint) {
+            return;
+        }
+
+        const secret = createSecret();
+        const updated = webhookEndpoints.update(endpoint.id, {
+            secret: credentialCipher.encrypt(secret),
+            secret_rotated_at: new Date().toISOString()
         });
+        auditChange(res, { before: publicEndpoint(endpoint), after: publicEndpoint(updated) });
+
+        res.json({ data: publicEndpoint(updated), secret });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to rotate webhook secret');
+    }
+});
+
+// Sends a webhook.ping right away, without retries, and reports how the
+// receiver answered. The attempt shows up in the delivery log too.
+app.post('/api/v1/webhooks/:webhookId/ping', authenticateToken, requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const endpoint = findClientWebhook(req, res);
+        if (!endpoint) {
+            return;
+        }
+
+        const event = buildEvent(PING_EVENT, endpoint.clientId, { webhook_id: endpoint.id });
+        const deliveryId = `whd-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const { ok, ...attempt } = await deliver({ url: endpoint.url, secret: webhookSecret(endpoint), deliveryId, event });
+
+        const delivery = {
+            id: deliveryId,
+            webhookId: endpoint.id,
+            clientId: endpoint.clientId,
+            event_id: event.id,
+            event_type: event.type,
+            payload: event,
+            status: ok ? 'succeeded' : 'failed',
+            attempts: [attempt],
+            job_id: null,
+            redelivery_of: null,
+            created_at: attempt.at,
+            completed_at: new Date().toISOString()
+        };
+        webhookDeliveries.set(deliveryId, delivery);
+
+        res.json({ data: deliverySummary(delivery) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to ping webhook');
+    }
+});
+
+app.get('/api/v1/webhooks/:webhookId/deliveries', authenticateToken, requirePermission('webhooks:manage'), validate(schemas.listDeliveries), (req, res) => {
+    try {
+        const { status, event_type, cursor } = req.query;
+
+        const endpoint = findClientWebhook(req, res);
+        if (!endpoint) {
+            return;
+        }
+
+        const page = parsePageParams(req.query, { sortable: ['created_at'], defaultSort: 'created_at' });
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        const deliveries = webhookDeliveries.find(delivery => delivery.webhookId === endpoint.id
+            && (!status || delivery.status === status)
+            && (!event_type || delivery.event_type === event_type));
+
+        const result = paginate(deliveries, { ...page, cursor });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({ data: result.items.map(deliverySummary), next_cursor: result.next_cursor });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch deliveries');
+    }
+});
+
+app.get('/api/v1/webhooks/:webhookId/deliveries/:deliveryId', authenticateToken, requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        const endpoint = findClientWebhook(req, res);
+        if (!endpoint) {
+            return;
+        }
+
+        const delivery = webhookDeliveries.get(req.params.deliveryId);
+        if (!delivery || delivery.webhookId !== endpoint.id) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        res.json({ data: delivery });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch delivery');
+    }
+});
+
+// Sends the same event again (same event id, so receivers can deduplicate)
+// as a new delivery with its own retries
+app.post('/api/v1/webhooks/:webhookId/deliveries/:deliveryId/redeliver', authenticateToken, requirePermission('webhooks:manage'), (req, res) => {
+    try {
+        const endpoint = findClientWebhook(req, res);
+        if (!endpoint) {
+            return;
+        }
+
+        const delivery = webhookDeliveries.get(req.params.deliveryId);
+        if (!delivery || delivery.webhookId !== endpoint.id) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        const redelivery = queueWebhookDelivery(endpoint, delivery.payload, { redeliveryOf: delivery.id });
+        auditChange(res, { targetId: redelivery.id, after: deliverySummary(redelivery) });
+
+        res.status(202).json({ data: deliverySummary(redelivery) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to redeliver webhook');
+    }
+});
+
+// ============================================================================
+// AUDIT LOG ENDPOINTS
+// ============================================================================
+
+// Entries for the current client, newest first. Filters: action (exact, or a
+// prefix like client.*), actor_id, target_type, target_id, outcome,
+// request_id, ip, start_date and end_date. format=csv downloads every
+// matching entry instead of a page.
+app.get('/api/v1/audit-logs', authenticateToken, requirePermission('audit_logs:read'), validate(schemas.listAuditLogs), (req, res) => {
+    try {
+        const { format, cursor } = req.query;
+        const clientId = req.user.clientId;
+
+        const parsed = parseAuditFilters(req.query);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const entries = auditLogs.find(entry => entry.clientId === clientId && matchesAuditFilters(entry, parsed.filters));
+
+        if (format === 'csv') {
+            entries.sort((a, b) => a.occurred_at.localeCompare(b.occurred_at) || a.id.localeCompare(b.id));
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${auditExportFilename(clientId)}"`);
+            return res.send(toCsv(AUDIT_CSV_COLUMNS, entries));
+        }
+
+        const page = parsePageParams(req.query, { sortable: ['occurred_at'], defaultSort: 'occurred_at' });
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        const result = paginate(entries, { ...page, cursor });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({ data: result.items.map(publicAuditEntry), next_cursor: result.next_cursor });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch audit logs');
+    }
+});
+
+app.get('/api/v1/audit-logs/:entryId', authenticateToken, requirePermission('audit_logs:read'), (req, res) => {
+    try {
+        const entry = auditLogs.get(req.params.entryId);
+
+        if (!entry || entry.clientId !== req.user.clientId) {
+            return res.status(404).json({ error: 'Audit log entry not found' });
+        }
+
+        res.json({ data: publicAuditEntry(entry) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch audit log entry');
+    }
+});
+
+// ============================================================================
+// REPORT & EXPORT ENDPOINTS
+// ============================================================================
+
+// Per section, the route schema whose defaults fill in options a report
+// leaves out, and the analytics that produce its data
+const REPORT_SECTION_ANALYTICS = {
+    revenue_summary: { schema: schemas.revenueSummary.query, run: revenueSummaryData },
+    attribution: { schema: schemas.calculateAttribution.body, run: attributionData },
+    seo_rankings: { schema: schemas.seoRankings.query, run: seoRankingsData }
+};
+
+// The permission of the first section the principal isn't allowed to see,
+// or null when it may see them all
+function missingSectionPermission(principal, sections) {
+    const denied = sections.map(getSection).find(section => !principalHasPermission(principal, section.permission));
+    return denied ? denied.permission : null;
+}
+
+// Runs the analytics for each section over the date range and stores the
+// rendered file. Returns { export } or { error } for an unusable range.
+function generateExport(clientId, { sections, format, date_range, start_date, end_date, options = {} }, { title, reportId = null, trigger, createdBy }) {
+    const range = resolveReportRange({ date_range, start_date: start_date || undefined, end_date: end_date || undefined });
+    if (range.error) {
+        return { error: range.error };
+    }
+
+    const results = [];
+    for (const key of new Set(sections)) {
+        const { schema, run } = REPORT_SECTION_ANALYTICS[key];
+        const { data, error } = run(clientId, validateValue(schema, { ...options, ...range }).value);
+        if (error) {
+            return { error };
+        }
+        results.push({ key, data });
+    }
+
+    const client = clients.get(clientId);
+    const generatedAt = new Date();
+    const period = { start: range.start_date, end: range.end_date };
+    const file = renderReport(buildDocument({
+        title,
+        clientName: (client && client.company_name) || clientId,
+        period,
+        generatedAt,
+        results
+    }), format);
+
+    const id = `export-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const record = {
+        id,
+        clientId,
+        report_id: reportId,
+        trigger,
+        title,
+        sections: results.map(result => result.key),
+        format,
+        date_range,
+        period,
+        options,
+        filename: file.filename,
+        content_type: file.content_type,
+        size_bytes: file.size_bytes,
+        file_key: blobs.put(`exports/${id}`, file.content),
+        delivery: null,
+        download_count: 0,
+        last_downloaded_at: null,
+        created_by: createdBy,
+        created_at: generatedAt.toISOString(),
+        expires_at: new Date(generatedAt.getTime() + EXPORT_RETENTION_MS).toISOString()
+    };
+    reportExports.set(record.id, record);
+    return { export: record };
+}
+
+// A download link good for EXPORT_LINK_TTL_MS, or until the file is purged
+function exportDownloadLink(record) {
+    const expiresAt = Math.min(Date.now() + EXPORT_LINK_TTL_MS, Date.parse(record.expires_at));
+    return linkSigner.sign(record.id, new Date(expiresAt));
+}
+
+// Every read hands out a fresh link; the file itself is only ever served
+// from one
+function publicExport(record) {
+    const { file_key, content, ...rest } = record;
+    const link = exportDownloadLink(record);
+    return { ...rest, ...downloadTally.totals(record), download_url: link.path, download_expires_at: link.expires_at };
+}
+
+// The rendered file, or null once it's gone. Exports made before files
+// moved to the blob store still carry it inline as base64.
+function exportFile(record) {
+    return record.file_key ? blobs.get(record.file_key) : record.content ? Buffer.from(record.content, 'base64') : null;
+}
+
+const isExpiredExport = record => record.expires_at <= new Date().toISOString();
 
-        res.json({
-            data: {
-                model,
-                period: { start: start_date, end: end_date },
-                total_revenue: totalRevenue,
-                channels
-            }
+function findClientExport(req, res) {
+    const record = reportExports.get(req.params.exportId);
+    if (!record || record.clientId !== req.user.clientId || isExpiredExport(record)) {
+        res.status(404).json({ error: 'Export not found' });
+        return null;
+    }
+    return record;
+}
+
+// Renders analytics into a file right away. The response links to it.
+app.post('/api/v1/exports', authenticateToken, requirePermission('reports:read'), expensiveRateLimit, validate(schemas.createExport), (req, res) => {
+    try {
+        const permission = missingSectionPermission(req.user, req.body.sections);
+        if (permission) {
+            return res.status(403).json({ error: 'Insufficient permissions', required_permission: permission });
+        }
+
+        const result = generateExport(req.user.clientId, req.body, {
+            title: 'Analytics export',
+            trigger: 'on_demand',
+            createdBy: req.user.userId || req.user.apiKeyId
         });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        auditChange(res, { targetId: result.export.id });
+
+        res.status(201).json({ data: publicExport(result.export) });
     } catch (error) {
-        res.status(500).json({ error: 'Attribution calculation failed', message: error.message });
+        sendServerError(res, error, 'Failed to create export');
     }
 });
 
-// ============================================================================
-// SEO TRACKING ENDPOINTS
-// ============================================================================
+// Stored files for the current client, newest first; ?report_id= narrows
+// to one report's runs
+app.get('/api/v1/exports', authenticateToken, requirePermission('reports:read'), validate(schemas.listExports), (req, res) => {
+    try {
+        const { report_id, cursor } = req.query;
+
+        const page = parsePageParams(req.query, { sortable: ['created_at'], defaultSort: 'created_at' });
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        const files = reportExports.find(record => record.clientId === req.user.clientId
+            && !isExpiredExport(record)
+            && (!report_id || record.report_id === report_id));
+        const result = paginate(files, { ...page, cursor });
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        res.json({ data: result.items.map(publicExport), next_cursor: result.next_cursor });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch exports');
+    }
+});
 
-app.get('/api/v1/seo/rankings', authenticateToken, (req, res) => {
+app.get('/api/v1/exports/:exportId', authenticateToken, requirePermission('reports:read'), (req, res) => {
     try {
-        const { start_date, end_date, keywords } = req.query;
+        const record = findClientExport(req, res);
+        if (!record) {
+            return;
+        }
 
-        const sampleRankings = [
-            {
-                keyword: 'revenue intelligence',
-                search_volume: 2400,
-                current_position: 3,
-                previous_position: 5,
-                change: 2,
-                url: 'https://example.com/revenue-intelligence',
-                time_series: [
-                    { date: '2026-01-01', position: 5 },
-                    { date: '2026-01-15', position: 4 },
-                    { date: '2026-02-01', position: 3 }
-                ]
-            },
-            {
-                keyword: 'marketing analytics',
-                search_volume: 5400,
-                current_position: 7,
-                previous_position: 9,
-                change: 2,
-                url: 'https://example.com/analytics',
-                time_series: [
-                    { date: '2026-01-01', position: 9 },
-                    { date: '2026-01-15', position: 8 },
-                    { date: '2026-02-01', position: 7 }
-                ]
-            }
-        ];
+        res.json({ data: publicExport(record) });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch export');
+    }
+});
 
-        res.json({
-            data: {
-                rankings: sampleRankings,
-                summary: {
-                    total_keywords: 267,
-                    top_10_count: 82,
-                    top_3_count: 24,
-                    avg_position: 18.3,
-                    avg_position_change: 1.2
-                }
-            }
+// Authorised by the link's signature rather than a token, so links work
+// from an email
+app.get('/api/v1/exports/:exportId/download', validate(schemas.downloadExport), (req, res) => {
+    try {
+        const { exportId } = req.params;
+
+        const problem = linkSigner.verify(exportId, req.query);
+        if (problem) {
+            return res.status(403).json({ error: problem });
+        }
+
+        const record = reportExports.get(exportId);
+        if (!record) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+        if (isExpiredExport(record)) {
+            return res.status(410).json({ error: 'Export has expired' });
+        }
+
+        const content = exportFile(record);
+        if (!content) {
+            return res.status(410).json({ error: 'Export file is no longer available' });
+        }
+        downloadTally.record(record.id);
+
+        res.setHeader('Content-Type', record.content_type);
+        res.setHeader('Content-Disposition', `attachment; filename="${record.filename}"`);
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.send(content);
+    } catch (error) {
+        sendServerError(res, error, 'Failed to download export');
+    }
+});
+
+function findClientReport(req, res) {
+    const report = reports.get(req.params.reportId);
+    if (!report || report.clientId !== req.user.clientId) {
+        res.status(404).json({ error: 'Report not found' });
+        return null;
+    }
+    return report;
+}
+
+// Checks what the schema can't: section permissions, the date range and the
+// schedule. Returns { schedule } (normalised) or { status, body } to send.
+function checkReportDefinition(principal, { sections, date_range, start_date, end_date, schedule }) {
+    const permission = missingSectionPermission(principal, sections);
+    if (permission) {
+        return { status: 403, body: { error: 'Insufficient permissions', required_permission: permission } };
+    }
+
+    const range = resolveReportRange({ date_range, start_date: start_date || undefined, end_date: end_date || undefined });
+    if (range.error) {
+        return { status: 400, body: { error: range.error } };
+    }
+
+    if (!schedule) {
+        return { schedule: null };
+    }
+    const normalized = normalizeSchedule(schedule);
+    if (normalized.error) {
+        return { status: 400, body: { error: normalized.error } };
+    }
+    return { schedule: normalized.value };
+}
+
+const reportNextRunAt = report => (report.active && report.schedule ? nextRunAt(report.schedule).toISOString() : null);
+
+function enqueueReportRun(report, { trigger, createdBy = null }) {
+    return jobQueue.enqueue('report.generate', { reportId: report.id, trigger }, { clientId: report.clientId, createdBy });
+}
+
+app.get('/api/v1/reports', authenticateToken, requirePermission('reports:read'), (req, res) => {
+    try {
+        const clientReports = reports
+            .find(report => report.clientId === req.user.clientId)
+            .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+        res.json({ data: clientReports });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch reports');
+    }
+});
+
+// A saved report definition. With a schedule it runs on its own; either
+// way it can be run now with /run.
+app.post('/api/v1/reports', authenticateToken, requirePermission('reports:manage'), validate(schemas.createReport), (req, res) => {
+    try {
+        const { name, sections, format, date_range, start_date = null, end_date = null, options = {}, recipients, attach_file, active } = req.body;
+
+        const checked = checkReportDefinition(req.user, req.body);
+        if (checked.body) {
+            return res.status(checked.status).json(checked.body);
+        }
+
+        const now = new Date().toISOString();
+        const report = {
+            id: `report-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            clientId: req.user.clientId,
+            name,
+            sections: Array.from(new Set(sections)),
+            format,
+            date_range,
+            start_date,
+            end_date,
+            options,
+            recipients: Array.from(new Set(recipients.map(email => email.toLowerCase()))),
+            schedule: checked.schedule,
+            attach_file,
+            active,
+            next_run_at: null,
+            last_run_at: null,
+            last_status: null,
+            last_error: null,
+            last_export_id: null,
+            created_by: req.user.userId || req.user.apiKeyId,
+            created_at: now,
+            updated_at: now
+        };
+        report.next_run_at = reportNextRunAt(report);
+        reports.set(report.id, report);
+        auditChange(res, { targetId: report.id, after: report });
+
+        res.status(201).json({ data: report });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to create report');
+    }
+});
+
+app.get('/api/v1/reports/:reportId', authenticateToken, requirePermission('reports:read'), (req, res) => {
+    try {
+        const report = findClientReport(req, res);
+        if (!report) {
+            return;
+        }
+
+        res.json({ data: report });
+    } catch (error) {
+        sendServerError(res, error, 'Failed to fetch report');
+    }
+});
+
+// Switching to a preset date_range drops stored custom dates. Changing the
+// schedule or reactivating the report recalculates its next run.
+app.patch('/api/v1/reports/:reportId', authenticateToken, requirePermission('reports:manage'), validate(schemas.updateReport), (req, res) => {
+    try {
+        const report = findClientReport(req, res);
+        if (!report) {
+            return;
+        }
+
+        const changes = Object.fromEntries(Object.entries(req.body).filter(([, value]) => value !== undefined));
+        if (changes.sections) {
+            changes.sections = Array.from(new Set(changes.sections));
+        }
+        if (changes.recipients) {
+            changes.recipients = Array.from(new Set(changes.recipients.map(email => email.toLowerCase())));
+        }
+        if (changes.date_range && changes.date_range !== 'custom') {
+            changes.start_date = changes.start_date || null;
+            changes.end_date = changes.end_date || null;
+        }
+
+        const merged = { ...report, ...changes };
+        const checked = checkReportDefinition(req.user, merged);
+        if (checked.body) {
+            return res.status(checked.status).json(checked.body);
+        }
+        merged.schedule = checked.schedule;
+
+        const updated = reports.update(report.id, {
+            ...changes,
+            schedule: checked.schedule,
+            next_run_at: 'schedule' in changes || 'active' in changes ? reportNextRunAt(merged) : report.next_run_at,
+            updated_at: new Date().toISOString()
         });
+        auditChange(res, { before: report, after: updated });
+
+        res.json({ data: updated });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to fetch rankings', message: error.message });
+        sendServerError(res, error, 'Failed to update report');
     }
 });
 
-// ============================================================================
-// PREDICTIVE ANALYTICS ENDPOINTS
-// ============================================================================
+// Files the report already produced stay downloadable until they expire
+app.delete('/api/v1/reports/:reportId', authenticateToken, requirePermission('reports:manage'), (req, res) => {
+    try {
+        const report = findClientReport(req, res);
+        if (!report) {
+            return;
+        }
+
+        reports.delete(report.id);
+        auditChange(res, { before: report, after: null });
+
+        res.status(204).send();
+    } catch (error) {
+        sendServerError(res, error, 'Failed to delete report');
+    }
+});
 
-app.post('/api/v1/predict/churn', authenticateToken, (req, res) => {
+// Generates the report now and delivers it to its recipients, without
+// moving its schedule
+app.post('/api/v1/reports/:reportId/run', authenticateToken, requirePermission('reports:manage'), expensiveRateLimit, (req, res) => {
     try {
-        const { client_ids, threshold = 0.5 } = req.body;
+        const report = findClientReport(req, res);
+        if (!report) {
+            return;
+        }
 
-        const predictions = Array.from(clients.values())
-            .filter(c => !client_ids || client_ids.includes(c.id))
-            .map(client => ({
-                client_id: client.id,
-                client_name: client.company_name,
-                churn_probability: Math.random() * 0.8,
-                risk_level: Math.random() > 0.7 ? 'high' : Math.random() > 0.4 ? 'medium' : 'low',
-                primary_factors: ['declining_engagement', 'support_tickets_increase'],
-                recommended_actions: ['Schedule executive review call', 'Offer dedicated success manager'],
-                estimated_ltv_at_risk: Math.round(Math.random() * 200000)
-            }));
+        const permission = missingSectionPermission(req.user, report.sections);
+        if (permission) {
+            return res.status(403).json({ error: 'Insufficient permissions', required_permission: permission });
+        }
 
-        const highRisk = predictions.filter(p => p.risk_level === 'high').length;
-        const mediumRisk = predictions.filter(p => p.risk_level === 'medium').length;
-        const lowRisk = predictions.filter(p => p.risk_level === 'low').length;
+        const job = enqueueReportRun(report, { trigger: 'manual', createdBy: req.user.userId || req.user.apiKeyId });
+        auditChange(res, { after: { job: publicJob(job) } });
 
-        res.json({
-            data: {
-                model_version: 'churn-predictor-v2.1',
-                prediction_date: new Date().toISOString(),
-                predictions,
-                summary: {
-                    total_clients: predictions.length,
-                    high_risk: highRisk,
-                    medium_risk: mediumRisk,
-                    low_risk: lowRisk,
-                    total_ltv_at_risk: predictions.reduce((sum, p) => sum + p.estimated_ltv_at_risk, 0)
-                }
-            }
+        res.status(202).json({
+            job_id: job.id,
+            status: job.status,
+            status_url: `/api/v1/jobs/${job.id}`
         });
     } catch (error) {
-        res.status(500).json({ error: 'Churn prediction failed', message: error.message });
+        sendServerError(res, error, 'Failed to run report');
     }
 });
 
@@ -612,124 +4150,576 @@ app.get('/ready', (req, res) => {
 });
 
 // ============================================================================
-// HELPER FUNCTIONS
+// API DESCRIPTION
+// ============================================================================
+
+// Generated from the routes above the first time it's asked for; routes
+// aren't added after startup, so it never needs rebuilding
+let openApiSpec = null;
+
+app.get('/api/v1/openapi.json', (req, res) => {
+    try {
+        if (!openApiSpec) {
+            openApiSpec = buildSpec(app, {
+                info: {
+                    title: 'Butler & Co Revenue Intelligence API',
+                    version: '1.0.0',
+                    description: 'Revenue analytics, client management and insights for Butler & Co clients. ' +
+                        'Errors share one shape (the Error schema); validation failures list every failing field in `details`. ' +
+                        'Requests are rate limited per client by plan tier (operations list theirs under x-rate-limits) ' +
+                        'and answer 429 with Retry-After once a limit or monthly quota is used up.'
+                },
+                servers: [{ url: '/', description: 'This server' }],
+                tags: apiDocs.TAGS,
+                authenticate: authenticateToken,
+                routeDocs: apiDocs.ROUTE_DOCS,
+                components: apiDocs.COMPONENTS,
+                errorSchema: apiDocs.ErrorResponse,
+                securitySchemes: apiDocs.SECURITY_SCHEMES,
+                commonParameters: apiDocs.COMMON_PARAMETERS
+            });
+        }
+        res.json(openApiSpec);
+    } catch (error) {
+        sendServerError(res, error, 'Failed to build API description');
+    }
+});
+
+// Interactive reference for the document above. Scripts are served as files
+// rather than inline so the helmet CSP doesn't need loosening.
+app.use('/api/v1/docs', express.static(path.join(__dirname, 'public', 'docs')));
+
+// Anything that didn't match a route, and errors raised outside the routes'
+// own handling (unparseable bodies, mostly)
+app.use(notFound);
+app.use(errorHandler);
+
+// ============================================================================
+// BACKGROUND JOB HANDLERS
 // ============================================================================
 
-function seedInitialData() {
-    // Create demo client
-    const demoClientId = 'client-demo-001';
-    clients.set(demoClientId, {
-        id: demoClientId,
-        company_name: 'TechCorp Industries',
-        domain: 'techcorp.com',
-        industry: 'IT Services',
-        plan_tier: 'enterprise',
-        mrr: 12500,
-        arr: 150000,
-        status: 'active',
-        health_score: 95,
-        onboarding_completed: true,
-        created_at: '2025-06-15T00:00:00Z'
+jobQueue.register('insights.generate', async ({ clientId, focus_areas, time_window }, { job, addResult }) => {
+    const { records, conversion } = loadClientRevenue(clientId);
+    const drafts = generateInsights(records, {
+        focusAreas: focus_areas,
+        timeWindow: time_window,
+        reportingCurrency: conversion.reporting_currency
     });
+    const created = saveInsights(insights, clientId, drafts, { jobId: job.id });
+    created.forEach(insight => {
+        addResult(insight.id);
+        emitWebhookEvent(clientId, 'insight.created', publicInsight(insight));
+    });
+    return { insights_created: created.length, findings: drafts.length };
+});
 
-    // Create demo user
-    const demoEmail = 'demo@butlerco.com';
-    bcrypt.hash('demo123', 10).then(hash => {
-        users.set(demoEmail, {
-            id: 'user-demo-001',
-            email: demoEmail,
-            password: hash,
-            firstName: 'Demo',
-            lastName: 'User',
-            clientId: demoClientId,
-            role: 'admin',
-            createdAt: new Date().toISOString()
+jobQueue.register('client.health', async ({ clientId }) => {
+    const client = clients.get(clientId);
+    if (!client) {
+        return { skipped: true };
+    }
+    const entry = recomputeClientHealth(client);
+    return { score: entry.score, mrr: entry.mrr, arr: entry.arr };
+}, { maxAttempts: 3, concurrency: 1 });
+
+// Imports aren't retried: a partial import followed by a retry would be
+// deduplicated, but rows without an external_id would be written twice.
+// The uploaded file is deleted once the job is over, however it ends.
+jobQueue.register('revenue.import', async (payload, { progress, addResult }) => {
+    const { importId, clientId, format, mapping, dryRun, uploadKey } = payload;
+
+    try {
+        // Jobs queued before uploads moved to the blob store carry the file inline
+        const content = uploadKey ? blobs.get(uploadKey) : payload.content && Buffer.from(payload.content);
+        if (!content) {
+            throw new Error('The uploaded file is no longer available; upload it again');
+        }
+
+        // Deleted records count too, so re-importing a file doesn't bring
+        // back rows that were removed
+        const existingExternalIds = revenueRecords
+            .find(r => r.clientId === clientId && r.external_id)
+            .map(r => r.external_id);
+
+        const report = await runImport(parseImport(content.toString('utf8'), format).rows, {
+            mapping,
+            dryRun,
+            existingExternalIds,
+            createRecord: value => createRevenueRecord(clientId, value, { import_id: importId }),
+            batch: fn => store.batch(fn),
+            onProgress: progress
+        });
+
+        revenueImports.update(importId, {
+            status: 'completed',
+            completed_at: new Date().toISOString(),
+            report
+        });
+        addResult(importId);
+        emitWebhookEvent(clientId, 'revenue.import.completed', {
+            import_id: importId,
+            dry_run: dryRun,
+            total_rows: report.total_rows,
+            imported: report.imported,
+            duplicates: report.duplicates,
+            failed: report.failed
+        });
+        if (!dryRun && report.imported) {
+            queueHealthRecompute(clientId);
+        }
+
+        return { imported: report.imported, failed: report.failed, duplicates: report.duplicates };
+    } catch (error) {
+        revenueImports.update(importId, {
+            status: error instanceof JobCancelledError ? 'cancelled' : 'failed',
+            completed_at: new Date().toISOString(),
+            error: error.message
         });
+        throw error;
+    } finally {
+        if (uploadKey) {
+            blobs.delete(uploadKey);
+        }
+    }
+}, {
+    maxAttempts: 1,
+    // A restart mid-import fails the job without going through the
+    // handler's catch (see JobQueue#recover)
+    onFailure: ({ importId, uploadKey }, error) => {
+        revenueImports.update(importId, { status: 'failed', completed_at: new Date().toISOString(), error: error.message });
+        if (uploadKey) {
+            blobs.delete(uploadKey);
+        }
+    },
+    onCancel: ({ importId, uploadKey }) => {
+        revenueImports.update(importId, { status: 'cancelled', completed_at: new Date().toISOString() });
+        if (uploadKey) {
+            blobs.delete(uploadKey);
+        }
+    }
+});
+
+// The client's revenue records by external_id, looked up once per synced page
+function revenueByExternalId(clientId) {
+    return new Map(revenueRecords
+        .find(r => r.clientId === clientId && r.external_id)
+        .map(r => [r.external_id, r]));
+}
+
+// Connector records are keyed by external_id, so re-reading a page (or a
+// deal that changed upstream) updates the existing record instead of
+// duplicating it. `byExternalId` comes from revenueByExternalId and is kept
+// up to date with what this call writes.
+function upsertConnectorRevenue(integration, input, byExternalId) {
+    const { value, errors } = validateRevenueRecord(input);
+    if (errors.length) {
+        return { rejected: errors };
+    }
+
+    const existing = value.external_id && byExternalId.get(value.external_id);
+    if (!existing) {
+        const record = createRevenueRecord(integration.clientId, value, { integration_id: integration.id });
+        if (record.external_id) {
+            byExternalId.set(record.external_id, record);
+        }
+        return { created: true };
+    }
+
+    // A record deleted here stays deleted; the upstream change is still kept
+    // so restoring it brings back current values
+    const changed = Object.keys(value).some(field => existing[field] !== value[field]);
+    if (changed) {
+        byExternalId.set(value.external_id, reviseRecord(existing, value, { action: 'sync', actor: { type: 'integration', id: integration.id } }));
+    }
+    return { updated: changed };
+}
+
+function upsertRankingObservation(integration, observation) {
+    const value = { ...observation, keyword: normalizeKeyword(observation.keyword) };
+    const id = observationId(integration.clientId, value);
+    rankingObservations.set(id, {
+        id,
+        clientId: integration.clientId,
+        integration_id: integration.id,
+        source: integration.provider,
+        ...value,
+        synced_at: new Date().toISOString()
     });
+}
 
-    // Seed revenue records
-    const sources = ['organic', 'paid_ads', 'referral', 'direct'];
-    for (let i = 0; i < 100; i++) {
-        const recordId = `record-seed-${i}`;
-        revenueRecords.set(recordId, {
-            id: recordId,
-            clientId: demoClientId,
-            date: new Date(Date.now() - Math.random() * 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-            source: sources[Math.floor(Math.random() * sources.length)],
-            channel: 'google_organic',
-            amount: Math.round(Math.random() * 5000 + 500),
-            currency: 'USD',
-            createdAt: new Date().toISOString()
+jobQueue.register('integration.sync', async ({ integrationId, syncId }, { job, checkCancelled }) => {
+    const integration = integrations.get(integrationId);
+    if (!integration || integration.status !== 'connected' || !integration.credentials) {
+        integrationSyncs.update(syncId, { status: 'cancelled', finished_at: new Date().toISOString() });
+        return { skipped: true };
+    }
+
+    const provider = getProvider(integration.provider);
+    const sync = integrationSyncs.update(syncId, {
+        status: 'running',
+        attempts: job.attempts,
+        started_at: integrationSyncs.get(syncId).started_at || new Date().toISOString()
+    });
+    const counts = {
+        pages: sync.pages,
+        records_created: sync.records_created,
+        records_updated: sync.records_updated,
+        records_rejected: sync.records_rejected,
+        rankings_upserted: sync.rankings_upserted
+    };
+
+    try {
+        const result = await runConnectorSync({
+            provider,
+            config: providerConfig(provider),
+            integration,
+            credentials: credentialCipher.decrypt(integration.credentials),
+            checkCancelled,
+            onCredentials: credentials => {
+                integrations.update(integrationId, { credentials: credentialCipher.encrypt(credentials) });
+            },
+            // One flush per page rather than one per row
+            onPage: page => store.batch(() => {
+                const rejections = [];
+                const byExternalId = revenueByExternalId(integration.clientId);
+                (page.revenue || []).forEach(input => {
+                    const outcome = upsertConnectorRevenue(integration, input, byExternalId);
+                    if (outcome.created) {
+                        counts.records_created++;
+                    } else if (outcome.updated) {
+                        counts.records_updated++;
+                    } else if (outcome.rejected) {
+                        counts.records_rejected++;
+                        rejections.push({ external_id: input.external_id, errors: outcome.rejected });
+                    }
+                });
+                (page.rankings || []).forEach(observation => {
+                    upsertRankingObservation(integration, observation);
+                    counts.rankings_upserted++;
+                });
+                counts.pages++;
+
+                // Keep the first few rejections so the history shows what went wrong
+                const current = integrationSyncs.get(syncId);
+                integrationSyncs.update(syncId, { ...counts, errors: [...current.errors, ...rejections].slice(0, 50) });
+                integrations.update(integrationId, { sync_cursor: page.cursor });
+            })
+        });
+
+        const finishedAt = new Date();
+        integrationSyncs.update(syncId, { status: 'succeeded', complete: result.complete, finished_at: finishedAt.toISOString() });
+        integrations.update(integrationId, {
+            last_sync: finishedAt.toISOString(),
+            last_sync_status: 'succeeded',
+            last_error: null,
+            // Runs that hit the page limit continue right away
+            next_sync_at: new Date(finishedAt.getTime() + (result.complete ? INTEGRATION_SYNC_INTERVAL_MS : 0)).toISOString()
         });
+        queueHealthRecompute(integration.clientId);
+
+        return counts;
+    } catch (error) {
+        if (error instanceof JobCancelledError) {
+            integrationSyncs.update(syncId, { status: 'cancelled', finished_at: new Date().toISOString() });
+        } else {
+            integrationSyncs.update(syncId, { status: 'retrying', last_error: error.message });
+        }
+        throw error;
     }
+}, {
+    maxAttempts: 5,
+    backoffMs: 5000,
+    concurrency: 1,
+    onFailure: ({ integrationId, syncId }, error) => {
+        const finishedAt = new Date();
+        integrationSyncs.update(syncId, { status: 'failed', last_error: error.message, finished_at: finishedAt.toISOString() });
+
+        const integration = integrations.get(integrationId);
+        if (!integration || integration.status !== 'connected') {
+            return;
+        }
 
-    // Seed insights
-    const insightTypes = ['opportunity', 'warning', 'success'];
-    for (let i = 0; i < 5; i++) {
-        const insightId = `insight-seed-${i}`;
-        insights.set(insightId, {
-            id: insightId,
-            clientId: demoClientId,
-            type: insightTypes[Math.floor(Math.random() * insightTypes.length)],
-            title: `AI Insight ${i + 1}`,
-            description: 'This is an AI-generated insight based on your data patterns.',
-            confidence: Math.round(Math.random() * 20 + 75),
-            impact: Math.random() > 0.5 ? 'high' : 'medium',
-            generated_at: new Date().toISOString()
+        emitWebhookEvent(integration.clientId, 'integration.sync.failed', {
+            integration_id: integrationId,
+            provider: integration.provider,
+            sync_id: syncId,
+            error: error.message,
+            reconnect_required: error instanceof ProviderError && error.reauthorize
+        });
+        integrations.update(integrationId, {
+            // A revoked grant needs the user to reconnect; anything else is
+            // tried again on the next schedule
+            status: error instanceof ProviderError && error.reauthorize ? 'error' : 'connected',
+            last_sync_status: 'failed',
+            last_error: error.message,
+            next_sync_at: new Date(finishedAt.getTime() + INTEGRATION_SYNC_INTERVAL_MS).toISOString()
         });
     }
+});
 
-    console.log('✅ Initial data seeded');
-    console.log('📧 Demo credentials: demo@butlerco.com / demo123');
+// Queues a scheduled sync for every connected integration that is due and
+// doesn't already have one pending
+function scheduleIntegrationSyncs() {
+    const now = new Date().toISOString();
+    integrations
+        .find(int => int.status === 'connected' && int.next_sync_at && int.next_sync_at <= now
+            && !activeSync(int.id) && !isArchived(int.clientId))
+        .forEach(int => enqueueIntegrationSync(int, { trigger: 'scheduled' }));
 }
 
-function generateTimeSeries(records, granularity) {
-    const periods = [];
-    const now = new Date();
-    
-    for (let i = 5; i >= 0; i--) {
-        const periodStart = new Date(now);
-        periodStart.setMonth(periodStart.getMonth() - i);
-        
-        const revenue = records
-            .filter(r => new Date(r.date) >= periodStart && new Date(r.date) < new Date(periodStart.getTime() + 30 * 24 * 60 * 60 * 1000))
-            .reduce((sum, r) => sum + r.amount, 0);
+jobQueue.register('webhook.deliver', async ({ deliveryId }) => {
+    const delivery = webhookDeliveries.get(deliveryId);
+    const endpoint = delivery && webhookEndpoints.get(delivery.webhookId);
+    if (!endpoint || !endpoint.active) {
+        if (delivery) {
+            webhookDeliveries.update(deliveryId, { status: 'cancelled', completed_at: new Date().toISOString() });
+        }
+        return { skipped: true };
+    }
+
+    const { ok, ...attempt } = await deliver({
+        url: endpoint.url,
+        secret: webhookSecret(endpoint),
+        deliveryId,
+        event: delivery.payload
+    });
+
+    webhookDeliveries.update(deliveryId, {
+        status: ok ? 'succeeded' : 'retrying',
+        attempts: [...delivery.attempts, attempt],
+        completed_at: ok ? new Date().toISOString() : null
+    });
+    webhookEndpoints.update(endpoint.id, {
+        last_delivery_at: attempt.at,
+        last_delivery_status: ok ? 'succeeded' : 'failed'
+    });
+
+    if (!ok) {
+        throw new Error(attempt.error);
+    }
+    return { status_code: attempt.status_code };
+}, {
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    backoffMs: WEBHOOK_BACKOFF_MS,
+    onFailure: ({ deliveryId }) => {
+        webhookDeliveries.update(deliveryId, { status: 'failed', completed_at: new Date().toISOString() });
+    }
+});
+
+// Generation isn't retried: the analytics are deterministic, so a failure
+// would only repeat. Delivery is a separate job that is.
+jobQueue.register('report.generate', async ({ reportId, trigger }, { addResult }) => {
+    const report = reports.get(reportId);
+    if (!report || isArchived(report.clientId)) {
+        return { skipped: true };
+    }
+
+    const result = generateExport(report.clientId, report, {
+        title: report.name,
+        reportId,
+        trigger,
+        createdBy: report.created_by
+    });
+    const ranAt = new Date().toISOString();
+    if (result.error) {
+        reports.update(reportId, { last_run_at: ranAt, last_status: 'failed', last_error: result.error });
+        throw new Error(result.error);
+    }
+
+    const file = result.export;
+    reports.update(reportId, { last_run_at: ranAt, last_status: 'succeeded', last_error: null, last_export_id: file.id });
+    addResult(file.id);
+
+    if (report.recipients.length) {
+        const job = jobQueue.enqueue('report.deliver', { exportId: file.id }, { clientId: report.clientId });
+        reportExports.update(file.id, {
+            delivery: {
+                status: 'pending',
+                transport: reportTransport.name,
+                recipients: report.recipients,
+                attached: report.attach_file && file.size_bytes <= REPORT_MAX_ATTACHMENT_BYTES,
+                job_id: job.id,
+                attempts: 0,
+                message_id: null,
+                last_error: null,
+                sent_at: null
+            }
+        });
+    }
+    return { export_id: file.id, size_bytes: file.size_bytes, recipients: report.recipients.length };
+}, { maxAttempts: 1 });
+
+function reportEmailText(file, link) {
+    return [
+        `${file.title}`,
+        `Period: ${file.period.start} to ${file.period.end}`,
+        '',
+        `Download (${file.format.toUpperCase()}): ${PUBLIC_API_URL}${link.path}`,
+        `This link expires at ${link.expires_at}.`,
+        ...(file.delivery.attached ? ['', 'The file is also attached to this email.'] : []),
+        '',
+        'Butler & Co Revenue Intelligence'
+    ].join('\n');
+}
+
+jobQueue.register('report.deliver', async ({ exportId }, { job }) => {
+    const file = reportExports.get(exportId);
+    if (!file || !file.delivery || isExpiredExport(file)) {
+        return { skipped: true };
+    }
+
+    const client = clients.get(file.clientId);
+    const link = exportDownloadLink(file);
+    const delivery = { ...file.delivery, attempts: job.attempts };
+    try {
+        const sent = await reportTransport.send({
+            from: REPORT_FROM,
+            to: delivery.recipients,
+            subject: `${file.title} for ${(client && client.company_name) || file.clientId}: ${file.period.start} to ${file.period.end}`,
+            text: reportEmailText(file, link),
+            attachments: delivery.attached
+                ? [{ filename: file.filename, contentType: file.content_type, content: exportFile(file) }]
+                : []
+        });
+        reportExports.update(exportId, {
+            delivery: { ...delivery, status: 'sent', message_id: sent.message_id, last_error: null, sent_at: new Date().toISOString() }
+        });
+        return { message_id: sent.message_id };
+    } catch (error) {
+        reportExports.update(exportId, { delivery: { ...delivery, status: 'retrying', last_error: error.message } });
+        throw error;
+    }
+}, {
+    maxAttempts: 5,
+    backoffMs: 30 * 1000,
+    onFailure: ({ exportId }, error) => {
+        const file = reportExports.get(exportId);
+        if (file && file.delivery) {
+            reportExports.update(exportId, { delivery: { ...file.delivery, status: 'failed', last_error: error.message } });
+        }
+    }
+});
 
-        periods.push({
-            period_start: periodStart.toISOString().split('T')[0],
-            period_end: new Date(periodStart.getTime() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-            revenue: Math.round(revenue),
-            transactions: Math.round(revenue / 500)
+// Queues a run of every active scheduled report that is due. The next run
+// is moved on first, so a report that was due several times while the
+// server was down runs once.
+function scheduleReports() {
+    const now = new Date();
+    reports
+        .find(report => report.active && report.next_run_at && report.next_run_at <= now.toISOString() && !isArchived(report.clientId))
+        .forEach(report => {
+            reports.update(report.id, { next_run_at: nextRunAt(report.schedule, now).toISOString() });
+            enqueueReportRun(report, { trigger: 'scheduled' });
         });
+}
+
+function purgeFinishedJobs() {
+    const deleted = store.batch(() => jobQueue.purgeFinished(new Date(Date.now() - JOB_RETENTION_MS)));
+    if (deleted) {
+        console.log(`[jobs] Purged ${deleted} finished job${deleted === 1 ? '' : 's'}`);
     }
-    
-    return periods;
+}
+
+function purgeExpiredExports() {
+    reportExports.find(isExpiredExport).forEach(record => {
+        if (record.file_key) {
+            blobs.delete(record.file_key);
+        }
+        reportExports.delete(record.id);
+    });
 }
 
 // ============================================================================
 // START SERVER
 // ============================================================================
 
-app.listen(PORT, () => {
-    console.log('');
-    console.log('🚀 Butler & Co Revenue Intelligence Platform API');
-    console.log('================================================');
-    console.log(`✅ Server running on port ${PORT}`);
-    console.log(`🌐 API URL: http://localhost:${PORT}`);
-    console.log(`📊 Health: http://localhost:${PORT}/health`);
-    console.log('');
-    console.log('📧 Demo Login: demo@butlerco.com / demo123');
-    console.log('');
-    console.log('📖 Available Endpoints:');
-    console.log('   POST /api/v1/auth/token - Login');
-    console.log('   POST /api/v1/auth/register - Register');
-    console.log('   GET  /api/v1/revenue/summary - Revenue data');
-    console.log('   GET  /api/v1/revenue/forecast - Predictions');
-    console.log('   GET  /api/v1/clients - List clients');
-    console.log('   GET  /api/v1/insights/latest - AI insights');
-    console.log('   GET  /api/v1/seo/rankings - SEO data');
-    console.log('   POST /api/v1/predict/churn - Churn prediction');
-    console.log('');
-});
+// Usage and export download counts are held in memory between flushes
+function flushBufferedCounts() {
+    store.batch(() => {
+        usageMeter.flush();
+        downloadTally.flush();
+    });
+}
+
+// On SIGTERM/SIGINT: stop taking requests and running timers, write out the
+// counts held in memory, then exit. Without this every deploy would drop up
+// to USAGE_FLUSH_INTERVAL_MS of metered usage and download counts.
+function handleShutdown(server, timers) {
+    let stopping = false;
+    const shutdown = async signal => {
+        if (stopping) {
+            return;
+        }
+        stopping = true;
+        console.log(`🛑 ${signal} received, shutting down`);
+
+        timers.forEach(timer => clearInterval(timer));
+        jobQueue.stop();
+        server.close();
+        server.closeIdleConnections();
+
+        try {
+            await flushBufferedCounts();
+        } catch (error) {
+            console.error('❌ Failed to write buffered counts:', error.message);
+            process.exitCode = 1;
+        }
+        process.exit();
+    };
+    ['SIGTERM', 'SIGINT'].forEach(signal => process.once(signal, shutdown));
+}
+
+async function start() {
+    const timers = [];
+    const every = (fn, ms) => timers.push(setInterval(fn, ms).unref());
+
+    jobQueue.start();
+    purgeFinishedJobs();
+    every(scheduleIntegrationSyncs, 60 * 1000);
+
+    if (SEED_DEMO_DATA && await seedDemoData(store)) {
+        console.log('✅ Initial data seeded');
+        console.log(`📧 Demo credentials: ${DEMO_EMAIL} / ${DEMO_PASSWORD}`);
+        console.log(`📧 Agency staff credentials: ${STAFF_EMAIL} / ${STAFF_PASSWORD}`);
+    }
+
+    applyDuePlanChanges();
+    scheduleHealthRecomputes();
+    every(applyDuePlanChanges, 60 * 60 * 1000);
+    every(scheduleHealthRecomputes, 60 * 60 * 1000);
+    every(() => purgeExpiredKeys(idempotencyKeys), 60 * 60 * 1000);
+    every(flushBufferedCounts, USAGE_FLUSH_INTERVAL_MS);
+    every(() => rateLimiter.purge(), MINUTE_MS);
+    every(scheduleReports, MINUTE_MS);
+    every(purgeExpiredExports, 60 * 60 * 1000);
+    every(purgeFinishedJobs, 60 * 60 * 1000);
+
+    const server = app.listen(PORT, () => {
+        console.log('');
+        console.log('🚀 Butler & Co Revenue Intelligence Platform API');
+        console.log('================================================');
+        console.log(`✅ Server running on port ${PORT}`);
+        console.log(`🌐 API URL: http://localhost:${PORT}`);
+        console.log(`📊 Health: http://localhost:${PORT}/health`);
+        console.log(`📖 API docs: http://localhost:${PORT}/api/v1/docs/`);
+        console.log(`📄 OpenAPI: http://localhost:${PORT}/api/v1/openapi.json`);
+        console.log('');
+        if (SEED_DEMO_DATA) {
+            console.log(`📧 Demo Login: ${DEMO_EMAIL} / ${DEMO_PASSWORD}`);
+            console.log(`📧 Agency Staff Login: ${STAFF_EMAIL} / ${STAFF_PASSWORD}`);
+            console.log('');
+        }
+    });
+
+    handleShutdown(server, timers);
+    return server;
+}
+
+if (require.main === module) {
+    start().catch(error => {
+        console.error('❌ Failed to start server:', error.message);
+        process.exit(1);
+    });
+}
 
 module.exports = app;
@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+describe('audit trail', () => {
+    let server;
+    let token;
+
+    before(async () => {
+        server = await startServer();
+        token = (await server.login('staff@butlerco.com', 'staff123')).access_token;
+    });
+
+    after(() => server.stop());
+
+    // The entry recorded for an earlier response
+    async function entryFor(response) {
+        const listed = await server.request('GET', `/api/v1/audit-logs?request_id=${response.headers.get('x-request-id')}`, { token });
+        assert.equal(listed.status, 200, listed.text);
+        assert.equal(listed.body.data.length, 1);
+        return listed.body.data[0];
+    }
+
+    it('records the FX rate with its before and after state', async () => {
+        const rate = { date: '2026-03-02', base: 'EUR', quote: 'USD', rate: 1.08 };
+        const first = await server.request('PUT', '/api/v1/fx-rates', { token, body: { rates: [rate] } });
+        assert.equal(first.status, 200, first.text);
+
+        const created = await entryFor(first);
+        assert.equal(created.action, 'fx_rates.upsert');
+        assert.deepEqual(created.target, { type: 'fx_rate', id: '2026-03-02:EUR:USD' });
+        assert.equal(created.changes['2026-03-02:EUR:USD'].before, null);
+        assert.equal(created.changes['2026-03-02:EUR:USD'].after.rate, 1.08);
+
+        const second = await server.request('PUT', '/api/v1/fx-rates', { token, body: { rates: [{ ...rate, rate: 1.1 }] } });
+        assert.equal(second.status, 200, second.text);
+
+        const updated = await entryFor(second);
+        assert.equal(updated.target.id, '2026-03-02:EUR:USD');
+        assert.equal(updated.changes['2026-03-02:EUR:USD'].before.rate, 1.08);
+        assert.equal(updated.changes['2026-03-02:EUR:USD'].after.rate, 1.1);
+    });
+
+    it('records each touchpoint created', async () => {
+        const single = await server.request('POST', '/api/v1/attribution/touchpoints', {
+            token,
+            body: { customer_id: 'cus_1', channel: 'email', timestamp: '2026-03-01T10:00:00Z' }
+        });
+        assert.equal(single.status, 201, single.text);
+        const [touchpoint] = single.body.data.touchpoints;
+
+        const entry = await entryFor(single);
+        assert.deepEqual(entry.target, { type: 'touchpoint', id: touchpoint.id });
+        assert.equal(entry.changes[touchpoint.id].after.channel, 'email');
+
+        const batch = await server.request('POST', '/api/v1/attribution/touchpoints', {
+            token,
+            body: {
+                touchpoints: [
+                    { customer_id: 'cus_1', channel: 'paid_ads', timestamp: '2026-03-02T10:00:00Z' },
+                    { customer_id: 'cus_2', channel: 'organic', timestamp: '2026-03-03T10:00:00Z' }
+                ]
+            }
+        });
+        assert.equal(batch.status, 201, batch.text);
+
+        const batchEntry = await entryFor(batch);
+        assert.equal(batchEntry.target.id, null);
+        assert.deepEqual(Object.keys(batchEntry.changes).sort(), batch.body.data.touchpoints.map(tp => tp.id).sort());
+    });
+
+    it('records keywords, ranking observations and their updates', async () => {
+        const keywords = await server.request('POST', '/api/v1/seo/keywords', { token, body: { keywords: ['audit shoes'] } });
+        assert.equal(keywords.status, 201, keywords.text);
+        const [keyword] = keywords.body.data.created;
+
+        const keywordEntry = await entryFor(keywords);
+        assert.deepEqual(keywordEntry.target, { type: 'seo_keyword', id: keyword.id });
+        assert.equal(keywordEntry.changes[keyword.id].after.keyword, 'audit shoes');
+
+        const observation = { keyword: 'audit shoes', date: '2026-03-01', position: 7 };
+        const first = await server.request('POST', '/api/v1/seo/rankings/observations', { token, body: observation });
+        assert.equal(first.status, 201, first.text);
+
+        const created = await entryFor(first);
+        assert.equal(created.target.type, 'ranking_observation');
+        assert.ok(created.target.id);
+        assert.equal(created.changes[created.target.id].after.position, 7);
+
+        const second = await server.request('POST', '/api/v1/seo/rankings/observations', { token, body: { ...observation, position: 3 } });
+        const updated = await entryFor(second);
+        assert.equal(updated.target.id, created.target.id);
+        assert.equal(updated.changes[created.target.id].before.position, 7);
+        assert.equal(updated.changes[created.target.id].after.position, 3);
+    });
+
+    it('records churn labels and the model a training run replaces', async () => {
+        const labels = Array.from({ length: 10 }, (_, i) => ({
+            client_id: 'client-demo-001',
+            churned: i % 2 === 0,
+            as_of: `2025-${String(i + 1).padStart(2, '0')}-01`
+        }));
+        const posted = await server.request('POST', '/api/v1/predict/churn/labels', { token, body: { labels } });
+        assert.equal(posted.status, 201, posted.text);
+
+        const labelEntry = await entryFor(posted);
+        assert.equal(labelEntry.target.type, 'churn_label');
+        assert.equal(labelEntry.target.id, null);
+        assert.equal(Object.keys(labelEntry.changes).length, 10);
+        assert.equal(labelEntry.changes['client-demo-001:2025-01-01'].after.churned, true);
+
+        const relabelled = await server.request('POST', '/api/v1/predict/churn/labels', {
+            token,
+            body: { labels: [{ ...labels[0], churned: false }] }
+        });
+        const relabelEntry = await entryFor(relabelled);
+        assert.equal(relabelEntry.target.id, 'client-demo-001:2025-01-01');
+        assert.equal(relabelEntry.changes['client-demo-001:2025-01-01'].before.churned, true);
+
+        const first = await server.request('POST', '/api/v1/predict/churn/train', { token });
+        assert.equal(first.status, 201, first.text);
+        const second = await server.request('POST', '/api/v1/predict/churn/train', { token });
+        assert.equal(second.status, 201, second.text);
+
+        const trainEntry = await entryFor(second);
+        const [oldVersion, newVersion] = [first.body.data.version, second.body.data.version];
+        assert.deepEqual(trainEntry.target, { type: 'churn_model', id: newVersion });
+        assert.equal(trainEntry.changes[oldVersion].before.active, true);
+        assert.equal(trainEntry.changes[oldVersion].after.active, false);
+        assert.equal(trainEntry.changes[newVersion].before, null);
+        assert.equal(trainEntry.changes[newVersion].after.active, true);
+    });
+});
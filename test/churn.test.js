@@ -0,0 +1,129 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { buildFeatures, trainChurnModel, predictChurn } = require('../lib/churn');
+const { parseDate } = require('../lib/periods');
+const { startServer, sleep } = require('./helpers/server');
+
+// A client as it looks today, after it churned: poor health, downgraded,
+// integrations last synced long after the label's as-of date
+const client = { id: 'c1', plan_tier: 'starter', health_score: 12 };
+const history = {
+    client,
+    records: [{ date: '2026-01-10', amount: 100 }, { date: '2026-02-20', amount: 100 }],
+    healthScores: [
+        { date: '2026-01-15', score: 64 },
+        { date: '2026-02-27', score: 81 },
+        { date: '2026-04-01', score: 12 }
+    ],
+    planChanges: [
+        { status: 'applied', from_tier: 'professional', to_tier: 'enterprise', applied_at: '2025-11-02T09:00:00.000Z' },
+        { status: 'applied', from_tier: 'enterprise', to_tier: 'starter', applied_at: '2026-03-20T09:00:00.000Z' },
+        { status: 'cancelled', from_tier: null, to_tier: 'professional', applied_at: null }
+    ],
+    syncedAt: ['2026-02-25T10:00:00.000Z', '2026-05-01T10:00:00.000Z'],
+    insights: []
+};
+
+describe('churn features', () => {
+    it('uses only what was known on the as-of date', () => {
+        const features = buildFeatures({ ...history, asOf: parseDate('2026-03-01') });
+        assert.equal(features.health_score, 81);
+        assert.equal(features.plan_tier, 2);
+        assert.equal(features.days_since_last_sync, 4);
+        assert.equal(features.days_since_last_revenue, 9);
+    });
+
+    it('uses the current state as of today', () => {
+        const features = buildFeatures({ ...history, asOf: parseDate('2026-06-01') });
+        assert.equal(features.health_score, 12);
+        assert.equal(features.plan_tier, 0);
+        assert.equal(features.days_since_last_sync, 31);
+    });
+
+    it('falls back to neutral values before any history', () => {
+        const features = buildFeatures({ ...history, asOf: parseDate('2025-06-01') });
+        assert.equal(features.health_score, 50);
+        assert.equal(features.plan_tier, 1);
+        assert.equal(features.days_since_last_sync, 90);
+    });
+
+    it('trains and predicts on point-in-time features', () => {
+        const samples = [];
+        for (let i = 0; i < 12; i++) {
+            const churned = i % 2 === 0;
+            samples.push({
+                churned,
+                features: buildFeatures({
+                    ...history,
+                    healthScores: [{ date: '2026-01-01', score: churned ? 30 + i : 70 + i }],
+                    asOf: parseDate('2026-03-01')
+                })
+            });
+        }
+        const { model, error } = trainChurnModel(samples);
+        assert.equal(error, undefined);
+        assert.ok(predictChurn(model, samples[0].features).probability > predictChurn(model, samples[1].features).probability);
+    });
+});
+
+describe('scheduled churn alerts', () => {
+    let server;
+    let receiver;
+    let events = [];
+
+    before(async () => {
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                events.push(JSON.parse(body));
+                res.writeHead(204);
+                res.end();
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        server = await startServer({ CHURN_ALERT_THRESHOLD: '0.01' });
+    });
+
+    after(async () => {
+        await server.stop();
+        await new Promise(resolve => receiver.close(resolve));
+    });
+
+    it('sends churn.risk.high from a health recompute without a /predict/churn call', async () => {
+        const token = (await server.login()).access_token;
+        const staffToken = (await server.login('staff@butlerco.com', 'staff123')).access_token;
+
+        const webhook = await server.request('POST', '/api/v1/webhooks', {
+            token,
+            body: { url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ['churn.risk.high'] }
+        });
+        assert.equal(webhook.status, 201, webhook.text);
+
+        const labels = Array.from({ length: 12 }, (_, i) => ({
+            client_id: 'client-demo-001',
+            churned: i % 2 === 0,
+            as_of: `2025-${String(i + 1).padStart(2, '0')}-15`
+        }));
+        assert.equal((await server.request('POST', '/api/v1/predict/churn/labels', { token: staffToken, body: { labels } })).status, 201);
+        const trained = await server.request('POST', '/api/v1/predict/churn/train', { token: staffToken });
+        assert.equal(trained.status, 201, trained.text);
+
+        // A new record queues the client.health job
+        const record = await server.request('POST', '/api/v1/revenue/records', {
+            token,
+            body: { date: '2026-01-05', amount: 10, currency: 'USD' }
+        });
+        assert.equal(record.status, 201, record.text);
+
+        for (let waited = 0; !events.length && waited < 10000; waited += 100) {
+            await sleep(100);
+        }
+
+        assert.equal(events.length, 1);
+        assert.equal(events[0].type, 'churn.risk.high');
+        assert.equal(events[0].data.client_id, 'client-demo-001');
+        assert.equal(events[0].data.model_version, trained.body.data.version);
+    });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/storage');
+const { DownloadTally } = require('../lib/reports');
+const { startServer } = require('./helpers/server');
+
+describe('exports', () => {
+    describe('DownloadTally', () => {
+        it('counts downloads in memory until flushed', () => {
+            const exports = createStore({ adapter: 'memory' }).collection('exports');
+            exports.set('export-1', { id: 'export-1', download_count: 2, last_downloaded_at: '2026-10-01T00:00:00.000Z' });
+            const tally = new DownloadTally(exports);
+
+            tally.record('export-1', new Date('2026-10-18T09:00:00Z'));
+            tally.record('export-1', new Date('2026-10-19T09:00:00Z'));
+
+            assert.equal(exports.get('export-1').download_count, 2);
+            assert.deepEqual(tally.totals(exports.get('export-1')), { download_count: 4, last_downloaded_at: '2026-10-19T09:00:00.000Z' });
+
+            tally.flush();
+            assert.deepEqual(exports.get('export-1'), { id: 'export-1', download_count: 4, last_downloaded_at: '2026-10-19T09:00:00.000Z' });
+            assert.deepEqual(tally.totals(exports.get('export-1')), { download_count: 4, last_downloaded_at: '2026-10-19T09:00:00.000Z' });
+        });
+
+        it('skips exports deleted before the flush', () => {
+            const exports = createStore({ adapter: 'memory' }).collection('exports');
+            const tally = new DownloadTally(exports);
+
+            tally.record('export-gone');
+            tally.flush();
+
+            assert.equal(exports.has('export-gone'), false);
+        });
+    });
+
+    describe('on the file adapter', () => {
+        let dir;
+        let server;
+        let token;
+
+        before(async () => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'butler-exports-'));
+            server = await startServer({
+                STORAGE_ADAPTER: 'file',
+                STORAGE_PATH: path.join(dir, 'butler.json'),
+                STORAGE_BLOB_PATH: path.join(dir, 'blobs')
+            });
+            token = (await server.login()).access_token;
+        });
+
+        after(async () => {
+            await server.stop();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        const storedExport = id => JSON.parse(fs.readFileSync(path.join(dir, 'butler.json'), 'utf8')).collections.exports[id];
+
+        it('keeps the file out of the export record', async () => {
+            const created = await server.request('POST', '/api/v1/exports', {
+                token,
+                body: { sections: ['revenue_summary'], format: 'csv', date_range: 'last_90_days' }
+            });
+            assert.equal(created.status, 201, created.text);
+            const { id, download_url: downloadUrl } = created.body.data;
+            assert.equal('file_key' in created.body.data, false);
+
+            const record = storedExport(id);
+            assert.equal(record.content, undefined);
+            assert.equal(record.file_key, `exports/${id}`);
+            const file = fs.readFileSync(path.join(dir, 'blobs', 'exports', id));
+            assert.equal(file.length, record.size_bytes);
+
+            for (let i = 0; i < 3; i++) {
+                const download = await server.request('GET', downloadUrl);
+                assert.equal(download.status, 200);
+                assert.equal(download.text, file.toString());
+            }
+
+            // Counted, but not written back on every download
+            assert.equal(storedExport(id).download_count, 0);
+            const fetched = await server.request('GET', `/api/v1/exports/${id}`, { token });
+            assert.equal(fetched.body.data.download_count, 3);
+            assert.ok(fetched.body.data.last_downloaded_at);
+
+            // ...and written out when the server stops
+            await server.stop();
+            assert.equal(storedExport(id).download_count, 3);
+            assert.equal(storedExport(id).last_downloaded_at, fetched.body.data.last_downloaded_at);
+        });
+    });
+});
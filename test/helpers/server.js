@@ -0,0 +1,153 @@
+// Runs server.js in a child process on a spare port, so behaviour tests go
+// through HTTP exactly as a client would. Each call gets its own process and
+// store; pass STORAGE_ADAPTER/STORAGE_PATH etc. in `env` to change that.
+
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const { DEMO_EMAIL, DEMO_PASSWORD } = require('../../lib/seed');
+
+const STARTUP_TIMEOUT_MS = 20000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function startServer(env = {}) {
+    const port = await freePort();
+    const base = `http://localhost:${port}`;
+    const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+        env: { ...process.env, PORT: String(port), STORAGE_ADAPTER: 'memory', SEED_DEMO_DATA: 'true', ...env },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    const collect = chunk => {
+        output = (output + chunk).slice(-20000);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    const server = {
+        base,
+        output: () => output,
+
+        async request(method, urlPath, { token, body, raw, headers = {} } = {}) {
+            const response = await fetch(`${base}${urlPath}`, {
+                method,
+                headers: {
+                    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                    ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                    ...headers
+                },
+                body: raw !== undefined ? raw : (body !== undefined ? JSON.stringify(body) : undefined)
+            });
+            const text = await response.text();
+            const json = (response.headers.get('content-type') || '').includes('application/json') ? JSON.parse(text) : null;
+            return { status: response.status, headers: response.headers, text, body: json };
+        },
+
+        async login(email = DEMO_EMAIL, password = DEMO_PASSWORD) {
+            const response = await server.request('POST', '/api/v1/auth/token', { body: { email, password } });
+            if (response.status !== 200) {
+                throw new Error(`login as ${email} failed with ${response.status}: ${response.text}`);
+            }
+            return response.body;
+        },
+
+        // Polls a job until it finishes and returns its final state
+        async waitForJob(token, jobId, timeoutMs = 15000) {
+            const deadline = Date.now() + timeoutMs;
+            while (Date.now() < deadline) {
+                const { body } = await server.request('GET', `/api/v1/jobs/${jobId}`, { token });
+                if (['succeeded', 'failed', 'cancelled'].includes(body.status)) {
+                    return body;
+                }
+                await sleep(100);
+            }
+            throw new Error(`job ${jobId} did not finish within ${timeoutMs}ms`);
+        },
+
+        stop() {
+            if (child.exitCode !== null) {
+                return Promise.resolve();
+            }
+            return new Promise(resolve => {
+                child.once('exit', resolve);
+                child.kill();
+            });
+        }
+    };
+
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) {
+            throw new Error(`server exited with code ${child.exitCode}\n${output}`);
+        }
+        try {
+            if ((await fetch(`${base}/health`)).ok) {
+                return server;
+            }
+        } catch (error) {
+            // not listening yet
+        }
+        await sleep(100);
+    }
+    await server.stop();
+    throw new Error(`server did not answer /health within ${STARTUP_TIMEOUT_MS}ms\n${output}`);
+}
+
+// scripts/mock-providers.js on a spare port. `env` is what points the
+// server's connectors at it.
+async function startMockProviders() {
+    const port = await freePort();
+    const base = `http://localhost:${port}`;
+    const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'scripts', 'mock-providers.js')], {
+        env: { ...process.env, MOCK_PROVIDERS_PORT: String(port) },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    const stop = () => child.exitCode !== null ? Promise.resolve() : new Promise(resolve => {
+        child.once('exit', resolve);
+        child.kill();
+    });
+
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) {
+            throw new Error(`mock providers exited with code ${child.exitCode}`);
+        }
+        try {
+            await fetch(base);
+            const env = {};
+            [['STRIPE', 'stripe'], ['HUBSPOT', 'hubspot'], ['GOOGLE', 'google']].forEach(([prefix, name]) => {
+                Object.assign(env, {
+                    [`${prefix}_CLIENT_ID`]: 'mock-client-id',
+                    [`${prefix}_CLIENT_SECRET`]: 'mock-client-secret',
+                    [`${prefix}_AUTHORIZE_URL`]: `${base}/${name}/oauth/authorize`,
+                    [`${prefix}_TOKEN_URL`]: `${base}/${name}/oauth/token`,
+                    [`${prefix}_API_BASE`]: `${base}/${name}`
+                });
+            });
+            return { base, env, stop };
+        } catch (error) {
+            // not listening yet
+        }
+        await sleep(100);
+    }
+    await stop();
+    throw new Error(`mock providers did not start within ${STARTUP_TIMEOUT_MS}ms`);
+}
+
+module.exports = {
+    sleep,
+    startServer,
+    startMockProviders
+};
@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { runConnectorSync, ProviderError } = require('../lib/integrations');
+const { startServer, startMockProviders } = require('./helpers/server');
+
+// A JSON server that records the Authorization header of every request
+function recordingServer(respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push({ url: req.url, authorization: req.headers.authorization || null });
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify(respond(req, server)));
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        server.origin = `http://127.0.0.1:${server.address().port}`;
+        server.requests = requests;
+        resolve(server);
+    }));
+}
+
+// Follows whatever "next" link the API returns, absolute or not
+const provider = {
+    initialCursor: () => ({ next: null }),
+    async fetchPage({ api, cursor }) {
+        const page = await api(cursor.next || '/items');
+        return { items: page.items, hasMore: Boolean(page.next), cursor: { next: page.next } };
+    }
+};
+
+function sync(apiBase, onPage = () => {}) {
+    return runConnectorSync({
+        provider,
+        config: { apiBase },
+        integration: {},
+        credentials: { access_token: 'secret-token', expires_at: null },
+        onCredentials: async () => {},
+        onPage
+    });
+}
+
+describe('connector sync', () => {
+    let attacker;
+    let api;
+    let nextLink;
+
+    before(async () => {
+        attacker = await recordingServer(() => ({ items: [], next: null }));
+        api = await recordingServer(req => (req.url === '/items' ? { items: [1], next: nextLink(api) } : { items: [2], next: null }));
+    });
+
+    after(() => {
+        attacker.close();
+        api.close();
+    });
+
+    it('follows absolute next links on the provider API origin', async () => {
+        nextLink = server => `${server.origin}/items?page=2`;
+        const pages = [];
+        const result = await sync(api.origin, page => pages.push(page.items));
+
+        assert.equal(result.pages, 2);
+        assert.deepEqual(pages, [[1], [2]]);
+        assert.ok(api.requests.every(request => request.authorization === 'Bearer secret-token'));
+    });
+
+    it('refuses to send the token to another origin', async () => {
+        nextLink = () => `${attacker.origin}/steal`;
+        await assert.rejects(sync(api.origin), error => error instanceof ProviderError && /not the provider API/.test(error.message));
+        assert.equal(attacker.requests.length, 0);
+    });
+
+    it('refuses paths that would change the host', async () => {
+        nextLink = () => `@127.0.0.1:${new URL(attacker.origin).port}/steal`;
+        await assert.rejects(sync(api.origin), /not the provider API/);
+        assert.equal(attacker.requests.length, 0);
+    });
+});
+
+describe('integration sync job on the file adapter', () => {
+    let dir;
+    let mock;
+    let server;
+    let token;
+
+    before(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'butler-sync-'));
+        mock = await startMockProviders();
+        server = await startServer({
+            ...mock.env,
+            STORAGE_ADAPTER: 'file',
+            STORAGE_PATH: path.join(dir, 'butler.json'),
+            STORAGE_BLOB_PATH: path.join(dir, 'blobs')
+        });
+        token = (await server.login()).access_token;
+    });
+
+    after(async () => {
+        await server.stop();
+        await mock.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('updates records it synced before instead of creating them again', async () => {
+        const connect = await server.request('POST', '/api/v1/integrations/connect/stripe', { token, body: {} });
+        assert.equal(connect.status, 201, connect.text);
+        const authorize = await fetch(connect.body.authorization_url, { redirect: 'manual' });
+        const callback = await fetch(authorize.headers.get('location'));
+        const connected = await callback.json();
+        assert.equal(callback.status, 200, JSON.stringify(connected));
+
+        const initial = await server.waitForJob(token, connected.sync_job_id, 60000);
+        assert.equal(initial.status, 'succeeded', initial.last_error);
+        assert.ok(initial.result.records_created > 0);
+
+        const again = await server.request('POST', `/api/v1/integrations/${connected.data.id}/sync`, { token, body: { full: true } });
+        assert.equal(again.status, 202, again.text);
+        const resync = await server.waitForJob(token, again.body.job_id, 60000);
+        assert.equal(resync.status, 'succeeded', resync.last_error);
+        assert.equal(resync.result.pages, initial.result.pages);
+        assert.deepEqual(
+            [resync.result.records_created, resync.result.records_updated, resync.result.records_rejected],
+            [0, 0, 0]
+        );
+
+        const snapshot = JSON.parse(fs.readFileSync(path.join(dir, 'butler.json'), 'utf8'));
+        const synced = Object.values(snapshot.collections.revenue_records).filter(r => r.integration_id === connected.data.id);
+        assert.equal(synced.length, initial.result.records_created);
+    });
+});
@@ -0,0 +1,160 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/storage');
+const { JobQueue } = require('../lib/jobs');
+const { sleep } = require('./helpers/server');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function settled(jobs, id) {
+    for (let i = 0; i < 200; i++) {
+        const job = jobs.get(id);
+        if (['succeeded', 'failed', 'cancelled'].includes(job.status)) {
+            return job;
+        }
+        await sleep(10);
+    }
+    throw new Error(`job ${id} did not finish`);
+}
+
+describe('job queue', () => {
+    let jobs;
+    let queue;
+
+    beforeEach(() => {
+        jobs = createStore({ adapter: 'memory' }).collection('jobs');
+        queue = new JobQueue({ jobs, pollIntervalMs: 10 });
+    });
+
+    afterEach(() => queue.stop());
+
+    it('runs a job and keeps its result but not its payload', async () => {
+        queue.register('echo', async ({ text }, { addResult }) => {
+            addResult('r1');
+            return { echoed: text };
+        });
+        queue.start();
+
+        const job = await settled(jobs, queue.enqueue('echo', { text: 'x'.repeat(1000) }).id);
+        assert.equal(job.status, 'succeeded');
+        assert.deepEqual(job.result, { echoed: 'x'.repeat(1000) });
+        assert.deepEqual(job.result_ids, ['r1']);
+        assert.equal(job.payload, null);
+        assert.ok(job.finished_at);
+    });
+
+    it('retries with the payload and drops it once the job fails for good', async () => {
+        const seen = [];
+        let failure = null;
+        queue.register('flaky', async payload => {
+            seen.push(payload.n);
+            throw new Error('still broken');
+        }, {
+            maxAttempts: 2,
+            backoffMs: 1,
+            onFailure: (payload, error) => {
+                failure = { payload, message: error.message };
+            }
+        });
+        queue.start();
+
+        const job = await settled(jobs, queue.enqueue('flaky', { n: 7 }).id);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.attempts, 2);
+        assert.deepEqual(seen, [7, 7]);
+        assert.deepEqual(failure, { payload: { n: 7 }, message: 'still broken' });
+        assert.equal(job.payload, null);
+    });
+
+    it('calls onCancel with the payload of a job cancelled before it ran', () => {
+        let cancelledPayload = null;
+        queue.register('later', async () => {}, { onCancel: payload => { cancelledPayload = payload; } });
+
+        const job = queue.cancel(queue.enqueue('later', { key: 'imports/x' }).id);
+        assert.equal(job.status, 'cancelled');
+        assert.equal(job.payload, null);
+        assert.deepEqual(cancelledPayload, { key: 'imports/x' });
+    });
+
+    it('purges jobs that finished before the cutoff and nothing else', () => {
+        const now = Date.now();
+        const at = offset => new Date(now + offset).toISOString();
+        jobs.set('old', { id: 'old', status: 'succeeded', payload: null, finished_at: at(-10 * DAY_MS) });
+        jobs.set('old-failed', { id: 'old-failed', status: 'failed', payload: { big: true }, finished_at: at(-8 * DAY_MS) });
+        jobs.set('recent', { id: 'recent', status: 'cancelled', payload: { big: true }, finished_at: at(-DAY_MS) });
+        jobs.set('queued', { id: 'queued', status: 'queued', payload: { keep: true }, finished_at: null });
+        jobs.set('running', { id: 'running', status: 'running', payload: { keep: true }, finished_at: null });
+
+        assert.equal(queue.purgeFinished(new Date(now - 7 * DAY_MS)), 2);
+        assert.deepEqual(jobs.values().map(job => job.id).sort(), ['queued', 'recent', 'running']);
+        assert.equal(jobs.get('recent').payload, null);
+        assert.deepEqual(jobs.get('queued').payload, { keep: true });
+        assert.deepEqual(jobs.get('running').payload, { keep: true });
+    });
+
+    describe('after a restart', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'butler-jobs-'));
+        });
+
+        afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+        // Starts a job on a file store and abandons it mid-run, as a crash
+        // would; returns the job id and the store's path
+        async function interruptedJob(maxAttempts) {
+            const filePath = path.join(dir, 'jobs.json');
+            const store = createStore({ adapter: 'file', filePath });
+            const first = new JobQueue({ jobs: store.collection('jobs'), pollIntervalMs: 10 });
+            first.register('slow', () => new Promise(() => {}), { maxAttempts });
+            first.start();
+            const { id } = first.enqueue('slow', { file: 'upload-1' });
+            while (store.collection('jobs').get(id).status !== 'running') {
+                await sleep(10);
+            }
+            first.stop();
+            store.close();
+            return { id, filePath };
+        }
+
+        it('fails a job that was on its last attempt and calls onFailure', async () => {
+            const { id, filePath } = await interruptedJob(1);
+
+            jobs = createStore({ adapter: 'file', filePath }).collection('jobs');
+            queue = new JobQueue({ jobs, pollIntervalMs: 10 });
+            const failures = [];
+            let runs = 0;
+            queue.register('slow', async () => { runs++; }, {
+                maxAttempts: 1,
+                onFailure: (payload, error, job) => failures.push({ payload, error: error.message, status: job.status })
+            });
+            queue.start();
+            await sleep(50);
+
+            const job = jobs.get(id);
+            assert.equal(job.status, 'failed');
+            assert.equal(job.last_error, 'interrupted by restart');
+            assert.equal(job.payload, null);
+            assert.equal(runs, 0);
+            assert.deepEqual(failures, [{ payload: { file: 'upload-1' }, error: 'interrupted by restart', status: 'failed' }]);
+        });
+
+        it('re-queues a job with attempts left', async () => {
+            const { id, filePath } = await interruptedJob(2);
+
+            jobs = createStore({ adapter: 'file', filePath }).collection('jobs');
+            queue = new JobQueue({ jobs, pollIntervalMs: 10 });
+            queue.register('slow', async ({ file }) => ({ file }), { maxAttempts: 2 });
+            queue.start();
+
+            const job = await settled(jobs, id);
+            assert.equal(job.status, 'succeeded');
+            assert.equal(job.attempts, 2);
+            assert.deepEqual(job.result, { file: 'upload-1' });
+        });
+    });
+});
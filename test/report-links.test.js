@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLinkSigner } = require('../lib/reports');
+
+const KEY = 'a-test-signing-key-that-is-long-enough';
+const HOUR_MS = 60 * 60 * 1000;
+
+function linkQuery(link) {
+    return Object.fromEntries(new URL(link.path, 'http://localhost').searchParams);
+}
+
+describe('signed download links', () => {
+    const signer = createLinkSigner({ EXPORT_SIGNING_KEY: KEY });
+
+    it('verifies a link it signed until it expires', () => {
+        const expiresAt = new Date(Date.now() + HOUR_MS);
+        const link = signer.sign('export-1', expiresAt);
+        assert.match(link.path, /^\/api\/v1\/exports\/export-1\/download\?expires=\d+&signature=/);
+        assert.equal(signer.verify('export-1', linkQuery(link)), null);
+        assert.equal(signer.verify('export-1', linkQuery(link), expiresAt.getTime() + 1000), 'Download link has expired');
+    });
+
+    it('rejects a signature for another export', () => {
+        const query = linkQuery(signer.sign('export-1', new Date(Date.now() + HOUR_MS)));
+        assert.equal(signer.verify('export-2', query), 'Download link signature is invalid');
+    });
+
+    it('rejects a link whose expiry was pushed back', () => {
+        const query = linkQuery(signer.sign('export-1', new Date(Date.now() + HOUR_MS)));
+        assert.equal(signer.verify('export-1', { ...query, expires: String(Number(query.expires) + 3600) }), 'Download link signature is invalid');
+    });
+
+    it('rejects links signed with another key', () => {
+        const other = createLinkSigner({ EXPORT_SIGNING_KEY: `${KEY}-rotated` });
+        const query = linkQuery(other.sign('export-1', new Date(Date.now() + HOUR_MS)));
+        assert.equal(signer.verify('export-1', query), 'Download link signature is invalid');
+    });
+
+    it('rejects malformed links', () => {
+        assert.equal(signer.verify('export-1', { expires: 'soon', signature: 'x' }), 'Download link is malformed');
+        assert.equal(signer.verify('export-1', { expires: '1' }), 'Download link is malformed');
+    });
+
+    it('requires a long enough key, and a key in production', () => {
+        assert.throws(() => createLinkSigner({ EXPORT_SIGNING_KEY: 'short' }), /at least 32 characters/);
+        assert.throws(() => createLinkSigner({ NODE_ENV: 'production' }), /must be set in production/);
+        assert.doesNotThrow(() => createLinkSigner({}));
+    });
+});
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_PERIODS, parseDate, toDateString, startOfPeriod, addPeriods } = require('../lib/periods');
+const { startServer } = require('./helpers/server');
+
+describe('reporting ranges', () => {
+    describe('periods', () => {
+        it('keeps years below 100 as they are', () => {
+            const date = parseDate('0001-03-15');
+            assert.equal(date.getUTCFullYear(), 1);
+            assert.equal(toDateString(startOfPeriod(date, 'monthly')), '0001-03-01');
+            assert.equal(toDateString(startOfPeriod(date, 'quarterly')), '0001-01-01');
+            assert.equal(toDateString(addPeriods(date, 'monthly', 1)), '0001-04-15');
+        });
+    });
+
+    describe('over HTTP', () => {
+        let server;
+        let token;
+
+        before(async () => {
+            server = await startServer();
+            token = (await server.login()).access_token;
+            const keyword = await server.request('POST', '/api/v1/seo/keywords', { token, body: { keyword: 'range test' } });
+            assert.equal(keyword.status, 201, keyword.text);
+        });
+
+        after(() => server.stop());
+
+        it('refuses attribution dates outside 1970..9999', async () => {
+            const response = await server.request('POST', '/api/v1/attribution/calculate', { token, body: { start_date: '0001-01-01' } });
+            assert.equal(response.status, 400);
+            assert.match(response.body.error, /start_date must be between 1970-01-01 and 9999-12-31/);
+        });
+
+        it('refuses ranking observations outside the stored years', async () => {
+            for (const date of ['0001-01-01', '1969-12-31', `${new Date().getUTCFullYear() + 2}-01-01`]) {
+                const response = await server.request('POST', '/api/v1/seo/rankings/observations', {
+                    token,
+                    body: { keyword: 'range test', date, position: 4 }
+                });
+                assert.equal(response.status, 400, date);
+                assert.equal(response.body.details[0].field, 'date');
+            }
+        });
+
+        it('refuses rankings over too many days or outside 1970..9999', async () => {
+            const tooLong = await server.request('GET', '/api/v1/seo/rankings?start_date=1970-01-01', { token });
+            assert.equal(tooLong.status, 400);
+            assert.match(tooLong.body.error, new RegExp(`at most ${MAX_PERIODS} days`));
+
+            const tooEarly = await server.request('GET', '/api/v1/seo/rankings?start_date=1900-01-01', { token });
+            assert.equal(tooEarly.status, 400);
+            assert.match(tooEarly.body.error, /start_date must be between/);
+        });
+
+        it('starts open-ended rankings as far back as fits', async () => {
+            const observation = await server.request('POST', '/api/v1/seo/rankings/observations', {
+                token,
+                body: { keyword: 'range test', date: '1990-05-01', position: 4 }
+            });
+            assert.equal(observation.status, 201, observation.text);
+
+            const response = await server.request('GET', '/api/v1/seo/rankings?end_date=2026-10-19', { token });
+            assert.equal(response.status, 200, response.text);
+            assert.deepEqual(response.body.data.period, {
+                start: toDateString(new Date(Date.parse('2026-10-19') - (MAX_PERIODS - 1) * 24 * 60 * 60 * 1000)),
+                end: '2026-10-19'
+            });
+        });
+    });
+});
@@ -0,0 +1,181 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseImport, validateRevenueRecord, runImport } = require('../lib/revenue-import');
+const { startServer } = require('./helpers/server');
+
+describe('revenue imports', () => {
+    describe('parseImport', () => {
+        it('reads quoted CSV fields and keeps the line each row started on', () => {
+            const { rows } = parseImport('date,amount,source\n2026-01-05,"1,5",web\n2026-01-06,20,"multi\nline"\n2026-01-07,30,x\n', 'csv');
+            assert.deepEqual(rows.map(row => row.line), [2, 3, 5]);
+            assert.equal(rows[0].data.amount, '1,5');
+            assert.equal(rows[1].data.source, 'multi\nline');
+        });
+
+        it('flags NDJSON lines that are not objects', () => {
+            const { rows } = parseImport('{"date":"2026-01-05","amount":1}\nnot json\n\n42\n', 'ndjson');
+            assert.deepEqual(rows.map(row => [row.line, row.parseError]), [[1, false], [2, true], [4, true]]);
+        });
+
+        it('rejects an empty CSV', () => {
+            assert.equal(parseImport('', 'csv').error, 'CSV file is empty');
+        });
+    });
+
+    describe('validateRevenueRecord', () => {
+        it('normalises a valid record', () => {
+            assert.deepEqual(validateRevenueRecord({ date: '2026-01-05', amount: '10.50', currency: 'eur' }), {
+                value: { date: '2026-01-05', amount: 10.5, currency: 'EUR', source: 'direct', channel: 'direct' },
+                errors: []
+            });
+        });
+
+        it('reports every invalid field', () => {
+            const { errors } = validateRevenueRecord({ date: '05/01/2026', amount: 'ten', currency: 'XXX' });
+            assert.deepEqual(errors.map(error => error.field), ['date', 'amount', 'currency']);
+        });
+    });
+
+    describe('runImport', () => {
+        it('skips duplicates, reports failures and writes the rest', async () => {
+            const created = [];
+            const { rows } = parseImport([
+                'date,amount,external_id',
+                '2026-01-05,10,a',
+                '2026-01-06,20,a',
+                '2026-01-07,30,existing',
+                'bad-date,40,b',
+                '2026-01-08,50,'
+            ].join('\n'), 'csv');
+
+            const report = await runImport(rows, {
+                existingExternalIds: ['existing'],
+                createRecord: value => {
+                    created.push(value);
+                    return { id: `r${created.length}` };
+                }
+            });
+
+            assert.equal(report.imported, 2);
+            assert.equal(report.duplicates, 2);
+            assert.equal(report.failed, 1);
+            assert.deepEqual(report.errors[0].row, 5);
+            assert.deepEqual(report.record_ids, ['r1', 'r2']);
+            assert.deepEqual(created.map(value => value.amount), [10, 50]);
+        });
+
+        it('writes nothing on a dry run', async () => {
+            const { rows } = parseImport('date,amount\n2026-01-05,10\n', 'csv');
+            const report = await runImport(rows, { dryRun: true, createRecord: () => assert.fail('dry run wrote a record') });
+            assert.equal(report.valid_rows, 1);
+            assert.equal(report.imported, 0);
+        });
+    });
+
+    describe('import job', () => {
+        let server;
+        let token;
+
+        before(async () => {
+            server = await startServer();
+            token = (await server.login()).access_token;
+        });
+
+        after(() => server.stop());
+
+        async function importCsv(csv, query = '') {
+            const started = await server.request('POST', `/api/v1/revenue/imports${query}`, {
+                token,
+                raw: csv,
+                headers: { 'Content-Type': 'text/csv' }
+            });
+            assert.equal(started.status, 202, started.text);
+            const job = await server.waitForJob(token, started.body.job_id);
+            const revenueImport = await server.request('GET', `/api/v1/revenue/imports/${started.body.import_id}`, { token });
+            return { started: started.body, job, revenueImport: revenueImport.body };
+        }
+
+        it('imports the valid rows of an uploaded CSV and reports the rest', async () => {
+            const { job, revenueImport } = await importCsv('date,amount,currency,external_id\n2026-02-01,100,USD,job-a\n2026-02-02,oops,USD,job-b\n');
+
+            assert.equal(job.status, 'succeeded');
+            assert.equal(revenueImport.status, 'completed');
+            assert.equal(revenueImport.report.imported, 1);
+            assert.equal(revenueImport.report.failed, 1);
+
+            const created = await server.request('GET', `/api/v1/revenue/records/${revenueImport.report.record_ids[0]}`, { token });
+            assert.equal(created.body.data.external_id, 'job-a');
+        });
+
+        it('does not import rows whose external_id was imported before', async () => {
+            const { revenueImport } = await importCsv('date,amount,external_id\n2026-02-01,100,job-a\n');
+            assert.equal(revenueImport.report.imported, 0);
+            assert.equal(revenueImport.report.duplicates, 1);
+        });
+
+        it('only validates on a dry run', async () => {
+            const { revenueImport } = await importCsv('date,amount\n2026-02-03,100\n', '?dry_run=true');
+            assert.equal(revenueImport.report.valid_rows, 1);
+            assert.equal(revenueImport.report.imported, 0);
+        });
+
+        it('rejects an empty upload', async () => {
+            const response = await server.request('POST', '/api/v1/revenue/imports', { token, raw: ' ', headers: { 'Content-Type': 'text/csv' } });
+            assert.equal(response.status, 400);
+        });
+    });
+
+    describe('import job on the file adapter', () => {
+        const ROWS = 6000;
+        let dir;
+        let server;
+        let token;
+
+        before(async () => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'butler-import-'));
+            server = await startServer({
+                STORAGE_ADAPTER: 'file',
+                STORAGE_PATH: path.join(dir, 'butler.json'),
+                STORAGE_BLOB_PATH: path.join(dir, 'blobs'),
+                SEED_DEMO_DATA: 'true'
+            });
+            token = (await server.login()).access_token;
+        });
+
+        after(async () => {
+            await server.stop();
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it(`imports ${ROWS} rows while the server keeps answering`, async () => {
+            const lines = ['date,amount,currency,external_id'];
+            for (let i = 0; i < ROWS; i++) {
+                lines.push(`2026-03-${String(1 + (i % 28)).padStart(2, '0')},${i + 1},USD,bulk-${i}`);
+            }
+            const started = await server.request('POST', '/api/v1/revenue/imports', {
+                token,
+                raw: lines.join('\n'),
+                headers: { 'Content-Type': 'text/csv' }
+            });
+            assert.equal(started.status, 202, started.text);
+
+            // The upload waits outside the job record and is gone afterwards
+            const queued = await server.request('GET', `/api/v1/jobs/${started.body.job_id}`, { token });
+            assert.equal(queued.status, 200);
+            assert.equal(JSON.stringify(queued.body).includes('bulk-0'), false);
+
+            const job = await server.waitForJob(token, started.body.job_id, 60000);
+            assert.equal(job.status, 'succeeded', job.last_error);
+            assert.equal(job.result.imported, ROWS);
+            assert.deepEqual(fs.readdirSync(path.join(dir, 'blobs', 'imports')), []);
+
+            const snapshot = JSON.parse(fs.readFileSync(path.join(dir, 'butler.json'), 'utf8'));
+            const imported = Object.values(snapshot.collections.revenue_records).filter(r => r.import_id === started.body.import_id);
+            assert.equal(imported.length, ROWS);
+            assert.equal(Object.values(snapshot.collections.jobs).some(j => JSON.stringify(j.payload).includes('bulk-0')), false);
+        });
+    });
+});
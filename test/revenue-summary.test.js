@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_PERIODS, GRANULARITIES, parseDate, countPeriods, enumeratePeriods } = require('../lib/periods');
+const { startServer } = require('./helpers/server');
+
+describe('revenue summary', () => {
+    describe('countPeriods', () => {
+        const ranges = [
+            ['2026-01-01', '2026-01-01'],
+            ['2025-12-31', '2026-01-01'],
+            ['2024-02-29', '2026-10-19'],
+            ['2023-05-17', '2024-05-16']
+        ];
+
+        for (const granularity of GRANULARITIES) {
+            it(`matches enumeratePeriods for ${granularity} buckets`, () => {
+                ranges.forEach(([start, end]) => {
+                    const expected = enumeratePeriods(parseDate(start), parseDate(end), granularity).length;
+                    assert.equal(countPeriods(parseDate(start), parseDate(end), granularity), expected, `${start}..${end}`);
+                });
+            });
+        }
+
+        it('is zero for an inverted range', () => {
+            assert.equal(countPeriods(parseDate('2026-02-01'), parseDate('2026-01-01'), 'daily'), 0);
+        });
+    });
+
+    describe('GET /api/v1/revenue/summary', () => {
+        let server;
+        let token;
+
+        before(async () => {
+            server = await startServer();
+            token = (await server.login()).access_token;
+        });
+
+        after(() => server.stop());
+
+        it('refuses an explicit range with too many buckets', async () => {
+            const response = await server.request('GET', '/api/v1/revenue/summary?granularity=daily&start_date=1970-01-01', { token });
+            assert.equal(response.status, 400);
+            assert.match(response.body.error, new RegExp(`at most ${MAX_PERIODS} periods`));
+        });
+
+        it('refuses query dates outside 1970..9999', async () => {
+            const response = await server.request('GET', '/api/v1/revenue/summary?granularity=quarterly&start_date=1900-01-01', { token });
+            assert.equal(response.status, 400);
+            assert.match(response.body.error, /start_date must be between 1970-01-01 and 9999-12-31/);
+        });
+
+        it('allows the same range with a coarser granularity', async () => {
+            const response = await server.request('GET', '/api/v1/revenue/summary?granularity=quarterly&start_date=1970-01-01&end_date=2026-12-31', { token });
+            assert.equal(response.status, 200);
+            assert.equal(response.body.data.by_period.length, 228);
+        });
+
+        it('starts an open-ended range as far back as fits', async () => {
+            const old = await server.request('POST', '/api/v1/revenue/records', {
+                token,
+                body: { date: '1975-06-01', amount: 10, currency: 'USD' }
+            });
+            assert.equal(old.status, 201, old.text);
+
+            const response = await server.request('GET', '/api/v1/revenue/summary?granularity=daily', { token });
+            assert.equal(response.status, 200);
+            assert.equal(response.body.data.by_period.length, MAX_PERIODS);
+        });
+
+        it('refuses records dated outside the supported years', async () => {
+            for (const date of ['0001-01-01', '1969-12-31', `${new Date().getUTCFullYear() + 2}-01-01`]) {
+                const response = await server.request('POST', '/api/v1/revenue/records', { token, body: { date, amount: 10 } });
+                assert.equal(response.status, 400, date);
+                assert.equal(response.body.details[0].field, 'date');
+            }
+        });
+    });
+});
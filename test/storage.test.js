@@ -0,0 +1,183 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore, createBlobStore, MemoryAdapter, FileAdapter } = require('../lib/storage');
+const { migrations } = require('../lib/storage/migrations');
+
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+describe('storage', () => {
+    describe('memory adapter', () => {
+        it('runs every migration on a new store', () => {
+            const store = createStore({ adapter: 'memory' });
+            assert.equal(store.adapter.getMeta('schema_version'), LATEST_VERSION);
+            assert.deepEqual(store.collection('users').values(), []);
+        });
+
+        it('refuses collections no migration created', () => {
+            const store = createStore({ adapter: 'memory' });
+            assert.throws(() => store.collection('nope'), /Unknown collection "nope"/);
+        });
+
+        it('rejects unknown adapters', () => {
+            assert.throws(() => createStore({ adapter: 'postgres' }), /Unknown storage adapter/);
+        });
+    });
+
+    describe('repository', () => {
+        let users;
+
+        beforeEach(() => {
+            users = createStore({ adapter: 'memory' }).collection('users');
+        });
+
+        it('copies values on the way in and out', () => {
+            const user = { id: 'u1', email: 'a@example.com', tags: ['x'] };
+            users.set('u1', user);
+            user.tags.push('changed');
+            const read = users.get('u1');
+            read.email = 'changed@example.com';
+            assert.deepEqual(users.get('u1'), { id: 'u1', email: 'a@example.com', tags: ['x'] });
+        });
+
+        it('shallow-merges updates and ignores missing ids', () => {
+            users.set('u1', { id: 'u1', email: 'a@example.com', role: 'viewer' });
+            assert.deepEqual(users.update('u1', { role: 'owner' }), { id: 'u1', email: 'a@example.com', role: 'owner' });
+            assert.equal(users.update('missing', { role: 'owner' }), undefined);
+        });
+
+        it('finds, counts and deletes', () => {
+            users.set('u1', { id: 'u1', clientId: 'c1' });
+            users.set('u2', { id: 'u2', clientId: 'c2' });
+            users.set('u3', { id: 'u3', clientId: 'c1' });
+            assert.deepEqual(users.find(u => u.clientId === 'c1').map(u => u.id), ['u1', 'u3']);
+            assert.equal(users.findOne(u => u.clientId === 'c2').id, 'u2');
+            assert.equal(users.count(), 3);
+            assert.equal(users.count(u => u.clientId === 'c1'), 2);
+            assert.equal(users.delete('u1'), true);
+            assert.equal(users.delete('u1'), false);
+            assert.equal(users.has('u1'), false);
+        });
+    });
+
+    describe('file adapter', () => {
+        let dir;
+        let filePath;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'butler-storage-'));
+            filePath = path.join(dir, 'nested', 'butler.json');
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('requires a file path', () => {
+            assert.throws(() => new FileAdapter({}), /requires a filePath/);
+        });
+
+        it('persists records and schema version across reopening', () => {
+            const store = createStore({ adapter: 'file', filePath });
+            store.collection('clients').set('c1', { id: 'c1', company_name: 'Acme' });
+            store.close();
+
+            const reopened = createStore({ adapter: 'file', filePath });
+            assert.deepEqual(reopened.collection('clients').get('c1'), { id: 'c1', company_name: 'Acme' });
+            assert.equal(reopened.adapter.getMeta('schema_version'), LATEST_VERSION);
+        });
+
+        it('persists deletes', () => {
+            const store = createStore({ adapter: 'file', filePath });
+            store.collection('clients').set('c1', { id: 'c1' });
+            store.collection('clients').delete('c1');
+            store.close();
+
+            assert.equal(createStore({ adapter: 'file', filePath }).collection('clients').has('c1'), false);
+        });
+
+        it('leaves no temp file behind', () => {
+            const store = createStore({ adapter: 'file', filePath });
+            store.collection('clients').set('c1', { id: 'c1' });
+            store.close();
+            assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['butler.json']);
+        });
+
+        it('writes a batch of changes with one flush', () => {
+            const store = createStore({ adapter: 'file', filePath });
+            const clients = store.collection('clients');
+            let flushes = 0;
+            const flush = store.adapter.flush.bind(store.adapter);
+            store.adapter.flush = () => {
+                flushes++;
+                flush();
+            };
+
+            store.batch(() => {
+                for (let i = 0; i < 100; i++) {
+                    clients.set(`c${i}`, { id: `c${i}` });
+                }
+                store.batch(() => clients.delete('c0'));
+                assert.equal(flushes, 0);
+            });
+            assert.equal(flushes, 1);
+
+            store.batch(() => clients.get('c1'));
+            assert.equal(flushes, 1);
+
+            assert.equal(createStore({ adapter: 'file', filePath }).collection('clients').count(), 99);
+        });
+
+        it('flushes what a failed batch had already written', () => {
+            const store = createStore({ adapter: 'file', filePath });
+            assert.throws(() => store.batch(() => {
+                store.collection('clients').set('c1', { id: 'c1' });
+                throw new Error('boom');
+            }), /boom/);
+            assert.equal(createStore({ adapter: 'file', filePath }).collection('clients').has('c1'), true);
+        });
+
+        it('keeps the in-memory behaviour of its base class', () => {
+            assert.ok(new FileAdapter({ filePath }) instanceof MemoryAdapter);
+        });
+    });
+
+    for (const adapter of ['memory', 'file']) {
+        describe(`${adapter} blob store`, () => {
+            let dir;
+            let blobs;
+
+            beforeEach(() => {
+                dir = fs.mkdtempSync(path.join(os.tmpdir(), 'butler-blobs-'));
+                blobs = createBlobStore({ adapter, dir });
+            });
+
+            afterEach(() => {
+                fs.rmSync(dir, { recursive: true, force: true });
+            });
+
+            it('stores, returns and deletes content', () => {
+                assert.equal(blobs.put('imports/import-1', 'date,amount\n'), 'imports/import-1');
+                assert.equal(blobs.has('imports/import-1'), true);
+                assert.equal(blobs.get('imports/import-1').toString('utf8'), 'date,amount\n');
+                assert.equal(blobs.delete('imports/import-1'), true);
+                assert.equal(blobs.get('imports/import-1'), null);
+                assert.equal(blobs.delete('imports/import-1'), false);
+            });
+
+            it('keeps binary content intact', () => {
+                const content = Buffer.from([0, 255, 10, 13, 128]);
+                blobs.put('exports/file.xlsx', content);
+                assert.deepEqual(blobs.get('exports/file.xlsx'), content);
+            });
+
+            it('refuses keys that could leave its namespace', () => {
+                for (const key of ['../etc/passwd', 'imports/../../x', 'imports/.hidden', 'no-namespace', 'a/b/c', '/abs/path']) {
+                    assert.throws(() => blobs.put(key, 'x'), /Invalid blob key/, key);
+                }
+            });
+        });
+    }
+});
@@ -0,0 +1,98 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { createStore } = require('../lib/storage');
+const {
+    createKeyring,
+    signAccessToken,
+    verifyAccessToken,
+    issueRefreshToken,
+    consumeRefreshToken
+} = require('../lib/tokens');
+const { startServer } = require('./helpers/server');
+
+const user = { id: 'user-1', email: 'user@example.com' };
+
+describe('tokens', () => {
+    describe('keyring', () => {
+        it('signs with the first key and verifies with any of them', () => {
+            const oldRing = createKeyring({ JWT_SIGNING_KEYS: 'k1:first-secret' });
+            const rotated = createKeyring({ JWT_SIGNING_KEYS: 'k2:second-secret,k1:first-secret' });
+
+            const oldToken = signAccessToken(oldRing, { userId: user.id });
+            assert.equal(verifyAccessToken(rotated, oldToken).userId, user.id);
+            assert.equal(jwt.decode(signAccessToken(rotated, {}), { complete: true }).header.kid, 'k2');
+        });
+
+        it('rejects tokens signed with a retired key', () => {
+            const token = signAccessToken(createKeyring({ JWT_SIGNING_KEYS: 'k1:first-secret' }), {});
+            assert.throws(() => verifyAccessToken(createKeyring({ JWT_SIGNING_KEYS: 'k2:second-secret' }), token), /unknown signing key/);
+        });
+
+        it('requires a secret in production', () => {
+            assert.throws(() => createKeyring({ NODE_ENV: 'production' }), /must be set in production/);
+        });
+    });
+
+    describe('refresh token rotation', () => {
+        let refreshTokens;
+
+        beforeEach(() => {
+            refreshTokens = createStore({ adapter: 'memory' }).collection('refresh_tokens');
+        });
+
+        it('stores only a hash of the token', () => {
+            const { token, record } = issueRefreshToken(refreshTokens, user);
+            assert.notEqual(record.token_hash, token);
+            assert.ok(!JSON.stringify(refreshTokens.values()).includes(token));
+        });
+
+        it('accepts a token once and marks it rotated', () => {
+            const { token } = issueRefreshToken(refreshTokens, user);
+            const { record } = consumeRefreshToken(refreshTokens, token);
+            assert.equal(record.user_id, user.id);
+            assert.equal(refreshTokens.get(record.id).status, 'rotated');
+        });
+
+        it('revokes the whole family when a rotated token is reused', () => {
+            const first = issueRefreshToken(refreshTokens, user);
+            consumeRefreshToken(refreshTokens, first.token);
+            const second = issueRefreshToken(refreshTokens, user, first.record.family_id);
+
+            const reuse = consumeRefreshToken(refreshTokens, first.token);
+            assert.equal(reuse.reuse, true);
+            assert.equal(refreshTokens.get(second.record.id).status, 'revoked');
+            assert.match(consumeRefreshToken(refreshTokens, second.token).error, /expired or revoked/);
+        });
+
+        it('rejects unknown tokens', () => {
+            assert.equal(consumeRefreshToken(refreshTokens, 'not-a-token').error, 'Invalid refresh token');
+        });
+    });
+
+    describe('refresh endpoint', () => {
+        let server;
+
+        before(async () => {
+            server = await startServer();
+        });
+
+        after(() => server.stop());
+
+        it('rotates the refresh token and rejects the old one afterwards', async () => {
+            const session = await server.login();
+
+            const refreshed = await server.request('POST', '/api/v1/auth/refresh', { body: { refresh_token: session.refresh_token } });
+            assert.equal(refreshed.status, 200);
+            assert.notEqual(refreshed.body.refresh_token, session.refresh_token);
+            assert.equal((await server.request('GET', '/api/v1/clients', { token: refreshed.body.access_token })).status, 200);
+
+            const replayed = await server.request('POST', '/api/v1/auth/refresh', { body: { refresh_token: session.refresh_token } });
+            assert.equal(replayed.status, 401);
+
+            // Reuse revoked the family, including the token issued by the rotation
+            const successor = await server.request('POST', '/api/v1/auth/refresh', { body: { refresh_token: refreshed.body.refresh_token } });
+            assert.equal(successor.status, 401);
+        });
+    });
+});
@@ -0,0 +1,36 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { monthOf } = require('../lib/usage');
+const { startServer } = require('./helpers/server');
+
+describe('usage metering', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'butler-usage-'));
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('writes out buffered usage counts when the server is stopped', async () => {
+        const server = await startServer({
+            STORAGE_ADAPTER: 'file',
+            STORAGE_PATH: path.join(dir, 'butler.json'),
+            STORAGE_BLOB_PATH: path.join(dir, 'blobs')
+        });
+        const token = (await server.login()).access_token;
+        for (let i = 0; i < 5; i++) {
+            assert.equal((await server.request('GET', '/api/v1/revenue/records', { token })).status, 200);
+        }
+        await server.stop();
+
+        assert.match(server.output(), /SIGTERM received, shutting down/);
+        const snapshot = JSON.parse(fs.readFileSync(path.join(dir, 'butler.json'), 'utf8'));
+        const usage = snapshot.collections.client_usage[`client-demo-001:${monthOf()}`];
+        assert.ok(usage, 'no usage was written');
+        assert.ok(usage.api_calls >= 5, `api_calls is ${usage.api_calls}`);
+    });
+});
@@ -0,0 +1,130 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { deliver, isPrivateAddress, sign, validateEndpointUrl, validateEvents } = require('../lib/webhooks');
+
+const production = { NODE_ENV: 'production' };
+
+describe('webhooks', () => {
+    describe('validateEndpointUrl', () => {
+        it('accepts public https URLs in production', () => {
+            assert.deepEqual(validateEndpointUrl('https://hooks.example.com/butler', production), { url: 'https://hooks.example.com/butler' });
+        });
+
+        it('requires https in production', () => {
+            assert.match(validateEndpointUrl('http://hooks.example.com/', production).error, /https/);
+        });
+
+        for (const url of [
+            'https://localhost/hook',
+            'https://api.localhost/hook',
+            'https://127.0.0.1/hook',
+            'https://10.1.2.3/hook',
+            'https://172.16.0.1/hook',
+            'https://192.168.1.1/hook',
+            'https://169.254.169.254/latest/meta-data',
+            'https://[::1]/hook',
+            'https://[fd00::1]/hook',
+            'https://[::ffff:127.0.0.1]/hook',
+            'https://[::ffff:7f00:1]/hook',
+            'https://0.0.0.0/hook',
+            'https://100.64.1.1/hook'
+        ]) {
+            it(`rejects ${url} in production`, () => {
+                assert.match(validateEndpointUrl(url, production).error, /private or local/);
+            });
+        }
+
+        it('allows local http receivers outside production', () => {
+            assert.deepEqual(validateEndpointUrl('http://localhost:4000/hook', {}), { url: 'http://localhost:4000/hook' });
+        });
+
+        it('rejects other schemes and relative URLs', () => {
+            assert.match(validateEndpointUrl('ftp://example.com/', {}).error, /http or https/);
+            assert.match(validateEndpointUrl('/hook', {}).error, /absolute URL/);
+        });
+    });
+
+    describe('isPrivateAddress', () => {
+        for (const address of [
+            '::', '::1', '::ffff:7f00:1', '::ffff:10.0.0.1', '0.0.0.0', '100.64.1.1', '198.18.0.1',
+            '224.0.0.1', '255.255.255.255', '64:ff9b::a9fe:a9fe', 'fe80::1', 'ff02::1'
+        ]) {
+            it(`blocks ${address}`, () => {
+                assert.equal(isPrivateAddress(address), true);
+            });
+        }
+
+        for (const address of ['8.8.8.8', '2606:4700::1111', '64:ff9b::808:808', 'hooks.example.com']) {
+            it(`allows ${address}`, () => {
+                assert.equal(isPrivateAddress(address), false);
+            });
+        }
+    });
+
+    describe('deliver', () => {
+        const event = { id: 'evt_1', type: 'insight.created', data: {} };
+        let server;
+        let port;
+        let received;
+
+        before(async () => {
+            server = http.createServer((req, res) => {
+                received.push(req.headers['butler-delivery']);
+                res.writeHead(200, { 'content-type': 'text/plain' });
+                res.end('secret internal response');
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            port = server.address().port;
+        });
+
+        after(() => new Promise(resolve => server.close(resolve)));
+
+        it('delivers to local receivers outside production without echoing the response body', async () => {
+            received = [];
+            const result = await deliver({ url: `http://127.0.0.1:${port}/hook`, secret: 'whsec_test', deliveryId: 'dlv_1', event }, {});
+
+            assert.equal(result.ok, true);
+            assert.equal(result.status_code, 200);
+            assert.equal('response_body' in result, false);
+            assert.deepEqual(received, ['dlv_1']);
+        });
+
+        it('refuses hostnames that resolve to a private address in production', async () => {
+            received = [];
+            const resolve = (hostname, options, callback) => callback(null, [
+                { address: '93.184.216.34', family: 4 },
+                { address: '127.0.0.1', family: 4 }
+            ]);
+            const result = await deliver({ url: `http://rebind.example.com:${port}/hook`, secret: 'whsec_test', deliveryId: 'dlv_2', event, resolve }, production);
+
+            assert.equal(result.ok, false);
+            assert.match(result.error, /private or local address \(127\.0\.0\.1\)/);
+            assert.deepEqual(received, []);
+        });
+
+        it('refuses literal private addresses in production', async () => {
+            received = [];
+            const result = await deliver({ url: `https://[::ffff:127.0.0.1]:${port}/hook`, secret: 'whsec_test', deliveryId: 'dlv_3', event }, production);
+
+            assert.equal(result.ok, false);
+            assert.deepEqual(received, []);
+        });
+    });
+
+    describe('validateEvents', () => {
+        it('deduplicates known events and rejects unknown ones', () => {
+            assert.deepEqual(validateEvents(['insight.created', 'insight.created']), { events: ['insight.created'] });
+            assert.match(validateEvents(['insight.deleted']).error, /Unknown events: insight.deleted/);
+            assert.match(validateEvents([]).error, /non-empty/);
+        });
+    });
+
+    describe('sign', () => {
+        it('signs "<timestamp>.<body>" with the endpoint secret', () => {
+            const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+            assert.equal(sign('whsec_test', 1700000000, '{"a":1}'), `t=1700000000,v1=${expected}`);
+        });
+    });
+});